@@ -0,0 +1,53 @@
+// Serverless function publishing the free consultation call slots (see
+// lib/booking.js). The contact page fetches them once the form is sent:
+//
+//   GET /api/availability?from=2026-10-26&days=5
+//     -> { timeZone, slotMinutes, slots: [{ start, end, date }] }
+//
+// Both parameters are optional; the answer never goes past the booking horizon.
+
+import { availableSlots, BOOKING_SETTINGS } from '../lib/booking.js';
+import { getCalendar } from '../lib/calendar/index.js';
+
+export function createAvailabilityHandler(options = {}) {
+  function createDependencies() {
+    const calendar = options.calendar || getCalendar();
+    const now = options.now ? options.now() : new Date();
+
+    return { calendar, now };
+  }
+
+  return async function handler(req, res) {
+    return handleAvailability(req, res, createDependencies);
+  };
+}
+
+export default createAvailabilityHandler();
+
+async function handleAvailability(req, res, createDependencies) {
+  if (req.method !== 'GET') {
+    return res.status(405).json({ error: 'Method not allowed' });
+  }
+
+  try {
+    const { calendar, now } = createDependencies();
+    const query = req.query || {};
+    const days = Math.min(Math.max(parseInt(query.days, 10) || BOOKING_SETTINGS.horizonDays, 1), BOOKING_SETTINGS.horizonDays);
+    const slots = await availableSlots({ calendar, from: query.from, days, now });
+
+    res.setHeader('Cache-Control', 'no-store');
+    return res.status(200).json({
+      timeZone: BOOKING_SETTINGS.timeZone,
+      slotMinutes: BOOKING_SETTINGS.slotMinutes,
+      slots
+    });
+
+  } catch (error) {
+    console.error('Availability error:', error);
+
+    return res.status(500).json({
+      error: 'Could not load the available times. Please try again later.',
+      details: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+}
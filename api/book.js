@@ -0,0 +1,221 @@
+// Serverless function booking a consultation call for a contact form lead.
+//
+//   POST /api/book { token, start }
+//
+// `token` is the booking token of the contact form response and `start`
+// one of the slots from /api/availability. A lead books one call, claimed
+// on the lead before the slot is reserved so concurrent requests with the
+// same token cannot both book; a second one is refused with 409 and code
+// "already_booked", and a slot taken in the meantime with "slot_taken". The
+// visitor and the team both get a confirmation with an .ics attachment.
+
+import { BOOKING_SETTINGS, findSlot, formatSlot, readBookingToken } from '../lib/booking.js';
+import { getCalendar } from '../lib/calendar/index.js';
+import { createIcs } from '../lib/calendar/ics.js';
+import { createDeliveryQueue } from '../lib/delivery-queue.js';
+import { renderEmail } from '../lib/emails/index.js';
+import { label } from '../lib/emails/labels.js';
+import { mailtoHref, stripLinks, telHref } from '../lib/escape.js';
+import { getKv } from '../lib/kv/index.js';
+import { createLeadRepository } from '../lib/leads.js';
+import { getTransport } from '../lib/mail/index.js';
+import { createRateLimiter } from '../lib/rate-limit.js';
+import { getClientIp } from '../lib/request.js';
+import { getSigningSecret } from '../lib/signing.js';
+import { getStore } from '../lib/store/index.js';
+
+const RATE_LIMITS = {
+  ip: { limit: 10, windowMs: 60 * 60 * 1000 }
+};
+
+const ORGANIZER = { name: 'DigiLima', email: 'hello@digilima.com' };
+
+export function createBookingHandler(options = {}) {
+  const rateLimits = options.rateLimits || RATE_LIMITS;
+
+  function createDependencies() {
+    const transport = options.transport || getTransport();
+    const kv = options.kv || getKv();
+    const secret = options.secret || getSigningSecret();
+    const store = options.store || getStore();
+    const calendar = options.calendar || getCalendar();
+    const now = options.now ? options.now() : new Date();
+    const leads = createLeadRepository(store);
+    const queue = createDeliveryQueue({
+      store,
+      transport,
+      onUpdate: delivery => leads.recordDelivery(delivery)
+    });
+    const limiter = createRateLimiter({ kv, name: 'booking-ip', ...rateLimits.ip });
+
+    return { secret, calendar, now, leads, queue, limiter };
+  }
+
+  return async function handler(req, res) {
+    return handleBooking(req, res, createDependencies);
+  };
+}
+
+export default createBookingHandler();
+
+async function handleBooking(req, res, createDependencies) {
+  if (req.method !== 'POST') {
+    return res.status(405).json({ error: 'Method not allowed' });
+  }
+
+  try {
+    const { secret, calendar, now, leads, queue, limiter } = createDependencies();
+    const body = req.body && typeof req.body === 'object' ? req.body : {};
+
+    const ipLimit = await limiter.consume(getClientIp(req));
+    if (!ipLimit.allowed) {
+      res.setHeader('Retry-After', String(ipLimit.retryAfter));
+      return res.status(429).json({
+        error: 'Too many booking attempts. Please try again later or email us directly at hello@digilima.com.',
+        retryAfter: ipLimit.retryAfter
+      });
+    }
+
+    const leadId = readBookingToken(body.token, { secret, now: () => now.getTime() });
+    const lead = leadId && await leads.get(leadId);
+    if (!lead) {
+      return res.status(400).json({
+        error: 'This booking link is invalid or has expired. Please email us at hello@digilima.com to arrange a call.',
+        code: 'invalid_token'
+      });
+    }
+
+    if (!(await leads.claimBooking(lead.id, { now }))) {
+      return res.status(409).json({
+        error: 'You have already booked a consultation call.',
+        code: 'already_booked',
+        booking: (await leads.get(lead.id)).booking
+      });
+    }
+
+    // Release the claim unless the slot is reserved, so the lead can pick
+    // another time
+    const lang = lead.data.lang || 'en';
+    let booking = null;
+    try {
+      const slot = await findSlot(body.start, { calendar, now });
+      booking = slot && await calendar.reserve({
+        start: new Date(slot.start),
+        end: new Date(slot.end),
+        leadId: lead.id,
+        name: lead.data.name,
+        email: lead.data.email,
+        lang
+      });
+    } finally {
+      if (!booking) await leads.releaseBooking(lead.id);
+    }
+    if (!booking) {
+      return res.status(409).json({
+        error: 'Sorry, this time is no longer available. Please pick another one.',
+        code: 'slot_taken'
+      });
+    }
+
+    await leads.recordBooking(lead.id, booking);
+    const delivery = await sendConfirmations(lead, booking, { queue, now });
+    console.log(`Booking ${booking.id} for lead ${lead.id}, emails:`, delivery);
+
+    return res.status(200).json({
+      success: true,
+      booking: { id: booking.id, start: booking.start, end: booking.end },
+      delivery
+    });
+
+  } catch (error) {
+    console.error('Booking error:', error);
+
+    return res.status(500).json({
+      error: 'Sorry, we could not book this time. Please try again or email us directly at hello@digilima.com.',
+      details: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+}
+
+// Queue the visitor's confirmation and the team's notification, each with
+// the call attached, and try them right away (see api/contact.js)
+async function sendConfirmations(lead, booking, { queue, now }) {
+  const { name, email, phone, projectType, lang = 'en' } = lead.data;
+  const minutes = BOOKING_SETTINGS.slotMinutes;
+  const attachment = summary => ({
+    filename: 'consultation.ics',
+    contentType: 'text/calendar; charset=utf-8; method=PUBLISH',
+    content: createIcs({
+      uid: `${booking.id}@digilima.com`,
+      start: booking.start,
+      end: booking.end,
+      summary,
+      organizer: ORGANIZER,
+      attendee: { name: stripLinks(name), email },
+      now
+    })
+  });
+
+  const confirmation = {
+    from: 'DigiLima <hello@digilima.com>',
+    to: [email],
+    ...renderEmail('booking-confirmation', lang, {
+      name: stripLinks(name),
+      when: formatSlot(booking.start, lang),
+      minutes
+    }),
+    attachments: [attachment(lang === 'el' ? 'Συμβουλευτική κλήση με την DigiLima' : 'Consultation call with DigiLima')],
+    tags: [
+      {
+        name: 'type',
+        value: 'booking_confirmation'
+      },
+      {
+        name: 'lang',
+        value: lang
+      },
+      {
+        name: 'lead_id',
+        value: lead.id
+      }
+    ]
+  };
+
+  const notification = {
+    from: 'DigiLima Bookings <noreply@digilima.com>',
+    to: ['hello@digilima.com'],
+    replyTo: email,
+    ...renderEmail('booking-notification', 'en', {
+      name,
+      email,
+      phone,
+      mailto: mailtoHref(email),
+      tel: telHref(phone),
+      projectType: label('en', 'projectType', projectType),
+      langLabel: label('en', 'lang', lang),
+      when: formatSlot(booking.start, 'en'),
+      minutes,
+      leadId: lead.id,
+      bookingId: booking.id
+    }),
+    attachments: [attachment(`Consultation call: ${name}`)],
+    tags: [
+      {
+        name: 'source',
+        value: 'booking'
+      },
+      {
+        name: 'lead_id',
+        value: lead.id
+      }
+    ]
+  };
+
+  const delivery = {};
+  for (const [kind, message] of [['bookingConfirmation', confirmation], ['bookingNotification', notification]]) {
+    const queued = await queue.enqueue(message, { kind, leadId: lead.id });
+    const attempted = await queue.attempt(queued.id);
+    delivery[kind] = attempted ? attempted.status : queued.status;
+  }
+  return delivery;
+}
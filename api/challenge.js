@@ -0,0 +1,27 @@
+// Serverless function issuing bot-protection challenges for public forms
+// (see lib/challenge.js). The contact form fetches one when it initializes.
+
+import { issueChallenge } from '../lib/challenge.js';
+import { getSigningSecret } from '../lib/signing.js';
+
+export default async function handler(req, res) {
+  if (req.method !== 'GET') {
+    return res.status(405).json({ error: 'Method not allowed' });
+  }
+
+  try {
+    const difficulty = Number(process.env.CHALLENGE_DIFFICULTY) || undefined;
+    const challenge = issueChallenge({ secret: getSigningSecret(), difficulty });
+
+    res.setHeader('Cache-Control', 'no-store');
+    return res.status(200).json(challenge);
+
+  } catch (error) {
+    console.error('Challenge error:', error);
+
+    return res.status(500).json({ 
+      error: 'Could not prepare the form. Please reload the page.',
+      details: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+}
@@ -1,19 +1,90 @@
-// Serverless function for handling contact form submissions with Resend
-// This file can be deployed to Vercel, Netlify, or similar platforms
+// Serverless function for handling contact form submissions
+// This file can be deployed to Vercel, Netlify, or similar platforms.
+// Email goes through the transport configured by EMAIL_TRANSPORT (see lib/mail),
+// and the new lead is queued for the WEBHOOK_ENDPOINTS integrations (see lib/webhooks).
+
+import contactSchema from '../assets 2/js/contact-schema.js';
+import { bookingToken } from '../lib/booking.js';
+import { verifyChallenge } from '../lib/challenge.js';
+import { checkPolicy, createConsentRecord } from '../lib/consent.js';
+import { createDeliveryQueue } from '../lib/delivery-queue.js';
+import { renderEmail } from '../lib/emails/index.js';
+import { label } from '../lib/emails/labels.js';
+import { mailtoHref, stripLinks, telHref } from '../lib/escape.js';
+import { withIdempotency } from '../lib/idempotency.js';
+import { getKv } from '../lib/kv/index.js';
+import { LEAD_RULES, scoreLead } from '../lib/lead-scoring.js';
+import { createLeadRepository } from '../lib/leads.js';
+import { getTransport } from '../lib/mail/index.js';
+import { createRateLimiter } from '../lib/rate-limit.js';
+import { getClientIp } from '../lib/request.js';
+import { getSigningSecret } from '../lib/signing.js';
+import { getStore } from '../lib/store/index.js';
+import { createLeadEvent, getWebhookEndpoints } from '../lib/webhooks/index.js';
+import { createWebhookOutbox } from '../lib/webhooks/outbox.js';
+
+// Per-IP limit covers every POST; per-recipient limit stops the auto-reply
+// from being used to flood one address from many IPs.
+const RATE_LIMITS = {
+  ip: { limit: 5, windowMs: 10 * 60 * 1000 },
+  email: { limit: 3, windowMs: 60 * 60 * 1000 }
+};
+
+// Dependencies can be injected for local runs and tests; anything not
+// passed in is built from the environment on first use, inside the
+// handler's error handling so a configuration error still gets a JSON 500.
+export function createContactHandler(options = {}) {
+  const rateLimits = options.rateLimits || RATE_LIMITS;
+  const leadRules = options.leadRules || LEAD_RULES;
+
+  function createDependencies() {
+    const transport = options.transport || getTransport();
+    const kv = options.kv || getKv();
+    const secret = options.secret || getSigningSecret();
+    const store = options.store || getStore();
+    const leads = createLeadRepository(store);
+    const queue = createDeliveryQueue({
+      store,
+      transport,
+      onUpdate: delivery => leads.recordDelivery(delivery)
+    });
+    const webhooks = createWebhookOutbox({
+      store,
+      endpoints: options.webhookEndpoints || getWebhookEndpoints()
+    });
+    const limiters = {
+      ip: createRateLimiter({ kv, name: 'contact-ip', ...rateLimits.ip }),
+      email: createRateLimiter({ kv, name: 'contact-email', ...rateLimits.email })
+    };
+
+    return { kv, secret, limiters, leads, queue, webhooks, leadRules };
+  }
 
-import { Resend } from 'resend';
+  return async function handler(req, res) {
+    return handleContact(req, res, createDependencies);
+  };
+}
 
-const resend = new Resend(process.env.RESEND_API_KEY);
+export default createContactHandler();
 
-export default async function handler(req, res) {
+function sendRateLimited(res, { retryAfter }) {
+  res.setHeader('Retry-After', String(retryAfter));
+  return res.status(429).json({
+    error: 'Too many submissions. Please try again later or email us directly at hello@digilima.com.',
+    retryAfter
+  });
+}
+
+async function handleContact(req, res, createDependencies) {
   // Set CORS headers
   res.setHeader('Access-Control-Allow-Credentials', true);
   res.setHeader('Access-Control-Allow-Origin', '*');
   res.setHeader('Access-Control-Allow-Methods', 'GET,OPTIONS,PATCH,DELETE,POST,PUT');
   res.setHeader(
     'Access-Control-Allow-Headers',
-    'X-CSRF-Token, X-Requested-With, Accept, Accept-Version, Content-Length, Content-MD5, Content-Type, Date, X-Api-Version'
+    'X-CSRF-Token, X-Requested-With, Accept, Accept-Version, Content-Length, Content-MD5, Content-Type, Date, X-Api-Version, Idempotency-Key'
   );
+  res.setHeader('Access-Control-Expose-Headers', 'Retry-After, Idempotent-Replayed');
 
   if (req.method === 'OPTIONS') {
     res.status(200).end();
@@ -25,320 +96,232 @@ export default async function handler(req, res) {
   }
 
   try {
-    const { 
-      name, 
-      email, 
-      phone, 
-      company, 
-      budget, 
-      projectType, 
-      message, 
-      consent,
-      website // honeypot field
-    } = req.body;
-
-    // Basic validation
-    if (!name || !email || !message || !consent) {
-      return res.status(400).json({ 
-        error: 'Missing required fields. Please fill in all required information.' 
-      });
-    }
+    const dependencies = createDependencies();
+    const body = req.body && typeof req.body === 'object' ? req.body : {};
+    // A retry solves a fresh challenge, so it isn't part of the fingerprint
+    const { challenge, ...payload } = body;
 
-    // Honeypot check
-    if (website) {
-      return res.status(400).json({ 
-        error: 'Form submission failed. Please try again.' 
-      });
-    }
+    // Repeats of the same form fill replay the stored response
+    return await withIdempotency(req, res, { kv: dependencies.kv, scope: 'contact', payload }, () => (
+      processSubmission(req, res, body, dependencies)
+    ));
 
-    // Email validation
-    const emailRegex = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
-    if (!emailRegex.test(email)) {
-      return res.status(400).json({ 
-        error: 'Please enter a valid email address.' 
-      });
-    }
-
-    // Prepare email content
-    const currentDate = new Date().toLocaleDateString('en-GB', {
-      year: 'numeric',
-      month: 'long',
-      day: 'numeric',
-      hour: '2-digit',
-      minute: '2-digit',
-      timeZone: 'Europe/Athens'
+  } catch (error) {
+    console.error('Contact form error:', error);
+    
+    return res.status(500).json({ 
+      error: 'Sorry, there was an error sending your message. Please try again or contact us directly at hello@digilima.com.',
+      details: process.env.NODE_ENV === 'development' ? error.message : undefined
     });
+  }
+}
 
-    const htmlContent = `
-      <!DOCTYPE html>
-      <html>
-      <head>
-        <meta charset="UTF-8">
-        <meta name="viewport" content="width=device-width, initial-scale=1.0">
-        <title>New Contact Form Submission - DigiLima</title>
-        <style>
-          body { font-family: 'Segoe UI', Tahoma, Geneva, Verdana, sans-serif; line-height: 1.6; color: #333; margin: 0; padding: 0; }
-          .container { max-width: 600px; margin: 0 auto; padding: 20px; }
-          .header { background: linear-gradient(135deg, #2563EB 0%, #1D4ED8 100%); color: white; padding: 20px; text-align: center; }
-          .content { background: #f8f9fa; padding: 30px; }
-          .field { margin-bottom: 20px; }
-          .field-label { font-weight: bold; color: #2563EB; display: block; margin-bottom: 5px; }
-          .field-value { background: white; padding: 10px; border-radius: 5px; border-left: 3px solid #2563EB; }
-          .footer { background: #1f2937; color: white; padding: 20px; text-align: center; font-size: 14px; }
-          .priority-high { border-left-color: #ef4444; }
-          .priority-medium { border-left-color: #f59e0b; }
-        </style>
-      </head>
-      <body>
-        <div class="container">
-          <div class="header">
-            <h1>🚀 New Contact Form Submission</h1>
-            <p>DigiLima.com - ${currentDate}</p>
-          </div>
-          
-          <div class="content">
-            <div class="field">
-              <label class="field-label">👤 Name</label>
-              <div class="field-value">${name}</div>
-            </div>
-            
-            <div class="field">
-              <label class="field-label">📧 Email</label>
-              <div class="field-value"><a href="mailto:${email}" style="color: #2563EB; text-decoration: none;">${email}</a></div>
-            </div>
-            
-            ${phone ? `
-            <div class="field">
-              <label class="field-label">📱 Phone</label>
-              <div class="field-value"><a href="tel:${phone}" style="color: #2563EB; text-decoration: none;">${phone}</a></div>
-            </div>
-            ` : ''}
-            
-            ${company ? `
-            <div class="field">
-              <label class="field-label">🏢 Company</label>
-              <div class="field-value">${company}</div>
-            </div>
-            ` : ''}
-            
-            ${budget ? `
-            <div class="field">
-              <label class="field-label">💰 Budget Range</label>
-              <div class="field-value ${budget.includes('10000+') ? 'priority-high' : budget.includes('5000') ? 'priority-medium' : ''}">${budget}</div>
-            </div>
-            ` : ''}
-            
-            ${projectType ? `
-            <div class="field">
-              <label class="field-label">🎯 Project Type</label>
-              <div class="field-value">${projectType}</div>
-            </div>
-            ` : ''}
-            
-            <div class="field">
-              <label class="field-label">💬 Message</label>
-              <div class="field-value" style="white-space: pre-wrap;">${message}</div>
-            </div>
-            
-            <div class="field">
-              <label class="field-label">✅ GDPR Consent</label>
-              <div class="field-value">✓ Customer has provided consent to be contacted</div>
-            </div>
-          </div>
-          
-          <div class="footer">
-            <p><strong>Next Steps:</strong></p>
-            <p>• Respond within 2 hours during business hours</p>
-            <p>• Add contact details to CRM system</p>
-            <p>• Schedule follow-up call if budget > €5,000</p>
-            <hr style="border: 0; border-top: 1px solid #374151; margin: 20px 0;">
-            <p>DigiLima - Web Development Services<br>
-            📍 Limassol, Cyprus | 📧 hello@digilima.com | 📱 +357 99 123 456</p>
-          </div>
-        </div>
-      </body>
-      </html>
-    `;
-
-    const textContent = `
-New Contact Form Submission - DigiLima.com
-
-Submitted: ${currentDate}
-
-Contact Information:
-Name: ${name}
-Email: ${email}
-${phone ? `Phone: ${phone}` : ''}
-${company ? `Company: ${company}` : ''}
-
-Project Details:
-${budget ? `Budget: ${budget}` : ''}
-${projectType ? `Project Type: ${projectType}` : ''}
-
-Message:
-${message}
-
-GDPR Consent: ✓ Provided
-
----
-DigiLima - Web Development Services
-Limassol, Cyprus
-hello@digilima.com | +357 99 123 456
-    `;
+async function processSubmission(req, res, body, { kv, secret, limiters, leads, queue, webhooks, leadRules }) {
+  const ipLimit = await limiters.ip.consume(getClientIp(req));
+  if (!ipLimit.allowed) {
+    return sendRateLimited(res, ipLimit);
+  }
 
-    // Send email using Resend
-    const emailData = await resend.emails.send({
-      from: 'DigiLima Contact Form <noreply@digilima.com>',
-      to: ['hello@digilima.com'],
-      replyTo: email,
-      subject: `New Contact: ${name} - ${projectType || 'General Inquiry'} ${budget ? `(${budget})` : ''}`,
-      html: htmlContent,
-      text: textContent,
-      tags: [
-        {
-          name: 'source',
-          value: 'contact_form'
-        },
-        {
-          name: 'budget',
-          value: budget || 'not_specified'
-        },
-        {
-          name: 'project_type',
-          value: projectType || 'general'
-        }
-      ],
+  // Honeypot check
+  if (body.website) {
+    return res.status(400).json({ 
+      error: 'Form submission failed. Please try again.' 
     });
+  }
 
-    // Send auto-reply to the customer
-    const autoReplyHtml = `
-      <!DOCTYPE html>
-      <html>
-      <head>
-        <meta charset="UTF-8">
-        <meta name="viewport" content="width=device-width, initial-scale=1.0">
-        <title>Thank you for contacting DigiLima</title>
-        <style>
-          body { font-family: 'Segoe UI', Tahoma, Geneva, Verdana, sans-serif; line-height: 1.6; color: #333; margin: 0; padding: 0; }
-          .container { max-width: 600px; margin: 0 auto; padding: 20px; }
-          .header { background: linear-gradient(135deg, #2563EB 0%, #1D4ED8 100%); color: white; padding: 20px; text-align: center; }
-          .content { background: #f8f9fa; padding: 30px; }
-          .cta-button { display: inline-block; background: #2563EB; color: white; padding: 12px 24px; text-decoration: none; border-radius: 6px; font-weight: bold; margin: 20px 0; }
-          .footer { background: #1f2937; color: white; padding: 20px; text-align: center; font-size: 14px; }
-          .contact-info { background: white; padding: 15px; border-radius: 6px; margin: 20px 0; border-left: 3px solid #2563EB; }
-        </style>
-      </head>
-      <body>
-        <div class="container">
-          <div class="header">
-            <h1>Thank you, ${name}!</h1>
-            <p>We've received your message</p>
-          </div>
-          
-          <div class="content">
-            <p>Dear ${name},</p>
-            
-            <p>Thank you for reaching out to DigiLima! We've received your inquiry about ${projectType || 'your project'} and we're excited to learn more about how we can help.</p>
-            
-            <p><strong>What happens next?</strong></p>
-            <ul>
-              <li>We'll review your project details and requirements</li>
-              <li>You'll receive a personal response from our team within 2-4 hours during business hours</li>
-              <li>We'll schedule a consultation call to discuss your project in detail</li>
-              <li>You'll receive a detailed proposal within 24-48 hours</li>
-            </ul>
-            
-            <div class="contact-info">
-              <p><strong>In the meantime, here are a few things you can do:</strong></p>
-              <ul>
-                <li>📂 Check out our <a href="https://digilima.com/portfolio/" style="color: #2563EB;">recent projects</a> for inspiration</li>
-                <li>📖 Read our <a href="https://digilima.com/blog/" style="color: #2563EB;">blog</a> for web development insights</li>
-                <li>📱 Connect with us on social media for updates and tips</li>
-              </ul>
-            </div>
-            
-            <p>If you have any urgent questions, feel free to reach out directly:</p>
-            <p>📧 <a href="mailto:hello@digilima.com" style="color: #2563EB;">hello@digilima.com</a><br>
-            📱 <a href="tel:+35799123456" style="color: #2563EB;">+357 99 123 456</a></p>
-            
-            <p>We look forward to working with you!</p>
-            
-            <p>Best regards,<br>
-            <strong>DigiLima Team</strong><br>
-            Web Development Specialists</p>
-          </div>
-          
-          <div class="footer">
-            <p>DigiLima - Lightning-fast websites for growing businesses</p>
-            <p>📍 Limassol, Cyprus | 🌐 <a href="https://digilima.com" style="color: white;">digilima.com</a></p>
-            <p style="font-size: 12px; margin-top: 20px; opacity: 0.8;">
-              You're receiving this email because you contacted us through our website. 
-              We respect your privacy and follow GDPR guidelines.
-            </p>
-          </div>
-        </div>
-      </body>
-      </html>
-    `;
-
-    const autoReplyText = `
-Dear ${name},
-
-Thank you for reaching out to DigiLima! We've received your inquiry about ${projectType || 'your project'} and we're excited to learn more about how we can help.
-
-What happens next?
-- We'll review your project details and requirements
-- You'll receive a personal response from our team within 2-4 hours during business hours
-- We'll schedule a consultation call to discuss your project in detail
-- You'll receive a detailed proposal within 24-48 hours
-
-In the meantime, check out our recent projects at https://digilima.com/portfolio/ for inspiration.
-
-If you have any urgent questions, feel free to reach out directly:
-📧 hello@digilima.com
-📱 +357 99 123 456
-
-We look forward to working with you!
-
-Best regards,
-DigiLima Team
-Web Development Specialists
-
----
-DigiLima - Lightning-fast websites for growing businesses
-Limassol, Cyprus | https://digilima.com
-    `;
-
-    // Send auto-reply
-    await resend.emails.send({
-      from: 'DigiLima <hello@digilima.com>',
-      to: [email],
-      subject: `Thank you for contacting DigiLima - We'll be in touch soon!`,
-      html: autoReplyHtml,
-      text: autoReplyText,
-      tags: [
-        {
-          name: 'type',
-          value: 'auto_reply'
-        }
-      ],
+  // Schema validation (shared with the client-side form)
+  const { valid, errors, values } = contactSchema.validate(body);
+  if (!valid) {
+    return res.status(400).json({ 
+      error: 'Please check the highlighted fields and try again.',
+      errors
     });
+  }
 
-    console.log('Email sent successfully:', emailData.id);
-
-    // Return success response
-    return res.status(200).json({ 
-      success: true, 
-      message: 'Thank you! Your message has been sent successfully. We\'ll get back to you within 24 hours.',
-      emailId: emailData.id
+  // Consent details are kept with the lead, not in its data
+  const { policyVersion, consentWording, ...data } = values;
+  const { 
+    name, 
+    email, 
+    phone, 
+    company, 
+    budget, 
+    projectType, 
+    timeline,
+    location,
+    message,
+    lang = 'en'
+  } = data;
+
+  // Consent must be given against the privacy policy currently published
+  const policyError = checkPolicy(policyVersion, consentWording);
+  if (policyError) {
+    return res.status(400).json({ 
+      error: 'Our privacy policy has been updated. Please reload the page, review it and submit the form again.',
+      code: policyError
     });
+  }
 
-  } catch (error) {
-    console.error('Contact form error:', error);
-    
-    return res.status(500).json({ 
-      error: 'Sorry, there was an error sending your message. Please try again or contact us directly at hello@digilima.com.',
-      details: process.env.NODE_ENV === 'development' ? error.message : undefined
+  // Time-trap / proof-of-work challenge issued by /api/challenge
+  const challengeError = await verifyChallenge(body.challenge, { kv, secret });
+  if (challengeError) {
+    console.warn('Contact form challenge rejected:', challengeError);
+    return res.status(400).json({ 
+      error: 'We could not verify your submission. Please wait a moment and try again.',
+      code: 'challenge_failed'
     });
   }
-}
\ No newline at end of file
+
+  const emailLimit = await limiters.email.consume(email);
+  if (!emailLimit.allowed) {
+    return sendRateLimited(res, emailLimit);
+  }
+
+  const consent = createConsentRecord({
+    policyVersion,
+    wording: consentWording,
+    lang,
+    ip: getClientIp(req),
+    secret
+  });
+
+  // Score the lead for its priority and who gets notified (lib/lead-scoring.js)
+  const routing = scoreLead(data, leadRules);
+
+  // Persist the lead before any email goes out
+  const lead = await leads.create(data, {
+    consent,
+    score: { score: routing.score, priority: routing.priority, reasons: routing.reasons }
+  });
+
+  // Stored for every subscribed integration and posted by /api/cron/webhooks,
+  // so a slow CRM never holds up the visitor's response
+  const integrations = await webhooks.enqueue(createLeadEvent(lead), { leadId: lead.id });
+
+  const notificationEmail = renderEmail('contact-notification', 'en', {
+    name,
+    email,
+    phone,
+    company,
+    budget,
+    message,
+    mailto: mailtoHref(email),
+    tel: telHref(phone),
+    projectType: label('en', 'projectType', projectType),
+    timelineLabel: label('en', 'timeline', timeline),
+    timelineSubject: timeline === 'asap' ? 'ASAP' : label('en', 'timeline', timeline),
+    locationLabel: label('en', 'location', location),
+    langLabel: label('en', 'lang', lang),
+    consent,
+    score: routing.score,
+    priority: routing.priority,
+    priorityClass: `priority-${routing.priority}`,
+    subjectPrefix: routing.subjectPrefix,
+    followUp: routing.followUp,
+    crmSync: integrations.map(webhook => webhook.endpoint).join(', '),
+    scoreReasons: routing.reasons.map(reason => `${reason.rule} "${reason.value}" ${reason.points > 0 ? '+' : ''}${reason.points}`).join(', '),
+    currentDate: new Date().toLocaleDateString('en-GB', {
+      year: 'numeric',
+      month: 'long',
+      day: 'numeric',
+      hour: '2-digit',
+      minute: '2-digit',
+      timeZone: 'Europe/Athens'
+    })
+  });
+
+  const notification = {
+    from: 'DigiLima Contact Form <noreply@digilima.com>',
+    to: routing.recipients,
+    replyTo: email,
+    ...notificationEmail,
+    tags: [
+      {
+        name: 'source',
+        value: 'contact_form'
+      },
+      {
+        name: 'priority',
+        value: routing.priority
+      },
+      {
+        name: 'score',
+        value: String(routing.score)
+      },
+      {
+        name: 'budget',
+        value: budget || 'not_specified'
+      },
+      {
+        name: 'project_type',
+        value: projectType || 'general'
+      },
+      {
+        name: 'location',
+        value: location || 'not_specified'
+      },
+      {
+        name: 'timeline',
+        value: timeline || 'not_specified'
+      },
+      {
+        name: 'lang',
+        value: lang
+      },
+      {
+        name: 'lead_id',
+        value: lead.id
+      }
+    ],
+  };
+
+  // Auto-reply to the customer, in the language they used on the site.
+  // It goes to whatever address was entered, so only echo the name back
+  // with anything link-like removed.
+  const autoReply = {
+    from: 'DigiLima <hello@digilima.com>',
+    to: [email],
+    ...renderEmail('contact-auto-reply', lang, {
+      name: stripLinks(name),
+      projectTypeLabel: label(lang, 'projectType', projectType)
+    }),
+    tags: [
+      {
+        name: 'type',
+        value: 'auto_reply'
+      },
+      {
+        name: 'lang',
+        value: lang
+      },
+      {
+        name: 'lead_id',
+        value: lead.id
+      }
+    ],
+  };
+
+  // Queue both emails separately and try them right away. Anything that
+  // fails stays queued for /api/cron/deliveries; the lead is accepted
+  // either way, so the visitor has no reason to submit again.
+  const delivery = {};
+  for (const [kind, message] of [['notification', notification], ['autoReply', autoReply]]) {
+    const queued = await queue.enqueue(message, { kind, leadId: lead.id });
+    const attempted = await queue.attempt(queued.id);
+    delivery[kind] = attempted ? attempted.status : queued.status;
+  }
+
+  const pending = Object.values(delivery).some(status => status !== 'sent');
+  console.log(`Lead ${lead.id} stored, emails:`, delivery);
+
+  // Return success response, with the token the page books a call with
+  return res.status(pending ? 202 : 200).json({ 
+    success: true, 
+    message: pending
+      ? 'Thank you! We\'ve received your message and will get back to you within 24 hours. Your confirmation email is on its way.'
+      : 'Thank you! Your message has been sent successfully. We\'ll get back to you within 24 hours.',
+    leadId: lead.id,
+    bookingToken: bookingToken(lead, { secret }),
+    delivery
+  });
+}
@@ -0,0 +1,42 @@
+// Cron-invokable route that re-drives the outbound email queue: every
+// pending delivery that is due gets another attempt (see lib/delivery-queue.js).
+// Scheduled in vercel.json; can also be called by hand with the cron secret.
+
+import { createDeliveryQueue } from '../../lib/delivery-queue.js';
+import { createLeadRepository } from '../../lib/leads.js';
+import { getTransport } from '../../lib/mail/index.js';
+import { isCronAuthorized } from '../../lib/request.js';
+import { getStore } from '../../lib/store/index.js';
+
+export default async function handler(req, res) {
+  if (req.method !== 'GET' && req.method !== 'POST') {
+    return res.status(405).json({ error: 'Method not allowed' });
+  }
+
+  if (!isCronAuthorized(req)) {
+    return res.status(401).json({ error: 'Unauthorized' });
+  }
+
+  try {
+    const store = getStore();
+    const leads = createLeadRepository(store);
+    const queue = createDeliveryQueue({
+      store,
+      transport: getTransport(),
+      onUpdate: delivery => leads.recordDelivery(delivery)
+    });
+
+    const summary = await queue.processDue();
+    console.log('Delivery queue run:', summary);
+
+    return res.status(200).json({ success: true, ...summary });
+
+  } catch (error) {
+    console.error('Delivery queue error:', error);
+
+    return res.status(500).json({ 
+      error: 'Delivery queue run failed',
+      details: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+}
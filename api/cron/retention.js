@@ -0,0 +1,44 @@
+// Cron-invokable route that applies the data retention rules: leads older
+// than LEAD_RETENTION_DAYS (2 years by default, as privacy.html states) and
+// their call bookings, old sent/dead email deliveries and stale newsletter
+// signups are deleted (see lib/personal-data.js). Every run is written to
+// the audit log.
+
+import { createAuditLog } from '../../lib/audit.js';
+import { createPersonalDataService } from '../../lib/personal-data.js';
+import { isCronAuthorized } from '../../lib/request.js';
+import { getStore } from '../../lib/store/index.js';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+export default async function handler(req, res) {
+  if (req.method !== 'GET' && req.method !== 'POST') {
+    return res.status(405).json({ error: 'Method not allowed' });
+  }
+
+  if (!isCronAuthorized(req)) {
+    return res.status(401).json({ error: 'Unauthorized' });
+  }
+
+  try {
+    const store = getStore();
+    const retention = {};
+    if (Number(process.env.LEAD_RETENTION_DAYS) > 0) {
+      retention.leadsMs = Number(process.env.LEAD_RETENTION_DAYS) * DAY_MS;
+    }
+
+    const purged = await createPersonalDataService(store).purgeExpired({ retention });
+    await createAuditLog(store).record('retention.purged', { details: purged });
+    console.log('Retention purge:', purged);
+
+    return res.status(200).json({ success: true, purged });
+
+  } catch (error) {
+    console.error('Retention purge error:', error);
+
+    return res.status(500).json({ 
+      error: 'Retention purge failed',
+      details: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+}
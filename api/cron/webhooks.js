@@ -0,0 +1,35 @@
+// Cron-invokable route that re-drives the webhook outbox: every pending
+// webhook that is due gets another attempt (see lib/webhooks/outbox.js).
+// Scheduled in vercel.json; can also be called by hand with the cron secret.
+
+import { isCronAuthorized } from '../../lib/request.js';
+import { getStore } from '../../lib/store/index.js';
+import { getWebhookEndpoints } from '../../lib/webhooks/index.js';
+import { createWebhookOutbox } from '../../lib/webhooks/outbox.js';
+
+export default async function handler(req, res) {
+  if (req.method !== 'GET' && req.method !== 'POST') {
+    return res.status(405).json({ error: 'Method not allowed' });
+  }
+
+  if (!isCronAuthorized(req)) {
+    return res.status(401).json({ error: 'Unauthorized' });
+  }
+
+  try {
+    const outbox = createWebhookOutbox({ store: getStore(), endpoints: getWebhookEndpoints() });
+
+    const summary = await outbox.processDue();
+    console.log('Webhook outbox run:', summary);
+
+    return res.status(200).json({ success: true, ...summary });
+
+  } catch (error) {
+    console.error('Webhook outbox error:', error);
+
+    return res.status(500).json({ 
+      error: 'Webhook outbox run failed',
+      details: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+}
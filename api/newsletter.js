@@ -0,0 +1,139 @@
+// Serverless function for newsletter signups (double opt-in).
+// A signup is stored as pending and gets a confirmation email; the
+// subscription only becomes active from /api/newsletter/confirm.
+
+import contactSchema from '../assets 2/js/contact-schema.js';
+import { createDeliveryQueue } from '../lib/delivery-queue.js';
+import { renderEmail } from '../lib/emails/index.js';
+import { getKv } from '../lib/kv/index.js';
+import { getTransport } from '../lib/mail/index.js';
+import { createRateLimiter } from '../lib/rate-limit.js';
+import { getClientIp, getSiteUrl } from '../lib/request.js';
+import { getSigningSecret } from '../lib/signing.js';
+import { getStore } from '../lib/store/index.js';
+import { confirmToken, createSubscriberRepository, unsubscribeToken } from '../lib/subscribers.js';
+
+// The email limit keeps the form from being used to send confirmation
+// emails to one address over and over.
+const RATE_LIMITS = {
+  ip: { limit: 5, windowMs: 60 * 60 * 1000 },
+  email: { limit: 3, windowMs: 24 * 60 * 60 * 1000 }
+};
+
+const PENDING_MESSAGE = 'Almost there! Please check your inbox and click the link to confirm your subscription.';
+
+export function createNewsletterHandler(options = {}) {
+  const rateLimits = options.rateLimits || RATE_LIMITS;
+
+  function createDependencies() {
+    const transport = options.transport || getTransport();
+    const kv = options.kv || getKv();
+    const secret = options.secret || getSigningSecret();
+    const store = options.store || getStore();
+    const subscribers = createSubscriberRepository(store);
+    const queue = createDeliveryQueue({ store, transport });
+    const limiters = {
+      ip: createRateLimiter({ kv, name: 'newsletter-ip', ...rateLimits.ip }),
+      email: createRateLimiter({ kv, name: 'newsletter-email', ...rateLimits.email })
+    };
+
+    return { secret, limiters, subscribers, queue };
+  }
+
+  return async function handler(req, res) {
+    return handleNewsletter(req, res, createDependencies);
+  };
+}
+
+export default createNewsletterHandler();
+
+function sendRateLimited(res, { retryAfter }) {
+  res.setHeader('Retry-After', String(retryAfter));
+  return res.status(429).json({
+    error: 'Too many signup attempts. Please try again later.',
+    retryAfter
+  });
+}
+
+async function handleNewsletter(req, res, createDependencies) {
+  if (req.method !== 'POST') {
+    return res.status(405).json({ error: 'Method not allowed' });
+  }
+
+  try {
+    const { secret, limiters, subscribers, queue } = createDependencies();
+    const body = req.body && typeof req.body === 'object' ? req.body : {};
+
+    const ipLimit = await limiters.ip.consume(getClientIp(req));
+    if (!ipLimit.allowed) {
+      return sendRateLimited(res, ipLimit);
+    }
+
+    // Honeypot check
+    if (body.website) {
+      return res.status(400).json({ error: 'Subscription failed. Please try again.' });
+    }
+
+    const emailError = contactSchema.validateField('email', body.email);
+    if (emailError) {
+      return res.status(400).json({
+        error: 'Please enter a valid email address.',
+        errors: { email: emailError }
+      });
+    }
+
+    const email = contactSchema.normalize('email', body.email).toLowerCase();
+    const lang = contactSchema.LANGUAGES.includes(body.lang) ? body.lang : 'en';
+
+    const emailLimit = await limiters.email.consume(email);
+    if (!emailLimit.allowed) {
+      return sendRateLimited(res, emailLimit);
+    }
+
+    const { subscriber, needsConfirmation } = await subscribers.requestSubscription(email, { lang });
+
+    // Already-active addresses get the same answer and no email, so the
+    // form can't be used to find out who is subscribed.
+    if (needsConfirmation) {
+      const siteUrl = getSiteUrl(req);
+      const confirmUrl = `${siteUrl}/api/newsletter/confirm?token=${encodeURIComponent(confirmToken(subscriber, { secret }))}`;
+      const unsubscribeUrl = `${siteUrl}/api/newsletter/unsubscribe?token=${encodeURIComponent(unsubscribeToken(subscriber, { secret }))}`;
+
+      const queued = await queue.enqueue({
+        from: 'DigiLima <hello@digilima.com>',
+        to: [email],
+        ...renderEmail('newsletter-confirm', lang, { confirmUrl, unsubscribeUrl }),
+        // RFC 8058 one-click unsubscribe, answered by POST /api/newsletter/unsubscribe
+        headers: {
+          'List-Unsubscribe': `<${unsubscribeUrl}>`,
+          'List-Unsubscribe-Post': 'List-Unsubscribe=One-Click'
+        },
+        tags: [
+          {
+            name: 'type',
+            value: 'newsletter_confirm'
+          },
+          {
+            name: 'lang',
+            value: lang
+          }
+        ]
+      }, { kind: 'newsletterConfirm' });
+      await queue.attempt(queued.id);
+    }
+
+    return res.status(202).json({
+      success: true,
+      status: 'pending',
+      message: PENDING_MESSAGE
+    });
+
+  } catch (error) {
+    console.error('Newsletter signup error:', error);
+
+    return res.status(500).json({
+      error: 'Sorry, we could not process your subscription. Please try again later.',
+      details: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+}
@@ -0,0 +1,119 @@
+// Confirmation link from the newsletter double opt-in email.
+//
+// GET shows a confirmation page for the signed link, since mail scanners
+// open links on their own and must not subscribe anyone; POST with the same
+// token activates the subscription (as api/privacy/delete.js does).
+// Browsers are sent back to the blog with the outcome in ?newsletter=,
+// which main.js turns into a message; other clients get JSON.
+
+import i18n from '../../assets 2/js/i18n.js';
+import { escapeHtml } from '../../lib/escape.js';
+import { getSigningSecret } from '../../lib/signing.js';
+import { getStore } from '../../lib/store/index.js';
+import { createSubscriberRepository, readToken } from '../../lib/subscribers.js';
+
+const PAGE_TEXT = {
+  en: {
+    title: 'Confirm your subscription',
+    text: email => `Subscribe <strong>${email}</strong> to the DigiLima newsletter? You can unsubscribe at any time from the link in every email.`,
+    confirm: 'Confirm subscription',
+    cancel: 'Cancel'
+  },
+  el: {
+    title: 'Επιβεβαίωση εγγραφής',
+    text: email => `Εγγραφή του <strong>${email}</strong> στο newsletter της DigiLima; Μπορείτε να διαγραφείτε οποιαδήποτε στιγμή από τον σύνδεσμο σε κάθε email.`,
+    confirm: 'Επιβεβαίωση εγγραφής',
+    cancel: 'Ακύρωση'
+  }
+};
+
+function blogPath(subscriber) {
+  return i18n.localizePath('/blog/', subscriber && i18n.LANGUAGES.includes(subscriber.lang) ? subscriber.lang : i18n.DEFAULT_LANG);
+}
+
+function confirmationPage(token, subscriber) {
+  const lang = PAGE_TEXT[subscriber.lang] ? subscriber.lang : 'en';
+  const text = PAGE_TEXT[lang];
+
+  return `<!DOCTYPE html>
+<html lang="${lang}">
+<head>
+    <meta charset="UTF-8">
+    <meta name="viewport" content="width=device-width, initial-scale=1.0">
+    <meta name="robots" content="noindex">
+    <title>${text.title} | DigiLima.com</title>
+    <link href="https://cdn.jsdelivr.net/npm/bootstrap@5.3.0/dist/css/bootstrap.min.css" rel="stylesheet">
+</head>
+<body class="bg-light">
+    <main class="container py-5" style="max-width: 640px;">
+        <h1 class="h3 fw-bold mb-3">${text.title}</h1>
+        <p>${text.text(escapeHtml(subscriber.email))}</p>
+        <form method="POST">
+            <input type="hidden" name="token" value="${escapeHtml(token)}">
+            <button type="submit" class="btn btn-primary">${text.confirm}</button>
+            <a href="${escapeHtml(blogPath(subscriber))}" class="btn btn-link">${text.cancel}</a>
+        </form>
+    </main>
+</body>
+</html>`;
+}
+
+export function createNewsletterConfirmHandler(options = {}) {
+  function createDependencies() {
+    const secret = options.secret || getSigningSecret();
+    const subscribers = createSubscriberRepository(options.store || getStore());
+
+    return { secret, subscribers };
+  }
+
+  return async function handler(req, res) {
+    return handleConfirm(req, res, createDependencies);
+  };
+}
+
+export default createNewsletterConfirmHandler();
+
+async function handleConfirm(req, res, createDependencies) {
+  if (req.method !== 'GET' && req.method !== 'POST') {
+    return res.status(405).json({ error: 'Method not allowed' });
+  }
+
+  res.setHeader('Cache-Control', 'no-store');
+
+  try {
+    const { secret, subscribers } = createDependencies();
+    const body = req.body && typeof req.body === 'object' ? req.body : {};
+    const query = req.query || {};
+    const token = req.method === 'POST' ? body.token || query.token : query.token;
+    const id = readToken(token, 'newsletter-confirm', { secret });
+
+    if (req.method === 'GET') {
+      const subscriber = id ? await subscribers.get(id) : null;
+      if (!subscriber || subscriber.status !== 'pending') {
+        const outcome = subscriber && subscriber.status === 'active' ? 'confirmed' : 'invalid';
+        return res.redirect(302, `${blogPath(subscriber)}?newsletter=${outcome}`);
+      }
+
+      res.setHeader('Content-Type', 'text/html; charset=utf-8');
+      return res.status(200).send(confirmationPage(token, subscriber));
+    }
+
+    const subscriber = id ? await subscribers.confirm(id) : null;
+
+    if (!String(req.headers.accept || '').includes('text/html')) {
+      return subscriber
+        ? res.status(200).json({ success: true, status: subscriber.status })
+        : res.status(400).json({ error: 'This confirmation link is invalid or has expired.' });
+    }
+
+    return res.redirect(303, `${blogPath(subscriber)}?newsletter=${subscriber ? 'confirmed' : 'invalid'}`);
+
+  } catch (error) {
+    console.error('Newsletter confirm error:', error);
+
+    return res.status(500).json({
+      error: 'Sorry, we could not confirm your subscription. Please try again later.',
+      details: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+}
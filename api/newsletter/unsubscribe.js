@@ -0,0 +1,38 @@
+// Unsubscribe link for newsletter emails. GET is the link in the email
+// footer and redirects to the blog; POST is RFC 8058 one-click unsubscribe
+// (List-Unsubscribe-Post) from the mail client and answers with JSON.
+
+import i18n from '../../assets 2/js/i18n.js';
+import { getSigningSecret } from '../../lib/signing.js';
+import { getStore } from '../../lib/store/index.js';
+import { createSubscriberRepository, readToken } from '../../lib/subscribers.js';
+
+export default async function handler(req, res) {
+  if (req.method !== 'GET' && req.method !== 'POST') {
+    return res.status(405).json({ error: 'Method not allowed' });
+  }
+
+  try {
+    const id = readToken(req.query.token, 'newsletter-unsubscribe', { secret: getSigningSecret() });
+    const subscriber = id ? await createSubscriberRepository(getStore()).unsubscribe(id) : null;
+
+    res.setHeader('Cache-Control', 'no-store');
+
+    if (req.method === 'POST') {
+      return subscriber
+        ? res.status(200).json({ success: true, status: 'unsubscribed' })
+        : res.status(400).json({ error: 'Invalid unsubscribe link.' });
+    }
+
+    const blog = i18n.localizePath('/blog/', subscriber && i18n.LANGUAGES.includes(subscriber.lang) ? subscriber.lang : i18n.DEFAULT_LANG);
+    return res.redirect(302, `${blog}?newsletter=${subscriber ? 'unsubscribed' : 'invalid'}`);
+
+  } catch (error) {
+    console.error('Newsletter unsubscribe error:', error);
+
+    return res.status(500).json({
+      error: 'Sorry, we could not process your request. Please try again later.',
+      details: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+}
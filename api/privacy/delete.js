@@ -0,0 +1,87 @@
+// Verified GDPR erasure request (see api/privacy/request.js).
+//
+// GET shows a confirmation page for the signed link, since mail scanners
+// open links on their own; POST with the same token erases the data.
+// Browsers posting the page's form are redirected back to privacy.html,
+// other clients get JSON.
+
+import { createAuditLog } from '../../lib/audit.js';
+import { escapeHtml } from '../../lib/escape.js';
+import { createPersonalDataService, readDataRequestToken } from '../../lib/personal-data.js';
+import { getClientIp } from '../../lib/request.js';
+import { getSigningSecret } from '../../lib/signing.js';
+import { getStore } from '../../lib/store/index.js';
+
+function confirmationPage(token) {
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+    <meta charset="UTF-8">
+    <meta name="viewport" content="width=device-width, initial-scale=1.0">
+    <meta name="robots" content="noindex">
+    <title>Delete your data | DigiLima.com</title>
+    <link href="https://cdn.jsdelivr.net/npm/bootstrap@5.3.0/dist/css/bootstrap.min.css" rel="stylesheet">
+</head>
+<body class="bg-light">
+    <main class="container py-5" style="max-width: 640px;">
+        <h1 class="h3 fw-bold mb-3">Delete your data</h1>
+        <p>This permanently deletes your contact form submissions, newsletter subscription and the emails we sent you. It cannot be undone.</p>
+        <p lang="el" class="text-muted">Η ενέργεια αυτή διαγράφει οριστικά τα μηνύματα της φόρμας επικοινωνίας, την εγγραφή σας στο newsletter και τα emails που σας στείλαμε. Δεν μπορεί να αναιρεθεί.</p>
+        <form method="POST">
+            <input type="hidden" name="token" value="${escapeHtml(token)}">
+            <button type="submit" class="btn btn-danger">Delete my data / Διαγραφή των δεδομένων μου</button>
+            <a href="/privacy.html" class="btn btn-link">Cancel</a>
+        </form>
+    </main>
+</body>
+</html>`;
+}
+
+export default async function handler(req, res) {
+  if (req.method !== 'GET' && req.method !== 'POST') {
+    return res.status(405).json({ error: 'Method not allowed' });
+  }
+
+  res.setHeader('Cache-Control', 'no-store');
+
+  try {
+    const body = req.body && typeof req.body === 'object' ? req.body : {};
+    const token = req.method === 'POST' ? body.token || req.query.token : req.query.token;
+    const fromBrowser = String(req.headers.accept || '').includes('text/html');
+    const secret = getSigningSecret();
+    const request = readDataRequestToken(token, 'delete', { secret });
+
+    if (!request) {
+      return fromBrowser
+        ? res.redirect(303, '/privacy.html?data-request=invalid')
+        : res.status(400).json({ error: 'This link is invalid or has expired. Please submit a new request.' });
+    }
+
+    if (req.method === 'GET') {
+      res.setHeader('Content-Type', 'text/html; charset=utf-8');
+      return res.status(200).send(confirmationPage(token));
+    }
+
+    const store = getStore();
+    const erased = await createPersonalDataService(store).erase(request.email);
+
+    await createAuditLog(store, { secret }).record('data_request.erased', {
+      actor: 'data_subject',
+      email: request.email,
+      ip: getClientIp(req),
+      details: erased
+    });
+
+    return fromBrowser
+      ? res.redirect(303, '/privacy.html?data-request=erased')
+      : res.status(200).json({ success: true, erased });
+
+  } catch (error) {
+    console.error('Data erasure error:', error);
+
+    return res.status(500).json({
+      error: 'Sorry, we could not delete your data. Please try again or contact us directly at hello@digilima.com.',
+      details: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+}
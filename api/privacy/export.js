@@ -0,0 +1,49 @@
+// Verified GDPR access request: downloads everything held about the email
+// address in the signed link as JSON (see api/privacy/request.js).
+
+import { createAuditLog } from '../../lib/audit.js';
+import { createPersonalDataService, readDataRequestToken } from '../../lib/personal-data.js';
+import { getClientIp } from '../../lib/request.js';
+import { getSigningSecret } from '../../lib/signing.js';
+import { getStore } from '../../lib/store/index.js';
+
+export default async function handler(req, res) {
+  if (req.method !== 'GET') {
+    return res.status(405).json({ error: 'Method not allowed' });
+  }
+
+  res.setHeader('Cache-Control', 'no-store');
+
+  try {
+    const secret = getSigningSecret();
+    const request = readDataRequestToken(req.query.token, 'export', { secret });
+    if (!request) {
+      return res.status(400).json({ error: 'This link is invalid or has expired. Please submit a new request.' });
+    }
+
+    const store = getStore();
+    const data = await createPersonalDataService(store).export(request.email);
+
+    await createAuditLog(store, { secret }).record('data_request.exported', {
+      actor: 'data_subject',
+      email: request.email,
+      ip: getClientIp(req),
+      details: {
+        leads: data.leads.length,
+        subscriptions: data.subscriptions.length,
+        emails: data.emails.length
+      }
+    });
+
+    res.setHeader('Content-Disposition', 'attachment; filename="digilima-data-export.json"');
+    return res.status(200).json(data);
+
+  } catch (error) {
+    console.error('Data export error:', error);
+
+    return res.status(500).json({
+      error: 'Sorry, we could not export your data. Please try again or contact us directly at hello@digilima.com.',
+      details: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+}
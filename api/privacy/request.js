@@ -0,0 +1,144 @@
+// Serverless function for GDPR data subject requests (export or deletion).
+// Nothing is returned here: a time-limited link is emailed to the address
+// the request is about, so only its owner can act on it
+// (see api/privacy/export.js and api/privacy/delete.js).
+
+import contactSchema from '../../assets 2/js/contact-schema.js';
+import { createAuditLog } from '../../lib/audit.js';
+import { createDeliveryQueue } from '../../lib/delivery-queue.js';
+import { renderEmail } from '../../lib/emails/index.js';
+import { getKv } from '../../lib/kv/index.js';
+import { getTransport } from '../../lib/mail/index.js';
+import { createPersonalDataService, DATA_REQUEST_TYPES, dataRequestToken } from '../../lib/personal-data.js';
+import { createRateLimiter } from '../../lib/rate-limit.js';
+import { getClientIp, getSiteUrl } from '../../lib/request.js';
+import { getSigningSecret } from '../../lib/signing.js';
+import { getStore } from '../../lib/store/index.js';
+
+const RATE_LIMITS = {
+  ip: { limit: 5, windowMs: 60 * 60 * 1000 },
+  email: { limit: 3, windowMs: 24 * 60 * 60 * 1000 }
+};
+
+const ACCEPTED_MESSAGE = 'We have emailed a verification link to this address. Open it within 1 hour to complete your request.';
+
+export function createDataRequestHandler(options = {}) {
+  const rateLimits = options.rateLimits || RATE_LIMITS;
+
+  function createDependencies() {
+    const transport = options.transport || getTransport();
+    const kv = options.kv || getKv();
+    const secret = options.secret || getSigningSecret();
+    const store = options.store || getStore();
+    const limiters = {
+      ip: createRateLimiter({ kv, name: 'privacy-ip', ...rateLimits.ip }),
+      email: createRateLimiter({ kv, name: 'privacy-email', ...rateLimits.email })
+    };
+
+    return {
+      secret,
+      limiters,
+      personalData: createPersonalDataService(store),
+      audit: createAuditLog(store, { secret }),
+      queue: createDeliveryQueue({ store, transport })
+    };
+  }
+
+  return async function handler(req, res) {
+    return handleDataRequest(req, res, createDependencies);
+  };
+}
+
+export default createDataRequestHandler();
+
+function sendRateLimited(res, { retryAfter }) {
+  res.setHeader('Retry-After', String(retryAfter));
+  return res.status(429).json({
+    error: 'Too many requests. Please try again later or email us directly at hello@digilima.com.',
+    retryAfter
+  });
+}
+
+async function handleDataRequest(req, res, createDependencies) {
+  if (req.method !== 'POST') {
+    return res.status(405).json({ error: 'Method not allowed' });
+  }
+
+  try {
+    const { secret, limiters, personalData, audit, queue } = createDependencies();
+    const body = req.body && typeof req.body === 'object' ? req.body : {};
+    const ip = getClientIp(req);
+
+    const ipLimit = await limiters.ip.consume(ip);
+    if (!ipLimit.allowed) {
+      return sendRateLimited(res, ipLimit);
+    }
+
+    const errors = {};
+    const emailError = contactSchema.validateField('email', body.email);
+    if (emailError) errors.email = emailError;
+    if (!DATA_REQUEST_TYPES.includes(body.type)) errors.type = 'invalid_option';
+
+    if (Object.keys(errors).length > 0) {
+      return res.status(400).json({
+        error: 'Please check the highlighted fields and try again.',
+        errors
+      });
+    }
+
+    const email = contactSchema.normalize('email', body.email).toLowerCase();
+    const { type } = body;
+    const lang = contactSchema.LANGUAGES.includes(body.lang) ? body.lang : 'en';
+
+    const emailLimit = await limiters.email.consume(email);
+    if (!emailLimit.allowed) {
+      return sendRateLimited(res, emailLimit);
+    }
+
+    await audit.record('data_request.requested', {
+      actor: 'data_subject',
+      email,
+      ip,
+      details: { type, hasData: await personalData.hasData(email) }
+    });
+
+    // The link is sent whether or not we hold anything, so the response
+    // can't reveal who is in the database.
+    const path = type === 'export' ? 'export' : 'delete';
+    const link = `${getSiteUrl(req)}/api/privacy/${path}?token=${encodeURIComponent(dataRequestToken(email, type, { secret }))}`;
+
+    const queued = await queue.enqueue({
+      from: 'DigiLima <hello@digilima.com>',
+      to: [email],
+      ...renderEmail('data-request', lang, {
+        link,
+        isExport: type === 'export',
+        isDelete: type === 'delete'
+      }),
+      tags: [
+        {
+          name: 'type',
+          value: `data_request_${type}`
+        },
+        {
+          name: 'lang',
+          value: lang
+        }
+      ]
+    }, { kind: 'dataRequest' });
+    await queue.attempt(queued.id);
+
+    return res.status(202).json({
+      success: true,
+      message: ACCEPTED_MESSAGE
+    });
+
+  } catch (error) {
+    console.error('Data request error:', error);
+
+    return res.status(500).json({
+      error: 'Sorry, we could not process your request. Please try again or contact us directly at hello@digilima.com.',
+      details: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+}
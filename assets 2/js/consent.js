@@ -0,0 +1,311 @@
+/**
+ * DigiLima.com - Cookie consent manager
+ * Bilingual banner and preferences for the necessary, analytics and
+ * marketing categories. Sets Google Consent Mode defaults (everything
+ * denied), and only loads gtag.js and lets events through once analytics
+ * consent has been given.
+ *
+ * Load before main.js. The GA4 measurement ID comes from the script tag:
+ *   <script src="/assets/js/consent.js" data-measurement-id="G-XXXXXXX"></script>
+ * Any element with data-cookie-settings reopens the preferences.
+ *
+ * The banner's strings live here rather than in the i18n catalogs, so it
+ * can render before (and without) main.js and its catalog requests.
+ */
+
+(function() {
+    'use strict';
+
+    const STORAGE_KEY = 'digilima_consent';
+    // Bump when the categories change so everyone is asked again
+    const CONSENT_VERSION = 1;
+    const CATEGORIES = ['necessary', 'analytics', 'marketing'];
+
+    const script = document.currentScript;
+    const measurementId = script && script.getAttribute('data-measurement-id');
+
+    const MESSAGES = {
+        title: {
+            en: 'Cookie preferences',
+            el: 'Προτιμήσεις cookies'
+        },
+        intro: {
+            en: 'We use necessary cookies to make this site work. With your permission we also use analytics cookies to understand how the site is used, and marketing cookies to measure our campaigns.',
+            el: 'Χρησιμοποιούμε απαραίτητα cookies για τη λειτουργία της ιστοσελίδας. Με την άδειά σας χρησιμοποιούμε επίσης cookies ανάλυσης για να κατανοούμε πώς χρησιμοποιείται η ιστοσελίδα, και cookies marketing για τη μέτρηση των καμπανιών μας.'
+        },
+        privacy: {
+            en: 'Privacy Policy',
+            el: 'Πολιτική Απορρήτου'
+        },
+        necessary: {
+            en: 'Necessary (always on): language preference and security of our forms',
+            el: 'Απαραίτητα (πάντα ενεργά): προτίμηση γλώσσας και ασφάλεια των φορμών μας'
+        },
+        analytics: {
+            en: 'Analytics: anonymous usage statistics (Google Analytics)',
+            el: 'Ανάλυσης: ανώνυμα στατιστικά χρήσης (Google Analytics)'
+        },
+        marketing: {
+            en: 'Marketing: measuring the results of our advertising',
+            el: 'Marketing: μέτρηση των αποτελεσμάτων των διαφημίσεών μας'
+        },
+        acceptAll: {
+            en: 'Accept all',
+            el: 'Αποδοχή όλων'
+        },
+        rejectAll: {
+            en: 'Necessary only',
+            el: 'Μόνο απαραίτητα'
+        },
+        customize: {
+            en: 'Customize',
+            el: 'Προσαρμογή'
+        },
+        save: {
+            en: 'Save choices',
+            el: 'Αποθήκευση επιλογών'
+        }
+    };
+
+    let consent = readConsent();
+    let banner = null;
+    const listeners = [];
+
+    // =====================================================
+    // CONSENT MODE
+    // =====================================================
+
+    window.dataLayer = window.dataLayer || [];
+    window.gtag = window.gtag || function() {
+        window.dataLayer.push(arguments);
+    };
+
+    gtag('consent', 'default', {
+        ad_storage: 'denied',
+        ad_user_data: 'denied',
+        ad_personalization: 'denied',
+        analytics_storage: 'denied',
+        functionality_storage: 'granted',
+        security_storage: 'granted',
+        wait_for_update: 500
+    });
+
+    function consentModeState(choices) {
+        const marketing = choices.marketing ? 'granted' : 'denied';
+        return {
+            ad_storage: marketing,
+            ad_user_data: marketing,
+            ad_personalization: marketing,
+            analytics_storage: choices.analytics ? 'granted' : 'denied'
+        };
+    }
+
+    let analyticsLoaded = false;
+
+    /**
+     * Load gtag.js the first time analytics consent is present
+     */
+    function loadAnalytics() {
+        if (analyticsLoaded || !measurementId) return;
+        analyticsLoaded = true;
+
+        const tag = document.createElement('script');
+        tag.async = true;
+        tag.src = `https://www.googletagmanager.com/gtag/js?id=${encodeURIComponent(measurementId)}`;
+        document.head.appendChild(tag);
+
+        gtag('js', new Date());
+        gtag('config', measurementId, { anonymize_ip: true });
+    }
+
+    function apply(choices) {
+        gtag('consent', 'update', consentModeState(choices));
+        if (choices.analytics) {
+            loadAnalytics();
+        }
+    }
+
+    // =====================================================
+    // STORAGE
+    // =====================================================
+
+    function readConsent() {
+        try {
+            const stored = JSON.parse(localStorage.getItem(STORAGE_KEY));
+            return stored && stored.version === CONSENT_VERSION ? stored : null;
+        } catch (error) {
+            return null;
+        }
+    }
+
+    function saveConsent(choices) {
+        consent = {
+            version: CONSENT_VERSION,
+            necessary: true,
+            analytics: Boolean(choices.analytics),
+            marketing: Boolean(choices.marketing),
+            updatedAt: new Date().toISOString()
+        };
+
+        try {
+            localStorage.setItem(STORAGE_KEY, JSON.stringify(consent));
+        } catch (error) {
+            // Private mode: the choice still applies for this page view
+        }
+
+        apply(consent);
+        listeners.forEach(listener => listener(consent));
+    }
+
+    // =====================================================
+    // BANNER & PREFERENCES
+    // =====================================================
+
+    function message(key) {
+        const lang = document.documentElement.getAttribute('data-lang');
+        return MESSAGES[key][lang] || MESSAGES[key].en;
+    }
+
+    function renderBanner(expanded) {
+        const choices = consent || { analytics: false, marketing: false };
+
+        banner.innerHTML = `
+            <div class="container">
+                <h2 id="cookie-consent-title" class="h6 fw-bold mb-2">${message('title')}</h2>
+                <p class="small mb-3">${message('intro')} <a href="/privacy.html">${message('privacy')}</a></p>
+                <div class="cookie-consent-options mb-3"${expanded ? '' : ' hidden'}>
+                    ${CATEGORIES.map(category => `
+                        <div class="form-check">
+                            <input class="form-check-input" type="checkbox" id="cookie-consent-${category}" data-category="${category}"
+                                ${category === 'necessary' || choices[category] ? 'checked' : ''}${category === 'necessary' ? ' disabled' : ''}>
+                            <label class="form-check-label small" for="cookie-consent-${category}">${message(category)}</label>
+                        </div>
+                    `).join('')}
+                </div>
+                <div class="d-flex flex-wrap gap-2">
+                    <button type="button" class="btn btn-sm btn-light" data-consent-action="accept">${message('acceptAll')}</button>
+                    <button type="button" class="btn btn-sm btn-outline-light" data-consent-action="reject">${message('rejectAll')}</button>
+                    <button type="button" class="btn btn-sm btn-outline-light" data-consent-action="${expanded ? 'save' : 'customize'}">${message(expanded ? 'save' : 'customize')}</button>
+                </div>
+            </div>
+        `;
+    }
+
+    function handleBannerClick(e) {
+        const button = e.target.closest('[data-consent-action]');
+        if (!button) return;
+
+        switch (button.getAttribute('data-consent-action')) {
+            case 'accept':
+                saveConsent({ analytics: true, marketing: true });
+                closeBanner();
+                break;
+            case 'reject':
+                saveConsent({ analytics: false, marketing: false });
+                closeBanner();
+                break;
+            case 'customize':
+                renderBanner(true);
+                banner.querySelector('#cookie-consent-analytics').focus();
+                break;
+            case 'save': {
+                const choices = {};
+                banner.querySelectorAll('[data-category]').forEach(input => {
+                    choices[input.getAttribute('data-category')] = input.checked;
+                });
+                saveConsent(choices);
+                closeBanner();
+                break;
+            }
+        }
+    }
+
+    function openBanner(expanded, focus) {
+        if (!banner) {
+            banner = document.createElement('div');
+            banner.className = 'cookie-consent bg-dark text-light py-3';
+            banner.setAttribute('role', 'dialog');
+            banner.setAttribute('aria-labelledby', 'cookie-consent-title');
+            banner.addEventListener('click', handleBannerClick);
+            document.body.appendChild(banner);
+        }
+
+        banner.hidden = false;
+        renderBanner(expanded);
+        if (focus) {
+            banner.querySelector('[data-consent-action]').focus();
+        }
+    }
+
+    function closeBanner() {
+        if (banner) {
+            banner.hidden = true;
+        }
+    }
+
+    function init() {
+        document.querySelectorAll('[data-cookie-settings]').forEach(link => {
+            link.addEventListener('click', e => {
+                e.preventDefault();
+                openBanner(true, true);
+            });
+        });
+
+        if (!consent) {
+            openBanner(false);
+        }
+
+        // Follow language switches made by main.js
+        new MutationObserver(() => {
+            if (banner && !banner.hidden) {
+                renderBanner(!banner.querySelector('.cookie-consent-options').hidden);
+            }
+        }).observe(document.documentElement, { attributes: true, attributeFilter: ['data-lang'] });
+    }
+
+    // A choice made on an earlier visit applies before anything else runs
+    if (consent) {
+        apply(consent);
+    }
+
+    if (document.readyState === 'loading') {
+        document.addEventListener('DOMContentLoaded', init);
+    } else {
+        init();
+    }
+
+    // =====================================================
+    // PUBLIC API
+    // =====================================================
+
+    window.DigiLimaConsent = {
+        /** Whether the visitor has consented to a category */
+        has(category) {
+            return category === 'necessary' || Boolean(consent && consent[category]);
+        },
+
+        /** Current stored choice, or null before the visitor has chosen */
+        get() {
+            return consent ? { ...consent } : null;
+        },
+
+        /** Store a choice programmatically: { analytics, marketing } */
+        update: saveConsent,
+
+        openPreferences() {
+            openBanner(true, true);
+        },
+
+        /** Call listener(consent) whenever the choice changes */
+        onChange(listener) {
+            listeners.push(listener);
+        },
+
+        /** Send a gtag event, only with analytics consent */
+        track(eventName, params) {
+            if (this.has('analytics')) {
+                gtag('event', eventName, params);
+            }
+        }
+    };
+})();
@@ -0,0 +1,203 @@
+/**
+ * DigiLima.com - Contact form schema
+ * Declarative rules for the contact payload, shared by the browser
+ * (live validation in main.js) and the /api/contact serverless function.
+ * Load after i18n.js.
+ */
+
+(function(root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory(require('./i18n.js'));
+    } else {
+        root.DigiLimaContactSchema = factory(root.DigiLimaI18n);
+    }
+})(typeof self !== 'undefined' ? self : this, function(i18n) {
+    'use strict';
+
+    // =====================================================
+    // ALLOWED VALUES
+    // =====================================================
+
+    const BUDGETS = [
+        '1000-3000',
+        '3000-5000',
+        '5000-10000',
+        '10000-20000',
+        '20000+',
+        'discuss'
+    ];
+
+    const PROJECT_TYPES = [
+        'new-website',
+        'website-redesign',
+        'web-application',
+        'shopify-store',
+        'shopify-optimization',
+        'maintenance',
+        'seo-audit',
+        'reputation-management',
+        'other'
+    ];
+
+    const TIMELINES = [
+        'asap',
+        '1-month',
+        '2-3-months',
+        'flexible'
+    ];
+
+    const LOCATIONS = [
+        'limassol',
+        'nicosia',
+        'larnaca',
+        'paphos',
+        'famagusta',
+        'athens',
+        'thessaloniki',
+        'other-greece',
+        'other'
+    ];
+
+    // Language the visitor used; emails to them are sent in it
+    const LANGUAGES = i18n.LANGUAGES;
+
+    // =====================================================
+    // SCHEMA
+    // =====================================================
+
+    /**
+     * Field rules. Anything not listed here is dropped from the payload.
+     */
+    const fields = {
+        name: { type: 'string', required: true, maxLength: 100 },
+        email: { type: 'email', required: true, maxLength: 254 },
+        phone: { type: 'phone', maxLength: 30 },
+        company: { type: 'string', maxLength: 150 },
+        budget: { type: 'enum', values: BUDGETS },
+        projectType: { type: 'enum', required: true, values: PROJECT_TYPES },
+        timeline: { type: 'enum', values: TIMELINES },
+        location: { type: 'enum', values: LOCATIONS },
+        message: { type: 'text', required: true, maxLength: 5000 },
+        consent: { type: 'boolean', required: true, accepted: true },
+        // Privacy policy version and consent wording the form was rendered
+        // with (hidden inputs); checked against lib/consent.js on the server
+        policyVersion: { type: 'string', required: true, maxLength: 40 },
+        consentWording: { type: 'string', required: true, maxLength: 40 },
+        lang: { type: 'enum', values: LANGUAGES }
+    };
+
+    const EMAIL_PATTERN = /^[^\s@<>()[\]\\,;:"]+@[^\s@<>()[\]\\,;:"]+\.[^\s@<>()[\]\\,;:"]{2,}$/;
+    const PHONE_PATTERN = /^\+?[\d\s().-]+$/;
+
+    // Control characters are never legitimate in a form field; multi-line
+    // text fields keep tabs and line breaks.
+    const CONTROL_CHARS = /[\u0000-\u001F\u007F]/;
+    const CONTROL_CHARS_TEXT = /[\u0000-\u0008\u000B\u000C\u000E-\u001F\u007F]/;
+
+    // =====================================================
+    // VALIDATION
+    // =====================================================
+
+    function isEmpty(value) {
+        return value === undefined || value === null ||
+            (typeof value === 'string' && value.trim() === '');
+    }
+
+    /**
+     * Normalize a raw value for a field: strings are trimmed, empty
+     * values become undefined.
+     */
+    function normalize(name, value) {
+        const rule = fields[name];
+        if (!rule || isEmpty(value)) return undefined;
+
+        if (rule.type === 'boolean') {
+            return value === true || value === 'true' || value === 'on';
+        }
+
+        return typeof value === 'string' ? value.trim() : value;
+    }
+
+    /**
+     * Validate a single field value.
+     * Returns null when valid, otherwise an error code.
+     */
+    function validateField(name, rawValue) {
+        const rule = fields[name];
+        if (!rule) return null;
+
+        const value = normalize(name, rawValue);
+
+        if (rule.type === 'boolean') {
+            return rule.accepted && value !== true ? 'not_accepted' : null;
+        }
+
+        if (value === undefined) {
+            return rule.required ? 'required' : null;
+        }
+
+        if (typeof value !== 'string') {
+            return 'invalid_type';
+        }
+
+        if (rule.maxLength && value.length > rule.maxLength) {
+            return 'too_long';
+        }
+
+        if ((rule.type === 'text' ? CONTROL_CHARS_TEXT : CONTROL_CHARS).test(value)) {
+            return 'invalid_characters';
+        }
+
+        switch (rule.type) {
+            case 'email':
+                return EMAIL_PATTERN.test(value) ? null : 'invalid_email';
+            case 'phone': {
+                const digits = value.replace(/\D/g, '').length;
+                return PHONE_PATTERN.test(value) && digits >= 7 && digits <= 15 ? null : 'invalid_phone';
+            }
+            case 'enum':
+                return rule.values.includes(value) ? null : 'invalid_option';
+            default:
+                return null;
+        }
+    }
+
+    /**
+     * Validate a whole payload against the schema.
+     * Returns { valid, errors: { field: code }, values } where values
+     * holds only known, normalized fields.
+     */
+    function validate(data) {
+        const input = data && typeof data === 'object' ? data : {};
+        const errors = {};
+        const values = {};
+
+        Object.keys(fields).forEach(name => {
+            const error = validateField(name, input[name]);
+            if (error) {
+                errors[name] = error;
+            } else {
+                const value = normalize(name, input[name]);
+                if (value !== undefined) values[name] = value;
+            }
+        });
+
+        return {
+            valid: Object.keys(errors).length === 0,
+            errors,
+            values
+        };
+    }
+
+    return {
+        fields,
+        BUDGETS,
+        PROJECT_TYPES,
+        TIMELINES,
+        LOCATIONS,
+        LANGUAGES,
+        validate,
+        validateField,
+        normalize
+    };
+});
@@ -0,0 +1,418 @@
+/**
+ * DigiLima.com - Translations
+ * Message catalogs (assets/i18n/<lang>.json) keyed by message ID, shared
+ * by the browser (main.js) and the Node build scripts.
+ *
+ * Message syntax:
+ *   "Hello {name}"                      interpolation
+ *   { "one": "{count} article",         plural forms, picked with
+ *     "other": "{count} articles" }     Intl.PluralRules for params.count
+ *   "Read the <strong>docs</strong>"    formatting tags (FORMAT_TAGS)
+ *   "Agree to the <privacy>policy</privacy>"
+ *                                       slot: rendered with the element the
+ *                                       page marks data-i18n-slot="privacy"
+ *
+ * Parameters are always inserted as text, so rich messages stay HTML-safe.
+ * Missing messages fall back to English, then to the message ID.
+ *
+ * Pages exist once per language: English at the site root, every other
+ * language under /<lang>/ (built by scripts/build-locales.mjs).
+ */
+
+(function(root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory();
+    } else {
+        root.DigiLimaI18n = factory();
+    }
+})(typeof self !== 'undefined' ? self : this, function() {
+    'use strict';
+
+    const DEFAULT_LANG = 'en';
+
+    // Languages the site is published in. A new one needs a catalog
+    // (assets/i18n/<lang>.json); its pages are built under /<lang>/.
+    //   name       the language's own name
+    //   ogLocale   Open Graph locale of its pages
+    //   countries  visitors from these countries (ISO 3166-1 codes) get it
+    //              when their Accept-Language names no supported language
+    const LOCALES = {
+        en: { name: 'English', ogLocale: 'en_US', countries: [] },
+        el: { name: 'Ελληνικά', ogLocale: 'el_GR', countries: ['GR', 'CY'] }
+    };
+
+    const LANGUAGES = Object.keys(LOCALES);
+
+    // Pages published in every language, by English path. A trailing * stands
+    // for every page under that directory (the generated case studies, blog
+    // posts and archives).
+    const LOCALIZED_PAGES = ['/', '/about.html', '/services.html', '/portfolio/', '/portfolio/*', '/blog/', '/blog/*', '/contact.html'];
+
+    // Cookie with the visitor's explicit language choice (the EN/EL toggle)
+    const LANG_COOKIE = 'digilima_lang';
+
+    // Tags a message may use directly; any other tag is a slot
+    const FORMAT_TAGS = ['strong', 'em', 'b', 'i', 'small', 'br'];
+
+    const TOKEN_PATTERN = /<(\/?)([a-z][a-z0-9-]*)\s*(\/?)>|\{([a-zA-Z0-9_]+)\}/g;
+
+    const HTML_ESCAPES = {
+        '&': '&amp;',
+        '<': '&lt;',
+        '>': '&gt;',
+        '"': '&quot;',
+        "'": '&#39;'
+    };
+
+    function escapeHtml(value) {
+        return String(value).replace(/[&<>"']/g, char => HTML_ESCAPES[char]);
+    }
+
+    // =====================================================
+    // PARSING
+    // =====================================================
+
+    /**
+     * Parse a message into a tree of nodes:
+     *   { type: 'text', value } | { type: 'tag', name, children }
+     * Placeholders are replaced from params; unknown ones are kept as-is.
+     * Stray closing tags are kept as text.
+     */
+    function parse(message, params) {
+        const rootNode = { type: 'tag', name: null, children: [] };
+        const stack = [rootNode];
+        let lastIndex = 0;
+        let match;
+
+        const pushText = text => {
+            if (!text) return;
+            const children = stack[stack.length - 1].children;
+            const last = children[children.length - 1];
+            if (last && last.type === 'text') {
+                last.value += text;
+            } else {
+                children.push({ type: 'text', value: text });
+            }
+        };
+
+        TOKEN_PATTERN.lastIndex = 0;
+        while ((match = TOKEN_PATTERN.exec(message)) !== null) {
+            pushText(message.slice(lastIndex, match.index));
+            lastIndex = TOKEN_PATTERN.lastIndex;
+
+            const [token, closing, name, selfClosing, param] = match;
+
+            if (param !== undefined) {
+                pushText(params && params[param] !== undefined && params[param] !== null
+                    ? String(params[param])
+                    : token);
+            } else if (closing) {
+                if (stack.length > 1 && stack[stack.length - 1].name === name) {
+                    stack.pop();
+                } else {
+                    pushText(token);
+                }
+            } else {
+                const node = { type: 'tag', name, children: [] };
+                stack[stack.length - 1].children.push(node);
+                if (!selfClosing && name !== 'br') {
+                    stack.push(node);
+                }
+            }
+        }
+        pushText(message.slice(lastIndex));
+
+        return rootNode.children;
+    }
+
+    // =====================================================
+    // RENDERING
+    // =====================================================
+
+    function toText(nodes) {
+        return nodes.map(node => (
+            node.type === 'text' ? node.value : node.name === 'br' ? '\n' : toText(node.children)
+        )).join('');
+    }
+
+    /**
+     * Render nodes to an HTML string. slots maps a slot name to
+     * { open, close } markup (or a function(innerHtml) -> html); slots that
+     * aren't provided render their content only.
+     */
+    function toHtml(nodes, slots) {
+        return nodes.map(node => {
+            if (node.type === 'text') return escapeHtml(node.value);
+            if (node.name === 'br') return '<br>';
+
+            const inner = toHtml(node.children, slots);
+            if (FORMAT_TAGS.includes(node.name)) {
+                return `<${node.name}>${inner}</${node.name}>`;
+            }
+
+            const slot = slots && slots[node.name];
+            if (typeof slot === 'function') return slot(inner);
+            return slot ? `${slot.open}${inner}${slot.close}` : inner;
+        }).join('');
+    }
+
+    // =====================================================
+    // CATALOGS
+    // =====================================================
+
+    /**
+     * Create a translator over { lang: { id: message } } catalogs.
+     */
+    function createI18n(options) {
+        const settings = options || {};
+        const catalogs = {};
+        const fallbackLang = settings.fallbackLang || DEFAULT_LANG;
+        const pluralRules = {};
+
+        Object.keys(settings.catalogs || {}).forEach(lang => {
+            catalogs[lang] = settings.catalogs[lang];
+        });
+
+        function pluralCategory(lang, count) {
+            if (!pluralRules[lang]) {
+                pluralRules[lang] = new Intl.PluralRules(lang);
+            }
+            return pluralRules[lang].select(count);
+        }
+
+        /**
+         * Raw message for an ID: the language's, else the fallback's,
+         * else null. Plural messages are resolved with params.count.
+         */
+        function lookup(id, params, lang) {
+            const candidates = [lang, fallbackLang];
+
+            for (let i = 0; i < candidates.length; i++) {
+                const catalog = catalogs[candidates[i]];
+                if (!catalog || !Object.prototype.hasOwnProperty.call(catalog, id)) continue;
+
+                const message = catalog[id];
+                if (typeof message === 'string') return message;
+
+                if (message && typeof message === 'object') {
+                    const count = params && Number(params.count);
+                    const category = pluralCategory(candidates[i], isNaN(count) ? 0 : count);
+                    return message[category] || message.other || null;
+                }
+            }
+
+            return null;
+        }
+
+        function nodes(id, params, lang) {
+            const message = lookup(id, params, lang);
+            return message === null ? [{ type: 'text', value: id }] : parse(message, params);
+        }
+
+        return {
+            addCatalog(lang, catalog) {
+                catalogs[lang] = Object.assign({}, catalogs[lang], catalog);
+            },
+
+            hasCatalog(lang) {
+                return Boolean(catalogs[lang]);
+            },
+
+            has(id, lang) {
+                const catalog = catalogs[lang || fallbackLang];
+                return Boolean(catalog && Object.prototype.hasOwnProperty.call(catalog, id));
+            },
+
+            /** Message as plain text (tags removed) */
+            t(id, params, lang) {
+                return toText(nodes(id, params, lang));
+            },
+
+            /** Message as escaped HTML, see toHtml() for slots */
+            html(id, params, lang, slots) {
+                return toHtml(nodes(id, params, lang), slots);
+            },
+
+            /** Parsed message nodes, for building DOM */
+            nodes
+        };
+    }
+
+    // =====================================================
+    // DOM
+    // =====================================================
+
+    const TRANSLATED_ATTRIBUTES = ['placeholder', 'content', 'title', 'aria-label'];
+
+    function buildNodes(document, nodes, slotTemplates) {
+        const fragment = document.createDocumentFragment();
+
+        nodes.forEach(node => {
+            if (node.type === 'text') {
+                fragment.appendChild(document.createTextNode(node.value));
+                return;
+            }
+
+            let element;
+            if (FORMAT_TAGS.includes(node.name)) {
+                element = document.createElement(node.name);
+            } else if (slotTemplates[node.name]) {
+                element = slotTemplates[node.name].cloneNode(false);
+            } else {
+                // Unknown slot: keep its text only
+                fragment.appendChild(buildNodes(document, node.children, slotTemplates));
+                return;
+            }
+
+            element.appendChild(buildNodes(document, node.children, slotTemplates));
+            fragment.appendChild(element);
+        });
+
+        return fragment;
+    }
+
+    /**
+     * Translate every element under root marked with data-i18n (content)
+     * or data-i18n-<attribute> (placeholder, content, title, aria-label).
+     * data-i18n-params may hold JSON parameters for interpolation.
+     */
+    function translateDom(i18n, root, lang) {
+        const document = root.ownerDocument || root;
+
+        root.querySelectorAll('[data-i18n]').forEach(element => {
+            const params = readParams(element);
+            const nodes = i18n.nodes(element.getAttribute('data-i18n'), params, lang);
+
+            if (element.tagName === 'TITLE' || nodes.every(node => node.type === 'text')) {
+                element.textContent = toText(nodes);
+                return;
+            }
+
+            const slotTemplates = {};
+            element.querySelectorAll('[data-i18n-slot]').forEach(slot => {
+                slotTemplates[slot.getAttribute('data-i18n-slot')] = slot;
+            });
+
+            element.textContent = '';
+            element.appendChild(buildNodes(document, nodes, slotTemplates));
+        });
+
+        TRANSLATED_ATTRIBUTES.forEach(attribute => {
+            root.querySelectorAll(`[data-i18n-${attribute}]`).forEach(element => {
+                const id = element.getAttribute(`data-i18n-${attribute}`);
+                element.setAttribute(attribute, i18n.t(id, readParams(element), lang));
+            });
+        });
+    }
+
+    function readParams(element) {
+        const raw = element.getAttribute('data-i18n-params');
+        if (!raw) return undefined;
+        try {
+            return JSON.parse(raw);
+        } catch (error) {
+            return undefined;
+        }
+    }
+
+    // =====================================================
+    // LOCALIZED URLS
+    // =====================================================
+
+    /**
+     * Path of a page in a language, from its English path:
+     * localizePath('/about.html', 'el') -> '/el/about.html'
+     */
+    function localizePath(path, lang) {
+        return lang === DEFAULT_LANG ? path : `/${lang}${path}`;
+    }
+
+    /**
+     * Split a path into its language and English path:
+     * '/el/about.html' -> { lang: 'el', path: '/about.html' }
+     */
+    function parseLocalizedPath(path) {
+        const match = /^\/([a-z]{2})(\/.*)?$/.exec(path);
+        if (match && match[1] !== DEFAULT_LANG && LANGUAGES.includes(match[1])) {
+            return { lang: match[1], path: match[2] || '/' };
+        }
+        return { lang: DEFAULT_LANG, path };
+    }
+
+    /**
+     * Whether an English path is published in every language (LOCALIZED_PAGES):
+     * isLocalizedPage('/portfolio/paphos-law-firm.html') -> true
+     */
+    function isLocalizedPage(path) {
+        return LOCALIZED_PAGES.some(page => {
+            if (!page.endsWith('*')) return page === path;
+            const rest = path.slice(page.length - 1);
+            return path.startsWith(page.slice(0, -1)) && rest !== '';
+        });
+    }
+
+    // =====================================================
+    // LANGUAGE NEGOTIATION
+    // =====================================================
+
+    /**
+     * Best supported language in an Accept-Language header, or null:
+     * 'el-GR,el;q=0.9,en;q=0.8' -> 'el'
+     */
+    function negotiateLanguage(acceptLanguage) {
+        if (!acceptLanguage) return null;
+
+        const ranges = String(acceptLanguage).split(',')
+            .map((part, index) => {
+                const [tag, ...params] = part.trim().split(';');
+                const quality = params.map(param => param.trim()).find(param => param.startsWith('q='));
+                return {
+                    lang: tag.trim().toLowerCase().split('-')[0],
+                    q: quality ? parseFloat(quality.slice(2)) : 1,
+                    index
+                };
+            })
+            .filter(range => range.q > 0 && LANGUAGES.includes(range.lang))
+            .sort((a, b) => b.q - a.q || a.index - b.index);
+
+        return ranges.length > 0 ? ranges[0].lang : null;
+    }
+
+    /**
+     * Language for a country code (see LOCALES), or null
+     */
+    function languageForCountry(country) {
+        const code = String(country || '').toUpperCase();
+        return LANGUAGES.find(lang => LOCALES[lang].countries.includes(code)) || null;
+    }
+
+    /**
+     * Language for a first visit: Accept-Language, then the country hint,
+     * then the default language
+     */
+    function detectLanguage(acceptLanguage, country) {
+        return negotiateLanguage(acceptLanguage) || languageForCountry(country) || DEFAULT_LANG;
+    }
+
+    return {
+        DEFAULT_LANG,
+        LOCALES,
+        LANGUAGES,
+        LOCALIZED_PAGES,
+        LANG_COOKIE,
+        FORMAT_TAGS,
+        TRANSLATED_ATTRIBUTES,
+        createI18n,
+        parse,
+        toText,
+        toHtml,
+        escapeHtml,
+        translateDom,
+        localizePath,
+        parseLocalizedPath,
+        isLocalizedPage,
+        negotiateLanguage,
+        languageForCountry,
+        detectLanguage
+    };
+});
@@ -11,7 +11,17 @@
     // =====================================================
     
     let currentLang = 'en';
-    const translations = {};
+    
+    // Message catalogs (assets/i18n/<lang>.json, see assets/js/i18n.js)
+    const I18N = window.DigiLimaI18n;
+    const translations = I18N.createI18n();
+    const catalogRequests = {};
+    
+    // Shared contact payload schema (assets/js/contact-schema.js)
+    const contactSchema = window.DigiLimaContactSchema;
+    
+    // Full-text search (assets/js/search.js, loaded by the blog only)
+    const Search = window.DigiLimaSearch;
     
     // =====================================================
     // UTILITY FUNCTIONS
@@ -61,89 +71,95 @@
         }, { once: true });
     }
     
+    /**
+     * Set (or, for empty values, remove) query parameters in the address
+     * bar and the language toggles, without adding a history entry
+     */
+    function replaceQuery(params) {
+        const url = new URL(window.location.href);
+        Object.keys(params).forEach(name => {
+            const value = params[name];
+            if (value === null || value === undefined || value === '') {
+                url.searchParams.delete(name);
+            } else {
+                url.searchParams.set(name, value);
+            }
+        });
+        
+        // URLSearchParams encodes the value separators as %2C
+        const search = url.searchParams.toString().replace(/%2C/g, ',');
+        window.history.replaceState(window.history.state, '', `${url.pathname}${search ? `?${search}` : ''}${url.hash}`);
+        
+        document.querySelectorAll('.lang-toggle').forEach(toggle => {
+            toggle.search = search;
+        });
+    }
+    
     // =====================================================
     // LANGUAGE SWITCHING FUNCTIONALITY
     // =====================================================
     
     function initLanguageSwitcher() {
         const langToggles = document.querySelectorAll('.lang-toggle');
-        const html = document.documentElement;
-        
-        // Get initial language from HTML attribute or default to 'en'
-        currentLang = html.getAttribute('data-lang') || 'en';
         updateLanguageToggles();
         
+        // Each toggle links to this page in its language (see
+        // scripts/build-locales.mjs); the click only remembers the choice
         langToggles.forEach(toggle => {
-            toggle.addEventListener('click', function(e) {
-                e.preventDefault();
-                const newLang = this.getAttribute('data-lang');
-                console.log('Language button clicked:', newLang, 'Current:', currentLang);
-                
-                if (newLang !== currentLang) {
-                    switchLanguage(newLang);
-                } else {
-                    console.log('Same language, no switch needed');
-                }
+            toggle.addEventListener('click', function() {
+                rememberLanguage(this.getAttribute('data-lang'));
             });
         });
     }
     
+    /**
+     * Store an explicit language choice. The cookie overrides the
+     * Accept-Language negotiation in middleware.js on later visits.
+     */
+    function rememberLanguage(lang) {
+        document.cookie = `${I18N.LANG_COOKIE}=${encodeURIComponent(lang)}; path=/; max-age=${60 * 60 * 24 * 365}; SameSite=Lax`;
+    }
+    
+    /**
+     * Go to this page in another language
+     */
     function switchLanguage(lang) {
-        console.log('Switching language to:', lang);
-        currentLang = lang;
-        const html = document.documentElement;
-        
-        // Update HTML lang attribute
-        html.setAttribute('lang', lang);
-        html.setAttribute('data-lang', lang);
-        
-        // Update all translatable elements
-        updateTranslatableElements(lang);
-        
-        // Update language toggles
-        updateLanguageToggles();
-        
-        // Update form placeholders
-        updateFormPlaceholders(lang);
+        const toggle = document.querySelector(`.lang-toggle[data-lang="${lang}"]`);
+        if (!toggle || lang === currentLang) return;
         
-        // Store language preference
-        localStorage.setItem('digilima_lang', lang);
+        rememberLanguage(lang);
+        window.location.href = toggle.href + window.location.hash;
+    }
+    
+    /**
+     * Fetch a message catalog once. English is always loaded as well,
+     * since it is the fallback for missing messages.
+     */
+    function loadCatalog(lang) {
+        const langs = lang === I18N.DEFAULT_LANG ? [lang] : [I18N.DEFAULT_LANG, lang];
         
-        // Update URL without page reload
-        const url = new URL(window.location);
-        if (lang === 'en') {
-            url.searchParams.delete('lang');
-        } else {
-            url.searchParams.set('lang', lang);
-        }
-        history.replaceState(null, '', url.toString());
-    }
-    
-    function updateTranslatableElements(lang) {
-        console.log('Updating elements for language:', lang);
-        const elements = document.querySelectorAll(`[data-${lang}]`);
-        console.log('Found elements:', elements.length);
-        elements.forEach(element => {
-            const translation = element.getAttribute(`data-${lang}`);
-            if (translation) {
-                if (element.tagName === 'INPUT' || element.tagName === 'TEXTAREA') {
-                    element.placeholder = translation;
-                } else {
-                    element.textContent = translation;
-                }
+        return Promise.all(langs.map(code => {
+            if (!catalogRequests[code]) {
+                catalogRequests[code] = fetch(`/assets/i18n/${code}.json`)
+                    .then(response => {
+                        if (!response.ok) throw new Error(`HTTP ${response.status}`);
+                        return response.json();
+                    })
+                    .then(catalog => translations.addCatalog(code, catalog))
+                    .catch(error => {
+                        console.error(`Could not load ${code} translations:`, error);
+                        delete catalogRequests[code];
+                    });
             }
-        });
-        
-        // Update meta tags
-        const title = document.querySelector(`title[data-${lang}]`);
-        if (title) {
-            document.title = title.getAttribute(`data-${lang}`);
-        }
-        
-        const metaDesc = document.querySelector(`meta[name="description"][data-${lang}]`);
-        if (metaDesc) {
-            metaDesc.setAttribute('content', metaDesc.getAttribute(`data-${lang}`));
-        }
+            return catalogRequests[code];
+        }));
+    }
+    
+    /**
+     * Message in the current language (English fallback)
+     */
+    function t(id, params) {
+        return translations.t(id, params, currentLang);
     }
     
     function updateLanguageToggles() {
@@ -162,26 +178,12 @@
         });
     }
     
-    function updateFormPlaceholders(lang) {
-        const placeholderElements = document.querySelectorAll(`[data-placeholder-${lang}]`);
-        placeholderElements.forEach(element => {
-            const placeholder = element.getAttribute(`data-placeholder-${lang}`);
-            if (placeholder) {
-                element.placeholder = placeholder;
-            }
-        });
-    }
-    
-    function initLanguageFromURL() {
-        const urlParams = new URLSearchParams(window.location.search);
-        const langParam = urlParams.get('lang');
-        const storedLang = localStorage.getItem('digilima_lang');
-        
-        if (langParam && ['en', 'el'].includes(langParam)) {
-            switchLanguage(langParam);
-        } else if (storedLang && ['en', 'el'].includes(storedLang)) {
-            switchLanguage(storedLang);
-        }
+    function initLanguage() {
+        // Pages are pre-rendered per language, so the page's own language
+        // decides which catalog script messages (validation, status
+        // messages) come from
+        currentLang = document.documentElement.getAttribute('data-lang') || I18N.DEFAULT_LANG;
+        loadCatalog(currentLang);
     }
     
     // =====================================================
@@ -190,22 +192,119 @@
     
     function initContactForm() {
         const contactForm = document.querySelector('.contact-form');
-        if (!contactForm) return;
+        if (!contactForm || !contactSchema) return;
         
         contactForm.addEventListener('submit', handleFormSubmit);
         
-        // Add real-time validation
-        const requiredFields = contactForm.querySelectorAll('[required]');
-        requiredFields.forEach(field => {
+        // Fetch and start solving the bot-protection challenge once the
+        // visitor starts on the form, not on every page view
+        const startChallenge = () => {
+            contactForm.removeEventListener('focusin', startChallenge);
+            contactForm.removeEventListener('input', startChallenge);
+            if (!pendingChallenge) prepareChallenge();
+        };
+        contactForm.addEventListener('focusin', startChallenge);
+        contactForm.addEventListener('input', startChallenge);
+        
+        // One idempotency key per form fill: double clicks and retries
+        // reuse it, so the server replays the first result
+        resetIdempotencyKey(contactForm);
+        
+        // Add real-time validation for every field the schema knows about
+        getSchemaFields(contactForm).forEach(field => {
+            const rule = contactSchema.fields[getSchemaFieldName(field)];
+            if (rule.maxLength && 'maxLength' in field) {
+                field.maxLength = rule.maxLength;
+            }
+            
             field.addEventListener('blur', validateField);
-            field.addEventListener('input', clearFieldError);
+            field.addEventListener(field.type === 'checkbox' ? 'change' : 'input', clearFieldError);
         });
+    }
+    
+    /**
+     * Schema field a form control maps to. Controls that feed a combined
+     * payload value (e.g. firstName/lastName -> name) declare it with
+     * data-schema-field.
+     */
+    function getSchemaFieldName(field) {
+        return field.getAttribute('data-schema-field') || field.name;
+    }
+    
+    function getSchemaFields(form) {
+        return Array.from(form.elements).filter(field => 
+            field.name && contactSchema.fields[getSchemaFieldName(field)]
+        );
+    }
+    
+    function getFieldValue(field) {
+        return field.type === 'checkbox' ? field.checked : field.value;
+    }
+    
+    /**
+     * Value the schema sees for a control: controls sharing a
+     * data-schema-field are joined the way getSubmissionData() joins them
+     */
+    function getSchemaValue(field) {
+        const fieldName = field.getAttribute('data-schema-field');
+        if (!fieldName) return getFieldValue(field);
         
-        // Email validation
-        const emailField = contactForm.querySelector('input[type="email"]');
-        if (emailField) {
-            emailField.addEventListener('blur', validateEmail);
-        }
+        return Array.from(field.form.elements)
+            .filter(control => control.getAttribute('data-schema-field') === fieldName)
+            .map(control => control.value)
+            .filter(Boolean)
+            .join(' ');
+    }
+    
+    function getValidationMessage(code, fieldName) {
+        const id = `validation.${code.replace(/_/g, '-')}`;
+        const rule = contactSchema.fields[fieldName] || {};
+        return t(translations.has(id) ? id : 'validation.invalid-type', { max: rule.maxLength });
+    }
+    
+    function resetIdempotencyKey(form) {
+        form.dataset.idempotencyKey = window.crypto && crypto.randomUUID
+            ? crypto.randomUUID()
+            : `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 14)}`;
+    }
+    
+    /**
+     * Build the /api/contact payload from the form controls
+     */
+    function getSubmissionData(form) {
+        const formData = new FormData(form);
+        const fullName = formData.has('name')
+            ? formData.get('name')
+            : [formData.get('firstName'), formData.get('lastName')].filter(Boolean).join(' ');
+        
+        return {
+            name: fullName,
+            email: formData.get('email'),
+            phone: formData.get('phone'),
+            company: formData.get('company'),
+            budget: formData.get('budget'),
+            projectType: formData.get('projectType'),
+            timeline: formData.get('timeline'),
+            location: formData.get('location'),
+            message: formData.get('message'),
+            consent: formData.get('consent') === 'on',
+            policyVersion: formData.get('policyVersion'),
+            consentWording: formData.get('consentWording'),
+            lang: currentLang,
+            website: formData.get('website') // honeypot
+        };
+    }
+    
+    /**
+     * Mark fields rejected by the server using its per-field error codes
+     */
+    function showServerFieldErrors(form, errors) {
+        getSchemaFields(form).forEach(field => {
+            const fieldName = getSchemaFieldName(field);
+            if (errors[fieldName]) {
+                showFieldError(field, false, getValidationMessage(errors[fieldName], fieldName));
+            }
+        });
     }
     
     async function handleFormSubmit(e) {
@@ -221,7 +320,7 @@
         
         // Check honeypot
         if (formData.get('website')) {
-            showFormMessage('error', 'Form submission failed. Please try again.');
+            showFormMessage('error', t('form.rejected'));
             return;
         }
         
@@ -229,62 +328,85 @@
         showFormLoading(form, true);
         
         // Prepare form data for API
-        const submissionData = {
-            name: formData.get('name'),
-            email: formData.get('email'),
-            phone: formData.get('phone'),
-            company: formData.get('company'),
-            budget: formData.get('budget'),
-            projectType: formData.get('project-type'),
-            message: formData.get('message'),
-            consent: formData.get('consent') === 'on',
-            website: formData.get('website') // honeypot
-        };
+        const submissionData = getSubmissionData(form);
         
         try {
+            submissionData.challenge = await getChallenge();
+            
             // Determine API endpoint
             const apiEndpoint = window.location.hostname === 'localhost' || window.location.hostname === '127.0.0.1'
                 ? '/api/contact' // For local development with proxy
                 : '/api/contact'; // For production (adjust if deployed elsewhere)
             
-            const response = await fetch(apiEndpoint, {
+            const send = () => fetch(apiEndpoint, {
                 method: 'POST',
                 headers: {
                     'Content-Type': 'application/json',
+                    'Idempotency-Key': form.dataset.idempotencyKey
                 },
                 body: JSON.stringify(submissionData)
             });
             
+            let response = await send();
+            
+            // 422: the key already went with different fields, from an
+            // earlier submit whose answer never arrived (e.g. a dropped
+            // connection) before the visitor edited the form. This is a new
+            // request, so send it again under a fresh key.
+            if (response.status === 422) {
+                resetIdempotencyKey(form);
+                response = await send();
+            }
+            
             const result = await response.json();
             
             showFormLoading(form, false);
             
+            // The server only keeps the challenge unspent when it rejected
+            // the fields themselves; otherwise start on a fresh one.
+            if (!result.errors) {
+                prepareChallenge();
+            }
+            
             if (response.ok && result.success) {
                 showFormMessage('success', result.message);
                 form.reset();
+                resetIdempotencyKey(form);
                 
                 // Track successful form submission
-                if (typeof gtag !== 'undefined') {
-                    gtag('event', 'form_submission_success', {
-                        'form_name': 'contact_form',
-                        'project_type': submissionData.projectType,
-                        'budget': submissionData.budget
-                    });
-                }
+                trackEvent('form_submission_success', {
+                    'form_name': 'contact_form',
+                    'project_type': submissionData.projectType,
+                    'budget': submissionData.budget,
+                    'timeline': submissionData.timeline,
+                    'location': submissionData.location
+                });
                 
                 // Announce to screen readers
-                announceToScreenReader('Form submitted successfully. We\'ll get back to you soon!');
+                announceToScreenReader(t('form.success-announcement'));
+                
+                // Offer to book the consultation call right away
+                showBookingPicker(result.bookingToken);
+                
+            } else if (response.status === 429) {
+                const minutes = Math.max(1, Math.ceil((result.retryAfter || 60) / 60));
+                showFormMessage('error', t('form.rate-limited', { count: minutes }));
+                
+            } else if (result.code === 'stale_policy' || result.code === 'unknown_policy') {
+                showFormMessage('error', t('form.policy-outdated'));
                 
             } else {
-                showFormMessage('error', result.error || 'Something went wrong. Please try again.');
+                if (result.errors) {
+                    showServerFieldErrors(form, result.errors);
+                }
+                
+                showFormMessage('error', result.error || t('form.error'));
                 
                 // Track form submission error
-                if (typeof gtag !== 'undefined') {
-                    gtag('event', 'form_submission_error', {
-                        'form_name': 'contact_form',
-                        'error': result.error || 'unknown_error'
-                    });
-                }
+                trackEvent('form_submission_error', {
+                    'form_name': 'contact_form',
+                    'error': result.error || 'unknown_error'
+                });
             }
             
         } catch (error) {
@@ -292,27 +414,88 @@
             showFormLoading(form, false);
             
             // Show user-friendly error message
-            const errorMessage = currentLang === 'el' 
-                ? 'Υπήρξε σφάλμα κατά την αποστολή της φόρμας. Παρακαλώ δοκιμάστε ξανά ή επικοινωνήστε μαζί μας άμεσα στο hello@digilima.com.'
-                : 'There was an error sending your message. Please try again or contact us directly at hello@digilima.com.';
-            
-            showFormMessage('error', errorMessage);
+            showFormMessage('error', t('form.network-error'));
             
             // Track network error
-            if (typeof gtag !== 'undefined') {
-                gtag('event', 'form_submission_network_error', {
-                    'form_name': 'contact_form',
-                    'error': error.message
-                });
+            trackEvent('form_submission_network_error', {
+                'form_name': 'contact_form',
+                'error': error.message
+            });
+        }
+    }
+    
+    // =====================================================
+    // FORM CHALLENGE (BOT PROTECTION)
+    // =====================================================
+    
+    // Re-fetch well before the server-side token lifetime (2 hours) runs out
+    const CHALLENGE_REFRESH_MS = 60 * 60 * 1000;
+    let pendingChallenge = null;
+    
+    /**
+     * Fetch a challenge from /api/challenge and solve it in the background.
+     * The promise resolves with the { token, solution } pair to submit.
+     */
+    function prepareChallenge() {
+        const promise = fetch('/api/challenge', { headers: { 'Accept': 'application/json' } })
+            .then(response => {
+                if (!response.ok) throw new Error('Challenge request failed');
+                return response.json();
+            })
+            .then(challenge => solveChallenge(challenge.nonce, challenge.difficulty)
+                .then(solution => ({ token: challenge.token, solution })));
+        
+        pendingChallenge = { promise, fetchedAt: Date.now() };
+        
+        // Let the next submit retry instead of reusing a failed request
+        promise.catch(() => {
+            if (pendingChallenge && pendingChallenge.promise === promise) {
+                pendingChallenge = null;
+            }
+        });
+        
+        return promise;
+    }
+    
+    function getChallenge() {
+        if (!pendingChallenge || Date.now() - pendingChallenge.fetchedAt > CHALLENGE_REFRESH_MS) {
+            prepareChallenge();
+        }
+        return pendingChallenge.promise;
+    }
+    
+    /**
+     * Find a counter whose SHA-256("<nonce>:<counter>") starts with
+     * `difficulty` zero bits
+     */
+    async function solveChallenge(nonce, difficulty) {
+        const encoder = new TextEncoder();
+        
+        for (let counter = 0; ; counter++) {
+            const digest = await crypto.subtle.digest('SHA-256', encoder.encode(`${nonce}:${counter}`));
+            if (countLeadingZeroBits(new Uint8Array(digest)) >= difficulty) {
+                return counter;
+            }
+        }
+    }
+    
+    function countLeadingZeroBits(bytes) {
+        let bits = 0;
+        for (const byte of bytes) {
+            if (byte === 0) {
+                bits += 8;
+                continue;
             }
+            bits += Math.clz32(byte) - 24;
+            break;
         }
+        return bits;
     }
     
     function validateForm(form) {
         let isValid = true;
-        const requiredFields = form.querySelectorAll('[required]');
         
-        requiredFields.forEach(field => {
+        getSchemaFields(form).forEach(field => {
             if (!validateField({ target: field })) {
                 isValid = false;
             }
@@ -323,45 +506,19 @@
     
     function validateField(e) {
         const field = e.target;
-        const value = field.value.trim();
-        let isValid = true;
-        let errorMessage = '';
+        const fieldName = getSchemaFieldName(field);
+        // A combined value (first + last name) must also fit the schema's limit
+        const combinedError = contactSchema.validateField(fieldName, getSchemaValue(field));
+        const errorCode = contactSchema.validateField(fieldName, getFieldValue(field)) ||
+            (combinedError === 'too_long' ? 'combined_too_long' : combinedError);
+        const isValid = !errorCode;
         
-        if (field.hasAttribute('required') && !value) {
-            isValid = false;
-            errorMessage = currentLang === 'el' ? 
-                'Αυτό το πεδίο είναι υποχρεωτικό' : 
-                'This field is required';
-        } else if (field.type === 'email' && value && !isValidEmail(value)) {
-            isValid = false;
-            errorMessage = currentLang === 'el' ? 
-                'Παρακαλώ εισάγετε έγκυρη διεύθυνση email' : 
-                'Please enter a valid email address';
-        }
-        
-        showFieldError(field, isValid, errorMessage);
+        showFieldError(field, isValid, isValid ? '' : getValidationMessage(errorCode, fieldName));
         return isValid;
     }
     
-    function validateEmail(e) {
-        const field = e.target;
-        const value = field.value.trim();
-        
-        if (value && !isValidEmail(value)) {
-            const errorMessage = currentLang === 'el' ? 
-                'Παρακαλώ εισάγετε έγκυρη διεύθυνση email' : 
-                'Please enter a valid email address';
-            showFieldError(field, false, errorMessage);
-            return false;
-        }
-        
-        showFieldError(field, true, '');
-        return true;
-    }
-    
     function isValidEmail(email) {
-        const emailRegex = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
-        return emailRegex.test(email);
+        return !contactSchema.validateField('email', email);
     }
     
     function showFieldError(field, isValid, message) {
@@ -384,19 +541,27 @@
         field.classList.remove('is-invalid', 'is-valid');
     }
     
+    // Button content to restore after loading, so translated markup survives
+    const idleButtonContent = new WeakMap();
+    
     function showFormLoading(form, loading) {
         const submitBtn = form.querySelector('button[type="submit"]');
-        const originalText = submitBtn.textContent;
         
         if (loading) {
             submitBtn.disabled = true;
-            submitBtn.innerHTML = `
-                <span class="spinner-border spinner-border-sm me-2" role="status" aria-hidden="true"></span>
-                ${currentLang === 'el' ? 'Αποστολή...' : 'Sending...'}
-            `;
+            idleButtonContent.set(submitBtn, Array.from(submitBtn.childNodes));
+            
+            const spinner = document.createElement('span');
+            spinner.className = 'spinner-border spinner-border-sm me-2';
+            spinner.setAttribute('role', 'status');
+            spinner.setAttribute('aria-hidden', 'true');
+            submitBtn.replaceChildren(spinner, t('form.sending'));
         } else {
             submitBtn.disabled = false;
-            submitBtn.innerHTML = originalText;
+            if (idleButtonContent.has(submitBtn)) {
+                submitBtn.replaceChildren(...idleButtonContent.get(submitBtn));
+                idleButtonContent.delete(submitBtn);
+            }
         }
     }
     
@@ -437,18 +602,180 @@
         }
     }
     
+    // =====================================================
+    // CONSULTATION BOOKING
+    // =====================================================
+    
+    // The contact form response carries a token that books one consultation
+    // call. Free slots come from /api/availability as UTC times and are
+    // shown in the booking time zone; /api/book reserves one.
+    let booking = null;
+    
+    function initBookingPicker() {
+        const picker = document.querySelector('.booking-picker');
+        if (!picker) return;
+        
+        picker.querySelector('.booking-day').addEventListener('change', () => {
+            renderBookingSlots(picker);
+        });
+        
+        picker.querySelector('.booking-slots').addEventListener('click', (e) => {
+            const button = e.target.closest('.booking-slot');
+            if (button) bookSlot(picker, button);
+        });
+    }
+    
+    function showBookingPicker(token) {
+        const picker = document.querySelector('.booking-picker');
+        if (!picker || !token) return;
+        
+        booking = { token, slots: [], timeZone: null };
+        picker.hidden = false;
+        loadBookingSlots(picker);
+    }
+    
+    function loadBookingSlots(picker) {
+        const availability = fetch('/api/availability').then(response => {
+            if (!response.ok) throw new Error(`HTTP ${response.status}`);
+            return response.json();
+        });
+        
+        return Promise.all([availability, loadCatalog(currentLang)])
+            .then(([data]) => {
+                booking.slots = data.slots;
+                booking.timeZone = data.timeZone;
+                renderBookingDays(picker);
+            })
+            .catch(error => {
+                console.error('Availability failed:', error);
+                showBookingStatus(picker, t('booking.error'));
+            });
+    }
+    
+    function formatBookingTime(start, options) {
+        return new Intl.DateTimeFormat(currentLang, { ...options, timeZone: booking.timeZone }).format(new Date(start));
+    }
+    
+    /** One option per day with free slots, keeping the selected day when it still has some */
+    function renderBookingDays(picker) {
+        const select = picker.querySelector('.booking-day');
+        const selected = select.value;
+        const days = [];
+        booking.slots.forEach(slot => {
+            if (!days.includes(slot.date)) days.push(slot.date);
+        });
+        
+        picker.querySelector('.booking-form').hidden = days.length === 0;
+        showBookingStatus(picker, days.length ? '' : t('booking.none'));
+        
+        select.replaceChildren(...days.map(date => {
+            const first = booking.slots.find(slot => slot.date === date);
+            return new Option(formatBookingTime(first.start, { weekday: 'long', day: 'numeric', month: 'long' }), date);
+        }));
+        if (days.includes(selected)) select.value = selected;
+        
+        renderBookingSlots(picker);
+    }
+    
+    function renderBookingSlots(picker) {
+        const date = picker.querySelector('.booking-day').value;
+        
+        picker.querySelector('.booking-slots').replaceChildren(...booking.slots
+            .filter(slot => slot.date === date)
+            .map(slot => {
+                const button = document.createElement('button');
+                button.type = 'button';
+                button.className = 'btn btn-outline-primary booking-slot';
+                button.dataset.start = slot.start;
+                button.textContent = formatBookingTime(slot.start, { hour: '2-digit', minute: '2-digit' });
+                return button;
+            }));
+    }
+    
+    function showBookingStatus(picker, message, focus) {
+        const status = picker.querySelector('.booking-status');
+        status.textContent = message;
+        if (message) announceToScreenReader(message);
+        if (focus) status.focus();
+    }
+    
+    async function bookSlot(picker, button) {
+        const buttons = picker.querySelectorAll('.booking-slot');
+        const start = button.dataset.start;
+        const when = formatBookingTime(start, { weekday: 'long', day: 'numeric', month: 'long', hour: '2-digit', minute: '2-digit' });
+        
+        buttons.forEach(slotButton => { slotButton.disabled = true; });
+        showBookingStatus(picker, t('booking.booking', { when }));
+        
+        try {
+            const response = await fetch('/api/book', {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({ token: booking.token, start })
+            });
+            const result = await response.json();
+            
+            if (response.ok && result.success) {
+                picker.querySelector('.booking-form').hidden = true;
+                showBookingStatus(picker, t('booking.confirmed', { when }), true);
+                trackEvent('consultation_booked', { 'form_name': 'contact_form' });
+                
+            } else if (result.code === 'already_booked') {
+                picker.querySelector('.booking-form').hidden = true;
+                const booked = formatBookingTime(result.booking.start, { weekday: 'long', day: 'numeric', month: 'long', hour: '2-digit', minute: '2-digit' });
+                showBookingStatus(picker, t('booking.already-booked', { when: booked }), true);
+                
+            } else if (result.code === 'slot_taken') {
+                await loadBookingSlots(picker);
+                showBookingStatus(picker, t('booking.slot-taken'), true);
+                
+            } else {
+                buttons.forEach(slotButton => { slotButton.disabled = false; });
+                showBookingStatus(picker, result.error || t('booking.error'), true);
+            }
+            
+        } catch (error) {
+            console.error('Booking error:', error);
+            buttons.forEach(slotButton => { slotButton.disabled = false; });
+            showBookingStatus(picker, t('booking.error'), true);
+        }
+    }
+    
     // =====================================================
     // NEWSLETTER FORM
     // =====================================================
     
+    /**
+     * Newsletter states, including the outcomes the confirm/unsubscribe
+     * links redirect back with (?newsletter=...)
+     */
+    const NEWSLETTER_MESSAGES = {
+        pending: 'newsletter.pending',
+        confirmed: 'newsletter.confirmed',
+        unsubscribed: 'newsletter.unsubscribed',
+        invalid: 'newsletter.invalid',
+        invalidEmail: 'errors.invalid-email',
+        rateLimited: 'errors.rate-limited',
+        error: 'newsletter.error'
+    };
+    
     function initNewsletterForm() {
         const newsletterForm = document.querySelector('.newsletter-form');
         if (!newsletterForm) return;
         
         newsletterForm.addEventListener('submit', handleNewsletterSubmit);
+        
+        // Outcome of a confirm/unsubscribe link
+        const status = new URLSearchParams(window.location.search).get('newsletter');
+        if (status && NEWSLETTER_MESSAGES[status]) {
+            loadCatalog(currentLang).then(() => {
+                showNewsletterMessage(newsletterForm, status === 'invalid' ? 'error' : 'success', status);
+            });
+            newsletterForm.scrollIntoView({ behavior: 'smooth', block: 'center' });
+        }
     }
     
-    function handleNewsletterSubmit(e) {
+    async function handleNewsletterSubmit(e) {
         e.preventDefault();
         
         const form = e.target;
@@ -457,66 +784,300 @@
         
         // Validate email
         if (!emailInput.value || !isValidEmail(emailInput.value)) {
+            showNewsletterMessage(form, 'error', 'invalidEmail');
             emailInput.focus();
             return;
         }
         
         // Show loading state
         const originalText = submitBtn.textContent;
-        submitBtn.textContent = currentLang === 'el' ? 'Εγγραφή...' : 'Subscribing...';
+        submitBtn.textContent = t('newsletter.subscribing');
+        submitBtn.disabled = true;
+        
+        try {
+            const response = await fetch('/api/newsletter', {
+                method: 'POST',
+                headers: {
+                    'Content-Type': 'application/json',
+                },
+                body: JSON.stringify({
+                    email: emailInput.value,
+                    lang: currentLang
+                })
+            });
+            
+            if (response.ok) {
+                showNewsletterMessage(form, 'success', 'pending');
+                form.reset();
+                
+                // Track newsletter signup
+                trackEvent('newsletter_signup', {
+                    event_category: 'engagement',
+                    language: currentLang
+                });
+            } else if (response.status === 429) {
+                showNewsletterMessage(form, 'error', 'rateLimited');
+            } else {
+                showNewsletterMessage(form, 'error', response.status === 400 ? 'invalidEmail' : 'error');
+            }
+        } catch (error) {
+            console.error('Newsletter signup error:', error);
+            showNewsletterMessage(form, 'error', 'error');
+        } finally {
+            submitBtn.textContent = originalText;
+            submitBtn.disabled = false;
+        }
+    }
+    
+    function showNewsletterMessage(form, type, key) {
+        showStatusMessage(form, type, NEWSLETTER_MESSAGES[key]);
+    }
+    
+    /**
+     * Show a translated message (by ID) in a live region below a form
+     */
+    function showStatusMessage(form, type, messageId) {
+        let messageEl = form.querySelector('.form-status');
+        
+        if (!messageEl) {
+            messageEl = document.createElement('div');
+            messageEl.setAttribute('role', 'status');
+            messageEl.setAttribute('aria-live', 'polite');
+            form.appendChild(messageEl);
+        }
+        
+        messageEl.className = `form-status mt-3 alert alert-${type === 'success' ? 'success' : 'danger'}`;
+        messageEl.textContent = t(messageId);
+    }
+    
+    // =====================================================
+    // DATA SUBJECT REQUESTS (PRIVACY PAGE)
+    // =====================================================
+    
+    const DATA_REQUEST_MESSAGES = {
+        sent: 'data-request.sent',
+        erased: 'data-request.erased',
+        invalid: 'data-request.invalid',
+        invalidEmail: 'errors.invalid-email',
+        rateLimited: 'errors.rate-limited',
+        error: 'data-request.error'
+    };
+    
+    function initDataRequestForm() {
+        const form = document.querySelector('.data-request-form');
+        if (!form) return;
+        
+        form.addEventListener('submit', handleDataRequestSubmit);
+        
+        // Outcome of an erasure link (?data-request=...)
+        const status = new URLSearchParams(window.location.search).get('data-request');
+        if (status === 'erased' || status === 'invalid') {
+            loadCatalog(currentLang).then(() => {
+                showStatusMessage(form, status === 'erased' ? 'success' : 'error', DATA_REQUEST_MESSAGES[status]);
+            });
+            form.scrollIntoView({ behavior: 'smooth', block: 'center' });
+        }
+    }
+    
+    async function handleDataRequestSubmit(e) {
+        e.preventDefault();
+        
+        const form = e.target;
+        const emailInput = form.querySelector('input[name="email"]');
+        const submitBtn = form.querySelector('button[type="submit"]');
+        
+        if (!emailInput.value || !isValidEmail(emailInput.value)) {
+            showStatusMessage(form, 'error', DATA_REQUEST_MESSAGES.invalidEmail);
+            emailInput.focus();
+            return;
+        }
+        
         submitBtn.disabled = true;
         
-        // Simulate submission
-        setTimeout(() => {
-            submitBtn.textContent = currentLang === 'el' ? 'Επιτυχής εγγραφή!' : 'Subscribed!';
-            submitBtn.classList.remove('btn-light');
-            submitBtn.classList.add('btn-success');
+        try {
+            const response = await fetch('/api/privacy/request', {
+                method: 'POST',
+                headers: {
+                    'Content-Type': 'application/json',
+                },
+                body: JSON.stringify({
+                    email: emailInput.value,
+                    type: form.querySelector('[name="type"]').value,
+                    lang: currentLang
+                })
+            });
             
-            setTimeout(() => {
-                submitBtn.textContent = originalText;
-                submitBtn.classList.remove('btn-success');
-                submitBtn.classList.add('btn-light');
-                submitBtn.disabled = false;
+            if (response.ok) {
+                showStatusMessage(form, 'success', DATA_REQUEST_MESSAGES.sent);
                 form.reset();
-            }, 3000);
-        }, 1000);
+            } else if (response.status === 429) {
+                showStatusMessage(form, 'error', DATA_REQUEST_MESSAGES.rateLimited);
+            } else {
+                showStatusMessage(form, 'error', DATA_REQUEST_MESSAGES[response.status === 400 ? 'invalidEmail' : 'error']);
+            }
+        } catch (error) {
+            console.error('Data request error:', error);
+            showStatusMessage(form, 'error', DATA_REQUEST_MESSAGES.error);
+        } finally {
+            submitBtn.disabled = false;
+        }
     }
     
     // =====================================================
     // PORTFOLIO FILTERING
     // =====================================================
     
+    // Facets of the portfolio filter. Projects carry theirs as data-<facet>
+    // attributes (space-separated values), generated with the checkboxes by
+    // scripts/build-portfolio.mjs. The URL keeps the selection, e.g.
+    // /portfolio/?type=shopify&country=cy or ?technology=wordpress,php&match=all
+    const PORTFOLIO_FACETS = ['sector', 'type', 'technology', 'country'];
+    
     function initPortfolioFilter() {
-        const filterButtons = $('.portfolio-filter');
-        const portfolioItems = $('.portfolio-item');
+        const form = document.querySelector('.portfolio-facets');
+        const more = loadMoreLists.portfolio;
         
-        if (filterButtons.length === 0) return;
+        if (!form || document.querySelectorAll('.portfolio-item').length === 0) return;
         
-        addEventListeners(filterButtons, 'click', function(e) {
-            e.preventDefault();
-            
-            const filter = this.getAttribute('data-filter');
+        // Counts cover every project, loaded or not
+        const projects = () => (more ? more.items : Array.from(document.querySelectorAll('.portfolio-item')));
+        
+        const apply = (filters) => {
+            if (more) more.setFilter(item => matchesPortfolioFilters(item, filters));
+            const visible = applyPortfolioFilters(form, document.querySelectorAll('.portfolio-item'), projects(), filters);
+            writePortfolioUrl(filters);
+            if (more) more.update();
+            return visible;
+        };
+        
+        const update = () => {
+            const visible = apply(readPortfolioForm(form));
             
-            // Update active button
-            filterButtons.forEach(btn => btn.classList.remove('active'));
-            this.classList.add('active');
+            loadCatalog(currentLang).then(() => {
+                const status = t('portfolio.results', { count: visible });
+                form.querySelector('.portfolio-status').textContent = status;
+                announceToScreenReader(status);
+            });
+        };
+        
+        form.addEventListener('change', update);
+        form.addEventListener('submit', e => e.preventDefault());
+        
+        addEventListeners(document.querySelectorAll('.portfolio-clear'), 'click', function(e) {
+            e.preventDefault();
+            writePortfolioForm(form, { selected: {}, match: 'any' });
+            update();
+            form.querySelector('.portfolio-filter:not(:disabled)').focus();
+        });
+        
+        // A shared link opens with its filters applied (and its pages loaded)
+        const params = new URLSearchParams(window.location.search);
+        const filters = readPortfolioUrl(params);
+        writePortfolioForm(form, filters);
+        apply(filters);
+        if (more) more.restore(params.get('page'));
+    }
+    
+    function readPortfolioForm(form) {
+        const selected = {};
+        PORTFOLIO_FACETS.forEach(facet => {
+            selected[facet] = Array.from(form.querySelectorAll(`.portfolio-filter[name="${facet}"]:checked`))
+                .map(input => input.value);
+        });
+        
+        const match = form.querySelector('input[name="match"]:checked');
+        return { selected, match: match && match.value === 'all' ? 'all' : 'any' };
+    }
+    
+    function writePortfolioForm(form, filters) {
+        form.querySelectorAll('.portfolio-filter').forEach(input => {
+            input.checked = (filters.selected[input.name] || []).includes(input.value);
+        });
+        form.querySelectorAll('input[name="match"]').forEach(input => {
+            input.checked = input.value === filters.match;
+        });
+    }
+    
+    function readPortfolioUrl(params) {
+        const selected = {};
+        PORTFOLIO_FACETS.forEach(facet => {
+            selected[facet] = (params.get(facet) || '').split(',').filter(Boolean);
+        });
+        return { selected, match: params.get('match') === 'all' ? 'all' : 'any' };
+    }
+    
+    /** Keep the selection in the address bar and the language toggles */
+    function writePortfolioUrl(filters) {
+        const params = {};
+        PORTFOLIO_FACETS.forEach(facet => {
+            params[facet] = (filters.selected[facet] || []).join(',');
+        });
+        
+        const hasFilters = PORTFOLIO_FACETS.some(facet => (filters.selected[facet] || []).length);
+        params.match = filters.match === 'all' && hasFilters ? 'all' : null;
+        
+        replaceQuery(params);
+    }
+    
+    /** Values of a facet, for a project card or a project of the "Load more" data */
+    function portfolioValues(item, facet) {
+        if (!(item instanceof Element)) return item[facet] || [];
+        return (item.getAttribute(`data-${facet}`) || '').split(/\s+/).filter(Boolean);
+    }
+    
+    /**
+     * Whether a project passes the filters: every facet must match (AND);
+     * within a facet any selected value will do (OR), or all of them with
+     * match "all". `skipFacet` leaves one facet out, for its counts.
+     */
+    function matchesPortfolioFilters(item, filters, skipFacet) {
+        return PORTFOLIO_FACETS.every(facet => {
+            const selected = filters.selected[facet] || [];
+            if (facet === skipFacet || selected.length === 0) return true;
             
-            // Filter items
-            filterPortfolioItems(portfolioItems, filter);
+            const values = portfolioValues(item, facet);
+            return filters.match === 'all'
+                ? selected.every(value => values.includes(value))
+                : selected.some(value => values.includes(value));
         });
     }
     
-    function filterPortfolioItems(items, filter) {
+    /**
+     * Show the matching project cards and update each option's count: the
+     * number of projects (out of `projects`, loaded or not) shown with that
+     * option checked as well. Options that would show nothing are disabled.
+     * Returns the number of matching projects.
+     */
+    function applyPortfolioFilters(form, items, projects, filters) {
         items.forEach(item => {
-            const shouldShow = filter === '*' || item.classList.contains(filter.replace('.', ''));
+            const shouldShow = matchesPortfolioFilters(item, filters);
             
             if (shouldShow) {
-                item.style.display = 'block';
+                item.hidden = false;
                 animateElement(item, 'fade-in');
             } else {
-                item.style.display = 'none';
+                item.hidden = true;
             }
         });
+        
+        const visible = Array.from(projects).filter(item => matchesPortfolioFilters(item, filters)).length;
+        
+        form.querySelectorAll('.portfolio-filter').forEach(input => {
+            const facet = input.name;
+            const count = Array.from(projects).filter(item => {
+                const ownFacet = filters.match === 'all' ? undefined : facet;
+                return matchesPortfolioFilters(item, filters, ownFacet) && portfolioValues(item, facet).includes(input.value);
+            }).length;
+            
+            const badge = form.querySelector(`label[for="${input.id}"] .portfolio-count`);
+            if (badge) badge.textContent = count;
+            input.disabled = count === 0 && !input.checked;
+        });
+        
+        const emptyState = document.querySelector('.portfolio-empty');
+        if (emptyState) emptyState.hidden = visible > 0;
+        
+        return visible;
     }
     
     // =====================================================
@@ -524,30 +1085,43 @@
     // =====================================================
     
     function initBlogFilter() {
-        const categoryFilters = $('.category-filter');
-        const blogItems = $('.blog-item');
+        const categoryFilters = document.querySelectorAll('.category-filter');
+        const more = loadMoreLists.blog;
         
         if (categoryFilters.length === 0) return;
         
-        addEventListeners(categoryFilters, 'click', function(e) {
-            e.preventDefault();
-            
-            const category = this.getAttribute('data-category');
+        const selectCategory = (button) => {
+            const category = button.getAttribute('data-category');
             
             // Update active button
             categoryFilters.forEach(btn => btn.classList.remove('active'));
-            this.classList.add('active');
+            button.classList.add('active');
+            
+            // Filter blog items, including those loaded since
+            filterBlogItems(document.querySelectorAll('.blog-posts .blog-item'), category);
+            if (more) more.setFilter(item => category === '*' || item.categories.includes(category));
             
-            // Filter blog items
-            filterBlogItems(blogItems, category);
+            replaceQuery({ category: category === '*' ? null : category });
+            if (more) more.update();
+        };
+        
+        addEventListeners(categoryFilters, 'click', function(e) {
+            e.preventDefault();
+            selectCategory(this);
         });
+        
+        // /blog/?category=seo&page=2 opens with that category and its pages
+        const params = new URLSearchParams(window.location.search);
+        const selected = Array.from(categoryFilters)
+            .find(button => button.getAttribute('data-category') === params.get('category'));
+        if (selected) selectCategory(selected);
+        if (more && !params.get('q')) more.restore(params.get('page'));
     }
     
     function filterBlogItems(items, category) {
         items.forEach(item => {
-            const itemCategories = item.getAttribute('data-categories');
-            const shouldShow = category === '*' || 
-                (itemCategories && itemCategories.includes(category));
+            const itemCategories = (item.getAttribute('data-categories') || '').split(/\s+/);
+            const shouldShow = category === '*' || itemCategories.includes(category);
             
             if (shouldShow) {
                 item.style.display = 'block';
@@ -558,9 +1132,38 @@
         });
     }
     
+    // Blog search index of the page's language (assets/search/blog.<lang>.json,
+    // built by scripts/build-search.mjs), fetched on first use. Results are
+    // shown BLOG_SEARCH_PAGE at a time; the URL keeps the query and the
+    // number of pages shown, e.g. /blog/?q=seo&page=2
+    const BLOG_SEARCH_PAGE = 10;
+    let blogSearchIndex = null;
+    let blogSearchCount = 0;
+    let blogSearch = null;
+    
+    function loadBlogSearchIndex() {
+        if (!blogSearchIndex) {
+            blogSearchIndex = fetch(`/assets/search/blog.${currentLang}.json`)
+                .then(response => {
+                    if (!response.ok) throw new Error(`HTTP ${response.status}`);
+                    return response.json();
+                })
+                .catch(error => {
+                    blogSearchIndex = null;
+                    throw error;
+                });
+        }
+        return blogSearchIndex;
+    }
+    
     function initBlogSearch() {
         const searchInput = $('#blogSearch');
-        if (!searchInput) return;
+        if (!searchInput || !Search || !document.querySelector('.blog-search-results')) return;
+        
+        // Start fetching the index as soon as the visitor heads for the search
+        searchInput.addEventListener('focus', () => {
+            loadBlogSearchIndex().catch(() => {});
+        }, { once: true });
         
         const debouncedSearch = debounce((query) => {
             searchBlogPosts(query);
@@ -569,54 +1172,320 @@
         searchInput.addEventListener('input', (e) => {
             debouncedSearch(e.target.value);
         });
+        
+        searchInput.form.addEventListener('submit', (e) => {
+            e.preventDefault();
+            searchBlogPosts(searchInput.value);
+        });
+        
+        addEventListeners(document.querySelectorAll('.blog-search-clear'), 'click', () => {
+            searchInput.value = '';
+            searchBlogPosts('');
+            searchInput.focus();
+        });
+        
+        addEventListeners(document.querySelectorAll('.blog-search-more'), 'click', showMoreBlogSearchResults);
+        
+        // /blog/?q=...&page=... opens with the results
+        const params = new URLSearchParams(window.location.search);
+        const query = params.get('q');
+        if (query) {
+            searchInput.value = query;
+            searchBlogPosts(query, parseInt(params.get('page'), 10) || 1);
+        }
     }
     
-    function searchBlogPosts(query) {
-        const blogItems = $('.blog-item');
-        const searchTerm = query.toLowerCase().trim();
+    /**
+     * Show the posts matching a query in place of the article list, the
+     * first `pages` pages of them
+     */
+    function searchBlogPosts(query, pages) {
+        const results = document.querySelector('.blog-search-results');
+        const articles = document.querySelectorAll('.featured-article, .blog-posts');
+        const searchTerm = query.trim();
+        const search = ++blogSearchCount;
         
-        blogItems.forEach(item => {
-            const title = item.querySelector('h3').textContent.toLowerCase();
-            const excerpt = item.querySelector('p').textContent.toLowerCase();
-            const shouldShow = !searchTerm || 
-                title.includes(searchTerm) || 
-                excerpt.includes(searchTerm);
-            
-            if (shouldShow) {
-                item.style.display = 'block';
-                animateElement(item, 'fade-in');
-            } else {
-                item.style.display = 'none';
-            }
+        if (!searchTerm) {
+            blogSearch = null;
+            results.hidden = true;
+            articles.forEach(section => { section.hidden = false; });
+            replaceQuery({ q: null, page: null });
+            if (loadMoreLists.blog) loadMoreLists.blog.update();
+            return;
+        }
+        
+        Promise.all([loadBlogSearchIndex(), loadCatalog(currentLang)])
+            .then(([index]) => Search.search(index, searchTerm))
+            .catch(error => {
+                console.error('Blog search failed:', error);
+                return null;
+            })
+            .then(hits => {
+                // A newer search has started in the meantime
+                if (search !== blogSearchCount) return;
+                
+                blogSearch = { hits, query: searchTerm, shown: Math.min((pages || 1) * BLOG_SEARCH_PAGE, hits ? hits.length : 0) };
+                renderBlogSearchResults(results, blogSearch);
+                articles.forEach(section => { section.hidden = true; });
+                results.hidden = false;
+            });
+    }
+    
+    /**
+     * Append the next page of results and move the focus to the first of them
+     */
+    function showMoreBlogSearchResults() {
+        const results = document.querySelector('.blog-search-results');
+        if (!blogSearch || !blogSearch.hits) return;
+        
+        const from = blogSearch.shown;
+        blogSearch.shown = Math.min(from + BLOG_SEARCH_PAGE, blogSearch.hits.length);
+        
+        const list = results.querySelector('.blog-search-list');
+        list.insertAdjacentHTML('beforeend', blogSearch.hits.slice(from, blogSearch.shown)
+            .map(hit => renderBlogSearchHit(hit, blogSearch.query)).join(''));
+        updateBlogSearchMore(results, blogSearch);
+        
+        const heading = list.children[from] && list.children[from].querySelector('h3');
+        if (heading) {
+            heading.tabIndex = -1;
+            heading.focus();
+        }
+        announceToScreenReader(t('blog.load-more.loaded', {
+            count: blogSearch.shown - from,
+            shown: blogSearch.shown,
+            total: blogSearch.hits.length
+        }));
+    }
+    
+    /** Show the "more results" button while results remain, and keep the page in the URL */
+    function updateBlogSearchMore(container, state) {
+        const total = state.hits ? state.hits.length : 0;
+        const pages = Math.ceil(state.shown / BLOG_SEARCH_PAGE);
+        
+        container.querySelectorAll('.blog-search-more').forEach(button => {
+            button.hidden = state.shown >= total;
         });
+        replaceQuery({ q: state.query, page: pages > 1 ? pages : null });
+    }
+    
+    /**
+     * Render search hits (null when the search failed) with the matching
+     * words highlighted in the title and a snippet of the post
+     */
+    function renderBlogSearchResults(container, state) {
+        const { hits, query } = state;
+        const status = container.querySelector('.blog-search-status');
+        const list = container.querySelector('.blog-search-list');
+        
+        let message;
+        if (hits === null) {
+            message = t('blog.search.unavailable');
+        } else if (hits.length === 0) {
+            message = t('blog.search.no-results', { query });
+        } else {
+            message = t('blog.search.results', { count: hits.length, query });
+        }
+        status.textContent = message;
+        announceToScreenReader(message);
+        
+        list.innerHTML = (hits || []).slice(0, state.shown).map(hit => renderBlogSearchHit(hit, query)).join('');
+        updateBlogSearchMore(container, state);
+    }
+    
+    function renderBlogSearchHit({ doc }, query) {
+        const dateFormat = new Intl.DateTimeFormat(currentLang, { year: 'numeric', month: 'short', day: 'numeric', timeZone: 'UTC' });
+        
+        return `
+            <li class="col-12 blog-search-result">
+                <article class="bg-white rounded-3 shadow-sm p-4">
+                    <h3 class="h5 fw-bold mb-2">
+                        <a href="${I18N.escapeHtml(doc.url)}" class="text-decoration-none text-dark">${Search.highlight(doc.title, query)}</a>
+                    </h3>
+                    <p class="text-muted mb-2">${Search.highlight(`${doc.excerpt} ${doc.body}`, query, { length: 220 })}</p>
+                    <small class="text-muted">${dateFormat.format(new Date(doc.date))} · ${doc.tags.map(tag => Search.highlight(tag, query)).join(', ')}</small>
+                </article>
+            </li>`;
     }
     
     // =====================================================
     // LOAD MORE FUNCTIONALITY
     // =====================================================
     
+    // The blog and portfolio indexes render their first page of cards; the
+    // rest come from JSON fragments (<list>/page/<n>.json) described by the
+    // .load-more-data script next to the button: the fragment URL, the page
+    // size and the slug and filter values of every item, so a filtered list
+    // only loads cards it shows. Both are generated by scripts/build-*.mjs.
+    // The URL keeps the number of pages loaded, e.g. /portfolio/?page=2
+    const LOAD_MORE_LISTS = {
+        portfolio: { button: '.load-more-btn', list: '.portfolio-items', loaded: 'portfolio.load-more.loaded' },
+        blog: { button: '.load-more-posts', list: '.blog-posts .blog-items', loaded: 'blog.load-more.loaded' }
+    };
+    const loadMoreLists = {};
+    
     function initLoadMore() {
-        const loadMoreBtns = $('.load-more-btn, .load-more-posts');
+        Object.keys(LOAD_MORE_LISTS).forEach(name => {
+            const options = LOAD_MORE_LISTS[name];
+            const button = document.querySelector(options.button);
+            const list = document.querySelector(options.list);
+            const data = button && button.parentElement.querySelector('.load-more-data');
+            
+            if (!button || !list || !data) return;
+            
+            const more = createLoadMore(button, list, JSON.parse(data.textContent), options.loaded);
+            button.addEventListener('click', e => {
+                e.preventDefault();
+                more.loadPage();
+            });
+            loadMoreLists[name] = more;
+        });
+    }
+    
+    /**
+     * "Load more" for a list of cards: `setFilter()` restricts it to the
+     * items the page's filter shows, `update()` hides the button once all
+     * of them are shown and `restore(page)` loads the pages of a URL.
+     */
+    function createLoadMore(button, list, data, loadedMessage) {
+        const fragments = {};
+        let matches = () => true;
+        let pages = 1;
         
-        addEventListeners(loadMoreBtns, 'click', function(e) {
-            e.preventDefault();
+        const cardOf = item => list.querySelector(`[data-slug="${item.slug}"]`);
+        const matching = () => data.items.filter(item => matches(item));
+        
+        function fetchFragment(page) {
+            const url = data.url.replace('{page}', page);
+            if (!fragments[url]) {
+                fragments[url] = fetch(url)
+                    .then(response => {
+                        if (!response.ok) throw new Error(`HTTP ${response.status}`);
+                        return response.json();
+                    })
+                    .catch(error => {
+                        delete fragments[url];
+                        throw error;
+                    });
+            }
+            return fragments[url];
+        }
+        
+        /** Insert a card where it belongs in the list: before the next item shown */
+        function insertCard(item, html) {
+            const template = document.createElement('template');
+            template.innerHTML = html;
+            const card = template.content.querySelector('[data-slug]');
+            const next = data.items.slice(data.items.indexOf(item) + 1).map(cardOf).find(Boolean);
             
-            const btn = this;
-            const originalText = btn.textContent;
+            list.insertBefore(card, next || null);
+            animateElement(card, 'fade-in');
+            return card;
+        }
+        
+        /** Add the next `count` matching items, fetching the fragments they are in */
+        function showMore(count) {
+            const wanted = matching().filter(item => !cardOf(item)).slice(0, count);
+            const numbers = new Set(wanted.map(item => Math.floor(data.items.indexOf(item) / data.perPage) + 1));
             
-            // Show loading state
-            btn.textContent = currentLang === 'el' ? 'Φόρτωση...' : 'Loading...';
-            btn.disabled = true;
+            return Promise.all(Array.from(numbers, fetchFragment)).then(loaded => {
+                const html = {};
+                loaded.forEach(fragment => fragment.items.forEach(entry => { html[entry.slug] = entry.html; }));
+                return wanted.filter(item => html[item.slug] && !cardOf(item)).map(item => insertCard(item, html[item.slug]));
+            });
+        }
+        
+        function setLoading(loading) {
+            button.disabled = loading;
+            if (loading) {
+                idleButtonContent.set(button, Array.from(button.childNodes));
+                
+                const spinner = document.createElement('span');
+                spinner.className = 'spinner-border spinner-border-sm me-2';
+                spinner.setAttribute('aria-hidden', 'true');
+                button.replaceChildren(spinner, t('load-more.loading'));
+            } else if (idleButtonContent.has(button)) {
+                button.replaceChildren(...idleButtonContent.get(button));
+                idleButtonContent.delete(button);
+            }
+        }
+        
+        function update() {
+            button.hidden = matching().every(cardOf);
+            replaceQuery({ page: pages > 1 ? pages : null });
+        }
+        
+        /** The button: load a page, focus its first card and announce it */
+        function loadPage() {
+            setLoading(true);
             
-            // Simulate loading more content
-            setTimeout(() => {
-                btn.textContent = originalText;
-                btn.disabled = false;
+            return Promise.all([showMore(data.perPage), loadCatalog(currentLang)])
+                .then(([cards]) => {
+                    setLoading(false);
+                    pages++;
+                    update();
+                    
+                    const heading = cards.length && cards[0].querySelector('h3');
+                    if (heading) {
+                        heading.tabIndex = -1;
+                        heading.focus();
+                    }
+                    announceToScreenReader(t(loadedMessage, {
+                        count: cards.length,
+                        shown: matching().filter(cardOf).length,
+                        total: matching().length
+                    }));
+                })
+                .catch(error => {
+                    console.error('Load more failed:', error);
+                    setLoading(false);
+                    announceToScreenReader(t('load-more.error'));
+                });
+        }
+        
+        const more = {
+            items: data.items,
+            restored: Promise.resolve(),
+            update,
+            loadPage,
+            setFilter(filter) {
+                matches = filter;
+            },
+            restore(page) {
+                const count = Math.max(0, (parseInt(page, 10) || 1) - 1);
+                if (count === 0) return more.restored;
                 
-                // In a real implementation, you would load more content here
-                console.log('Load more functionality would be implemented here');
-            }, 1000);
+                pages += count;
+                more.restored = showMore(count * data.perPage)
+                    .catch(error => console.error('Load more failed:', error))
+                    .then(update);
+                return more.restored;
+            }
+        };
+        
+        button.hidden = matching().every(cardOf);
+        return more;
+    }
+    
+    /**
+     * Cards loaded after the page itself are gone when the browser restores
+     * the scroll position on back/forward, so lists with "Load more" keep it
+     * in the history entry and restore it once their pages are back.
+     */
+    function initLoadMoreScroll() {
+        const lists = Object.keys(loadMoreLists).map(name => loadMoreLists[name]);
+        if (lists.length === 0 || !('scrollRestoration' in window.history)) return;
+        
+        window.history.scrollRestoration = 'manual';
+        const state = window.history.state;
+        
+        Promise.all(lists.map(more => more.restored)).then(() => {
+            if (state && typeof state.scrollY === 'number') window.scrollTo(0, state.scrollY);
         });
+        
+        window.addEventListener('scroll', debounce(() => {
+            window.history.replaceState({ ...window.history.state, scrollY: window.scrollY }, '');
+        }, 200), { passive: true });
     }
     
     // =====================================================
@@ -687,16 +1556,24 @@
     // ANALYTICS TRACKING
     // =====================================================
     
+    /**
+     * Send a gtag event; dropped unless the visitor has given analytics
+     * consent (see consent.js)
+     */
+    function trackEvent(eventName, params) {
+        if (window.DigiLimaConsent) {
+            window.DigiLimaConsent.track(eventName, params);
+        }
+    }
+    
     function initAnalyticsTracking() {
         // Track form submissions
         const forms = document.querySelectorAll('form');
         forms.forEach(form => {
             form.addEventListener('submit', (e) => {
-                if (typeof gtag !== 'undefined') {
-                    gtag('event', 'form_submit', {
-                        'form_name': form.className || 'unknown_form'
-                    });
-                }
+                trackEvent('form_submit', {
+                    'form_name': form.className || 'unknown_form'
+                });
             });
         });
         
@@ -704,22 +1581,18 @@
         const ctaButtons = document.querySelectorAll('.btn-primary');
         ctaButtons.forEach(btn => {
             btn.addEventListener('click', (e) => {
-                if (typeof gtag !== 'undefined') {
-                    gtag('event', 'cta_click', {
-                        'button_text': btn.textContent.trim()
-                    });
-                }
+                trackEvent('cta_click', {
+                    'button_text': btn.textContent.trim()
+                });
             });
         });
         
         // Track language switches
         const langToggles = $('.lang-toggle');
         addEventListeners(langToggles, 'click', function() {
-            if (typeof gtag !== 'undefined') {
-                gtag('event', 'language_switch', {
-                    'language': this.getAttribute('data-lang')
-                });
-            }
+            trackEvent('language_switch', {
+                'language': this.getAttribute('data-lang')
+            });
         });
     }
     
@@ -822,14 +1695,17 @@
         }
         
         // Initialize all functionality
-        initLanguageFromURL();
+        initLanguage();
         initLanguageSwitcher();
         initContactForm();
+        initBookingPicker();
         initNewsletterForm();
+        initDataRequestForm();
+        initLoadMore();
         initPortfolioFilter();
-        initBlogFilter();
         initBlogSearch();
-        initLoadMore();
+        initBlogFilter();
+        initLoadMoreScroll();
         initSmoothScrolling();
         initNavbarScrollEffect();
         initCustomCarousels();
@@ -0,0 +1,271 @@
+/**
+ * DigiLima.com - Search
+ * Full-text search over an index built ahead of time, shared by the Node
+ * build (scripts/build-search.mjs writes assets/search/blog.<lang>.json) and
+ * the browser (main.js loads the index on first use).
+ *
+ * Matching ignores case, accents and diacritics ("ταχυτητα" finds
+ * "Ταχύτητα", "cafe" finds "café"). Every word of a query must match, either
+ * a whole word or the start of one. Results are ranked with BM25, with
+ * matches in the title and tags counting more than matches in the body.
+ */
+
+(function(root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory();
+    } else {
+        root.DigiLimaSearch = factory();
+    }
+})(typeof self !== 'undefined' ? self : this, function() {
+    'use strict';
+
+    const INDEX_VERSION = 1;
+
+    // Indexed fields and the weight of a word in each
+    const FIELD_WEIGHTS = { title: 5, tags: 3, excerpt: 2, body: 1 };
+
+    // BM25 term frequency saturation and length normalization
+    const K1 = 1.2;
+    const B = 0.75;
+
+    // Score of a word matched by its start, relative to a whole word
+    const PREFIX_WEIGHT = 0.5;
+
+    const COMBINING_MARKS = /[\u0300-\u036f]/g;
+    const WORD_PATTERN = /[\p{L}\p{N}]+/gu;
+
+    const HTML_ESCAPES = { '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' };
+
+    function escapeHtml(value) {
+        return String(value).replace(/[&<>"']/g, char => HTML_ESCAPES[char]);
+    }
+
+    // =====================================================
+    // NORMALIZATION
+    // =====================================================
+
+    /**
+     * Lowercase text without accents or diacritics; final sigma becomes σ
+     * @example normalize('Ταχύτητα Ιστοσελίδας') // 'ταχυτητα ιστοσελιδασ'
+     */
+    function normalize(text) {
+        return String(text).normalize('NFD').replace(COMBINING_MARKS, '').toLowerCase().replace(/ς/g, 'σ');
+    }
+
+    /**
+     * Normalized words of a text
+     */
+    function tokenize(text) {
+        return normalize(text).match(WORD_PATTERN) || [];
+    }
+
+    /**
+     * Normalize character by character, remembering where each normalized
+     * character came from, so matches can be marked in the original text
+     */
+    function normalizeWithOffsets(text) {
+        let normalized = '';
+        const offsets = [];
+
+        for (let i = 0; i < text.length;) {
+            const char = String.fromCodePoint(text.codePointAt(i));
+            const folded = normalize(char);
+            for (let j = 0; j < folded.length; j++) offsets.push(i);
+            normalized += folded;
+            i += char.length;
+        }
+        offsets.push(text.length);
+
+        return { normalized, offsets };
+    }
+
+    // =====================================================
+    // INDEX
+    // =====================================================
+
+    /**
+     * Build an index of documents. Each document's fields in FIELD_WEIGHTS
+     * are indexed (arrays are joined); the documents themselves are stored
+     * as given and returned by search().
+     *
+     * {
+     *   version, length (average weighted words per document),
+     *   docs: [document],
+     *   terms: [word],                      sorted, for prefix lookups
+     *   postings: [[doc, weight, ...]]      per term, flattened pairs
+     *   lengths: [weighted words]           per document
+     * }
+     */
+    function createIndex(docs) {
+        const termDocs = new Map();
+        const lengths = [];
+
+        docs.forEach((doc, docIndex) => {
+            const weights = new Map();
+            let length = 0;
+
+            Object.keys(FIELD_WEIGHTS).forEach(field => {
+                const value = Array.isArray(doc[field]) ? doc[field].join(' ') : doc[field];
+                if (!value) return;
+
+                tokenize(value).forEach(word => {
+                    weights.set(word, (weights.get(word) || 0) + FIELD_WEIGHTS[field]);
+                    length += FIELD_WEIGHTS[field];
+                });
+            });
+
+            weights.forEach((weight, word) => {
+                if (!termDocs.has(word)) termDocs.set(word, []);
+                termDocs.get(word).push(docIndex, weight);
+            });
+            lengths.push(length);
+        });
+
+        const terms = Array.from(termDocs.keys()).sort();
+        const total = lengths.reduce((sum, length) => sum + length, 0);
+
+        return {
+            version: INDEX_VERSION,
+            length: docs.length ? total / docs.length : 0,
+            docs,
+            terms,
+            postings: terms.map(term => termDocs.get(term)),
+            lengths
+        };
+    }
+
+    /**
+     * Position of the first term >= word (binary search)
+     */
+    function firstTerm(terms, word) {
+        let low = 0;
+        let high = terms.length;
+        while (low < high) {
+            const middle = (low + high) >> 1;
+            if (terms[middle] < word) low = middle + 1;
+            else high = middle;
+        }
+        return low;
+    }
+
+    /**
+     * Documents matching one query word, with their score
+     */
+    function scoreWord(index, word) {
+        const scores = new Map();
+        const count = index.docs.length;
+
+        for (let i = firstTerm(index.terms, word); i < index.terms.length && index.terms[i].startsWith(word); i++) {
+            const postings = index.postings[i];
+            const frequency = postings.length / 2;
+            const idf = Math.log(1 + (count - frequency + 0.5) / (frequency + 0.5));
+            const factor = index.terms[i] === word ? 1 : PREFIX_WEIGHT;
+
+            for (let p = 0; p < postings.length; p += 2) {
+                const doc = postings[p];
+                const weight = postings[p + 1];
+                const norm = K1 * (1 - B + B * index.lengths[doc] / (index.length || 1));
+                const score = factor * idf * (weight * (K1 + 1)) / (weight + norm);
+                scores.set(doc, Math.max(scores.get(doc) || 0, score));
+            }
+        }
+
+        return scores;
+    }
+
+    /**
+     * Documents matching every word of the query, best first (newest
+     * first on equal scores)
+     * @returns {Array<{doc: Object, score: number}>}
+     */
+    function search(index, query, options) {
+        const limit = (options && options.limit) || Infinity;
+        const words = Array.from(new Set(tokenize(query)));
+        if (!index || index.version !== INDEX_VERSION || words.length === 0) return [];
+
+        let scores = null;
+        words.forEach(word => {
+            const wordScores = scoreWord(index, word);
+            if (scores === null) {
+                scores = wordScores;
+                return;
+            }
+            const combined = new Map();
+            scores.forEach((score, doc) => {
+                if (wordScores.has(doc)) combined.set(doc, score + wordScores.get(doc));
+            });
+            scores = combined;
+        });
+
+        return Array.from(scores, ([doc, score]) => ({ doc: index.docs[doc], score }))
+            .sort((a, b) => b.score - a.score || String(b.doc.date || '').localeCompare(String(a.doc.date || '')))
+            .slice(0, limit);
+    }
+
+    // =====================================================
+    // HIGHLIGHTING
+    // =====================================================
+
+    /**
+     * Escaped HTML of a text with the words matching the query in <mark>.
+     * With options.length, only the passage of about that many characters
+     * with the most matches is kept (a snippet), cut at word boundaries.
+     */
+    function highlight(text, query, options) {
+        const length = (options && options.length) || Infinity;
+        const source = String(text || '');
+        const words = tokenize(query);
+        const { normalized, offsets } = normalizeWithOffsets(source);
+        const matches = [];
+
+        for (const match of normalized.matchAll(WORD_PATTERN)) {
+            const word = words.filter(w => match[0].startsWith(w))
+                .reduce((longest, w) => (w.length > longest.length ? w : longest), '');
+            if (word) matches.push([offsets[match.index], offsets[match.index + word.length]]);
+        }
+
+        let start = 0;
+        let end = source.length;
+
+        if (source.length > length) {
+            // The run of matches that fits the most into one snippet,
+            // unless the start of the text already shows all of it
+            let best = null;
+            matches.forEach(([from], i) => {
+                const run = matches.slice(i).filter(([, to]) => to <= from + length);
+                if (!best || run.length > best.length) best = run;
+            });
+
+            if (best && best[best.length - 1][1] > length) {
+                const first = best[0][0];
+                start = Math.max(0, first - Math.floor(length / 4));
+                const space = source.indexOf(' ', start);
+                if (start > 0 && space !== -1 && space < first) start = space + 1;
+            }
+            end = Math.min(source.length, start + length);
+            const space = source.lastIndexOf(' ', end);
+            if (end < source.length && space > start) end = space;
+        }
+
+        let html = start > 0 ? '… ' : '';
+        let position = start;
+        matches.forEach(([from, to]) => {
+            if (from < start || to > end) return;
+            html += `${escapeHtml(source.slice(position, from))}<mark>${escapeHtml(source.slice(from, to))}</mark>`;
+            position = to;
+        });
+        html += escapeHtml(source.slice(position, end));
+
+        return end < source.length ? `${html.replace(/[\s.,;:!?]+$/, '')} …` : html;
+    }
+
+    return {
+        INDEX_VERSION,
+        FIELD_WEIGHTS,
+        normalize,
+        tokenize,
+        createIndex,
+        search,
+        highlight
+    };
+});
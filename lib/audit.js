@@ -0,0 +1,45 @@
+// Audit log for personal data handling (data subject requests, retention
+// purges). Entries outlive the data they describe, so the person is only
+// referenced by a keyed hash of their email address. Like the consent IP
+// hash (lib/consent.js), it is an HMAC with the signing secret: a plain
+// hash of a known email or an IPv4 address is easily brute-forced back.
+//
+// {
+//   id: 'aud_<uuid>',
+//   at: ISO timestamp,
+//   action: 'data_request.requested' | 'data_request.exported' | 'data_request.erased' | 'retention.purged',
+//   actor: 'data_subject' | 'system',
+//   subject: HMAC-SHA256 of the lowercased email, or null,
+//   ip: HMAC-SHA256 of the client IP, or null,
+//   details: { ...counts, request type, ... }
+// }
+
+import { createHmac, randomUUID } from 'crypto';
+import { getSigningSecret } from './signing.js';
+
+export function hashIdentifier(value, secret) {
+  if (!value) return null;
+  return createHmac('sha256', secret).update(String(value).trim().toLowerCase()).digest('hex');
+}
+
+export function createAuditLog(store, { secret = getSigningSecret(), now = Date.now } = {}) {
+  const entries = store.collection('audit');
+
+  return {
+    record(action, { actor = 'system', email, ip, details = {} } = {}) {
+      return entries.insert({
+        id: `aud_${randomUUID()}`,
+        at: new Date(now()).toISOString(),
+        action,
+        actor,
+        subject: hashIdentifier(email, secret),
+        ip: hashIdentifier(ip, secret),
+        details
+      });
+    },
+
+    find(query) {
+      return entries.find(query);
+    }
+  };
+}
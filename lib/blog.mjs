@@ -0,0 +1,176 @@
+// Blog posts: Markdown files in content/blog/, one per post and language,
+// named <slug>.<lang>.md. Translations of a post share its slug.
+//
+// ---
+// title: Why Your Website Speed Matters
+// date: 2024-12-10
+// lang: en
+// categories: [web-development, business-tips]
+// tags: [website-speed, seo]
+// excerpt: One or two sentences for cards, feeds and search results.
+// cover: /assets/img/blog-website-speed.jpg
+// coverAlt: Website speed optimization
+// featured: true                      (optional)
+// ---
+//
+// The Markdown body follows the front matter.
+
+import { readFileSync, readdirSync } from 'fs';
+import { join } from 'path';
+import I18N from '../assets 2/js/i18n.js';
+
+const FRONT_MATTER = /^---\r?\n([\s\S]*?)\r?\n---\r?\n?/;
+const REQUIRED = ['title', 'date', 'lang', 'categories', 'tags', 'excerpt', 'cover', 'coverAlt'];
+const SLUG = /^[a-z0-9]+(?:-[a-z0-9]+)*$/;
+
+const WORDS_PER_MINUTE = 200;
+
+// One front matter value: "quoted", [a, list], true/false or plain text
+function parseValue(raw) {
+  const value = raw.trim();
+  if (value.startsWith('"')) return JSON.parse(value);
+  if (value.startsWith('[') && value.endsWith(']')) {
+    return value.slice(1, -1).split(',').map(item => parseValue(item)).filter(item => item !== '');
+  }
+  if (value === 'true' || value === 'false') return value === 'true';
+  return value;
+}
+
+// Split a post into its front matter fields and Markdown body. Front matter
+// is a flat list of `key: value` lines.
+export function parseFrontMatter(source) {
+  const match = FRONT_MATTER.exec(source);
+  if (!match) return { data: {}, body: source };
+
+  const data = {};
+  for (const line of match[1].split(/\r?\n/)) {
+    if (!line.trim() || line.trim().startsWith('#')) continue;
+    const separator = line.indexOf(':');
+    if (separator === -1) throw new Error(`Invalid front matter line "${line}"`);
+    data[line.slice(0, separator).trim()] = parseValue(line.slice(separator + 1));
+  }
+  return { data, body: source.slice(match[0].length) };
+}
+
+// Plain text of a Markdown body, for search and summaries
+export function markdownToText(markdown) {
+  return markdown
+    .replace(/^```.*$/gm, '')
+    .replace(/!\[([^\]]*)\]\([^)]*\)/g, '$1')
+    .replace(/\[([^\]]+)\]\([^)]*\)/g, '$1')
+    .replace(/<[^>]+>/g, '')
+    .replace(/^\s{0,3}(?:#{1,6}|>|[-*+]|\d+\.)\s+/gm, '')
+    .replace(/(\*\*|__|\*|_|`)(.+?)\1/g, '$2')
+    .replace(/\s+/g, ' ')
+    .trim();
+}
+
+// Minutes it takes to read a Markdown body
+export function readingTime(markdown) {
+  const words = markdownToText(markdown).split(' ').filter(Boolean).length;
+  return Math.max(1, Math.ceil(words / WORDS_PER_MINUTE));
+}
+
+// =====================================================
+// MARKDOWN
+// =====================================================
+
+// Anchor of a heading: its words, lowercase and without accents
+export function headingId(heading) {
+  return heading.normalize('NFD').replace(/[\u0300-\u036f]/g, '').toLowerCase()
+    .replace(/[^\p{L}\p{N}]+/gu, '-').replace(/^-|-$/g, '');
+}
+
+// Inline Markdown: `code`, ![images](src), [links](href), **strong**, *em*
+function renderInline(markdown) {
+  return markdown.split(/(`[^`]+`)/).map((part, index) => {
+    if (index % 2 === 1) return `<code>${I18N.escapeHtml(part.slice(1, -1))}</code>`;
+    return I18N.escapeHtml(part)
+      .replace(/!\[([^\]]*)\]\(([^)\s]+)\)/g, '<img src="$2" alt="$1" class="img-fluid rounded" loading="lazy">')
+      .replace(/\[([^\]]+)\]\(([^)\s]+)\)/g, '<a href="$2">$1</a>')
+      .replace(/(\*\*|__)(?=\S)(.+?)\1/g, '<strong>$2</strong>')
+      .replace(/(^|[^\p{L}\p{N}*_])(\*|_)(?=\S)(.+?)\2(?![\p{L}\p{N}])/gu, '$1<em>$3</em>');
+  }).join('');
+}
+
+const BLOCK_START = /^(?:#{1,6}\s|>|```|[-*+]\s|\d+\.\s|(?:-{3,}|\*{3,})\s*$)/;
+
+/**
+ * HTML of a Markdown body: headings (with ids), paragraphs, lists,
+ * blockquotes, fenced code, rules and the inline markup of renderInline().
+ * Raw HTML isn't supported: it's escaped like any other text.
+ */
+export function renderMarkdown(markdown) {
+  const lines = markdown.replace(/\r\n?/g, '\n').split('\n');
+  const blocks = [];
+
+  for (let i = 0; i < lines.length;) {
+    const line = lines[i];
+
+    if (!line.trim()) {
+      i++;
+    } else if (line.startsWith('```')) {
+      const code = [];
+      for (i++; i < lines.length && !lines[i].startsWith('```'); i++) code.push(lines[i]);
+      i++;
+      blocks.push(`<pre><code>${I18N.escapeHtml(code.join('\n'))}</code></pre>`);
+    } else if (/^#{1,6}\s/.test(line)) {
+      const [, hashes, heading] = /^(#{1,6})\s+(.*?)\s*#*$/.exec(line);
+      blocks.push(`<h${hashes.length} id="${headingId(heading)}">${renderInline(heading)}</h${hashes.length}>`);
+      i++;
+    } else if (/^(?:-{3,}|\*{3,})\s*$/.test(line)) {
+      blocks.push('<hr>');
+      i++;
+    } else if (line.startsWith('>')) {
+      const quote = [];
+      for (; i < lines.length && lines[i].startsWith('>'); i++) quote.push(lines[i].replace(/^>\s?/, ''));
+      blocks.push(`<blockquote>\n${renderMarkdown(quote.join('\n'))}\n</blockquote>`);
+    } else if (/^(?:[-*+]|\d+\.)\s/.test(line)) {
+      const ordered = /^\d/.test(line);
+      const marker = ordered ? /^\d+\.\s+/ : /^[-*+]\s+/;
+      const items = [];
+      for (; i < lines.length && (marker.test(lines[i]) || (/^\s+\S/.test(lines[i]) && items.length)); i++) {
+        if (marker.test(lines[i])) items.push(lines[i].replace(marker, ''));
+        else items[items.length - 1] += ` ${lines[i].trim()}`;
+      }
+      const start = ordered ? parseInt(line, 10) : 1;
+      const tag = ordered ? `ol${start !== 1 ? ` start="${start}"` : ''}` : 'ul';
+      blocks.push(`<${tag}>\n${items.map(item => `  <li>${renderInline(item)}</li>`).join('\n')}\n</${ordered ? 'ol' : 'ul'}>`);
+    } else {
+      const paragraph = [];
+      for (; i < lines.length && lines[i].trim() && (!paragraph.length || !BLOCK_START.test(lines[i])); i++) {
+        paragraph.push(lines[i].trim());
+      }
+      blocks.push(`<p>${renderInline(paragraph.join(' '))}</p>`);
+    }
+  }
+
+  return blocks.join('\n');
+}
+
+function validate(post, file) {
+  const missing = REQUIRED.filter(field => post[field] === undefined || post[field] === '');
+  if (missing.length > 0) throw new Error(`${file}: missing ${missing.join(', ')}`);
+  if (!/^\d{4}-\d{2}-\d{2}$/.test(post.date)) throw new Error(`${file}: date must be YYYY-MM-DD`);
+  if (!I18N.LANGUAGES.includes(post.lang)) throw new Error(`${file}: unknown lang "${post.lang}"`);
+  if (!file.endsWith(`.${post.lang}.md`)) throw new Error(`${file}: file name must end in .${post.lang}.md`);
+  if (!SLUG.test(post.slug)) throw new Error(`${file}: file name must be <slug>.<lang>.md`);
+  for (const field of ['categories', 'tags']) {
+    if (!Array.isArray(post[field]) || !post[field].every(value => SLUG.test(value))) {
+      throw new Error(`${file}: ${field} must be a list of slugs`);
+    }
+  }
+}
+
+// Every post in `dir`, newest first
+export function loadPosts(dir) {
+  return readdirSync(dir)
+    .filter(file => file.endsWith('.md'))
+    .map(file => {
+      const { data, body } = parseFrontMatter(readFileSync(join(dir, file), 'utf8'));
+      const post = { ...data, slug: file.replace(/\.[a-z]+\.md$/, ''), body };
+      validate(post, file);
+      return post;
+    })
+    .sort((a, b) => b.date.localeCompare(a.date) || a.slug.localeCompare(b.slug));
+}
@@ -0,0 +1,160 @@
+// Consultation call booking: the slots we offer and who may book them
+//
+// Slots are laid out on working hours in Europe/Athens (Cyprus keeps the
+// same clock), whatever the server's time zone, and offered from
+// MIN_NOTICE ahead up to HORIZON_DAYS ahead, minus what the calendar
+// already has booked (see lib/calendar). Times go over the wire as UTC
+// ISO timestamps; the page formats them for the visitor.
+//
+// Only someone who sent the contact form can book: its response carries a
+// signed booking token for the new lead (see api/contact.js, api/book.js).
+
+import { sign, verify } from './signing.js';
+
+const HOUR_MS = 60 * 60 * 1000;
+const DAY_MS = 24 * HOUR_MS;
+
+export const BOOKING_SETTINGS = {
+  timeZone: 'Europe/Athens',
+  // Monday to Friday (0 is Sunday), with a lunch break
+  workingDays: [1, 2, 3, 4, 5],
+  workingHours: [['10:00', '13:00'], ['14:00', '18:00']],
+  slotMinutes: 30,
+  minNoticeMs: 12 * HOUR_MS,
+  horizonDays: 14
+};
+
+export const BOOKING_TOKEN_TTL_MS = 14 * DAY_MS;
+
+export function bookingToken(lead, { secret, now = Date.now } = {}) {
+  return sign({ a: 'booking', l: lead.id, exp: now() + BOOKING_TOKEN_TTL_MS }, secret);
+}
+
+// Returns the lead id for a valid, unexpired booking token, else null
+export function readBookingToken(token, { secret, now = Date.now } = {}) {
+  const payload = verify(token, secret);
+  if (!payload || payload.a !== 'booking' || !payload.l) return null;
+  if (!payload.exp || payload.exp < now()) return null;
+  return payload.l;
+}
+
+// Wall-clock date and time of an instant in a time zone
+function zonedParts(date, timeZone) {
+  const parts = new Intl.DateTimeFormat('en-US', {
+    timeZone,
+    hourCycle: 'h23',
+    year: 'numeric',
+    month: 'numeric',
+    day: 'numeric',
+    hour: 'numeric',
+    minute: 'numeric',
+    second: 'numeric'
+  }).formatToParts(date);
+  const value = type => Number(parts.find(part => part.type === type).value);
+
+  return {
+    year: value('year'),
+    month: value('month'),
+    day: value('day'),
+    hour: value('hour'),
+    minute: value('minute'),
+    second: value('second')
+  };
+}
+
+// Instant at which a time zone's clock shows the given date and time. The
+// offset is measured at a first guess and again at the result, which
+// settles the guesses that straddle a DST change.
+function zonedTime({ year, month, day, hour = 0, minute = 0 }, timeZone) {
+  const wall = Date.UTC(year, month - 1, day, hour, minute);
+  let time = wall;
+
+  for (let pass = 0; pass < 2; pass++) {
+    const parts = zonedParts(new Date(time), timeZone);
+    const shown = Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour, parts.minute, parts.second);
+    time = wall - (shown - time);
+  }
+
+  return new Date(time);
+}
+
+const pad = number => String(number).padStart(2, '0');
+const dateKey = ({ year, month, day }) => `${year}-${pad(month)}-${pad(day)}`;
+const minutesOf = time => {
+  const [hours, minutes] = time.split(':').map(Number);
+  return hours * 60 + minutes;
+};
+
+// Calendar date in the time zone, as YYYY-MM-DD
+export function localDate(date, settings = BOOKING_SETTINGS) {
+  return dateKey(zonedParts(new Date(date), settings.timeZone));
+}
+
+/**
+ * Free slots from the `from` date (YYYY-MM-DD in the booking time zone,
+ * default today) for `days` days, within the booking horizon:
+ * [{ start, end, date }] in chronological order.
+ */
+export async function availableSlots({ calendar, from, days, now = new Date(), settings = BOOKING_SETTINGS }) {
+  const today = zonedParts(now, settings.timeZone);
+  const firstDay = Date.UTC(today.year, today.month - 1, today.day);
+  const lastDay = firstDay + (settings.horizonDays - 1) * DAY_MS;
+  const fromDay = /^\d{4}-\d{2}-\d{2}$/.test(from || '') ? Date.parse(`${from}T00:00:00Z`) : firstDay;
+  const earliest = now.getTime() + settings.minNoticeMs;
+
+  const start = Math.max(fromDay, firstDay);
+  const end = Math.min(start + ((days || settings.horizonDays) - 1) * DAY_MS, lastDay);
+
+  const candidates = [];
+  for (let day = start; day <= end; day += DAY_MS) {
+    const date = new Date(day);
+    if (!settings.workingDays.includes(date.getUTCDay())) continue;
+
+    const parts = { year: date.getUTCFullYear(), month: date.getUTCMonth() + 1, day: date.getUTCDate() };
+    for (const [open, close] of settings.workingHours) {
+      for (let minute = minutesOf(open); minute + settings.slotMinutes <= minutesOf(close); minute += settings.slotMinutes) {
+        const slotStart = zonedTime({ ...parts, hour: Math.floor(minute / 60), minute: minute % 60 }, settings.timeZone);
+        if (slotStart.getTime() < earliest) continue;
+
+        candidates.push({
+          start: slotStart,
+          end: new Date(slotStart.getTime() + settings.slotMinutes * 60 * 1000),
+          date: dateKey(parts)
+        });
+      }
+    }
+  }
+
+  if (candidates.length === 0) return [];
+
+  const busy = await calendar.busy(candidates[0].start, candidates[candidates.length - 1].end);
+  const overlaps = slot => busy.some(booking => (
+    Date.parse(booking.start) < slot.end.getTime() && Date.parse(booking.end) > slot.start.getTime()
+  ));
+
+  return candidates
+    .filter(slot => !overlaps(slot))
+    .map(slot => ({ start: slot.start.toISOString(), end: slot.end.toISOString(), date: slot.date }));
+}
+
+// The free slot starting at `start`, or null when it isn't one we offer
+export async function findSlot(start, { calendar, now = new Date(), settings = BOOKING_SETTINGS }) {
+  const time = Date.parse(start);
+  if (Number.isNaN(time)) return null;
+
+  const slots = await availableSlots({ calendar, from: localDate(time, settings), days: 1, now, settings });
+  return slots.find(slot => Date.parse(slot.start) === time) || null;
+}
+
+// Slot time for emails, in the booking time zone and the given language
+export function formatSlot(start, lang, settings = BOOKING_SETTINGS) {
+  return new Intl.DateTimeFormat(lang === 'el' ? 'el-GR' : 'en-GB', {
+    weekday: 'long',
+    day: 'numeric',
+    month: 'long',
+    year: 'numeric',
+    hour: '2-digit',
+    minute: '2-digit',
+    timeZone: settings.timeZone
+  }).format(new Date(start));
+}
@@ -0,0 +1,55 @@
+// iCalendar (RFC 5545) file for a single event, attached to the booking
+// emails so the call can be added to any calendar app.
+
+const escapeText = value => String(value)
+  .replace(/\\/g, '\\\\')
+  .replace(/\r?\n/g, '\\n')
+  .replace(/[;,]/g, match => `\\${match}`);
+
+// Parameter values (e.g. CN) can't be escaped, only quoted
+const paramValue = value => `"${String(value).replace(/["\r\n]/g, '')}"`;
+
+const utcTime = date => new Date(date).toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+
+// Content lines are folded after 75 octets onto lines starting with a space
+function fold(line) {
+  const lines = [];
+  let current = '';
+
+  for (const char of line) {
+    const limit = lines.length ? 74 : 75;
+    if (Buffer.byteLength(current + char) > limit) {
+      lines.push(current);
+      current = '';
+    }
+    current += char;
+  }
+  lines.push(current);
+
+  return lines.join('\r\n ');
+}
+
+export function createIcs({ uid, start, end, summary, description, location, organizer, attendee, now = new Date() }) {
+  const lines = [
+    'BEGIN:VCALENDAR',
+    'VERSION:2.0',
+    'PRODID:-//DigiLima//Consultations//EN',
+    'CALSCALE:GREGORIAN',
+    'METHOD:PUBLISH',
+    'BEGIN:VEVENT',
+    `UID:${uid}`,
+    `DTSTAMP:${utcTime(now)}`,
+    `DTSTART:${utcTime(start)}`,
+    `DTEND:${utcTime(end)}`,
+    `SUMMARY:${escapeText(summary)}`
+  ];
+
+  if (description) lines.push(`DESCRIPTION:${escapeText(description)}`);
+  if (location) lines.push(`LOCATION:${escapeText(location)}`);
+  if (organizer) lines.push(`ORGANIZER;CN=${paramValue(organizer.name)}:mailto:${organizer.email}`);
+  if (attendee) lines.push(`ATTENDEE;CN=${paramValue(attendee.name)};ROLE=REQ-PARTICIPANT:mailto:${attendee.email}`);
+
+  lines.push('STATUS:CONFIRMED', 'END:VEVENT', 'END:VCALENDAR');
+
+  return `${lines.map(fold).join('\r\n')}\r\n`;
+}
@@ -0,0 +1,35 @@
+// Calendar selection
+//
+// A calendar holds the consultation bookings and answers availability
+// queries, with the same async interface for every backend:
+//
+//   busy(from, to)     -> [{ start, end }] of bookings overlapping [from, to)
+//   reserve(booking)   -> booking, or null when its slot is already taken
+//   get(id)            -> booking | null
+//
+// Times are Date objects in, ISO timestamps out. CALENDAR picks the
+// backend: "local" (default), bookings in the document store (lib/store).
+
+import { getStore } from '../store/index.js';
+import { createLocalCalendar } from './local.js';
+
+export function createCalendar(env = process.env, { store = getStore() } = {}) {
+  const name = env.CALENDAR || 'local';
+
+  switch (name) {
+    case 'local':
+      return createLocalCalendar(store);
+    default:
+      throw new Error(`Unknown CALENDAR "${name}"`);
+  }
+}
+
+let defaultCalendar;
+
+// Calendar built from process.env, created on first use
+export function getCalendar() {
+  if (!defaultCalendar) {
+    defaultCalendar = createCalendar();
+  }
+  return defaultCalendar;
+}
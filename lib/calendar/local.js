@@ -0,0 +1,57 @@
+// Local calendar: bookings kept in the document store's "bookings"
+// collection. Slots sit on a fixed grid, so a booking's id is derived from
+// its start time and the store's duplicate-id check rejects a second
+// booking of the same slot, even when two requests race for it.
+//
+// {
+//   id: 'booking_<start in ms>',
+//   start, end: ISO timestamps,
+//   status: 'confirmed',
+//   leadId, name, email, lang,
+//   createdAt
+// }
+
+export function bookingId(start) {
+  return `booking_${new Date(start).getTime()}`;
+}
+
+export function createLocalCalendar(store) {
+  const bookings = store.collection('bookings');
+
+  return {
+    name: 'local',
+
+    async busy(from, to) {
+      const found = await bookings.find(booking => (
+        booking.status === 'confirmed' &&
+        Date.parse(booking.start) < to.getTime() &&
+        Date.parse(booking.end) > from.getTime()
+      ));
+      return found.map(({ start, end }) => ({ start, end }));
+    },
+
+    async reserve({ start, end, ...details }) {
+      const id = bookingId(start);
+      if (await bookings.get(id)) return null;
+
+      try {
+        return await bookings.insert({
+          id,
+          start: new Date(start).toISOString(),
+          end: new Date(end).toISOString(),
+          status: 'confirmed',
+          ...details,
+          createdAt: new Date().toISOString()
+        });
+      } catch (error) {
+        // Taken between the check and the insert
+        if (/^Duplicate id/.test(error.message)) return null;
+        throw error;
+      }
+    },
+
+    get(id) {
+      return bookings.get(id);
+    }
+  };
+}
@@ -0,0 +1,73 @@
+// Self-hosted bot challenge for public forms: a signed, timestamped token
+// plus a small proof-of-work. The client must find a counter such that
+// sha256("<nonce>:<counter>") starts with `difficulty` zero bits, and
+// submit it no sooner than MIN_AGE and no later than MAX_AGE after the
+// token was issued. Each token is accepted once.
+
+import { createHash, randomBytes } from 'crypto';
+import { sign, verify } from './signing.js';
+
+export const CHALLENGE_DEFAULTS = {
+  difficulty: 16,
+  minAgeMs: 3 * 1000,
+  maxAgeMs: 2 * 60 * 60 * 1000
+};
+
+export function issueChallenge({ secret, difficulty = CHALLENGE_DEFAULTS.difficulty, now = Date.now } = {}) {
+  const nonce = randomBytes(16).toString('hex');
+  const issuedAt = now();
+
+  return {
+    token: sign({ n: nonce, d: difficulty, t: issuedAt }, secret),
+    nonce,
+    difficulty,
+    issuedAt,
+    expiresAt: issuedAt + CHALLENGE_DEFAULTS.maxAgeMs
+  };
+}
+
+function leadingZeroBits(buffer) {
+  let bits = 0;
+  for (const byte of buffer) {
+    if (byte === 0) {
+      bits += 8;
+      continue;
+    }
+    bits += Math.clz32(byte) - 24;
+    break;
+  }
+  return bits;
+}
+
+export function isValidSolution(nonce, solution, difficulty) {
+  if (!/^\d{1,12}$/.test(String(solution))) return false;
+  const hash = createHash('sha256').update(`${nonce}:${solution}`).digest();
+  return leadingZeroBits(hash) >= difficulty;
+}
+
+// Returns null when the challenge passes, otherwise a reason code:
+// missing, invalid, too_fast, expired, bad_solution or replayed.
+export async function verifyChallenge(challenge, {
+  kv,
+  secret,
+  minAgeMs = CHALLENGE_DEFAULTS.minAgeMs,
+  maxAgeMs = CHALLENGE_DEFAULTS.maxAgeMs,
+  now = Date.now
+}) {
+  if (!challenge || typeof challenge !== 'object' || !challenge.token) return 'missing';
+
+  const payload = verify(challenge.token, secret);
+  if (!payload || !payload.n || !Number.isFinite(payload.t) || !Number.isFinite(payload.d)) {
+    return 'invalid';
+  }
+
+  const age = now() - payload.t;
+  if (age < minAgeMs) return 'too_fast';
+  if (age > maxAgeMs) return 'expired';
+
+  if (!isValidSolution(payload.n, challenge.solution, payload.d)) return 'bad_solution';
+
+  // Claim the nonce last, so a failed attempt doesn't burn the token
+  const fresh = await kv.set(`challenge:${payload.n}`, 1, { ttl: maxAgeMs, nx: true });
+  return fresh ? null : 'replayed';
+}
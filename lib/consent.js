@@ -0,0 +1,70 @@
+// Consent records for the contact forms
+//
+// Every version of the privacy policy is registered here with the exact
+// consent wording each form showed for it, per language. Forms send the
+// version they were rendered with (hidden policyVersion/consentWording
+// inputs); a submission is only accepted for the current version, and the
+// lead keeps a record of what was agreed to:
+//
+// {
+//   policyVersion: '2024-12-15',
+//   wording: 'contact-page',
+//   lang: 'en',
+//   text: 'I consent to being contacted ...',
+//   givenAt: ISO timestamp,
+//   ipHash: HMAC-SHA256 of the client IP (keyed, so it can't be brute-forced
+//           back from the small IPv4 space)
+// }
+//
+// When privacy.html changes: add a new version with its wordings, point
+// CURRENT_POLICY_VERSION at it and update the hidden inputs in the forms.
+
+import { createHmac } from 'crypto';
+
+export const POLICY_VERSIONS = {
+  '2024-12-15': {
+    url: '/privacy.html',
+    wordings: {
+      // contact.html
+      'contact-page': {
+        en: 'I consent to being contacted about this project and agree to the privacy policy. This information will be used solely for the purpose of providing you with a project proposal and will not be shared with third parties.',
+        el: 'Συναινώ να επικοινωνήσουν μαζί μου για αυτό το project και συμφωνώ με την πολιτική απορρήτου. Αυτές οι πληροφορίες θα χρησιμοποιηθούν αποκλειστικά για την παροχή προσφοράς και δεν θα μοιραστούν με τρίτους.'
+      },
+      // index.html quick quote form
+      'home-quote': {
+        en: 'I consent to being contacted about this project and agree to the privacy policy. (Required for GDPR compliance)',
+        el: 'Συναινώ να επικοινωνήσουν μαζί μου για αυτό το project και συμφωνώ με την πολιτική απορρήτου. (Απαιτείται για συμμόρφωση GDPR)'
+      }
+    }
+  }
+};
+
+export const CURRENT_POLICY_VERSION = '2024-12-15';
+
+// Returns null when the version and wording are current, otherwise
+// 'unknown_policy' or 'stale_policy'
+export function checkPolicy(policyVersion, wording) {
+  const policy = POLICY_VERSIONS[policyVersion];
+  if (!policy || !policy.wordings[wording]) return 'unknown_policy';
+  if (policyVersion !== CURRENT_POLICY_VERSION) return 'stale_policy';
+  return null;
+}
+
+export function hashIp(ip, secret) {
+  if (!ip) return null;
+  return createHmac('sha256', secret).update(ip).digest('hex');
+}
+
+// Build the record for an accepted consent; call checkPolicy() first
+export function createConsentRecord({ policyVersion, wording, lang = 'en', ip, secret, now = Date.now }) {
+  const texts = POLICY_VERSIONS[policyVersion].wordings[wording];
+
+  return {
+    policyVersion,
+    wording,
+    lang: texts[lang] ? lang : 'en',
+    text: texts[lang] || texts.en,
+    givenAt: new Date(now()).toISOString(),
+    ipHash: hashIp(ip, secret)
+  };
+}
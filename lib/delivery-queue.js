@@ -0,0 +1,82 @@
+// Outbound email queue. Every message is stored as its own delivery
+// record, attempted, and retried with exponential backoff until it is sent
+// or has failed maxAttempts times, at which point it is marked dead.
+//
+// {
+//   id: 'dlv_<uuid>',
+//   kind: 'notification' | 'autoReply' | ...,
+//   leadId,                      // optional reference to the owning record
+//   message: { from, to, subject, html, text, tags, ... },
+//   status: 'pending' | 'sent' | 'dead',
+//   attempts, nextAttemptAt, lockedUntil, lastError, sentId,
+//   createdAt, updatedAt
+// }
+//
+// The lease and backoff are shared with the webhook outbox
+// (lib/retry-queue.js). processDue() re-drives pending deliveries;
+// /api/cron/deliveries calls it.
+
+import { randomUUID } from 'crypto';
+import { createRetryQueue, RETRY_DEFAULTS } from './retry-queue.js';
+
+export { backoffDelay, RETRY_DEFAULTS } from './retry-queue.js';
+
+export function createDeliveryQueue({
+  store,
+  transport,
+  onUpdate = async () => {},
+  retry = RETRY_DEFAULTS,
+  now = Date.now
+}) {
+  const deliveries = store.collection('deliveries');
+  const retries = createRetryQueue(deliveries, { doneStatus: 'sent', retry, now });
+  const timestamp = () => new Date(now()).toISOString();
+
+  async function save(id, changes) {
+    const delivery = await deliveries.update(id, { ...changes, updatedAt: timestamp() });
+    await onUpdate(delivery);
+    return delivery;
+  }
+
+  async function attempt(id) {
+    const delivery = await retries.claim(id);
+    if (!delivery) return null;
+
+    const attempts = delivery.attempts + 1;
+
+    try {
+      const result = await transport.send(delivery.message);
+      return save(id, { ...retries.succeeded(attempts), sentId: result.id });
+    } catch (error) {
+      console.error(`Delivery ${id} (${delivery.kind}) attempt ${attempts} failed:`, error);
+
+      return save(id, retries.failed(attempts, error.message));
+    }
+  }
+
+  return {
+    async enqueue(message, { kind, leadId } = {}) {
+      const delivery = await deliveries.insert({
+        id: `dlv_${randomUUID()}`,
+        kind,
+        leadId,
+        message,
+        ...retries.initial(),
+        sentId: null,
+        createdAt: timestamp(),
+        updatedAt: timestamp()
+      });
+      await onUpdate(delivery);
+      return delivery;
+    },
+
+    // Try a delivery right away. Returns the updated record, or null when
+    // another worker holds it or it is no longer pending.
+    attempt,
+
+    // Attempt every pending delivery that is due, oldest first
+    processDue(options) {
+      return retries.processDue(attempt, options);
+    }
+  };
+}
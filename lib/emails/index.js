@@ -0,0 +1,42 @@
+// Email rendering: named templates with per-language variants
+//
+//   renderEmail('contact-auto-reply', 'el', data) -> { subject, html, text }
+//
+// Each template module exports { en: { subject, html, text }, el: ... };
+// a missing language falls back to English. HTML is rendered with
+// escaping, subject and text as plain text (see ./render.js).
+
+import { singleLine } from '../escape.js';
+import { renderTemplate } from './render.js';
+import bookingConfirmation from './templates/booking-confirmation.js';
+import bookingNotification from './templates/booking-notification.js';
+import contactAutoReply from './templates/contact-auto-reply.js';
+import contactNotification from './templates/contact-notification.js';
+import dataRequest from './templates/data-request.js';
+import newsletterConfirm from './templates/newsletter-confirm.js';
+
+const TEMPLATES = {
+  'booking-confirmation': bookingConfirmation,
+  'booking-notification': bookingNotification,
+  'contact-auto-reply': contactAutoReply,
+  'contact-notification': contactNotification,
+  'data-request': dataRequest,
+  'newsletter-confirm': newsletterConfirm
+};
+
+export const DEFAULT_LOCALE = 'en';
+
+export function renderEmail(name, locale, data) {
+  const template = TEMPLATES[name];
+  if (!template) {
+    throw new Error(`Unknown email template "${name}"`);
+  }
+
+  const variant = template[locale] || template[DEFAULT_LOCALE];
+
+  return {
+    subject: singleLine(renderTemplate(variant.subject, data, { escape: false })),
+    html: renderTemplate(variant.html, data),
+    text: renderTemplate(variant.text, data, { escape: false })
+  };
+}
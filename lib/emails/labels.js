@@ -0,0 +1,80 @@
+// Display labels for contact form values, per language. The option texts
+// mirror the <select> options in contact.html.
+
+const LABELS = {
+  en: {
+    projectType: {
+      'new-website': 'New Website',
+      'website-redesign': 'Website Redesign',
+      'web-application': 'Custom Web Application',
+      'shopify-store': 'Shopify Store',
+      'shopify-optimization': 'Shopify Optimization',
+      maintenance: 'Website Maintenance',
+      'seo-audit': 'SEO Audit',
+      'reputation-management': 'Reputation Management',
+      other: 'Other'
+    },
+    timeline: {
+      asap: 'ASAP (rush job)',
+      '1-month': 'Within 1 month',
+      '2-3-months': '2-3 months',
+      flexible: 'Flexible'
+    },
+    location: {
+      limassol: 'Limassol, Cyprus',
+      nicosia: 'Nicosia, Cyprus',
+      larnaca: 'Larnaca, Cyprus',
+      paphos: 'Paphos, Cyprus',
+      famagusta: 'Famagusta, Cyprus',
+      athens: 'Athens, Greece',
+      thessaloniki: 'Thessaloniki, Greece',
+      'other-greece': 'Other Greek city',
+      other: 'Other'
+    },
+    lang: {
+      en: 'English',
+      el: 'Greek'
+    }
+  },
+  el: {
+    projectType: {
+      'new-website': 'Νέα Ιστοσελίδα',
+      'website-redesign': 'Ανασχεδιασμός Ιστοσελίδας',
+      'web-application': 'Custom Web Εφαρμογή',
+      'shopify-store': 'Shopify Κατάστημα',
+      'shopify-optimization': 'Shopify Βελτιστοποίηση',
+      maintenance: 'Συντήρηση Ιστοσελίδας',
+      'seo-audit': 'SEO Audit',
+      'reputation-management': 'Διαχείριση Φήμης',
+      other: 'Άλλο'
+    },
+    timeline: {
+      asap: 'ASAP (επείγον)',
+      '1-month': 'Εντός 1 μήνα',
+      '2-3-months': '2-3 μήνες',
+      flexible: 'Ευέλικτο'
+    },
+    location: {
+      limassol: 'Λεμεσός, Κύπρος',
+      nicosia: 'Λευκωσία, Κύπρος',
+      larnaca: 'Λάρνακα, Κύπρος',
+      paphos: 'Πάφος, Κύπρος',
+      famagusta: 'Αμμόχωστος, Κύπρος',
+      athens: 'Αθήνα, Ελλάδα',
+      thessaloniki: 'Θεσσαλονίκη, Ελλάδα',
+      'other-greece': 'Άλλη ελληνική πόλη',
+      other: 'Άλλο'
+    },
+    lang: {
+      en: 'Αγγλικά',
+      el: 'Ελληνικά'
+    }
+  }
+};
+
+// Label for a value, falling back to English and then the raw value
+export function label(locale, group, value) {
+  if (!value) return '';
+  const localized = (LABELS[locale] || LABELS.en)[group] || {};
+  return localized[value] || LABELS.en[group][value] || value;
+}
@@ -0,0 +1,39 @@
+// Minimal logic-less template renderer for emails
+//
+//   {{ key }}            value, HTML-escaped (unless rendering plain text)
+//   {{{ key }}}          value inserted as-is (pre-escaped hrefs, markup)
+//   {{#key}}...{{/key}}  section shown when the value is truthy
+//   {{^key}}...{{/key}}  section shown when the value is falsy
+//
+// Keys may be dotted paths. Values are substituted in a single pass, so
+// user input containing {{ }} is never evaluated as a template.
+
+import { escapeHtml } from '../escape.js';
+
+const SECTION = /\{\{([#^])\s*([\w.]+)\s*\}\}([\s\S]*?)\{\{\/\s*\2\s*\}\}/g;
+const VARIABLE = /\{\{\{\s*([\w.]+)\s*\}\}\}|\{\{\s*([\w.]+)\s*\}\}/g;
+
+function lookup(data, path) {
+  return path.split('.').reduce((value, key) => (value == null ? undefined : value[key]), data);
+}
+
+export function renderTemplate(template, data, { escape = true } = {}) {
+  let output = template;
+  let previous;
+
+  // Resolve sections innermost-last until none are left
+  do {
+    previous = output;
+    output = output.replace(SECTION, (match, type, key, inner) => {
+      const value = lookup(data, key);
+      const truthy = Array.isArray(value) ? value.length > 0 : Boolean(value);
+      return truthy === (type === '#') ? inner : '';
+    });
+  } while (output !== previous);
+
+  return output.replace(VARIABLE, (match, rawKey, key) => {
+    const value = lookup(data, rawKey || key);
+    const text = value == null ? '' : String(value);
+    return rawKey || !escape ? text : escapeHtml(text);
+  });
+}
@@ -0,0 +1,143 @@
+// Confirmation of a booked consultation call, sent to the visitor in the
+// language they used on the site with the call as an .ics attachment.
+// Like the auto-reply, it only echoes the link-stripped name back.
+
+const STYLE = `
+        body { font-family: 'Segoe UI', Tahoma, Geneva, Verdana, sans-serif; line-height: 1.6; color: #333; margin: 0; padding: 0; }
+        .container { max-width: 600px; margin: 0 auto; padding: 20px; }
+        .header { background: linear-gradient(135deg, #2563EB 0%, #1D4ED8 100%); color: white; padding: 20px; text-align: center; }
+        .content { background: #f8f9fa; padding: 30px; }
+        .footer { background: #1f2937; color: white; padding: 20px; text-align: center; font-size: 14px; }
+        .booking-info { background: white; padding: 15px; border-radius: 6px; margin: 20px 0; border-left: 3px solid #2563EB; }`;
+
+export default {
+  en: {
+    subject: 'Your DigiLima consultation call: {{when}}',
+
+    html: `
+    <!DOCTYPE html>
+    <html lang="en">
+    <head>
+      <meta charset="UTF-8">
+      <meta name="viewport" content="width=device-width, initial-scale=1.0">
+      <title>Your consultation call is booked</title>
+      <style>${STYLE}
+      </style>
+    </head>
+    <body>
+      <div class="container">
+        <div class="header">
+          <h1>Your call is booked</h1>
+          <p>Free {{minutes}}-minute consultation</p>
+        </div>
+        
+        <div class="content">
+          <p>Hi {{name}},</p>
+          
+          <p>Thank you for booking a consultation call with DigiLima. Here are the details:</p>
+          
+          <div class="booking-info">
+            <p><strong>📅 {{when}}</strong> (Cyprus &amp; Greece time)</p>
+            <p>Before the call we'll email you a video call link, or we'll phone you if you gave us your number.</p>
+          </div>
+          
+          <p>The attached invitation (consultation.ics) adds the call to your calendar. If the time no longer suits you, simply reply to this email and we'll find another one.</p>
+          
+          <p>Talk soon,<br>
+          <strong>DigiLima Team</strong></p>
+        </div>
+        
+        <div class="footer">
+          <p>DigiLima - Lightning-fast websites for growing businesses</p>
+          <p>📍 Limassol, Cyprus | 🌐 <a href="https://digilima.com" style="color: white;">digilima.com</a></p>
+        </div>
+      </div>
+    </body>
+    </html>
+  `,
+
+    text: `
+Hi {{name}},
+
+Thank you for booking a consultation call with DigiLima. Here are the details:
+
+{{when}} (Cyprus & Greece time)
+
+Before the call we'll email you a video call link, or we'll phone you if you gave us your number.
+
+The attached invitation (consultation.ics) adds the call to your calendar. If the time no longer suits you, simply reply to this email and we'll find another one.
+
+Talk soon,
+DigiLima Team
+
+---
+DigiLima - Lightning-fast websites for growing businesses
+Limassol, Cyprus | https://digilima.com
+  `
+  },
+
+  el: {
+    subject: 'Η συνάντησή σας με την DigiLima: {{when}}',
+
+    html: `
+    <!DOCTYPE html>
+    <html lang="el">
+    <head>
+      <meta charset="UTF-8">
+      <meta name="viewport" content="width=device-width, initial-scale=1.0">
+      <title>Η κλήση σας κλείστηκε</title>
+      <style>${STYLE}
+      </style>
+    </head>
+    <body>
+      <div class="container">
+        <div class="header">
+          <h1>Η κλήση σας κλείστηκε</h1>
+          <p>Δωρεάν συμβουλευτική κλήση {{minutes}} λεπτών</p>
+        </div>
+        
+        <div class="content">
+          <p>Γεια σας {{name}},</p>
+          
+          <p>Ευχαριστούμε που κλείσατε συμβουλευτική κλήση με την DigiLima. Τα στοιχεία της:</p>
+          
+          <div class="booking-info">
+            <p><strong>📅 {{when}}</strong> (ώρα Κύπρου &amp; Ελλάδας)</p>
+            <p>Πριν από την κλήση θα σας στείλουμε με email σύνδεσμο για βιντεοκλήση, ή θα σας τηλεφωνήσουμε αν μας δώσατε τον αριθμό σας.</p>
+          </div>
+          
+          <p>Η συνημμένη πρόσκληση (consultation.ics) προσθέτει την κλήση στο ημερολόγιό σας. Αν η ώρα δεν σας εξυπηρετεί πλέον, απλώς απαντήστε σε αυτό το email και θα βρούμε άλλη.</p>
+          
+          <p>Τα λέμε σύντομα,<br>
+          <strong>Η ομάδα της DigiLima</strong></p>
+        </div>
+        
+        <div class="footer">
+          <p>DigiLima - Γρήγορες ιστοσελίδες για επιχειρήσεις που αναπτύσσονται</p>
+          <p>📍 Λεμεσός, Κύπρος | 🌐 <a href="https://digilima.com/el/" style="color: white;">digilima.com</a></p>
+        </div>
+      </div>
+    </body>
+    </html>
+  `,
+
+    text: `
+Γεια σας {{name}},
+
+Ευχαριστούμε που κλείσατε συμβουλευτική κλήση με την DigiLima. Τα στοιχεία της:
+
+{{when}} (ώρα Κύπρου & Ελλάδας)
+
+Πριν από την κλήση θα σας στείλουμε με email σύνδεσμο για βιντεοκλήση, ή θα σας τηλεφωνήσουμε αν μας δώσατε τον αριθμό σας.
+
+Η συνημμένη πρόσκληση (consultation.ics) προσθέτει την κλήση στο ημερολόγιό σας. Αν η ώρα δεν σας εξυπηρετεί πλέον, απλώς απαντήστε σε αυτό το email και θα βρούμε άλλη.
+
+Τα λέμε σύντομα,
+Η ομάδα της DigiLima
+
+---
+DigiLima - Γρήγορες ιστοσελίδες για επιχειρήσεις που αναπτύσσονται
+Λεμεσός, Κύπρος | https://digilima.com
+  `
+  }
+};
@@ -0,0 +1,84 @@
+// Internal notification of a booked consultation call, with the call as an
+// .ics attachment. Staff read these in English whatever language the
+// visitor used.
+
+export default {
+  en: {
+    subject: 'Consultation booked: {{name}} - {{when}}',
+
+    html: `
+    <!DOCTYPE html>
+    <html>
+    <head>
+      <meta charset="UTF-8">
+      <meta name="viewport" content="width=device-width, initial-scale=1.0">
+      <title>Consultation Call Booked - DigiLima</title>
+      <style>
+        body { font-family: 'Segoe UI', Tahoma, Geneva, Verdana, sans-serif; line-height: 1.6; color: #333; margin: 0; padding: 0; }
+        .container { max-width: 600px; margin: 0 auto; padding: 20px; }
+        .header { background: linear-gradient(135deg, #2563EB 0%, #1D4ED8 100%); color: white; padding: 20px; text-align: center; }
+        .content { background: #f8f9fa; padding: 30px; }
+        .field { margin-bottom: 20px; }
+        .field-label { font-weight: bold; color: #2563EB; display: block; margin-bottom: 5px; }
+        .field-value { background: white; padding: 10px; border-radius: 5px; border-left: 3px solid #2563EB; }
+        .footer { background: #1f2937; color: white; padding: 20px; text-align: center; font-size: 14px; }
+      </style>
+    </head>
+    <body>
+      <div class="container">
+        <div class="header">
+          <h1>📅 Consultation Call Booked</h1>
+          <p>{{when}} (Athens time, {{minutes}} minutes)</p>
+        </div>
+        
+        <div class="content">
+          <div class="field">
+            <label class="field-label">👤 Name</label>
+            <div class="field-value">{{name}}</div>
+          </div>
+          
+          <div class="field">
+            <label class="field-label">📧 Email</label>
+            <div class="field-value">{{#mailto}}<a href="{{{mailto}}}" style="color: #2563EB; text-decoration: none;">{{email}}</a>{{/mailto}}{{^mailto}}{{email}}{{/mailto}}</div>
+          </div>
+          
+          {{#phone}}
+          <div class="field">
+            <label class="field-label">📱 Phone</label>
+            <div class="field-value">{{#tel}}<a href="{{{tel}}}" style="color: #2563EB; text-decoration: none;">{{phone}}</a>{{/tel}}{{^tel}}{{phone}}{{/tel}}</div>
+          </div>
+          {{/phone}}
+          
+          <div class="field">
+            <label class="field-label">💼 Project Type</label>
+            <div class="field-value">{{projectType}}</div>
+          </div>
+          
+          <div class="field">
+            <label class="field-label">🌐 Language</label>
+            <div class="field-value">{{langLabel}}</div>
+          </div>
+        </div>
+        
+        <div class="footer">
+          <p>Lead {{leadId}} · booking {{bookingId}}</p>
+        </div>
+      </div>
+    </body>
+    </html>
+  `,
+
+    text: `
+CONSULTATION CALL BOOKED
+{{when}} (Athens time, {{minutes}} minutes)
+
+Name: {{name}}
+Email: {{email}}
+{{#phone}}Phone: {{phone}}
+{{/phone}}Project Type: {{projectType}}
+Language: {{langLabel}}
+
+Lead {{leadId}} · booking {{bookingId}}
+  `
+  }
+};
@@ -0,0 +1,203 @@
+// Auto-reply sent to the visitor in the language they used on the site.
+// Only the (link-stripped) name and the project type label are echoed back.
+
+const STYLE = `
+        body { font-family: 'Segoe UI', Tahoma, Geneva, Verdana, sans-serif; line-height: 1.6; color: #333; margin: 0; padding: 0; }
+        .container { max-width: 600px; margin: 0 auto; padding: 20px; }
+        .header { background: linear-gradient(135deg, #2563EB 0%, #1D4ED8 100%); color: white; padding: 20px; text-align: center; }
+        .content { background: #f8f9fa; padding: 30px; }
+        .cta-button { display: inline-block; background: #2563EB; color: white; padding: 12px 24px; text-decoration: none; border-radius: 6px; font-weight: bold; margin: 20px 0; }
+        .footer { background: #1f2937; color: white; padding: 20px; text-align: center; font-size: 14px; }
+        .contact-info { background: white; padding: 15px; border-radius: 6px; margin: 20px 0; border-left: 3px solid #2563EB; }`;
+
+export default {
+  en: {
+    subject: 'Thank you for contacting DigiLima - We\'ll be in touch soon!',
+
+    html: `
+    <!DOCTYPE html>
+    <html lang="en">
+    <head>
+      <meta charset="UTF-8">
+      <meta name="viewport" content="width=device-width, initial-scale=1.0">
+      <title>Thank you for contacting DigiLima</title>
+      <style>${STYLE}
+      </style>
+    </head>
+    <body>
+      <div class="container">
+        <div class="header">
+          <h1>Thank you{{#name}}, {{name}}{{/name}}!</h1>
+          <p>We've received your message</p>
+        </div>
+        
+        <div class="content">
+          <p>Dear {{#name}}{{name}}{{/name}}{{^name}}there{{/name}},</p>
+          
+          <p>Thank you for reaching out to DigiLima! We've received your inquiry about {{#projectTypeLabel}}{{projectTypeLabel}}{{/projectTypeLabel}}{{^projectTypeLabel}}your project{{/projectTypeLabel}} and we're excited to learn more about how we can help.</p>
+          
+          <p><strong>What happens next?</strong></p>
+          <ul>
+            <li>We'll review your project details and requirements</li>
+            <li>You'll receive a personal response from our team within 2-4 hours during business hours</li>
+            <li>We'll schedule a consultation call to discuss your project in detail</li>
+            <li>You'll receive a detailed proposal within 24-48 hours</li>
+          </ul>
+          
+          <div class="contact-info">
+            <p><strong>In the meantime, here are a few things you can do:</strong></p>
+            <ul>
+              <li>📂 Check out our <a href="https://digilima.com/portfolio/" style="color: #2563EB;">recent projects</a> for inspiration</li>
+              <li>📖 Read our <a href="https://digilima.com/blog/" style="color: #2563EB;">blog</a> for web development insights</li>
+              <li>📱 Connect with us on social media for updates and tips</li>
+            </ul>
+          </div>
+          
+          <p>If you have any urgent questions, feel free to reach out directly:</p>
+          <p>📧 <a href="mailto:hello@digilima.com" style="color: #2563EB;">hello@digilima.com</a><br>
+          📱 <a href="tel:+35799123456" style="color: #2563EB;">+357 99 123 456</a></p>
+          
+          <p>We look forward to working with you!</p>
+          
+          <p>Best regards,<br>
+          <strong>DigiLima Team</strong><br>
+          Web Development Specialists</p>
+        </div>
+        
+        <div class="footer">
+          <p>DigiLima - Lightning-fast websites for growing businesses</p>
+          <p>📍 Limassol, Cyprus | 🌐 <a href="https://digilima.com" style="color: white;">digilima.com</a></p>
+          <p style="font-size: 12px; margin-top: 20px; opacity: 0.8;">
+            You're receiving this email because you contacted us through our website. 
+            We respect your privacy and follow GDPR guidelines.
+          </p>
+        </div>
+      </div>
+    </body>
+    </html>
+  `,
+
+    text: `
+Dear {{#name}}{{name}}{{/name}}{{^name}}there{{/name}},
+
+Thank you for reaching out to DigiLima! We've received your inquiry about {{#projectTypeLabel}}{{projectTypeLabel}}{{/projectTypeLabel}}{{^projectTypeLabel}}your project{{/projectTypeLabel}} and we're excited to learn more about how we can help.
+
+What happens next?
+- We'll review your project details and requirements
+- You'll receive a personal response from our team within 2-4 hours during business hours
+- We'll schedule a consultation call to discuss your project in detail
+- You'll receive a detailed proposal within 24-48 hours
+
+In the meantime, check out our recent projects at https://digilima.com/portfolio/ for inspiration.
+
+If you have any urgent questions, feel free to reach out directly:
+📧 hello@digilima.com
+📱 +357 99 123 456
+
+We look forward to working with you!
+
+Best regards,
+DigiLima Team
+Web Development Specialists
+
+---
+DigiLima - Lightning-fast websites for growing businesses
+Limassol, Cyprus | https://digilima.com
+  `
+  },
+
+  el: {
+    subject: 'Ευχαριστούμε που επικοινωνήσατε με την DigiLima - Θα σας απαντήσουμε σύντομα!',
+
+    html: `
+    <!DOCTYPE html>
+    <html lang="el">
+    <head>
+      <meta charset="UTF-8">
+      <meta name="viewport" content="width=device-width, initial-scale=1.0">
+      <title>Ευχαριστούμε που επικοινωνήσατε με την DigiLima</title>
+      <style>${STYLE}
+      </style>
+    </head>
+    <body>
+      <div class="container">
+        <div class="header">
+          <h1>Ευχαριστούμε{{#name}}, {{name}}{{/name}}!</h1>
+          <p>Λάβαμε το μήνυμά σας</p>
+        </div>
+        
+        <div class="content">
+          <p>Γεια σας{{#name}} {{name}}{{/name}},</p>
+          
+          <p>Σας ευχαριστούμε που επικοινωνήσατε με την DigiLima! Λάβαμε το αίτημά σας για {{#projectTypeLabel}}«{{projectTypeLabel}}»{{/projectTypeLabel}}{{^projectTypeLabel}}το project σας{{/projectTypeLabel}} και ανυπομονούμε να μάθουμε περισσότερα για το πώς μπορούμε να σας βοηθήσουμε.</p>
+          
+          <p><strong>Τι ακολουθεί;</strong></p>
+          <ul>
+            <li>Θα εξετάσουμε τις λεπτομέρειες και τις απαιτήσεις του project σας</li>
+            <li>Θα λάβετε προσωπική απάντηση από την ομάδα μας εντός 2-4 ωρών κατά τις εργάσιμες ώρες</li>
+            <li>Θα κανονίσουμε μια κλήση για να συζητήσουμε αναλυτικά το project σας</li>
+            <li>Θα λάβετε αναλυτική πρόταση εντός 24-48 ωρών</li>
+          </ul>
+          
+          <div class="contact-info">
+            <p><strong>Στο μεταξύ, μπορείτε να:</strong></p>
+            <ul>
+              <li>📂 Δείτε τα <a href="https://digilima.com/el/portfolio/" style="color: #2563EB;">πρόσφατα έργα μας</a> για έμπνευση</li>
+              <li>📖 Διαβάσετε το <a href="https://digilima.com/el/blog/" style="color: #2563EB;">blog</a> μας για συμβουλές web development</li>
+              <li>📱 Μας ακολουθήσετε στα social media για νέα και συμβουλές</li>
+            </ul>
+          </div>
+          
+          <p>Αν έχετε κάποια επείγουσα ερώτηση, επικοινωνήστε μαζί μας απευθείας:</p>
+          <p>📧 <a href="mailto:hello@digilima.com" style="color: #2563EB;">hello@digilima.com</a><br>
+          📱 <a href="tel:+35799123456" style="color: #2563EB;">+357 99 123 456</a></p>
+          
+          <p>Ανυπομονούμε να συνεργαστούμε μαζί σας!</p>
+          
+          <p>Με εκτίμηση,<br>
+          <strong>Η ομάδα της DigiLima</strong><br>
+          Εξειδικευμένοι στο Web Development</p>
+        </div>
+        
+        <div class="footer">
+          <p>DigiLima - Γρήγορες ιστοσελίδες για επιχειρήσεις που αναπτύσσονται</p>
+          <p>📍 Λεμεσός, Κύπρος | 🌐 <a href="https://digilima.com/el/" style="color: white;">digilima.com</a></p>
+          <p style="font-size: 12px; margin-top: 20px; opacity: 0.8;">
+            Λαμβάνετε αυτό το email επειδή επικοινωνήσατε μαζί μας μέσω της ιστοσελίδας μας. 
+            Σεβόμαστε την ιδιωτικότητά σας και ακολουθούμε τον Κανονισμό GDPR.
+          </p>
+        </div>
+      </div>
+    </body>
+    </html>
+  `,
+
+    text: `
+Γεια σας{{#name}} {{name}}{{/name}},
+
+Σας ευχαριστούμε που επικοινωνήσατε με την DigiLima! Λάβαμε το αίτημά σας για {{#projectTypeLabel}}«{{projectTypeLabel}}»{{/projectTypeLabel}}{{^projectTypeLabel}}το project σας{{/projectTypeLabel}} και ανυπομονούμε να μάθουμε περισσότερα για το πώς μπορούμε να σας βοηθήσουμε.
+
+Τι ακολουθεί;
+- Θα εξετάσουμε τις λεπτομέρειες και τις απαιτήσεις του project σας
+- Θα λάβετε προσωπική απάντηση από την ομάδα μας εντός 2-4 ωρών κατά τις εργάσιμες ώρες
+- Θα κανονίσουμε μια κλήση για να συζητήσουμε αναλυτικά το project σας
+- Θα λάβετε αναλυτική πρόταση εντός 24-48 ωρών
+
+Στο μεταξύ, δείτε τα πρόσφατα έργα μας στο https://digilima.com/el/portfolio/ για έμπνευση.
+
+Αν έχετε κάποια επείγουσα ερώτηση, επικοινωνήστε μαζί μας απευθείας:
+📧 hello@digilima.com
+📱 +357 99 123 456
+
+Ανυπομονούμε να συνεργαστούμε μαζί σας!
+
+Με εκτίμηση,
+Η ομάδα της DigiLima
+Εξειδικευμένοι στο Web Development
+
+---
+DigiLima - Γρήγορες ιστοσελίδες για επιχειρήσεις που αναπτύσσονται
+Λεμεσός, Κύπρος | https://digilima.com
+  `
+  }
+};
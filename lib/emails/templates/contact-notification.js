@@ -0,0 +1,155 @@
+// Internal notification sent to the team for every new lead. Staff read
+// these in English whatever language the visitor used. Priority, subject
+// prefix and follow-up come from the lead's score (lib/lead-scoring.js).
+
+export default {
+  en: {
+    subject: '{{#subjectPrefix}}{{subjectPrefix}} {{/subjectPrefix}}New Contact: {{name}} - {{projectType}}{{#budget}} ({{budget}}){{/budget}}{{#locationLabel}} | {{locationLabel}}{{/locationLabel}}{{#timelineSubject}} | {{timelineSubject}}{{/timelineSubject}}',
+
+    html: `
+    <!DOCTYPE html>
+    <html>
+    <head>
+      <meta charset="UTF-8">
+      <meta name="viewport" content="width=device-width, initial-scale=1.0">
+      <title>New Contact Form Submission - DigiLima</title>
+      <style>
+        body { font-family: 'Segoe UI', Tahoma, Geneva, Verdana, sans-serif; line-height: 1.6; color: #333; margin: 0; padding: 0; }
+        .container { max-width: 600px; margin: 0 auto; padding: 20px; }
+        .header { background: linear-gradient(135deg, #2563EB 0%, #1D4ED8 100%); color: white; padding: 20px; text-align: center; }
+        .content { background: #f8f9fa; padding: 30px; }
+        .field { margin-bottom: 20px; }
+        .field-label { font-weight: bold; color: #2563EB; display: block; margin-bottom: 5px; }
+        .field-value { background: white; padding: 10px; border-radius: 5px; border-left: 3px solid #2563EB; }
+        .footer { background: #1f2937; color: white; padding: 20px; text-align: center; font-size: 14px; }
+        .priority-high { border-left-color: #ef4444; }
+        .priority-medium { border-left-color: #f59e0b; }
+        .priority-low { border-left-color: #9ca3af; }
+      </style>
+    </head>
+    <body>
+      <div class="container">
+        <div class="header">
+          <h1>🚀 New Contact Form Submission</h1>
+          <p>DigiLima.com - {{currentDate}}</p>
+        </div>
+        
+        <div class="content">
+          <div class="field">
+            <label class="field-label">📊 Lead Score</label>
+            <div class="field-value {{priorityClass}}"><strong>{{score}}</strong> ({{priority}} priority){{#scoreReasons}}<br><small>{{scoreReasons}}</small>{{/scoreReasons}}</div>
+          </div>
+          
+          <div class="field">
+            <label class="field-label">👤 Name</label>
+            <div class="field-value">{{name}}</div>
+          </div>
+          
+          <div class="field">
+            <label class="field-label">📧 Email</label>
+            <div class="field-value">{{#mailto}}<a href="{{{mailto}}}" style="color: #2563EB; text-decoration: none;">{{email}}</a>{{/mailto}}{{^mailto}}{{email}}{{/mailto}}</div>
+          </div>
+          
+          {{#phone}}
+          <div class="field">
+            <label class="field-label">📱 Phone</label>
+            <div class="field-value">{{#tel}}<a href="{{{tel}}}" style="color: #2563EB; text-decoration: none;">{{phone}}</a>{{/tel}}{{^tel}}{{phone}}{{/tel}}</div>
+          </div>
+          {{/phone}}
+          
+          {{#company}}
+          <div class="field">
+            <label class="field-label">🏢 Company</label>
+            <div class="field-value">{{company}}</div>
+          </div>
+          {{/company}}
+          
+          {{#budget}}
+          <div class="field">
+            <label class="field-label">💰 Budget Range</label>
+            <div class="field-value">{{budget}}</div>
+          </div>
+          {{/budget}}
+          
+          <div class="field">
+            <label class="field-label">🎯 Project Type</label>
+            <div class="field-value">{{projectType}}</div>
+          </div>
+          
+          {{#timelineLabel}}
+          <div class="field">
+            <label class="field-label">⏱️ Timeline</label>
+            <div class="field-value">{{timelineLabel}}</div>
+          </div>
+          {{/timelineLabel}}
+          
+          {{#locationLabel}}
+          <div class="field">
+            <label class="field-label">📍 Location</label>
+            <div class="field-value">{{locationLabel}}</div>
+          </div>
+          {{/locationLabel}}
+          
+          <div class="field">
+            <label class="field-label">🌐 Language</label>
+            <div class="field-value">{{langLabel}}</div>
+          </div>
+          
+          <div class="field">
+            <label class="field-label">💬 Message</label>
+            <div class="field-value" style="white-space: pre-wrap;">{{message}}</div>
+          </div>
+          
+          <div class="field">
+            <label class="field-label">✅ GDPR Consent</label>
+            <div class="field-value">✓ Consent given {{consent.givenAt}} ({{consent.lang}}), privacy policy version {{consent.policyVersion}}<br>
+            <em>"{{consent.text}}"</em></div>
+          </div>
+        </div>
+        
+        <div class="footer">
+          <p><strong>Next Steps:</strong></p>
+          <p>• Respond within 2 hours during business hours</p>
+          {{#crmSync}}<p>• Contact details queued for: {{crmSync}}</p>{{/crmSync}}{{^crmSync}}<p>• Add contact details to CRM system</p>{{/crmSync}}
+          {{#followUp}}<p>• Schedule a follow-up call ({{priority}} priority lead)</p>{{/followUp}}
+          <hr style="border: 0; border-top: 1px solid #374151; margin: 20px 0;">
+          <p>DigiLima - Web Development Services<br>
+          📍 Limassol, Cyprus | 📧 hello@digilima.com | 📱 +357 99 123 456</p>
+        </div>
+      </div>
+    </body>
+    </html>
+  `,
+
+    text: `
+New Contact Form Submission - DigiLima.com
+
+Submitted: {{currentDate}}
+Lead Score: {{score}} ({{priority}} priority){{#scoreReasons}}: {{scoreReasons}}{{/scoreReasons}}
+
+Contact Information:
+Name: {{name}}
+Email: {{email}}
+{{#phone}}Phone: {{phone}}
+{{/phone}}{{#company}}Company: {{company}}
+{{/company}}
+Project Details:
+{{#budget}}Budget: {{budget}}
+{{/budget}}Project Type: {{projectType}}
+{{#timelineLabel}}Timeline: {{timelineLabel}}
+{{/timelineLabel}}{{#locationLabel}}Location: {{locationLabel}}
+{{/locationLabel}}Language: {{langLabel}}
+
+Message:
+{{message}}
+
+GDPR Consent: ✓ Given {{consent.givenAt}} ({{consent.lang}}), privacy policy version {{consent.policyVersion}}
+"{{consent.text}}"
+
+---
+DigiLima - Web Development Services
+Limassol, Cyprus
+hello@digilima.com | +357 99 123 456
+  `
+  }
+};
@@ -0,0 +1,126 @@
+// Verification link for a GDPR data request (export or deletion). Sent to
+// the address the request is about; only the holder can open the link.
+
+const STYLE = `
+        body { font-family: 'Segoe UI', Tahoma, Geneva, Verdana, sans-serif; line-height: 1.6; color: #333; margin: 0; padding: 0; }
+        .container { max-width: 600px; margin: 0 auto; padding: 20px; }
+        .header { background: linear-gradient(135deg, #2563EB 0%, #1D4ED8 100%); color: white; padding: 20px; text-align: center; }
+        .content { background: #f8f9fa; padding: 30px; }
+        .cta-button { display: inline-block; background: #2563EB; color: white; padding: 12px 24px; text-decoration: none; border-radius: 6px; font-weight: bold; margin: 20px 0; }
+        .footer { background: #1f2937; color: white; padding: 20px; text-align: center; font-size: 14px; }`;
+
+export default {
+  en: {
+    subject: '{{#isExport}}Your DigiLima data export link{{/isExport}}{{#isDelete}}Confirm the deletion of your data at DigiLima{{/isDelete}}',
+
+    html: `
+    <!DOCTYPE html>
+    <html lang="en">
+    <head>
+      <meta charset="UTF-8">
+      <meta name="viewport" content="width=device-width, initial-scale=1.0">
+      <title>Your data request</title>
+      <style>${STYLE}
+      </style>
+    </head>
+    <body>
+      <div class="container">
+        <div class="header">
+          <h1>Your data request</h1>
+        </div>
+        
+        <div class="content">
+          <p>Hello,</p>
+          
+          {{#isExport}}<p>We received a request for a copy of the personal data DigiLima holds about this email address. Use the button below to download it as a JSON file.</p>
+          
+          <p style="text-align: center;"><a href="{{link}}" class="cta-button">Download my data</a></p>{{/isExport}}
+          {{#isDelete}}<p>We received a request to delete the personal data DigiLima holds about this email address, including contact form submissions and newsletter subscriptions. Use the button below to review and confirm the deletion.</p>
+          
+          <p style="text-align: center;"><a href="{{link}}" class="cta-button">Review deletion</a></p>{{/isDelete}}
+          
+          <p style="font-size: 14px;">This link is valid for 1 hour. If you didn't make this request, you can safely ignore this email; nothing will happen.</p>
+          
+          <p>Best regards,<br>
+          <strong>DigiLima Team</strong></p>
+        </div>
+        
+        <div class="footer">
+          <p>DigiLima - Lightning-fast websites for growing businesses</p>
+          <p>📍 Limassol, Cyprus | 🌐 <a href="https://digilima.com" style="color: white;">digilima.com</a></p>
+        </div>
+      </div>
+    </body>
+    </html>
+  `,
+
+    text: `
+Hello,
+
+{{#isExport}}We received a request for a copy of the personal data DigiLima holds about this email address. Open this link to download it as a JSON file:{{/isExport}}{{#isDelete}}We received a request to delete the personal data DigiLima holds about this email address, including contact form submissions and newsletter subscriptions. Open this link to review and confirm the deletion:{{/isDelete}}
+{{link}}
+
+This link is valid for 1 hour. If you didn't make this request, you can safely ignore this email; nothing will happen.
+
+Best regards,
+DigiLima Team
+  `
+  },
+
+  el: {
+    subject: '{{#isExport}}Ο σύνδεσμος εξαγωγής των δεδομένων σας στη DigiLima{{/isExport}}{{#isDelete}}Επιβεβαιώστε τη διαγραφή των δεδομένων σας στη DigiLima{{/isDelete}}',
+
+    html: `
+    <!DOCTYPE html>
+    <html lang="el">
+    <head>
+      <meta charset="UTF-8">
+      <meta name="viewport" content="width=device-width, initial-scale=1.0">
+      <title>Το αίτημά σας για τα δεδομένα σας</title>
+      <style>${STYLE}
+      </style>
+    </head>
+    <body>
+      <div class="container">
+        <div class="header">
+          <h1>Το αίτημά σας για τα δεδομένα σας</h1>
+        </div>
+        
+        <div class="content">
+          <p>Γεια σας,</p>
+          
+          {{#isExport}}<p>Λάβαμε αίτημα για αντίγραφο των προσωπικών δεδομένων που διατηρεί η DigiLima για αυτή τη διεύθυνση email. Πατήστε το παρακάτω κουμπί για να τα κατεβάσετε σε αρχείο JSON.</p>
+          
+          <p style="text-align: center;"><a href="{{link}}" class="cta-button">Λήψη των δεδομένων μου</a></p>{{/isExport}}
+          {{#isDelete}}<p>Λάβαμε αίτημα διαγραφής των προσωπικών δεδομένων που διατηρεί η DigiLima για αυτή τη διεύθυνση email, συμπεριλαμβανομένων των μηνυμάτων της φόρμας επικοινωνίας και των εγγραφών στο newsletter. Πατήστε το παρακάτω κουμπί για να επιβεβαιώσετε τη διαγραφή.</p>
+          
+          <p style="text-align: center;"><a href="{{link}}" class="cta-button">Έλεγχος διαγραφής</a></p>{{/isDelete}}
+          
+          <p style="font-size: 14px;">Ο σύνδεσμος ισχύει για 1 ώρα. Αν δεν κάνατε εσείς αυτό το αίτημα, αγνοήστε αυτό το email· δεν θα γίνει καμία αλλαγή.</p>
+          
+          <p>Με εκτίμηση,<br>
+          <strong>Η ομάδα της DigiLima</strong></p>
+        </div>
+        
+        <div class="footer">
+          <p>DigiLima - Γρήγορες ιστοσελίδες για επιχειρήσεις που αναπτύσσονται</p>
+          <p>📍 Λεμεσός, Κύπρος | 🌐 <a href="https://digilima.com/el/" style="color: white;">digilima.com</a></p>
+        </div>
+      </div>
+    </body>
+    </html>
+  `,
+
+    text: `
+Γεια σας,
+
+{{#isExport}}Λάβαμε αίτημα για αντίγραφο των προσωπικών δεδομένων που διατηρεί η DigiLima για αυτή τη διεύθυνση email. Ανοίξτε αυτόν τον σύνδεσμο για να τα κατεβάσετε σε αρχείο JSON:{{/isExport}}{{#isDelete}}Λάβαμε αίτημα διαγραφής των προσωπικών δεδομένων που διατηρεί η DigiLima για αυτή τη διεύθυνση email, συμπεριλαμβανομένων των μηνυμάτων της φόρμας επικοινωνίας και των εγγραφών στο newsletter. Ανοίξτε αυτόν τον σύνδεσμο για να επιβεβαιώσετε τη διαγραφή:{{/isDelete}}
+{{link}}
+
+Ο σύνδεσμος ισχύει για 1 ώρα. Αν δεν κάνατε εσείς αυτό το αίτημα, αγνοήστε αυτό το email· δεν θα γίνει καμία αλλαγή.
+
+Με εκτίμηση,
+Η ομάδα της DigiLima
+  `
+  }
+};
@@ -0,0 +1,147 @@
+// Double opt-in confirmation for the blog newsletter. Sent to an address
+// nobody has verified yet, so it echoes nothing the visitor typed. The
+// unsubscribe link also stops any later emails to the address.
+
+const STYLE = `
+        body { font-family: 'Segoe UI', Tahoma, Geneva, Verdana, sans-serif; line-height: 1.6; color: #333; margin: 0; padding: 0; }
+        .container { max-width: 600px; margin: 0 auto; padding: 20px; }
+        .header { background: linear-gradient(135deg, #2563EB 0%, #1D4ED8 100%); color: white; padding: 20px; text-align: center; }
+        .content { background: #f8f9fa; padding: 30px; }
+        .cta-button { display: inline-block; background: #2563EB; color: white; padding: 12px 24px; text-decoration: none; border-radius: 6px; font-weight: bold; margin: 20px 0; }
+        .footer { background: #1f2937; color: white; padding: 20px; text-align: center; font-size: 14px; }`;
+
+export default {
+  en: {
+    subject: 'Please confirm your subscription to the DigiLima newsletter',
+
+    html: `
+    <!DOCTYPE html>
+    <html lang="en">
+    <head>
+      <meta charset="UTF-8">
+      <meta name="viewport" content="width=device-width, initial-scale=1.0">
+      <title>Confirm your subscription</title>
+      <style>${STYLE}
+      </style>
+    </head>
+    <body>
+      <div class="container">
+        <div class="header">
+          <h1>One more step</h1>
+          <p>Confirm your newsletter subscription</p>
+        </div>
+        
+        <div class="content">
+          <p>Hello,</p>
+          
+          <p>Someone (hopefully you) asked to receive the DigiLima newsletter at this address: web development tips, tutorials and business insights, once a month.</p>
+          
+          <p>Please confirm your subscription by clicking the button below:</p>
+          
+          <p style="text-align: center;"><a href="{{confirmUrl}}" class="cta-button">Confirm my subscription</a></p>
+          
+          <p style="font-size: 14px;">This link is valid for 7 days. If you didn't sign up, simply ignore this email and you won't hear from us again.</p>
+          
+          <p>Best regards,<br>
+          <strong>DigiLima Team</strong></p>
+        </div>
+        
+        <div class="footer">
+          <p>DigiLima - Lightning-fast websites for growing businesses</p>
+          <p>📍 Limassol, Cyprus | 🌐 <a href="https://digilima.com" style="color: white;">digilima.com</a></p>
+          <p style="font-size: 12px; margin-top: 20px; opacity: 0.8;">
+            Don't want to hear from us? <a href="{{unsubscribeUrl}}" style="color: white;">Unsubscribe</a>
+          </p>
+        </div>
+      </div>
+    </body>
+    </html>
+  `,
+
+    text: `
+Hello,
+
+Someone (hopefully you) asked to receive the DigiLima newsletter at this address: web development tips, tutorials and business insights, once a month.
+
+Please confirm your subscription by opening this link:
+{{confirmUrl}}
+
+This link is valid for 7 days. If you didn't sign up, simply ignore this email and you won't hear from us again.
+
+Best regards,
+DigiLima Team
+
+---
+DigiLima - Lightning-fast websites for growing businesses
+Limassol, Cyprus | https://digilima.com
+Unsubscribe: {{unsubscribeUrl}}
+  `
+  },
+
+  el: {
+    subject: 'Επιβεβαιώστε την εγγραφή σας στο newsletter της DigiLima',
+
+    html: `
+    <!DOCTYPE html>
+    <html lang="el">
+    <head>
+      <meta charset="UTF-8">
+      <meta name="viewport" content="width=device-width, initial-scale=1.0">
+      <title>Επιβεβαιώστε την εγγραφή σας</title>
+      <style>${STYLE}
+      </style>
+    </head>
+    <body>
+      <div class="container">
+        <div class="header">
+          <h1>Ένα βήμα ακόμα</h1>
+          <p>Επιβεβαιώστε την εγγραφή σας στο newsletter</p>
+        </div>
+        
+        <div class="content">
+          <p>Γεια σας,</p>
+          
+          <p>Κάποιος (ελπίζουμε εσείς) ζήτησε να λαμβάνει το newsletter της DigiLima σε αυτή τη διεύθυνση: συμβουλές web development, tutorials και business insights, μία φορά το μήνα.</p>
+          
+          <p>Επιβεβαιώστε την εγγραφή σας πατώντας το παρακάτω κουμπί:</p>
+          
+          <p style="text-align: center;"><a href="{{confirmUrl}}" class="cta-button">Επιβεβαίωση εγγραφής</a></p>
+          
+          <p style="font-size: 14px;">Ο σύνδεσμος ισχύει για 7 ημέρες. Αν δεν κάνατε εσείς την εγγραφή, απλώς αγνοήστε αυτό το email και δεν θα λάβετε τίποτα άλλο από εμάς.</p>
+          
+          <p>Με εκτίμηση,<br>
+          <strong>Η ομάδα της DigiLima</strong></p>
+        </div>
+        
+        <div class="footer">
+          <p>DigiLima - Γρήγορες ιστοσελίδες για επιχειρήσεις που αναπτύσσονται</p>
+          <p>📍 Λεμεσός, Κύπρος | 🌐 <a href="https://digilima.com/el/" style="color: white;">digilima.com</a></p>
+          <p style="font-size: 12px; margin-top: 20px; opacity: 0.8;">
+            Δεν θέλετε να λαμβάνετε email από εμάς; <a href="{{unsubscribeUrl}}" style="color: white;">Διαγραφή</a>
+          </p>
+        </div>
+      </div>
+    </body>
+    </html>
+  `,
+
+    text: `
+Γεια σας,
+
+Κάποιος (ελπίζουμε εσείς) ζήτησε να λαμβάνει το newsletter της DigiLima σε αυτή τη διεύθυνση: συμβουλές web development, tutorials και business insights, μία φορά το μήνα.
+
+Επιβεβαιώστε την εγγραφή σας ανοίγοντας αυτόν τον σύνδεσμο:
+{{confirmUrl}}
+
+Ο σύνδεσμος ισχύει για 7 ημέρες. Αν δεν κάνατε εσείς την εγγραφή, απλώς αγνοήστε αυτό το email και δεν θα λάβετε τίποτα άλλο από εμάς.
+
+Με εκτίμηση,
+Η ομάδα της DigiLima
+
+---
+DigiLima - Γρήγορες ιστοσελίδες για επιχειρήσεις που αναπτύσσονται
+Λεμεσός, Κύπρος | https://digilima.com
+Διαγραφή: {{unsubscribeUrl}}
+  `
+  }
+};
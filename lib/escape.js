@@ -0,0 +1,64 @@
+// Escaping and sanitizing helpers for user input rendered into emails
+
+const HTML_ESCAPES = {
+  '&': '&amp;',
+  '<': '&lt;',
+  '>': '&gt;',
+  '"': '&quot;',
+  "'": '&#39;',
+  '`': '&#96;',
+  '=': '&#61;'
+};
+
+const CONTROL_CHARS = /[\u0000-\u0008\u000B\u000C\u000E-\u001F\u007F\u202A-\u202E\u2066-\u2069]/g;
+const LINE_BREAKS = /[\r\n\u2028\u2029]+/g;
+const LINK_LIKE = /\b(?:[a-z][a-z0-9+.-]*:\/\/|www\.)\S*|\b[a-z0-9-]+(?:\.[a-z0-9-]+)*\.[a-z]{2,}(?:\/\S*)?/gi;
+
+// Remove control and bidi-override characters from a value
+export function clean(value) {
+  if (value === undefined || value === null) return '';
+  return String(value).replace(CONTROL_CHARS, '');
+}
+
+// Escape a value for use in HTML text or a quoted attribute
+export function escapeHtml(value) {
+  return clean(value).replace(/[&<>"'`=]/g, char => HTML_ESCAPES[char]);
+}
+
+// Collapse a value onto one line, for subjects, headers and tag values
+export function singleLine(value, maxLength = 200) {
+  return clean(value).replace(LINE_BREAKS, ' ').trim().slice(0, maxLength);
+}
+
+// Remove anything that a mail client would turn into a link. Used for
+// values echoed back to the submitter so the auto-reply can't be used to
+// deliver someone else's links.
+export function stripLinks(value) {
+  return singleLine(value).replace(LINK_LIKE, '').replace(/\s{2,}/g, ' ').trim();
+}
+
+// Build an escaped mailto: href, or '' when the address is not a plain email
+export function mailtoHref(email) {
+  const address = singleLine(email);
+  if (!/^[^\s@<>()[\]\\,;:"?&#%]+@[a-z0-9.-]+\.[a-z]{2,}$/i.test(address)) return '';
+  return escapeHtml(`mailto:${address}`);
+}
+
+// Build an escaped tel: href, or '' when the number has no digits
+export function telHref(phone) {
+  const number = singleLine(phone).replace(/[^\d+]/g, '').replace(/(?!^)\+/g, '');
+  if (!/\d/.test(number)) return '';
+  return escapeHtml(`tel:${number}`);
+}
+
+// Escape a URL for an href, allowing only the given schemes. Anything
+// else (javascript:, data:, relative tricks) yields ''.
+export function safeUrl(url, schemes = ['https:', 'http:']) {
+  let parsed;
+  try {
+    parsed = new URL(singleLine(url, 2000));
+  } catch (error) {
+    return '';
+  }
+  return schemes.includes(parsed.protocol) ? escapeHtml(parsed.href) : '';
+}
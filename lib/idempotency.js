@@ -0,0 +1,99 @@
+// Idempotency keys for POST endpoints, stored in the KV store (see lib/kv)
+//
+// The first request with a given Idempotency-Key claims it and runs; its
+// successful (2xx) response is stored for KEY_TTL and replayed verbatim for
+// every repeat, without running the handler again. A duplicate that
+// arrives while the first request is still running waits for its result.
+// Failed attempts (validation errors, 429, 5xx) release the key so the
+// same form fill can be fixed and retried.
+
+import { createHash } from 'crypto';
+
+export const IDEMPOTENCY_DEFAULTS = {
+  ttlMs: 24 * 60 * 60 * 1000,
+  // Upper bound on how long one request may hold a key before it is retried
+  lockMs: 60 * 1000,
+  waitMs: 10 * 1000,
+  pollMs: 250
+};
+
+const KEY_PATTERN = /^[A-Za-z0-9_-]{8,128}$/;
+
+export function isValidIdempotencyKey(key) {
+  return typeof key === 'string' && KEY_PATTERN.test(key);
+}
+
+export function fingerprint(payload) {
+  return createHash('sha256').update(JSON.stringify(payload)).digest('hex');
+}
+
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+// Run `handle` at most once per key. `payload` is what the key must keep
+// matching: reusing a key with a different payload is rejected with 422.
+export async function withIdempotency(req, res, { kv, scope, payload, options = {} }, handle) {
+  const key = req.headers['idempotency-key'];
+  if (key === undefined) return handle();
+
+  if (!isValidIdempotencyKey(key)) {
+    return res.status(400).json({ error: 'Invalid Idempotency-Key header.' });
+  }
+
+  const settings = { ...IDEMPOTENCY_DEFAULTS, ...options };
+  const storeKey = `idempotency:${scope}:${key}`;
+  const hash = fingerprint(payload);
+
+  const claimed = await kv.set(storeKey, { state: 'running', fingerprint: hash }, { ttl: settings.lockMs, nx: true });
+
+  if (!claimed) {
+    const deadline = Date.now() + settings.waitMs;
+    let entry = await kv.get(storeKey);
+
+    while (entry && entry.state === 'running' && Date.now() < deadline) {
+      await sleep(settings.pollMs);
+      entry = await kv.get(storeKey);
+    }
+
+    if (entry && entry.fingerprint !== hash) {
+      return res.status(422).json({ error: 'This Idempotency-Key was already used for a different request.' });
+    }
+
+    if (entry && entry.state === 'done') {
+      res.setHeader('Idempotent-Replayed', 'true');
+      return res.status(entry.status).json(entry.body);
+    }
+
+    if (entry) {
+      res.setHeader('Retry-After', '1');
+      return res.status(409).json({ error: 'This request is still being processed. Please try again shortly.' });
+    }
+
+    // The first attempt failed and released the key in the meantime
+    return withIdempotency(req, res, { kv, scope, payload, options }, handle);
+  }
+
+  // Capture the response the handler sends so it can be stored
+  let captured = null;
+  const json = res.json.bind(res);
+  res.json = body => {
+    captured = { status: res.statusCode, body };
+    return json(body);
+  };
+
+  try {
+    const result = await handle();
+
+    if (captured && captured.status >= 200 && captured.status < 300) {
+      await kv.set(storeKey, { state: 'done', fingerprint: hash, ...captured }, { ttl: settings.ttlMs });
+    } else {
+      await kv.del(storeKey);
+    }
+
+    return result;
+  } catch (error) {
+    await kv.del(storeKey);
+    throw error;
+  } finally {
+    res.json = json;
+  }
+}
@@ -0,0 +1,31 @@
+// Key-value store selection
+//
+// Every store exposes the same async interface:
+//
+//   get(key)                          -> value | null
+//   set(key, value, { ttl, nx })      -> true, or false when nx and the key exists
+//   del(key)
+//   incr(key, { ttl })                -> new count (ttl applies on creation)
+//
+// ttl is in milliseconds. With KV_REST_API_URL/KV_REST_API_TOKEN set we use
+// Redis, otherwise an in-memory store.
+
+import { createMemoryKv } from './memory.js';
+import { createRedisKv } from './redis.js';
+
+export function createKv(env = process.env) {
+  if (env.KV_REST_API_URL) {
+    return createRedisKv({ url: env.KV_REST_API_URL, token: env.KV_REST_API_TOKEN });
+  }
+  return createMemoryKv();
+}
+
+let defaultKv;
+
+// Store built from process.env, created on first use
+export function getKv() {
+  if (!defaultKv) {
+    defaultKv = createKv();
+  }
+  return defaultKv;
+}
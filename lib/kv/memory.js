@@ -0,0 +1,47 @@
+// In-memory key-value store. State lives as long as the process, so it is
+// meant for tests and local development, or as a best-effort per-instance
+// store when no shared KV is configured.
+
+export function createMemoryKv({ now = Date.now } = {}) {
+  const entries = new Map();
+
+  function read(key) {
+    const entry = entries.get(key);
+    if (!entry) return undefined;
+    if (entry.expiresAt && entry.expiresAt <= now()) {
+      entries.delete(key);
+      return undefined;
+    }
+    return entry;
+  }
+
+  function expiry(ttl) {
+    return ttl ? now() + ttl : undefined;
+  }
+
+  return {
+    name: 'memory',
+
+    async get(key) {
+      const entry = read(key);
+      return entry ? entry.value : null;
+    },
+
+    async set(key, value, { ttl, nx = false } = {}) {
+      if (nx && read(key)) return false;
+      entries.set(key, { value, expiresAt: expiry(ttl) });
+      return true;
+    },
+
+    async del(key) {
+      entries.delete(key);
+    },
+
+    async incr(key, { ttl } = {}) {
+      const entry = read(key);
+      const value = (entry ? Number(entry.value) : 0) + 1;
+      entries.set(key, { value, expiresAt: entry ? entry.expiresAt : expiry(ttl) });
+      return value;
+    }
+  };
+}
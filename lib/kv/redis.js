@@ -0,0 +1,73 @@
+// Redis key-value store over the Upstash-compatible REST API, which is
+// what Vercel KV speaks. Point KV_REST_API_URL at any compatible server
+// (e.g. a local serverless-redis-http container) to run against Redis.
+
+// REST client shared with the redis document store (lib/store/redis.js)
+export function createRedisClient({ url, token, fetch = globalThis.fetch }) {
+  if (!url || !token) {
+    throw new Error('KV_REST_API_URL and KV_REST_API_TOKEN are required for Redis');
+  }
+
+  const baseUrl = url.replace(/\/$/, '');
+
+  async function request(path, body) {
+    const response = await fetch(`${baseUrl}${path}`, {
+      method: 'POST',
+      headers: {
+        Authorization: `Bearer ${token}`,
+        'Content-Type': 'application/json'
+      },
+      body: JSON.stringify(body)
+    });
+
+    const payload = await response.json();
+    if (!response.ok || payload.error) {
+      throw new Error(`KV error: ${payload.error || response.status}`);
+    }
+    return payload;
+  }
+
+  const command = async (...args) => (await request('', args)).result;
+
+  // Runs several commands in one round trip; throws if any of them failed
+  async function pipeline(...commands) {
+    const results = await request('/pipeline', commands);
+    const failed = results.find(item => item.error);
+    if (failed) throw new Error(`KV error: ${failed.error}`);
+    return results.map(item => item.result);
+  }
+
+  return { command, pipeline };
+}
+
+export function createRedisKv(options) {
+  const { command, pipeline } = createRedisClient(options);
+
+  return {
+    name: 'redis',
+
+    async get(key) {
+      const value = await command('GET', key);
+      return value === null ? null : JSON.parse(value);
+    },
+
+    async set(key, value, { ttl, nx = false } = {}) {
+      const args = ['SET', key, JSON.stringify(value)];
+      if (ttl) args.push('PX', ttl);
+      if (nx) args.push('NX');
+      return (await command(...args)) === 'OK';
+    },
+
+    async del(key) {
+      await command('DEL', key);
+    },
+
+    async incr(key, { ttl } = {}) {
+      if (!ttl) return command('INCR', key);
+
+      // NX keeps the expiry of the first increment, like the memory store
+      const [value] = await pipeline(['INCR', key], ['PEXPIRE', key, ttl, 'NX']);
+      return value;
+    }
+  };
+}
@@ -0,0 +1,156 @@
+// Lead scoring and routing
+//
+// Every contact form lead gets a score from the rules below: points for
+// its budget, project type, location and timeline, plus points for
+// keywords found in its message (matched as whole words, ignoring case and
+// accents, so "επείγον" also matches "ΕΠΕΙΓΟΝ" and "επειγον"). The score
+// picks the first tier it reaches, which sets the notification's priority,
+// subject prefix, recipients and tags (see api/contact.js).
+//
+//   scoreLead(data, rules?) -> {
+//     score, priority, subjectPrefix, recipients, followUp,
+//     reasons: [{ rule, value, points }]
+//   }
+//
+// Rules are plain data: edit LEAD_RULES, or pass other rules to
+// createContactHandler({ leadRules }).
+
+import Search from '../assets 2/js/search.js';
+
+export const LEAD_RULES = {
+  rules: [
+    {
+      name: 'budget',
+      field: 'budget',
+      points: {
+        '1000-3000': 0,
+        '3000-5000': 10,
+        '5000-10000': 25,
+        '10000-20000': 40,
+        '20000+': 50,
+        discuss: 10
+      }
+    },
+    {
+      name: 'project-type',
+      field: 'projectType',
+      points: {
+        'web-application': 20,
+        'shopify-store': 15,
+        'new-website': 10,
+        'website-redesign': 10,
+        'shopify-optimization': 5,
+        'seo-audit': 5,
+        'reputation-management': 5,
+        maintenance: 5
+      }
+    },
+    {
+      // Meetings in person are easiest around Limassol
+      name: 'location',
+      field: 'location',
+      points: {
+        limassol: 10,
+        nicosia: 5,
+        larnaca: 5,
+        paphos: 5,
+        famagusta: 5,
+        athens: 5,
+        thessaloniki: 5
+      }
+    },
+    {
+      name: 'timeline',
+      field: 'timeline',
+      points: {
+        asap: 15,
+        '1-month': 10,
+        '2-3-months': 5
+      }
+    },
+    {
+      name: 'keywords',
+      field: 'message',
+      keywords: {
+        'e-commerce': 10,
+        'online shop': 10,
+        eshop: 10,
+        'booking system': 10,
+        integration: 5,
+        redesign: 5,
+        deadline: 5,
+        urgent: 5,
+        'ηλεκτρονικό κατάστημα': 10,
+        'σύστημα κρατήσεων': 10,
+        επείγον: 5,
+        // Sales pitches sent through the form
+        backlinks: -40,
+        'guest post': -40,
+        'link building': -40,
+        casino: -40,
+        crypto: -40
+      }
+    }
+  ],
+
+  // Highest first; a lead gets the first tier its score reaches
+  tiers: [
+    {
+      priority: 'high',
+      minScore: 60,
+      subjectPrefix: '[HIGH PRIORITY]',
+      recipients: ['hello@digilima.com', 'sales@digilima.com'],
+      followUp: true
+    },
+    {
+      priority: 'medium',
+      minScore: 30,
+      subjectPrefix: '[PRIORITY]',
+      recipients: ['hello@digilima.com'],
+      followUp: true
+    },
+    {
+      priority: 'low',
+      minScore: -Infinity,
+      subjectPrefix: '',
+      recipients: ['hello@digilima.com'],
+      followUp: false
+    }
+  ]
+};
+
+// Whole-word phrase match on normalized words
+function containsPhrase(words, phrase) {
+  const wanted = Search.tokenize(phrase).join(' ');
+  return wanted !== '' && ` ${words} `.includes(` ${wanted} `);
+}
+
+function applyRule(rule, data) {
+  const value = data[rule.field];
+  if (!value) return [];
+
+  if (rule.keywords) {
+    const words = Search.tokenize(value).join(' ');
+    return Object.keys(rule.keywords)
+      .filter(keyword => containsPhrase(words, keyword))
+      .map(keyword => ({ rule: rule.name, value: keyword, points: rule.keywords[keyword] }));
+  }
+
+  const points = rule.points[value];
+  return points ? [{ rule: rule.name, value, points }] : [];
+}
+
+export function scoreLead(data, rules = LEAD_RULES) {
+  const reasons = rules.rules.flatMap(rule => applyRule(rule, data));
+  const score = reasons.reduce((total, reason) => total + reason.points, 0);
+  const tier = rules.tiers.find(candidate => score >= candidate.minScore) || rules.tiers[rules.tiers.length - 1];
+
+  return {
+    score,
+    priority: tier.priority,
+    subjectPrefix: tier.subjectPrefix,
+    recipients: tier.recipients,
+    followUp: tier.followUp,
+    reasons
+  };
+}
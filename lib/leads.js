@@ -0,0 +1,91 @@
+// Lead records: every validated contact submission is stored here before
+// any email is sent, so a delivery failure never loses the lead.
+//
+// {
+//   id: 'lead_<uuid>',
+//   createdAt: ISO timestamp,
+//   status: 'received' | 'delivery_pending' | 'notified' | 'delivery_failed',
+//   source: 'contact_form',
+//   data: { ...validated contact fields },
+//   consent: { policyVersion, wording, lang, text, givenAt, ipHash } (see lib/consent.js),
+//   score: { score, priority, reasons } (see lib/lead-scoring.js),
+//   emails: { notification: { deliveryId, status, attempts, ... }, autoReply: { ... } },
+//   booking: { id, start, end, at } once a consultation call is booked, or
+//            { status: 'pending', at } while one is being booked (see api/book.js)
+// }
+//
+// Emails themselves go through the delivery queue (lib/delivery-queue.js),
+// which reports every change back through recordDelivery().
+
+import { randomUUID } from 'crypto';
+
+export function createLeadRepository(store) {
+  const leads = store.collection('leads');
+
+  return {
+    async create(data, { source = 'contact_form', consent = null, score = null, now = new Date() } = {}) {
+      return leads.insert({
+        id: `lead_${randomUUID()}`,
+        createdAt: now.toISOString(),
+        status: 'received',
+        source,
+        data,
+        consent,
+        score,
+        emails: {}
+      });
+    },
+
+    get(id) {
+      return leads.get(id);
+    },
+
+    // Claim the lead's one booking, atomically: resolves to the lead, or to
+    // null when it already has a booking or another request claimed it first
+    async claimBooking(id, { now = new Date() } = {}) {
+      let claimed = false;
+      const lead = await leads.update(id, current => {
+        claimed = !current.booking;
+        return claimed ? { booking: { status: 'pending', at: now.toISOString() } } : {};
+      });
+      return claimed ? lead : null;
+    },
+
+    // Give up a claim whose slot could not be reserved
+    releaseBooking(id) {
+      return leads.update(id, lead => (lead.booking && lead.booking.status === 'pending' ? { booking: null } : {}));
+    },
+
+    recordBooking(id, booking) {
+      return leads.update(id, {
+        booking: { id: booking.id, start: booking.start, end: booking.end, at: booking.createdAt }
+      });
+    },
+
+    // Mirror a delivery queue record onto its lead and derive the lead status
+    async recordDelivery(delivery) {
+      if (!delivery || !delivery.leadId) return null;
+
+      return leads.update(delivery.leadId, lead => {
+        const emails = {
+          ...lead.emails,
+          [delivery.kind]: {
+            deliveryId: delivery.id,
+            status: delivery.status,
+            attempts: delivery.attempts,
+            id: delivery.sentId,
+            error: delivery.lastError,
+            at: delivery.updatedAt
+          }
+        };
+        const statuses = Object.values(emails).map(email => email.status);
+
+        let status = 'notified';
+        if (statuses.includes('dead')) status = 'delivery_failed';
+        else if (statuses.includes('pending')) status = 'delivery_pending';
+
+        return { emails, status };
+      });
+    }
+  };
+}
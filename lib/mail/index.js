@@ -0,0 +1,50 @@
+// Email transport selection
+//
+// Every transport exposes the same interface:
+//
+//   transport.send({ from, to, replyTo, subject, html, text, tags, attachments, headers })
+//     -> Promise<{ id }>
+//
+// Attachments are { filename, content, contentType } with text content,
+// so queued messages stay plain JSON (see lib/delivery-queue.js).
+// `headers` is an object of extra headers (e.g. List-Unsubscribe).
+//
+// EMAIL_TRANSPORT picks the backend: "resend", "smtp" or "outbox". When it
+// is not set we use Resend if an API key is configured and fall back to
+// the local outbox otherwise, so the contact flow runs offline by default.
+
+import { createOutboxTransport } from './outbox.js';
+import { createResendTransport } from './resend.js';
+import { createSmtpTransport } from './smtp.js';
+
+export function createTransport(env = process.env) {
+  const name = env.EMAIL_TRANSPORT || (env.RESEND_API_KEY ? 'resend' : 'outbox');
+
+  switch (name) {
+    case 'resend':
+      return createResendTransport({ apiKey: env.RESEND_API_KEY });
+    case 'smtp':
+      return createSmtpTransport({
+        url: env.SMTP_URL,
+        host: env.SMTP_HOST,
+        port: env.SMTP_PORT,
+        secure: env.SMTP_SECURE,
+        user: env.SMTP_USER,
+        pass: env.SMTP_PASS
+      });
+    case 'outbox':
+      return createOutboxTransport({ dir: env.OUTBOX_DIR });
+    default:
+      throw new Error(`Unknown EMAIL_TRANSPORT "${name}"`);
+  }
+}
+
+let defaultTransport;
+
+// Transport built from process.env, created on first use
+export function getTransport() {
+  if (!defaultTransport) {
+    defaultTransport = createTransport();
+  }
+  return defaultTransport;
+}
@@ -0,0 +1,19 @@
+// Mapping from our transport-neutral message shape to nodemailer's
+
+export function toNodemailerMessage(message) {
+  return {
+    from: message.from,
+    to: message.to,
+    replyTo: message.replyTo,
+    subject: message.subject,
+    html: message.html,
+    text: message.text,
+    attachments: message.attachments,
+    headers: {
+      ...message.headers,
+      ...((message.tags || []).length
+        ? { 'X-Tags': message.tags.map(tag => `${tag.name}=${tag.value}`).join('; ') }
+        : {})
+    }
+  };
+}
@@ -0,0 +1,30 @@
+// Local "outbox" transport: writes every message to disk instead of
+// sending it, as a .eml file (open it in any mail client) plus a .json
+// file with the original message for scripts and CI assertions.
+
+import { randomUUID } from 'crypto';
+import { mkdir, writeFile } from 'fs/promises';
+import path from 'path';
+import nodemailer from 'nodemailer';
+import { toNodemailerMessage } from './message.js';
+
+export function createOutboxTransport({ dir = '.outbox' } = {}) {
+  const composer = nodemailer.createTransport({ streamTransport: true, buffer: true });
+
+  return {
+    name: 'outbox',
+    dir,
+
+    async send(message) {
+      const id = `outbox_${randomUUID()}`;
+      const { message: raw } = await composer.sendMail(toNodemailerMessage(message));
+      const base = path.join(dir, `${new Date().toISOString().replace(/[:.]/g, '-')}-${id}`);
+
+      await mkdir(dir, { recursive: true });
+      await writeFile(`${base}.eml`, raw);
+      await writeFile(`${base}.json`, JSON.stringify({ id, ...message }, null, 2));
+
+      return { id };
+    }
+  };
+}
@@ -0,0 +1,46 @@
+// Resend email transport
+
+import { Resend } from 'resend';
+
+// Resend only accepts ASCII letters, numbers, underscores and dashes in tags
+function toResendTag({ name, value }) {
+  const clean = str => String(str).replace(/[^A-Za-z0-9_-]/g, '_').slice(0, 256);
+  return { name: clean(name), value: clean(value) };
+}
+
+// Resend takes attachment content base64-encoded
+function toResendAttachment({ filename, content }) {
+  return { filename, content: Buffer.from(content).toString('base64') };
+}
+
+export function createResendTransport({ apiKey }) {
+  if (!apiKey) {
+    throw new Error('RESEND_API_KEY is required for the resend email transport');
+  }
+
+  const resend = new Resend(apiKey);
+
+  return {
+    name: 'resend',
+
+    async send(message) {
+      const { data, error } = await resend.emails.send({
+        from: message.from,
+        to: message.to,
+        reply_to: message.replyTo,
+        subject: message.subject,
+        html: message.html,
+        text: message.text,
+        headers: message.headers,
+        tags: (message.tags || []).map(toResendTag),
+        attachments: message.attachments && message.attachments.map(toResendAttachment)
+      });
+
+      if (error) {
+        throw new Error(`Resend error (${error.name}): ${error.message}`);
+      }
+
+      return { id: data.id };
+    }
+  };
+}
@@ -0,0 +1,26 @@
+// Plain SMTP email transport (any provider, or a local catcher like MailHog)
+
+import nodemailer from 'nodemailer';
+import { toNodemailerMessage } from './message.js';
+
+export function createSmtpTransport({ url, host, port, secure, user, pass }) {
+  if (!url && !host) {
+    throw new Error('SMTP_URL or SMTP_HOST is required for the smtp email transport');
+  }
+
+  const transporter = nodemailer.createTransport(url || {
+    host,
+    port: Number(port) || 587,
+    secure: secure === 'true',
+    auth: user ? { user, pass } : undefined
+  });
+
+  return {
+    name: 'smtp',
+
+    async send(message) {
+      const info = await transporter.sendMail(toNodemailerMessage(message));
+      return { id: info.messageId };
+    }
+  };
+}
@@ -0,0 +1,209 @@
+// Helpers of the scripts that generate pages (scripts/build-portfolio.mjs,
+// scripts/build-blog.mjs): escaping, catalog messages, generated regions of
+// hand-written pages, the layout of generated pages, and the pages of cards
+// behind "Load more" buttons.
+
+import { existsSync, mkdirSync, readFileSync, writeFileSync } from 'fs';
+import { dirname, join } from 'path';
+import { fileURLToPath } from 'url';
+import I18N from '../assets 2/js/i18n.js';
+
+export const ROOT = fileURLToPath(new URL('..', import.meta.url));
+export const SITE_URL = (process.env.SITE_URL || JSON.parse(readFileSync(join(ROOT, 'package.json'), 'utf8')).homepage)
+  .replace(/\/$/, '');
+
+const CATALOG_DIR = join(ROOT, 'assets 2', 'i18n');
+
+// Directories whose URL isn't their path in the repo
+const SOURCE_DIRS = {
+  '/blog/': 'blog 2/'
+};
+
+// Translations of every language
+export function loadI18n() {
+  const i18n = I18N.createI18n();
+  I18N.LANGUAGES.forEach(lang => {
+    i18n.addCatalog(lang, JSON.parse(readFileSync(join(CATALOG_DIR, `${lang}.json`), 'utf8')));
+  });
+  return i18n;
+}
+
+// =====================================================
+// HTML HELPERS
+// =====================================================
+
+// Text content only needs &, < and > escaped
+export function text(value) {
+  return String(value).replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+}
+
+export const attr = I18N.escapeHtml;
+
+export function absoluteUrl(path) {
+  return `${SITE_URL}${path}`;
+}
+
+// Element content from the catalog, keeping data-i18n so the page can be
+// re-translated in the browser
+export function message(i18n, id, lang, params) {
+  const paramsAttribute = params ? ` data-i18n-params="${attr(JSON.stringify(params))}"` : '';
+  return ` data-i18n="${id}"${paramsAttribute}>${text(i18n.t(id, params, lang))}`;
+}
+
+export function indent(block, spaces) {
+  const pad = ' '.repeat(spaces);
+  return block.split('\n').map(line => (line ? pad + line : pad)).join('\n');
+}
+
+// Replace the content between <!-- name --> and <!-- /name -->
+export function replaceRegion(html, name, content, file) {
+  const pattern = new RegExp(`(<!-- ${name} -->)[\\s\\S]*?(\\n[ \\t]*<!-- /${name} -->)`);
+  if (!pattern.test(html)) throw new Error(`${file}: no <!-- ${name} --> region`);
+  return html.replace(pattern, (match, open, close) => `${open}\n${content}${close}`);
+}
+
+// =====================================================
+// FILES
+// =====================================================
+
+// File of a URL path: /blog/feed.xml -> <root>/blog 2/feed.xml,
+// /el/portfolio/ -> <root>/el/portfolio/index.html
+export function pageFile(path) {
+  const dir = Object.keys(SOURCE_DIRS).find(prefix => path.startsWith(prefix));
+  const file = dir ? SOURCE_DIRS[dir] + path.slice(dir.length) : path.slice(1);
+  return join(ROOT, file.endsWith('/') || file === '' ? `${file}index.html` : file);
+}
+
+export function writeIfChanged(file, content, label) {
+  if (existsSync(file) && readFileSync(file, 'utf8') === content) return;
+  if (!existsSync(dirname(file))) mkdirSync(dirname(file), { recursive: true });
+  writeFileSync(file, content);
+  console.log(`${label.padEnd(8)} ${file.slice(ROOT.length)}`);
+}
+
+// =====================================================
+// LAYOUT
+// =====================================================
+
+// hreflang alternates of a page published at `paths` ({ lang: path }),
+// x-default being the English version (or the first one there is)
+export function alternateLinks(paths) {
+  const langs = I18N.LANGUAGES.filter(lang => paths[lang]);
+  const fallback = paths[I18N.DEFAULT_LANG] || paths[langs[0]];
+  return langs.map(lang => ({ lang, href: absoluteUrl(paths[lang]) }))
+    .concat({ lang: 'x-default', href: absoluteUrl(fallback) });
+}
+
+/**
+ * A generated page with the site's navigation bar and footer:
+ *   source      what the page is generated from, for the "don't edit" note
+ *   alternates  { lang: path } of the page's translations
+ *   toggles     { lang: path } of the EN/EL toggle links (default: alternates)
+ *   back        { href, id } of the button next to the toggles
+ *   head        extra <head> markup
+ *   main        content of <main>, indented to 8 spaces
+ */
+export function renderLayout(i18n, lang, { source, title, description, alternates, toggles = alternates, back, head = '', main }) {
+  const t = id => message(i18n, id, lang);
+  const hreflang = alternateLinks(alternates)
+    .map(link => `<link rel="alternate" hreflang="${link.lang}" href="${link.href}">`)
+    .join('\n');
+  const toggleLinks = I18N.LANGUAGES.map(code => `<a href="${toggles[code]}" class="btn btn-outline-secondary btn-sm lang-toggle" data-lang="${code}" hreflang="${code}" lang="${code}" aria-label="${attr(I18N.LOCALES[code].name)}">${code.toUpperCase()}</a>`)
+    .join('\n');
+
+  return `<!DOCTYPE html>
+<!-- Generated by ${source}: don't edit by hand -->
+<html lang="${lang}" data-lang="${lang}">
+<head>
+    <meta charset="UTF-8">
+    <meta name="viewport" content="width=device-width, initial-scale=1.0">
+    <title>${text(title)}</title>
+    <meta name="description" content="${attr(description)}">
+${head ? `${indent(head, 4)}\n` : ''}
+    <!-- Hreflang -->
+${indent(hreflang, 4)}
+
+    <link rel="preconnect" href="https://fonts.googleapis.com">
+    <link rel="preconnect" href="https://fonts.gstatic.com" crossorigin>
+    <link href="https://fonts.googleapis.com/css2?family=Inter:wght@300;400;500;600;700&display=swap" rel="stylesheet">
+    <link href="https://cdn.jsdelivr.net/npm/bootstrap@5.3.0/dist/css/bootstrap.min.css" rel="stylesheet">
+    <link rel="stylesheet" href="/assets/css/main.css">
+    <link rel="icon" href="/favicon.ico">
+</head>
+<body>
+    <nav class="navbar navbar-expand-lg navbar-light bg-white shadow-sm fixed-top">
+        <div class="container">
+            <a class="navbar-brand d-flex align-items-center" href="${I18N.localizePath('/', lang)}">
+                <svg width="32" height="32" class="me-2" viewBox="0 0 32 32" fill="none" xmlns="http://www.w3.org/2000/svg">
+                    <rect width="32" height="32" rx="8" fill="#2563EB"/>
+                    <path d="M8 12h16v2H8v-2zm0 4h16v2H8v-2zm0 4h12v2H8v-2z" fill="white"/>
+                </svg>
+                <span class="fw-bold text-dark fs-4">DigiLima</span>
+            </a>
+            <div class="ms-auto d-flex align-items-center">
+                <div class="language-switcher me-3">
+${indent(toggleLinks, 20)}
+                </div>
+                <a href="${back.href}" class="btn btn-outline-primary"${t(back.id)}</a>
+            </div>
+        </div>
+    </nav>
+
+    <main style="margin-top: 76px;">
+${main}
+    </main>
+
+    <footer class="bg-dark text-light py-4">
+        <div class="container">
+            <div class="row align-items-center">
+                <div class="col-md-6">
+                    <p class="mb-0">&copy; 2024 DigiLima.com. <span${t('common.all-rights-reserved')}</span></p>
+                </div>
+                <div class="col-md-6 text-md-end">
+                    <a href="/privacy.html" class="text-light-emphasis text-decoration-none me-3"${t('common.privacy-policy')}</a>
+                    <a href="/terms.html" class="text-light-emphasis text-decoration-none me-3"${t('common.terms-of-service')}</a>
+                    <a href="#" class="text-light-emphasis text-decoration-none" data-cookie-settings${t('common.cookie-settings')}</a>
+                </div>
+            </div>
+        </div>
+    </footer>
+
+    <script src="https://cdn.jsdelivr.net/npm/bootstrap@5.3.0/dist/js/bootstrap.bundle.min.js"></script>
+    <script src="/assets/js/consent.js"></script>
+    <script src="/assets/js/i18n.js"></script>
+    <script src="/assets/js/main.js"></script>
+</body>
+</html>
+`;
+}
+
+// =====================================================
+// LOAD MORE
+// =====================================================
+
+// Cards of a list, a page at a time, for its "Load more" button
+// (initLoadMore() in main.js): <list>page/<n>.json with
+// { page, pages, items: [{ slug, html }] }
+function fragmentPath(listPath, page) {
+  return `${listPath}page/${page}.json`;
+}
+
+export function writeFragments(listPath, cards, perPage) {
+  const pages = Math.ceil(cards.length / perPage);
+  for (let page = 1; page <= pages; page++) {
+    const items = cards.slice((page - 1) * perPage, page * perPage);
+    writeIfChanged(pageFile(fragmentPath(listPath, page)), `${JSON.stringify({ page, pages, items })}\n`, 'built');
+  }
+}
+
+/**
+ * The "Load more" button of a list and its data: every item in order
+ * ({ slug, ...what the list's filters need }) and where its cards are
+ */
+export function renderLoadMore(i18n, lang, { listPath, items, perPage, className, id }) {
+  const data = JSON.stringify({ url: fragmentPath(listPath, '{page}'), perPage, items }).replace(/</g, '\\u003c');
+  return `<div class="text-center mt-5">
+    <button type="button" class="btn btn-outline-primary btn-lg ${className}" hidden${message(i18n, id, lang)}</button>
+    <script type="application/json" class="load-more-data">${data}</script>
+</div>`;
+}
@@ -0,0 +1,161 @@
+// Personal data held about one email address, across every collection that
+// stores it, for GDPR access/erasure requests and retention purges.
+//
+//   leads        data.email
+//   subscribers  email (id derived from it, see lib/subscribers.js)
+//   deliveries   message.to / message.replyTo, or leadId of an erased lead
+//   bookings     email, or leadId (consultation calls, see lib/calendar/local.js)
+//   webhooks     leadId (lead events sent to integrations, see lib/webhooks)
+//
+// Data subject requests are verified with a signed, time-limited link sent
+// to the address itself (see api/privacy/*).
+
+import { sign, verify } from './signing.js';
+import { subscriberId } from './subscribers.js';
+
+export const DATA_REQUEST_TYPES = ['export', 'delete'];
+export const DATA_REQUEST_TOKEN_TTL_MS = 60 * 60 * 1000;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Contact form submissions are kept for 2 years (privacy.html, section 9)
+export const RETENTION_DEFAULTS = {
+  leadsMs: 730 * DAY_MS,
+  // Sent or dead email deliveries; they hold a full copy of each message
+  deliveriesMs: 90 * DAY_MS,
+  // Signups that were never confirmed, and unsubscribed addresses
+  inactiveSubscribersMs: 30 * DAY_MS
+};
+
+export function dataRequestToken(email, type, { secret, now = Date.now } = {}) {
+  return sign({ a: 'data-request', e: email.trim().toLowerCase(), r: type, exp: now() + DATA_REQUEST_TOKEN_TTL_MS }, secret);
+}
+
+// Returns { email, type } for a valid, unexpired token of the given type
+export function readDataRequestToken(token, type, { secret, now = Date.now } = {}) {
+  const payload = verify(token, secret);
+  if (!payload || payload.a !== 'data-request' || payload.r !== type || !payload.e) return null;
+  if (!payload.exp || payload.exp < now()) return null;
+  return { email: payload.e, type: payload.r };
+}
+
+const sameEmail = (value, email) => typeof value === 'string' && value.trim().toLowerCase() === email;
+
+function addressedTo(message, email) {
+  const recipients = [].concat(message.to || [], message.replyTo || []);
+  return recipients.some(recipient => sameEmail(recipient, email));
+}
+
+export function createPersonalDataService(store) {
+  const leads = store.collection('leads');
+  const subscribers = store.collection('subscribers');
+  const deliveries = store.collection('deliveries');
+  const bookings = store.collection('bookings');
+  const webhooks = store.collection('webhooks');
+
+  async function collect(email) {
+    const address = email.trim().toLowerCase();
+    const leadRecords = await leads.find(lead => sameEmail(lead.data && lead.data.email, address));
+    const leadIds = new Set(leadRecords.map(lead => lead.id));
+    const subscriber = await subscribers.get(subscriberId(address));
+    const deliveryRecords = await deliveries.find(delivery => (
+      leadIds.has(delivery.leadId) || addressedTo(delivery.message || {}, address)
+    ));
+    const bookingRecords = await bookings.find(booking => (
+      leadIds.has(booking.leadId) || sameEmail(booking.email, address)
+    ));
+    const webhookRecords = await webhooks.find(webhook => leadIds.has(webhook.leadId));
+
+    return {
+      leads: leadRecords,
+      subscribers: subscriber ? [subscriber] : [],
+      deliveries: deliveryRecords,
+      bookings: bookingRecords,
+      webhooks: webhookRecords
+    };
+  }
+
+  async function removeAll(collection, records) {
+    let removed = 0;
+    for (const record of records) {
+      if (await collection.remove(record.id)) removed++;
+    }
+    return removed;
+  }
+
+  return {
+    async hasData(email) {
+      const found = await collect(email);
+      return Object.values(found).some(records => records.length > 0);
+    },
+
+    // Everything held about the address. Email deliveries and webhooks are
+    // summarized rather than copied, since their content is already in the leads.
+    async export(email) {
+      const found = await collect(email);
+      return {
+        email: email.trim().toLowerCase(),
+        exportedAt: new Date().toISOString(),
+        leads: found.leads,
+        subscriptions: found.subscribers,
+        bookings: found.bookings,
+        integrations: found.webhooks.map(webhook => ({
+          id: webhook.id,
+          endpoint: webhook.endpoint,
+          event: webhook.event.type,
+          status: webhook.status,
+          createdAt: webhook.createdAt
+        })),
+        emails: found.deliveries.map(delivery => ({
+          id: delivery.id,
+          kind: delivery.kind,
+          subject: delivery.message && delivery.message.subject,
+          status: delivery.status,
+          createdAt: delivery.createdAt
+        }))
+      };
+    },
+
+    // Remove everything held about the address; returns removed counts
+    async erase(email) {
+      const found = await collect(email);
+      return {
+        leads: await removeAll(leads, found.leads),
+        subscribers: await removeAll(subscribers, found.subscribers),
+        deliveries: await removeAll(deliveries, found.deliveries),
+        bookings: await removeAll(bookings, found.bookings),
+        webhooks: await removeAll(webhooks, found.webhooks)
+      };
+    },
+
+    // Remove records past their retention period; returns removed counts
+    async purgeExpired({ retention = RETENTION_DEFAULTS, now = Date.now } = {}) {
+      const settings = { ...RETENTION_DEFAULTS, ...retention };
+      const time = now();
+      const olderThan = (timestamp, ms) => Boolean(timestamp) && Date.parse(timestamp) < time - ms;
+
+      const expiredLeads = await leads.find(lead => olderThan(lead.createdAt, settings.leadsMs));
+      // Bookings go with the leads they were made for
+      const expiredBookings = await bookings.find(booking => olderThan(booking.end, settings.leadsMs));
+      // Webhooks hold a copy of the lead, like email deliveries
+      const expiredWebhooks = await webhooks.find(webhook => (
+        webhook.status !== 'pending' && olderThan(webhook.updatedAt, settings.deliveriesMs)
+      ));
+      const expiredDeliveries = await deliveries.find(delivery => (
+        delivery.status !== 'pending' && olderThan(delivery.updatedAt, settings.deliveriesMs)
+      ));
+      const expiredSubscribers = await subscribers.find(subscriber => (
+        (subscriber.status === 'pending' && olderThan(subscriber.confirmRequestedAt, settings.inactiveSubscribersMs)) ||
+        (subscriber.status === 'unsubscribed' && olderThan(subscriber.unsubscribedAt, settings.inactiveSubscribersMs))
+      ));
+
+      return {
+        leads: await removeAll(leads, expiredLeads),
+        deliveries: await removeAll(deliveries, expiredDeliveries),
+        subscribers: await removeAll(subscribers, expiredSubscribers),
+        bookings: await removeAll(bookings, expiredBookings),
+        webhooks: await removeAll(webhooks, expiredWebhooks)
+      };
+    }
+  };
+}
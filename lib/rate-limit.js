@@ -0,0 +1,56 @@
+// Sliding window rate limiting on top of a KV store (see lib/kv)
+//
+// Uses the sliding window counter approximation: one counter per fixed
+// window, with the previous window's count weighted by how much of it
+// still overlaps the sliding window. Two keys per client, no lists.
+
+import { createHash } from 'crypto';
+
+// Identifiers (IPs, email addresses) are hashed so the store never holds
+// personal data in its keys
+function hashId(id) {
+  return createHash('sha256').update(String(id).toLowerCase()).digest('hex').slice(0, 32);
+}
+
+export function createRateLimiter({ kv, name, limit, windowMs, now = Date.now }) {
+  return {
+    name,
+    limit,
+    windowMs,
+
+    // Record an attempt for the identifier and report whether it is allowed.
+    // Rejected attempts still count, so hammering keeps a client blocked.
+    async consume(id) {
+      const time = now();
+      const window = Math.floor(time / windowMs);
+      const elapsed = time - window * windowMs;
+      const key = `ratelimit:${name}:${hashId(id)}`;
+
+      const count = await kv.incr(`${key}:${window}`, { ttl: windowMs * 2 });
+      const previous = Number(await kv.get(`${key}:${window - 1}`)) || 0;
+      const estimate = previous * (1 - elapsed / windowMs) + count;
+
+      if (estimate <= limit) {
+        return { allowed: true, remaining: Math.floor(limit - estimate), retryAfter: 0 };
+      }
+
+      return { allowed: false, remaining: 0, retryAfter: retryAfterSeconds({ previous, count, elapsed, limit, windowMs }) };
+    }
+  };
+}
+
+// Seconds until the estimate leaves room for one more attempt
+function retryAfterSeconds({ previous, count, elapsed, limit, windowMs }) {
+  const room = limit - 1;
+  let waitMs;
+
+  if (count <= room) {
+    // Enough of the previous window has to slide out
+    waitMs = windowMs * (1 - (room - count) / previous) - elapsed;
+  } else {
+    // Wait for the next window, then for this window's count to slide out
+    waitMs = (windowMs - elapsed) + windowMs * (1 - room / count);
+  }
+
+  return Math.max(1, Math.ceil(waitMs / 1000));
+}
@@ -0,0 +1,32 @@
+// Helpers for reading serverless request details
+
+// Client IP as reported by the platform proxy, falling back to the socket
+export function getClientIp(req) {
+  const forwarded = req.headers['x-forwarded-for'];
+  if (forwarded) {
+    return String(forwarded).split(',')[0].trim();
+  }
+  return req.headers['x-real-ip'] || (req.socket && req.socket.remoteAddress) || '';
+}
+
+// Vercel cron invocations carry "Authorization: Bearer <CRON_SECRET>".
+// Without a configured secret only local (non-production) calls pass.
+export function isCronAuthorized(req, env = process.env) {
+  if (!env.CRON_SECRET) {
+    return env.NODE_ENV !== 'production' && env.VERCEL_ENV !== 'production';
+  }
+  return req.headers.authorization === `Bearer ${env.CRON_SECRET}`;
+}
+
+// Public base URL for links in emails. SITE_URL is required in production:
+// the Host header is client-controlled, and a spoofed one would send the
+// signed links (data export, newsletter confirmation) to another domain.
+// Local runs fall back to the request's host.
+export function getSiteUrl(req, env = process.env) {
+  if (env.SITE_URL) return env.SITE_URL.replace(/\/$/, '');
+  if (env.NODE_ENV === 'production' || env.VERCEL_ENV === 'production') {
+    throw new Error('SITE_URL must be set in production');
+  }
+  const proto = String(req.headers['x-forwarded-proto'] || 'https').split(',')[0];
+  return `${proto}://${req.headers.host}`;
+}
@@ -0,0 +1,86 @@
+// Lease and retry bookkeeping shared by the email queue
+// (lib/delivery-queue.js) and the webhook outbox (lib/webhooks/outbox.js).
+// Their records carry
+//
+//   status: 'pending' | <doneStatus> | 'dead',
+//   attempts, nextAttemptAt, lockedUntil, lastError
+//
+// and each queue writes its own attempt() on top of claim(), succeeded()
+// and failed(), which processDue() then re-drives.
+
+export const RETRY_DEFAULTS = {
+  maxAttempts: 6,
+  baseDelayMs: 60 * 1000,
+  maxDelayMs: 6 * 60 * 60 * 1000,
+  // How long an attempt holds a record before another worker may retry it
+  leaseMs: 2 * 60 * 1000
+};
+
+export function backoffDelay(attempts, { baseDelayMs, maxDelayMs } = RETRY_DEFAULTS) {
+  return Math.min(maxDelayMs, baseDelayMs * 2 ** Math.max(0, attempts - 1));
+}
+
+export function createRetryQueue(records, { doneStatus, retry = RETRY_DEFAULTS, now = Date.now }) {
+  const settings = { ...RETRY_DEFAULTS, ...retry };
+
+  return {
+    // Fields of a new record, due right away
+    initial() {
+      return { status: 'pending', attempts: 0, nextAttemptAt: now(), lockedUntil: null, lastError: null };
+    },
+
+    // Take a time-limited lock so concurrent workers don't send twice. Whether
+    // this worker got it is decided inside the atomic update: a lease taken by
+    // another worker in the same millisecond looks the same afterwards.
+    async claim(id) {
+      const time = now();
+      let claimed = false;
+      const record = await records.update(id, current => {
+        claimed = current.status === 'pending' && (current.lockedUntil || 0) <= time;
+        return claimed ? { lockedUntil: time + settings.leaseMs } : {};
+      });
+      return claimed ? record : null;
+    },
+
+    // Changes recording a successful attempt
+    succeeded(attempts) {
+      return { status: doneStatus, attempts, lastError: null, lockedUntil: null };
+    },
+
+    // Changes recording a failed attempt: retried after the backoff, or dead
+    // once maxAttempts is reached or retrying can't help
+    failed(attempts, error, { permanent = false } = {}) {
+      const dead = permanent || attempts >= settings.maxAttempts;
+      return {
+        status: dead ? 'dead' : 'pending',
+        attempts,
+        lastError: error,
+        lockedUntil: null,
+        nextAttemptAt: dead ? null : now() + backoffDelay(attempts, settings)
+      };
+    },
+
+    // Attempt every pending record that is due, oldest first
+    async processDue(attempt, { limit = 25 } = {}) {
+      const time = now();
+      const due = (await records.find(record => (
+        record.status === 'pending' &&
+        record.nextAttemptAt <= time &&
+        (record.lockedUntil || 0) <= time
+      )))
+        .sort((a, b) => a.nextAttemptAt - b.nextAttemptAt)
+        .slice(0, limit);
+
+      const summary = { processed: 0, [doneStatus]: 0, retrying: 0, dead: 0 };
+      for (const record of due) {
+        const result = await attempt(record.id);
+        if (!result) continue;
+        summary.processed++;
+        if (result.status === doneStatus) summary[doneStatus]++;
+        else if (result.status === 'dead') summary.dead++;
+        else summary.retrying++;
+      }
+      return summary;
+    }
+  };
+}
@@ -0,0 +1,44 @@
+// HMAC-signed tokens: base64url(JSON payload) + "." + base64url(signature)
+
+import { createHmac, timingSafeEqual } from 'crypto';
+
+const DEV_SECRET = 'digilima-dev-signing-secret';
+
+// SIGNING_SECRET is required in production; local runs fall back to a
+// fixed development secret so tokens survive restarts.
+export function getSigningSecret(env = process.env) {
+  if (env.SIGNING_SECRET) return env.SIGNING_SECRET;
+  if (env.NODE_ENV === 'production' || env.VERCEL_ENV === 'production') {
+    throw new Error('SIGNING_SECRET must be set in production');
+  }
+  return DEV_SECRET;
+}
+
+function hmac(data, secret) {
+  return createHmac('sha256', secret).update(data).digest('base64url');
+}
+
+export function sign(payload, secret = getSigningSecret()) {
+  const data = Buffer.from(JSON.stringify(payload)).toString('base64url');
+  return `${data}.${hmac(data, secret)}`;
+}
+
+// Returns the payload, or null when the token is malformed or tampered with
+export function verify(token, secret = getSigningSecret()) {
+  if (typeof token !== 'string') return null;
+
+  const [data, signature, extra] = token.split('.');
+  if (!data || !signature || extra !== undefined) return null;
+
+  const expected = Buffer.from(hmac(data, secret));
+  const actual = Buffer.from(signature);
+  if (expected.length !== actual.length || !timingSafeEqual(expected, actual)) {
+    return null;
+  }
+
+  try {
+    return JSON.parse(Buffer.from(data, 'base64url').toString('utf8'));
+  } catch (error) {
+    return null;
+  }
+}
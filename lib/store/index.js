@@ -0,0 +1,47 @@
+// Document store selection
+//
+// A store hands out named collections of JSON documents keyed by `id`:
+//
+//   const leads = store.collection('leads');
+//   insert(doc)              -> doc
+//   get(id)                  -> doc | null
+//   update(id, changes)      -> updated doc | null (changes: object or fn(doc) -> object)
+//   find(query)              -> docs (query: { field: value } or fn(doc) -> boolean)
+//   remove(id)               -> true when something was removed
+//
+// DATA_STORE picks the backend: "redis" (the KV_REST_API_* database,
+// the default when it is configured), "file" (JSON files in DATA_DIR, the
+// default otherwise) or "memory". Deployed functions have a read-only,
+// per-instance disk, so "file" is refused there.
+
+import { createJsonFileStore } from './json-file.js';
+import { createMemoryStore } from './memory.js';
+import { createRedisStore } from './redis.js';
+
+export function createStore(env = process.env) {
+  const name = env.DATA_STORE || (env.KV_REST_API_URL ? 'redis' : 'file');
+
+  switch (name) {
+    case 'redis':
+      return createRedisStore({ url: env.KV_REST_API_URL, token: env.KV_REST_API_TOKEN });
+    case 'file':
+      if (env.NODE_ENV === 'production' || env.VERCEL_ENV === 'production' || env.VERCEL_ENV === 'preview') {
+        throw new Error('DATA_STORE=file cannot be used in a deployment; set KV_REST_API_URL and KV_REST_API_TOKEN for the redis store');
+      }
+      return createJsonFileStore({ dir: env.DATA_DIR });
+    case 'memory':
+      return createMemoryStore();
+    default:
+      throw new Error(`Unknown DATA_STORE "${name}"`);
+  }
+}
+
+let defaultStore;
+
+// Store built from process.env, created on first use
+export function getStore() {
+  if (!defaultStore) {
+    defaultStore = createStore();
+  }
+  return defaultStore;
+}
@@ -0,0 +1,93 @@
+// JSON-file document store: one <collection>.json file per collection in
+// `dir`. Writes go through a temp file and rename, and are serialized per
+// collection within the process. Good for local development and small
+// single-instance deployments with a persistent disk.
+
+import { mkdir, readFile, rename, writeFile } from 'fs/promises';
+import path from 'path';
+import { matches } from './query.js';
+
+export function createJsonFileStore({ dir = '.data' } = {}) {
+  const queues = new Map();
+
+  async function load(name) {
+    try {
+      return JSON.parse(await readFile(path.join(dir, `${name}.json`), 'utf8'));
+    } catch (error) {
+      if (error.code === 'ENOENT') return {};
+      throw error;
+    }
+  }
+
+  async function save(name, docs) {
+    const file = path.join(dir, `${name}.json`);
+    const temp = `${file}.${process.pid}.tmp`;
+    await mkdir(dir, { recursive: true });
+    await writeFile(temp, JSON.stringify(docs, null, 2));
+    await rename(temp, file);
+  }
+
+  // Wait for pending writes to a collection. A failed write (e.g. a
+  // duplicate id) only rejects its own caller, not later reads.
+  function settled(name) {
+    return (queues.get(name) || Promise.resolve()).catch(() => {});
+  }
+
+  // Run a read-modify-write against a collection, one at a time
+  function mutate(name, fn) {
+    const next = settled(name).then(async () => {
+      const docs = await load(name);
+      const { result, changed } = await fn(docs);
+      if (changed) await save(name, docs);
+      return result;
+    });
+    queues.set(name, next);
+    return next;
+  }
+
+  return {
+    name: 'json-file',
+    dir,
+
+    collection(name) {
+      return {
+        insert(doc) {
+          return mutate(name, docs => {
+            if (docs[doc.id]) throw new Error(`Duplicate id "${doc.id}" in ${name}`);
+            docs[doc.id] = doc;
+            return { result: doc, changed: true };
+          });
+        },
+
+        async get(id) {
+          await settled(name);
+          const docs = await load(name);
+          return docs[id] || null;
+        },
+
+        update(id, changes) {
+          return mutate(name, docs => {
+            const current = docs[id];
+            if (!current) return { result: null, changed: false };
+            docs[id] = { ...current, ...(typeof changes === 'function' ? changes(current) : changes) };
+            return { result: docs[id], changed: true };
+          });
+        },
+
+        async find(query = {}) {
+          await settled(name);
+          const docs = await load(name);
+          return Object.values(docs).filter(doc => matches(doc, query));
+        },
+
+        remove(id) {
+          return mutate(name, docs => {
+            if (!docs[id]) return { result: false, changed: false };
+            delete docs[id];
+            return { result: true, changed: true };
+          });
+        }
+      };
+    }
+  };
+}
@@ -0,0 +1,50 @@
+// In-memory document store, for tests and throwaway local runs
+
+import { matches } from './query.js';
+
+export function createMemoryStore() {
+  const collections = new Map();
+
+  function records(name) {
+    if (!collections.has(name)) collections.set(name, new Map());
+    return collections.get(name);
+  }
+
+  const clone = value => (value === undefined ? undefined : JSON.parse(JSON.stringify(value)));
+
+  return {
+    name: 'memory',
+
+    collection(name) {
+      const docs = records(name);
+
+      return {
+        async insert(doc) {
+          if (docs.has(doc.id)) throw new Error(`Duplicate id "${doc.id}" in ${name}`);
+          docs.set(doc.id, clone(doc));
+          return clone(doc);
+        },
+
+        async get(id) {
+          return clone(docs.get(id)) || null;
+        },
+
+        async update(id, changes) {
+          const current = docs.get(id);
+          if (!current) return null;
+          const next = { ...current, ...(typeof changes === 'function' ? changes(clone(current)) : changes) };
+          docs.set(id, clone(next));
+          return clone(next);
+        },
+
+        async find(query = {}) {
+          return [...docs.values()].filter(doc => matches(doc, query)).map(clone);
+        },
+
+        async remove(id) {
+          return docs.delete(id);
+        }
+      };
+    }
+  };
+}
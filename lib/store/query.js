@@ -0,0 +1,7 @@
+// Query matching shared by the document store adapters. A query is either
+// a predicate function or an object of field values that must all match.
+
+export function matches(doc, query) {
+  if (typeof query === 'function') return query(doc);
+  return Object.keys(query).every(key => doc[key] === query[key]);
+}
@@ -0,0 +1,70 @@
+// Redis document store over the same REST API as the redis KV store
+// (Vercel KV / Upstash), for deployments: serverless functions have no
+// shared, writable disk for the json-file store. Each collection is one
+// hash, "store:<collection>", of id -> JSON document.
+//
+// Inserts use HSETNX, so a duplicate id is refused atomically across
+// instances. Updates are compare-and-set and retried when another writer
+// got there first, so a function passed to update() may run more than once.
+
+import { createRedisClient } from '../kv/redis.js';
+import { matches } from './query.js';
+
+// Replace a field only if it still holds the value the update was based on
+const COMPARE_AND_SET = `
+if redis.call('HGET', KEYS[1], ARGV[1]) ~= ARGV[2] then return 0 end
+redis.call('HSET', KEYS[1], ARGV[1], ARGV[3])
+return 1`;
+
+const MAX_UPDATE_ATTEMPTS = 10;
+
+export function createRedisStore({ url, token, prefix = 'store:', fetch }) {
+  const { command } = createRedisClient({ url, token, fetch });
+
+  return {
+    name: 'redis',
+
+    collection(name) {
+      const key = `${prefix}${name}`;
+
+      return {
+        async insert(doc) {
+          const value = JSON.stringify(doc);
+          if (!(await command('HSETNX', key, doc.id, value))) {
+            throw new Error(`Duplicate id "${doc.id}" in ${name}`);
+          }
+          return JSON.parse(value);
+        },
+
+        async get(id) {
+          const value = await command('HGET', key, id);
+          return value === null ? null : JSON.parse(value);
+        },
+
+        async update(id, changes) {
+          for (let attempt = 0; attempt < MAX_UPDATE_ATTEMPTS; attempt++) {
+            const stored = await command('HGET', key, id);
+            if (stored === null) return null;
+
+            const current = JSON.parse(stored);
+            const next = { ...current, ...(typeof changes === 'function' ? changes(current) : changes) };
+            const value = JSON.stringify(next);
+            if (await command('EVAL', COMPARE_AND_SET, 1, key, id, stored, value)) {
+              return JSON.parse(value);
+            }
+          }
+          throw new Error(`Too many concurrent updates to "${id}" in ${name}`);
+        },
+
+        async find(query = {}) {
+          const values = await command('HVALS', key);
+          return values.map(value => JSON.parse(value)).filter(doc => matches(doc, query));
+        },
+
+        async remove(id) {
+          return (await command('HDEL', key, id)) === 1;
+        }
+      };
+    }
+  };
+}
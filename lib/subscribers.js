@@ -0,0 +1,90 @@
+// Newsletter subscribers, with double opt-in
+//
+// {
+//   id: 'sub_<hash of email>',   // one record per address
+//   email, lang,
+//   status: 'pending' | 'active' | 'unsubscribed',
+//   source, createdAt, confirmRequestedAt, confirmedAt, unsubscribedAt
+// }
+//
+// A subscriber only becomes active through a signed confirmation link
+// (see confirmToken/unsubscribeToken below and api/newsletter/*).
+
+import { createHash } from 'crypto';
+import { sign, verify } from './signing.js';
+
+export const CONFIRM_TOKEN_TTL_MS = 7 * 24 * 60 * 60 * 1000;
+
+export function subscriberId(email) {
+  const hash = createHash('sha256').update(email.trim().toLowerCase()).digest('hex');
+  return `sub_${hash.slice(0, 32)}`;
+}
+
+export function confirmToken(subscriber, { secret, now = Date.now } = {}) {
+  return sign({ a: 'newsletter-confirm', s: subscriber.id, exp: now() + CONFIRM_TOKEN_TTL_MS }, secret);
+}
+
+// Unsubscribe links don't expire: they must work from any old newsletter
+export function unsubscribeToken(subscriber, { secret } = {}) {
+  return sign({ a: 'newsletter-unsubscribe', s: subscriber.id }, secret);
+}
+
+// Returns the subscriber id for a valid token of the given action, else null
+export function readToken(token, action, { secret, now = Date.now } = {}) {
+  const payload = verify(token, secret);
+  if (!payload || payload.a !== action || !payload.s) return null;
+  if (payload.exp && payload.exp < now()) return null;
+  return payload.s;
+}
+
+export function createSubscriberRepository(store) {
+  const subscribers = store.collection('subscribers');
+  const timestamp = () => new Date().toISOString();
+
+  return {
+    get(id) {
+      return subscribers.get(id);
+    },
+
+    // Create or refresh a pending subscription. Active subscribers are
+    // left untouched; `created` tells the caller whether to send a
+    // confirmation email.
+    async requestSubscription(email, { lang = 'en', source = 'newsletter_form' } = {}) {
+      const id = subscriberId(email);
+      const existing = await subscribers.get(id);
+
+      if (existing && existing.status === 'active') {
+        return { subscriber: existing, needsConfirmation: false };
+      }
+
+      const changes = { status: 'pending', lang, confirmRequestedAt: timestamp() };
+      const subscriber = existing
+        ? await subscribers.update(id, changes)
+        : await subscribers.insert({
+          id,
+          email: email.trim().toLowerCase(),
+          source,
+          createdAt: timestamp(),
+          confirmedAt: null,
+          unsubscribedAt: null,
+          ...changes
+        });
+
+      return { subscriber, needsConfirmation: true };
+    },
+
+    async confirm(id) {
+      const subscriber = await subscribers.get(id);
+      if (!subscriber || subscriber.status === 'unsubscribed') return null;
+      if (subscriber.status === 'active') return subscriber;
+      return subscribers.update(id, { status: 'active', confirmedAt: timestamp() });
+    },
+
+    async unsubscribe(id) {
+      const subscriber = await subscribers.get(id);
+      if (!subscriber) return null;
+      if (subscriber.status === 'unsubscribed') return subscriber;
+      return subscribers.update(id, { status: 'unsubscribed', unsubscribedAt: timestamp() });
+    }
+  };
+}
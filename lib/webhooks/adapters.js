@@ -0,0 +1,90 @@
+// Payload formats for webhook endpoints. Each adapter maps a lead event
+// (see createLeadEvent in ./index.js) to the JSON body an endpoint gets:
+//
+//   generic    the event as is
+//   hubspot    contact and deal objects in HubSpot's CRM API shape
+//              ({ properties: { ... } }, as POSTed to /crm/v3/objects/...)
+//   pipedrive  person, organization and deal in Pipedrive's API shape
+//              (as POSTed to /v1/persons, /v1/organizations, /v1/deals)
+//
+// CRM shapes keep the event id and type alongside, so the integration
+// relaying them (Zapier, Make, a small function) can deduplicate.
+
+import { label } from '../emails/labels.js';
+
+// Lower bound of a budget range ("5000-10000" -> 5000), null for "discuss"
+function budgetAmount(budget) {
+  const amount = parseInt(budget, 10);
+  return Number.isNaN(amount) ? null : amount;
+}
+
+function splitName(name = '') {
+  const [first, ...rest] = name.trim().split(/\s+/);
+  return { first: first || '', last: rest.join(' ') };
+}
+
+function dealTitle(lead) {
+  return `${lead.data.company || lead.data.name} - ${label('en', 'projectType', lead.data.projectType)}`;
+}
+
+function generic(event) {
+  return event;
+}
+
+function hubspot(event) {
+  const { lead } = event.data;
+  const { first, last } = splitName(lead.data.name);
+  const amount = budgetAmount(lead.data.budget);
+
+  return {
+    event: { id: event.id, type: event.type, createdAt: event.createdAt },
+    contact: {
+      properties: {
+        email: lead.data.email,
+        firstname: first,
+        lastname: last,
+        phone: lead.data.phone || '',
+        company: lead.data.company || '',
+        lifecyclestage: 'lead',
+        hs_lead_status: 'NEW',
+        hs_language: lead.data.lang || 'en'
+      }
+    },
+    deal: {
+      properties: {
+        dealname: dealTitle(lead),
+        pipeline: 'default',
+        dealstage: 'appointmentscheduled',
+        amount: amount === null ? '' : String(amount),
+        description: lead.data.message,
+        hs_priority: lead.score ? lead.score.priority : ''
+      }
+    }
+  };
+}
+
+function pipedrive(event) {
+  const { lead } = event.data;
+  const amount = budgetAmount(lead.data.budget);
+
+  return {
+    event: { id: event.id, type: event.type, createdAt: event.createdAt },
+    person: {
+      name: lead.data.name,
+      email: [{ value: lead.data.email, primary: true, label: 'work' }],
+      phone: lead.data.phone ? [{ value: lead.data.phone, primary: true, label: 'work' }] : []
+    },
+    organization: lead.data.company ? { name: lead.data.company } : null,
+    deal: {
+      title: dealTitle(lead),
+      value: amount,
+      currency: 'EUR',
+      status: 'open'
+    },
+    note: {
+      content: lead.data.message
+    }
+  };
+}
+
+export const ADAPTERS = { generic, hubspot, pipedrive };
@@ -0,0 +1,63 @@
+// Outgoing webhooks: lead events for CRMs and other integrations
+//
+// WEBHOOK_ENDPOINTS holds a JSON array of endpoints:
+//
+//   [{ "name": "hubspot", "url": "https://...", "secret": "...",
+//      "format": "hubspot", "events": ["lead.created"] }]
+//
+// `format` is one of the adapters in ./adapters.js (default "generic") and
+// `events` the event types it gets (default all). Each event is stored in
+// the webhook outbox once per endpoint, signed (./signature.js) and
+// retried until delivered (./outbox.js).
+
+import { randomUUID } from 'crypto';
+import { ADAPTERS } from './adapters.js';
+
+export const EVENT_TYPES = ['lead.created'];
+
+export function parseEndpoints(json) {
+  if (!json) return [];
+
+  const endpoints = JSON.parse(json);
+  if (!Array.isArray(endpoints)) {
+    throw new Error('WEBHOOK_ENDPOINTS must be a JSON array');
+  }
+
+  return endpoints.map(({ name, url, secret, format = 'generic', events = EVENT_TYPES }) => {
+    if (!name || !url || !secret) {
+      throw new Error('Every webhook endpoint needs a name, url and secret');
+    }
+    if (!ADAPTERS[format]) {
+      throw new Error(`Unknown webhook format "${format}" for endpoint "${name}"`);
+    }
+    return { name, url, secret, format, events };
+  });
+}
+
+let defaultEndpoints;
+
+// Endpoints from process.env, parsed on first use
+export function getWebhookEndpoints() {
+  if (!defaultEndpoints) {
+    defaultEndpoints = parseEndpoints(process.env.WEBHOOK_ENDPOINTS);
+  }
+  return defaultEndpoints;
+}
+
+// The lead as integrations see it: contact fields, score and where it came from
+export function createLeadEvent(lead, { now = Date.now } = {}) {
+  return {
+    id: `evt_${randomUUID()}`,
+    type: 'lead.created',
+    createdAt: new Date(now()).toISOString(),
+    data: {
+      lead: {
+        id: lead.id,
+        createdAt: lead.createdAt,
+        source: lead.source,
+        data: lead.data,
+        score: lead.score ? { score: lead.score.score, priority: lead.score.priority } : null
+      }
+    }
+  };
+}
@@ -0,0 +1,130 @@
+// Webhook outbox. An event is stored once per subscribed endpoint, with the
+// body its adapter produced, and POSTed with a fresh signature on every
+// attempt. Failures are retried with the email queue's lease and backoff
+// (see lib/retry-queue.js) until maxAttempts, or given up at once when the
+// endpoint answers with a client error that retrying won't fix.
+//
+// {
+//   id: 'whk_<uuid>',
+//   endpoint, url, format,
+//   event: { id, type, createdAt },
+//   leadId,
+//   body: { ... },
+//   status: 'pending' | 'delivered' | 'dead',
+//   attempts, nextAttemptAt, lockedUntil, lastError,
+//   log: [{ at, status, durationMs, error }],   // one entry per attempt
+//   createdAt, updatedAt
+// }
+//
+// processDue() re-drives pending deliveries; /api/cron/webhooks calls it.
+
+import { randomUUID } from 'crypto';
+import { createRetryQueue, RETRY_DEFAULTS } from '../retry-queue.js';
+import { ADAPTERS } from './adapters.js';
+import { SIGNATURE_HEADER, signPayload } from './signature.js';
+
+export const WEBHOOK_TIMEOUT_MS = 5000;
+
+// Kept in each record's log; older attempts are dropped
+const MAX_LOG_ENTRIES = 20;
+
+// 408 and 429 are worth retrying, other 4xx answers are final
+const isPermanent = status => status >= 400 && status < 500 && status !== 408 && status !== 429;
+
+export function createWebhookOutbox({
+  store,
+  endpoints,
+  fetch = globalThis.fetch,
+  retry = RETRY_DEFAULTS,
+  timeoutMs = WEBHOOK_TIMEOUT_MS,
+  now = Date.now
+}) {
+  const webhooks = store.collection('webhooks');
+  const retries = createRetryQueue(webhooks, { doneStatus: 'delivered', retry, now });
+  const timestamp = () => new Date(now()).toISOString();
+
+  async function post(webhook, endpoint) {
+    const body = JSON.stringify(webhook.body);
+    const response = await fetch(endpoint.url, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        'User-Agent': 'DigiLima-Webhooks/1.0',
+        'X-DigiLima-Event': webhook.event.type,
+        'X-DigiLima-Delivery': webhook.id,
+        [SIGNATURE_HEADER]: signPayload(body, endpoint.secret, { now })
+      },
+      body,
+      signal: AbortSignal.timeout(timeoutMs)
+    });
+    return response.status;
+  }
+
+  async function attempt(id) {
+    const webhook = await retries.claim(id);
+    if (!webhook) return null;
+
+    const attempts = webhook.attempts + 1;
+    const started = now();
+    const endpoint = endpoints.find(candidate => candidate.name === webhook.endpoint);
+
+    let status = null;
+    let error = null;
+    if (!endpoint) {
+      error = 'Endpoint is no longer configured';
+    } else {
+      try {
+        status = await post(webhook, endpoint);
+        if (status < 200 || status >= 300) error = `HTTP ${status}`;
+      } catch (failure) {
+        error = failure.message;
+      }
+    }
+
+    const log = [...webhook.log, { at: timestamp(), status, durationMs: now() - started, error }].slice(-MAX_LOG_ENTRIES);
+
+    if (!error) {
+      return webhooks.update(id, { ...retries.succeeded(attempts), log, updatedAt: timestamp() });
+    }
+
+    console.error(`Webhook ${id} (${webhook.event.type} to ${webhook.endpoint}) attempt ${attempts} failed:`, error);
+
+    return webhooks.update(id, {
+      ...retries.failed(attempts, error, { permanent: !endpoint || isPermanent(status) }),
+      log,
+      updatedAt: timestamp()
+    });
+  }
+
+  return {
+    // Store an event for every endpoint subscribed to its type; returns the records
+    async enqueue(event, { leadId } = {}) {
+      const queued = [];
+      for (const endpoint of endpoints.filter(candidate => candidate.events.includes(event.type))) {
+        queued.push(await webhooks.insert({
+          id: `whk_${randomUUID()}`,
+          endpoint: endpoint.name,
+          url: endpoint.url,
+          format: endpoint.format,
+          event: { id: event.id, type: event.type, createdAt: event.createdAt },
+          leadId,
+          body: ADAPTERS[endpoint.format](event),
+          ...retries.initial(),
+          log: [],
+          createdAt: timestamp(),
+          updatedAt: timestamp()
+        }));
+      }
+      return queued;
+    },
+
+    // Try a delivery right away. Returns the updated record, or null when
+    // another worker holds it or it is no longer pending.
+    attempt,
+
+    // Attempt every pending delivery that is due, oldest first
+    processDue(options) {
+      return retries.processDue(attempt, options);
+    }
+  };
+}
@@ -0,0 +1,35 @@
+// Webhook signatures: every request carries
+//
+//   X-DigiLima-Signature: t=<unix seconds>,v1=<hex HMAC-SHA256 of "<t>.<body>">
+//
+// keyed with the endpoint's secret. Receivers recompute it over the raw
+// body and reject old timestamps, so a captured request can't be replayed
+// later (see verifySignature, and scripts/webhook-receiver.mjs).
+
+import { createHmac, timingSafeEqual } from 'crypto';
+
+export const SIGNATURE_HEADER = 'X-DigiLima-Signature';
+export const SIGNATURE_TOLERANCE_MS = 5 * 60 * 1000;
+
+function hmac(timestamp, body, secret) {
+  return createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex');
+}
+
+export function signPayload(body, secret, { now = Date.now } = {}) {
+  const timestamp = Math.floor(now() / 1000);
+  return `t=${timestamp},v1=${hmac(timestamp, body, secret)}`;
+}
+
+// Whether a signature header is valid for the raw body and recent enough
+export function verifySignature(header, body, secret, { now = Date.now, toleranceMs = SIGNATURE_TOLERANCE_MS } = {}) {
+  if (typeof header !== 'string') return false;
+
+  const parts = Object.fromEntries(header.split(',').map(part => part.trim().split('=')));
+  const timestamp = Number(parts.t);
+  if (!Number.isInteger(timestamp) || !parts.v1) return false;
+  if (Math.abs(now() - timestamp * 1000) > toleranceMs) return false;
+
+  const expected = Buffer.from(hmac(timestamp, body, secret));
+  const actual = Buffer.from(parts.v1);
+  return expected.length === actual.length && timingSafeEqual(expected, actual);
+}
@@ -0,0 +1,59 @@
+// Language negotiation for the translated pages (Vercel Edge Middleware)
+//
+// A request for the English version of a translated page is redirected to
+// the visitor's language when it isn't English:
+//
+//   1. ?lang=<lang>, from links made before /el/ pages existed
+//   2. the digilima_lang cookie, set when the visitor picks a language with
+//      the EN/EL toggle (an explicit choice always wins)
+//   3. the browser's Accept-Language header
+//   4. the x-vercel-ip-country geolocation header (LOCALES[lang].countries)
+//
+// /<lang>/ URLs are always served as requested, so shared links and
+// crawlers get the language in the URL. Languages and translated pages are
+// configured in assets/js/i18n.js.
+
+import i18n from './assets 2/js/i18n.js';
+
+export const config = {
+  // Page requests only: no API routes, assets or other files
+  matcher: ['/((?!api/|assets/)(?:[^.]*|.*\\.html))']
+};
+
+function readCookie(header, name) {
+  const match = (header || '').split(';')
+    .map(part => part.trim())
+    .find(part => part.startsWith(`${name}=`));
+  return match ? decodeURIComponent(match.slice(name.length + 1)) : null;
+}
+
+function preferredLanguage(request, url) {
+  const supported = lang => (i18n.LANGUAGES.includes(lang) ? lang : null);
+
+  return supported(url.searchParams.get('lang')) ||
+    supported(readCookie(request.headers.get('cookie'), i18n.LANG_COOKIE)) ||
+    i18n.detectLanguage(request.headers.get('accept-language'), request.headers.get('x-vercel-ip-country'));
+}
+
+export default function middleware(request) {
+  if (request.method !== 'GET' && request.method !== 'HEAD') return;
+
+  const url = new URL(request.url);
+  const { lang, path } = i18n.parseLocalizedPath(url.pathname);
+  if (lang !== i18n.DEFAULT_LANG || !i18n.isLocalizedPage(path)) return;
+
+  const preferred = preferredLanguage(request, url);
+  if (preferred === i18n.DEFAULT_LANG) return;
+
+  url.pathname = i18n.localizePath(path, preferred);
+  url.searchParams.delete('lang');
+
+  return new Response(null, {
+    status: 307,
+    headers: {
+      Location: url.toString(),
+      'Cache-Control': 'private, no-store',
+      Vary: 'Accept-Language, Cookie'
+    }
+  });
+}
@@ -0,0 +1,627 @@
+// Builds the blog from the posts in content/blog/<slug>.<lang>.md (see
+// lib/blog.mjs):
+//
+//   blog 2/<slug>.html            English post page (/blog/<slug>.html)
+//   el/blog/<slug>.html           the post in each other language
+//   blog 2/category/<category>/   category and tag archives, POSTS_PER_PAGE
+//   blog 2/tag/<tag>/             posts a page (.../page/2/, ...), in every
+//                                 language (el/blog/category/..., ...)
+//   blog 2/feed.xml               RSS, Atom and JSON feeds of the posts of
+//   blog 2/atom.xml               each language (el/blog/feed.xml, ...)
+//   blog 2/feed.json
+//   blog 2/index.html             feed links, category buttons, featured post,
+//   el/blog/index.html            the first POSTS_PER_PAGE post cards, the
+//                                 "Load more" button and topics, between the
+//                                 <!-- blog:... --> markers
+//   blog 2/page/<n>.json          the post cards of the index, a page at a time,
+//                                 for the "Load more" button (and el/blog/page/)
+//   sitemap.xml                   post and archive <url> entries, between the
+//                                 <!-- blog:sitemap --> markers
+//
+// A post that isn't translated yet is still published in every language, in
+// its original language with a notice (and noindex), so lists and archives
+// are the same in all languages. Feeds only carry real translations.
+//
+// Cards carry their categories as data-categories for the category buttons
+// of the index (initBlogFilter() in main.js), which "Load more" follows.
+//
+// Run after build-locales.mjs, which recreates el/ (npm run build does both).
+//
+// Usage: node scripts/build-blog.mjs
+// The generated pages, feeds and regions are overwritten on every build: edit
+// the posts (or this template) instead. Only the files with generated regions
+// (the index and sitemap.xml) are committed; see .gitignore.
+
+import { existsSync, readFileSync } from 'fs';
+import { join } from 'path';
+import I18N from '../assets 2/js/i18n.js';
+import { loadPosts, readingTime, renderMarkdown } from '../lib/blog.mjs';
+import {
+  ROOT, SITE_URL, absoluteUrl, alternateLinks, attr, indent, loadI18n, message, pageFile, renderLayout, renderLoadMore,
+  replaceRegion, text, writeFragments, writeIfChanged
+} from '../lib/pages.mjs';
+
+const CONTENT_DIR = join(ROOT, 'content', 'blog');
+
+const POSTS_PER_PAGE = 6;
+const RELATED_POSTS = 3;
+
+// Archive pages: the post field they group by, and the message ids of a
+// value's label and of the page heading
+const ARCHIVES = {
+  category: {
+    field: 'categories',
+    label: value => `blog.category.${value}`,
+    title: 'blog.archive.category-title'
+  },
+  tag: {
+    field: 'tags',
+    label: value => `blog.tag.${value}`,
+    title: 'blog.archive.tag-title'
+  }
+};
+
+const FEEDS = {
+  rss: { file: 'feed.xml', type: 'application/rss+xml' },
+  atom: { file: 'atom.xml', type: 'application/atom+xml' },
+  json: { file: 'feed.json', type: 'application/feed+json' }
+};
+
+const CLOCK_ICON = `<svg width="16" height="16" fill="currentColor" viewBox="0 0 24 24" class="me-1">
+    <path d="M12 2C6.48 2 2 6.48 2 12s4.48 10 10 10 10-4.48 10-10S17.52 2 12 2zm-2 15l-5-5 1.41-1.41L10 14.17l7.59-7.59L19 8l-9 9z"/>
+</svg>`;
+
+// =====================================================
+// POSTS
+// =====================================================
+
+// Translations of each post: slug -> { lang: post }
+function groupTranslations(posts) {
+  const translations = new Map();
+  posts.forEach(post => {
+    if (!translations.has(post.slug)) translations.set(post.slug, {});
+    translations.get(post.slug)[post.lang] = post;
+  });
+  return translations;
+}
+
+// The version of a post shown in `lang`: its translation, or else the
+// English (or first) version
+function postIn(versions, lang) {
+  return versions[lang] || versions[I18N.DEFAULT_LANG] || versions[I18N.LANGUAGES.find(code => versions[code])];
+}
+
+// Every post as shown in `lang`, newest first
+function postsIn(translations, lang) {
+  return [...translations.values()]
+    .map(versions => postIn(versions, lang))
+    .sort((a, b) => b.date.localeCompare(a.date) || a.slug.localeCompare(b.slug));
+}
+
+// Values of an archive field in use with their post counts, most used first
+function archiveValues(posts, kind) {
+  const counts = new Map();
+  posts.forEach(post => {
+    post[ARCHIVES[kind].field].forEach(value => counts.set(value, (counts.get(value) || 0) + 1));
+  });
+  return [...counts].map(([value, count]) => ({ value, count }))
+    .sort((a, b) => b.count - a.count || a.value.localeCompare(b.value));
+}
+
+// Posts sharing the most categories and tags with `post`, newest first on ties
+function relatedPosts(posts, post) {
+  const shared = other => other.categories.filter(value => post.categories.includes(value)).length +
+    other.tags.filter(value => post.tags.includes(value)).length;
+
+  return posts
+    .filter(other => other.slug !== post.slug && shared(other) > 0)
+    .map(other => ({ other, score: shared(other) }))
+    .sort((a, b) => b.score - a.score)
+    .slice(0, RELATED_POSTS)
+    .map(({ other }) => other);
+}
+
+// =====================================================
+// HTML HELPERS
+// =====================================================
+
+function postPath(slug, lang) {
+  return I18N.localizePath(`/blog/${slug}.html`, lang);
+}
+
+function archivePath(kind, value, page, lang) {
+  return I18N.localizePath(`/blog/${kind}/${value}/${page > 1 ? `page/${page}/` : ''}`, lang);
+}
+
+function feedPath(feed, lang) {
+  return I18N.localizePath(`/blog/${FEEDS[feed].file}`, lang);
+}
+
+function formatDate(date, lang, month) {
+  return new Intl.DateTimeFormat(lang, { year: 'numeric', month, day: 'numeric', timeZone: 'UTC' })
+    .format(new Date(`${date}T00:00:00Z`));
+}
+
+// lang attribute of a post's own text when it isn't in the page's language
+function langAttribute(post, lang) {
+  return post.lang === lang ? '' : ` lang="${post.lang}"`;
+}
+
+function readingTimeLabel(i18n, post, lang) {
+  return `<span${message(i18n, 'blog.reading-time', lang, { count: readingTime(post.body) })}</span>`;
+}
+
+function feedLinks(i18n, lang) {
+  const title = attr(i18n.t('blog.feed.title', {}, lang));
+  return Object.keys(FEEDS)
+    .map(feed => `<link rel="alternate" type="${FEEDS[feed].type}" title="${title}" href="${feedPath(feed, lang)}">`)
+    .join('\n');
+}
+
+// =====================================================
+// BLOG INDEX
+// =====================================================
+
+function renderCategories(i18n, posts, lang) {
+  const buttons = [`<button class="btn btn-outline-primary active category-filter" data-category="*"${message(i18n, 'blog.all-posts', lang)}</button>`]
+    .concat(archiveValues(posts, 'category').map(({ value }) => `<button class="btn btn-outline-primary category-filter" data-category="${attr(value)}"${message(i18n, ARCHIVES.category.label(value), lang)}</button>`));
+  return indent(buttons.join('\n'), 20);
+}
+
+function renderFeatured(i18n, post, lang) {
+  const postLang = langAttribute(post, lang);
+
+  return indent(`<div class="featured-post bg-white rounded-3 shadow overflow-hidden">
+    <div class="row g-0">
+        <div class="col-lg-6">
+            <img src="${attr(post.cover)}" alt="${attr(post.coverAlt)}" class="img-fluid w-100 h-100 object-fit-cover" loading="lazy" style="min-height: 300px;">
+        </div>
+        <div class="col-lg-6">
+            <div class="p-4 p-lg-5 h-100 d-flex flex-column">
+                <div class="mb-3">
+                    <span class="badge bg-primary me-2"${message(i18n, 'blog.featured', lang)}</span>
+                    <span class="badge bg-light text-dark"${message(i18n, ARCHIVES.category.label(post.categories[0]), lang)}</span>
+                </div>
+                <h2 class="h3 fw-bold mb-3"${postLang}>
+                    ${text(post.title)}
+                </h2>
+                <p class="text-muted mb-4"${postLang}>
+                    ${text(post.excerpt)}
+                </p>
+                <div class="mt-auto">
+                    <div class="d-flex justify-content-between align-items-center mb-3">
+                        <small class="text-muted">
+${indent(CLOCK_ICON, 28)}
+                            ${readingTimeLabel(i18n, post, lang)}
+                        </small>
+                        <small class="text-muted"><time datetime="${post.date}">${formatDate(post.date, lang, 'long')}</time></small>
+                    </div>
+                    <a href="${postPath(post.slug, lang)}" class="btn btn-primary"${message(i18n, 'blog.read-article', lang)}</a>
+                </div>
+            </div>
+        </div>
+    </div>
+</div>`, 16);
+}
+
+function renderCard(i18n, post, lang) {
+  const postLang = langAttribute(post, lang);
+  const path = postPath(post.slug, lang);
+
+  return `<!-- ${text(post.title)} -->
+<div class="col-lg-4 col-md-6 blog-item" data-slug="${post.slug}" data-categories="${attr(post.categories.join(' '))}">
+    <article class="blog-card h-100 bg-white rounded-3 shadow-sm overflow-hidden">
+        <img src="${attr(post.cover)}" alt="${attr(post.coverAlt)}" class="img-fluid w-100" style="height: 200px; object-fit: cover;" loading="lazy">
+        <div class="p-4">
+            <div class="blog-meta mb-3">
+                <span class="badge bg-light text-dark me-2"${message(i18n, ARCHIVES.category.label(post.categories[0]), lang)}</span>
+                <small class="text-muted"><time datetime="${post.date}">${formatDate(post.date, lang, 'short')}</time></small>
+            </div>
+            <h3 class="h5 fw-bold mb-3"${postLang}>
+                <a href="${path}" class="text-decoration-none text-dark">
+                    ${text(post.title)}
+                </a>
+            </h3>
+            <p class="text-muted mb-3"${postLang}>
+                ${text(post.excerpt)}
+            </p>
+            <div class="d-flex justify-content-between align-items-center">
+                <small class="text-muted">
+${indent(CLOCK_ICON, 20)}
+                    ${readingTimeLabel(i18n, post, lang)}
+                </small>
+                <a href="${path}" class="btn btn-outline-primary btn-sm"${message(i18n, 'blog.read-more', lang)}</a>
+            </div>
+        </div>
+    </article>
+</div>`;
+}
+
+function renderCards(i18n, posts, lang) {
+  return indent(posts.map(post => renderCard(i18n, post, lang)).join('\n\n'), 20);
+}
+
+function renderTags(i18n, posts, lang) {
+  return indent(archiveValues(posts, 'tag')
+    .map(({ value }) => `<a href="${archivePath('tag', value, 1, lang)}" class="badge bg-white text-dark text-decoration-none p-2"${message(i18n, ARCHIVES.tag.label(value), lang)}</a>`)
+    .join('\n'), 20);
+}
+
+// =====================================================
+// POST PAGES
+// =====================================================
+
+function renderStructuredData(i18n, post, lang) {
+  const data = {
+    '@context': 'https://schema.org',
+    '@type': 'BlogPosting',
+    headline: post.title,
+    description: post.excerpt,
+    image: absoluteUrl(post.cover),
+    datePublished: post.date,
+    inLanguage: post.lang,
+    url: absoluteUrl(postPath(post.slug, lang)),
+    keywords: post.tags.map(tag => i18n.t(ARCHIVES.tag.label(tag), {}, post.lang)).join(', '),
+    author: { '@type': 'Organization', name: 'DigiLima', url: SITE_URL },
+    publisher: { '@type': 'Organization', name: 'DigiLima', url: SITE_URL }
+  };
+  return `<script type="application/ld+json">
+${JSON.stringify(data, null, 4).replace(/<\//g, '<\\/')}
+</script>`;
+}
+
+function renderPost(i18n, versions, post, related, lang) {
+  const path = postPath(post.slug, lang);
+  const translated = post.lang === lang;
+  const postLang = langAttribute(post, lang);
+  const t = (id, params) => message(i18n, id, lang, params);
+
+  const head = [
+    `<meta property="og:title" content="${attr(post.title)}">`,
+    `<meta property="og:description" content="${attr(post.excerpt)}">`,
+    '<meta property="og:type" content="article">',
+    `<meta property="og:url" content="${absoluteUrl(path)}">`,
+    `<meta property="og:image" content="${absoluteUrl(post.cover)}">`,
+    `<meta property="og:locale" content="${I18N.LOCALES[post.lang].ogLocale}">`,
+    `<meta property="article:published_time" content="${post.date}">`
+  ].concat(translated ? [] : ['<meta name="robots" content="noindex">'])
+    .concat('', feedLinks(i18n, lang), '', renderStructuredData(i18n, post, lang))
+    .join('\n');
+
+  const notice = translated ? '' : `        <div class="container pt-4">
+            <p class="alert alert-info mb-0" role="note"${t('blog.post.untranslated', { language: I18N.LOCALES[lang].name })}</p>
+        </div>
+
+`;
+  const categories = post.categories.map(value => `<a href="${archivePath('category', value, 1, lang)}" class="badge bg-primary-subtle text-primary text-decoration-none me-2"${t(ARCHIVES.category.label(value))}</a>`);
+  const tags = post.tags.map(value => `<a href="${archivePath('tag', value, 1, lang)}" class="badge bg-light text-dark text-decoration-none p-2"${t(ARCHIVES.tag.label(value))}</a>`);
+  const relatedSection = related.length === 0 ? '' : `
+
+        <!-- Related Articles -->
+        <section class="related-posts py-5 bg-light">
+            <div class="container">
+                <h2 class="h3 fw-bold mb-4"${t('blog.post.related')}</h2>
+                <div class="row g-4">
+${renderCards(i18n, related, lang)}
+                </div>
+            </div>
+        </section>`;
+
+  return renderLayout(i18n, lang, {
+    source: `scripts/build-blog.mjs from content/blog/${post.slug}.${post.lang}.md`,
+    title: `${post.title} | DigiLima`,
+    description: post.excerpt,
+    alternates: Object.fromEntries(Object.keys(versions).map(code => [code, postPath(post.slug, code)])),
+    toggles: Object.fromEntries(I18N.LANGUAGES.map(code => [code, postPath(post.slug, code)])),
+    back: { href: I18N.localizePath('/blog/', lang), id: 'blog.back-to-blog' },
+    head,
+    main: `${notice}        <!-- Post -->
+        <article class="blog-post">
+            <header class="py-5 bg-light">
+                <div class="container">
+                    <div class="row justify-content-center">
+                        <div class="col-lg-8">
+                            <div class="blog-meta mb-3">
+${indent(categories.join('\n'), 32)}
+                            </div>
+                            <h1 class="display-5 fw-bold mb-3"${postLang}>${text(post.title)}</h1>
+                            <p class="lead text-muted mb-4"${postLang}>${text(post.excerpt)}</p>
+                            <div class="d-flex flex-wrap gap-3 text-muted small">
+                                <time datetime="${post.date}">${formatDate(post.date, lang, 'long')}</time>
+                                ${readingTimeLabel(i18n, post, lang)}
+                            </div>
+                        </div>
+                    </div>
+                </div>
+            </header>
+
+            <div class="container py-5">
+                <div class="row justify-content-center">
+                    <div class="col-lg-8">
+                        <img src="${attr(post.cover)}" alt="${attr(post.coverAlt)}" class="img-fluid w-100 rounded-3 shadow-sm mb-5">
+                        <div class="blog-post-content"${postLang}>
+${indent(renderMarkdown(post.body), 28)}
+                        </div>
+
+                        <div class="blog-post-tags mt-5 pt-4 border-top">
+                            <h2 class="h6 fw-bold mb-3"${t('blog.post.tags')}</h2>
+                            <div class="d-flex flex-wrap gap-2">
+${indent(tags.join('\n'), 32)}
+                            </div>
+                        </div>
+                    </div>
+                </div>
+            </div>
+        </article>${relatedSection}`
+  });
+}
+
+// =====================================================
+// ARCHIVES
+// =====================================================
+
+function renderPagination(i18n, kind, value, page, pages, lang) {
+  if (pages <= 1) return '';
+
+  const link = (number, id, rel) => {
+    const label = id ? message(i18n, id, lang) : `>${number}`;
+    if (number < 1 || number > pages) return `<li class="page-item disabled"><span class="page-link"${label}</span></li>`;
+    if (number === page && !id) return `<li class="page-item active"><a class="page-link" href="${archivePath(kind, value, number, lang)}" aria-current="page"${label}</a></li>`;
+    return `<li class="page-item"><a class="page-link" href="${archivePath(kind, value, number, lang)}"${rel ? ` rel="${rel}"` : ''}${label}</a></li>`;
+  };
+  const numbers = Array.from({ length: pages }, (_, index) => link(index + 1));
+
+  return `<nav class="mt-5" aria-label="${attr(i18n.t('blog.pagination.label', {}, lang))}" data-i18n-aria-label="blog.pagination.label">
+    <ul class="pagination justify-content-center">
+${indent([link(page - 1, 'blog.pagination.previous', 'prev'), ...numbers, link(page + 1, 'blog.pagination.next', 'next')].join('\n'), 8)}
+    </ul>
+</nav>`;
+}
+
+function renderArchive(i18n, kind, value, posts, page, lang) {
+  const pages = Math.ceil(posts.length / POSTS_PER_PAGE);
+  const name = i18n.t(ARCHIVES[kind].label(value), {}, lang);
+  const pageTitle = page > 1 ? ` – ${i18n.t('blog.archive.page', { page }, lang)}` : '';
+  const shown = posts.slice((page - 1) * POSTS_PER_PAGE, page * POSTS_PER_PAGE);
+  const pagination = renderPagination(i18n, kind, value, page, pages, lang);
+
+  return renderLayout(i18n, lang, {
+    source: 'scripts/build-blog.mjs',
+    title: `${i18n.t(ARCHIVES[kind].title, { name }, lang)}${pageTitle} | DigiLima`,
+    description: i18n.t('blog.archive.description', { name }, lang),
+    alternates: Object.fromEntries(I18N.LANGUAGES.map(code => [code, archivePath(kind, value, page, code)])),
+    back: { href: I18N.localizePath('/blog/', lang), id: 'blog.back-to-blog' },
+    head: feedLinks(i18n, lang),
+    main: `        <!-- Archive Header -->
+        <section class="page-header bg-light py-5">
+            <div class="container">
+                <h1 class="display-5 fw-bold mb-3"${message(i18n, ARCHIVES[kind].title, lang, { name })}</h1>
+                <p class="lead text-muted mb-0"${message(i18n, 'blog.archive.count', lang, { count: posts.length })}</p>
+            </div>
+        </section>
+
+        <!-- Posts -->
+        <section class="blog-posts py-5">
+            <div class="container">
+                <div class="row g-4 blog-items">
+${renderCards(i18n, shown, lang)}
+                </div>${pagination ? `\n\n${indent(pagination, 16)}` : ''}
+            </div>
+        </section>`
+  });
+}
+
+// Pages of every archive: [{ kind, value, page, posts }]
+function archivePages(posts) {
+  return Object.keys(ARCHIVES).flatMap(kind => archiveValues(posts, kind).flatMap(({ value }) => {
+    const matching = posts.filter(post => post[ARCHIVES[kind].field].includes(value));
+    const pages = Math.ceil(matching.length / POSTS_PER_PAGE);
+    return Array.from({ length: pages }, (_, index) => ({ kind, value, page: index + 1, posts: matching }));
+  }));
+}
+
+// =====================================================
+// FEEDS
+// =====================================================
+
+// Post HTML for feed readers, with links and images made absolute
+function feedContent(post) {
+  return renderMarkdown(post.body).replace(/(\s(?:href|src)=")\//g, `$1${SITE_URL}/`);
+}
+
+function isoDate(date) {
+  return `${date}T00:00:00Z`;
+}
+
+function cdata(value) {
+  return `<![CDATA[${value.replace(/]]>/g, ']]]]><![CDATA[>')}]]>`;
+}
+
+function feedInfo(i18n, posts, lang) {
+  return {
+    title: i18n.t('blog.feed.title', {}, lang),
+    description: i18n.t('blog.meta.description', {}, lang),
+    home: absoluteUrl(I18N.localizePath('/blog/', lang)),
+    updated: posts.length > 0 ? posts[0].date : '2024-01-01'
+  };
+}
+
+function renderRss(i18n, posts, lang) {
+  const feed = feedInfo(i18n, posts, lang);
+  const items = posts.map(post => {
+    const url = absoluteUrl(postPath(post.slug, lang));
+    const categories = post.categories.map(value => `<category>${attr(i18n.t(ARCHIVES.category.label(value), {}, lang))}</category>`);
+    return `<item>
+    <title>${attr(post.title)}</title>
+    <link>${url}</link>
+    <guid isPermaLink="true">${url}</guid>
+    <pubDate>${new Date(isoDate(post.date)).toUTCString()}</pubDate>
+${indent(categories.join('\n'), 4)}
+    <description>${attr(post.excerpt)}</description>
+    <content:encoded>${cdata(feedContent(post))}</content:encoded>
+</item>`;
+  });
+
+  return `<?xml version="1.0" encoding="UTF-8"?>
+<rss version="2.0" xmlns:atom="http://www.w3.org/2005/Atom" xmlns:content="http://purl.org/rss/1.0/modules/content/">
+    <channel>
+        <title>${attr(feed.title)}</title>
+        <link>${feed.home}</link>
+        <description>${attr(feed.description)}</description>
+        <language>${lang}</language>
+        <lastBuildDate>${new Date(isoDate(feed.updated)).toUTCString()}</lastBuildDate>
+        <atom:link href="${absoluteUrl(feedPath('rss', lang))}" rel="self" type="${FEEDS.rss.type}"/>
+${indent(items.join('\n'), 8)}
+    </channel>
+</rss>
+`;
+}
+
+function renderAtom(i18n, posts, lang) {
+  const feed = feedInfo(i18n, posts, lang);
+  const entries = posts.map(post => {
+    const url = absoluteUrl(postPath(post.slug, lang));
+    const categories = post.categories.map(value => `<category term="${value}" label="${attr(i18n.t(ARCHIVES.category.label(value), {}, lang))}"/>`);
+    return `<entry>
+    <title>${attr(post.title)}</title>
+    <link href="${url}" rel="alternate" type="text/html"/>
+    <id>${url}</id>
+    <published>${isoDate(post.date)}</published>
+    <updated>${isoDate(post.date)}</updated>
+${indent(categories.join('\n'), 4)}
+    <summary>${attr(post.excerpt)}</summary>
+    <content type="html">${attr(feedContent(post))}</content>
+</entry>`;
+  });
+
+  return `<?xml version="1.0" encoding="UTF-8"?>
+<feed xmlns="http://www.w3.org/2005/Atom" xml:lang="${lang}">
+    <title>${attr(feed.title)}</title>
+    <subtitle>${attr(feed.description)}</subtitle>
+    <link href="${absoluteUrl(feedPath('atom', lang))}" rel="self" type="${FEEDS.atom.type}"/>
+    <link href="${feed.home}" rel="alternate" type="text/html"/>
+    <id>${feed.home}</id>
+    <updated>${isoDate(feed.updated)}</updated>
+    <author>
+        <name>DigiLima</name>
+        <uri>${SITE_URL}</uri>
+    </author>
+${indent(entries.join('\n'), 4)}
+</feed>
+`;
+}
+
+function renderJsonFeed(i18n, posts, lang) {
+  const feed = feedInfo(i18n, posts, lang);
+  return `${JSON.stringify({
+    version: 'https://jsonfeed.org/version/1.1',
+    title: feed.title,
+    home_page_url: feed.home,
+    feed_url: absoluteUrl(feedPath('json', lang)),
+    description: feed.description,
+    language: lang,
+    authors: [{ name: 'DigiLima', url: SITE_URL }],
+    items: posts.map(post => ({
+      id: absoluteUrl(postPath(post.slug, lang)),
+      url: absoluteUrl(postPath(post.slug, lang)),
+      title: post.title,
+      summary: post.excerpt,
+      content_html: feedContent(post),
+      image: absoluteUrl(post.cover),
+      date_published: isoDate(post.date),
+      tags: post.tags.map(tag => i18n.t(ARCHIVES.tag.label(tag), {}, lang))
+    }))
+  }, null, 2)}\n`;
+}
+
+// =====================================================
+// SITEMAP
+// =====================================================
+
+function sitemapEntry(path, alternates, lastmod, changefreq, priority) {
+  return `<url>
+    <loc>${absoluteUrl(path)}</loc>
+    <lastmod>${lastmod}</lastmod>
+    <changefreq>${changefreq}</changefreq>
+    <priority>${priority}</priority>
+${alternateLinks(alternates).map(link => `    <xhtml:link rel="alternate" hreflang="${link.lang}" href="${link.href}"/>`).join('\n')}
+</url>`;
+}
+
+// Posts in each language they're translated to, and the first page of every
+// archive. Untranslated copies are noindex, so they're left out.
+function renderSitemap(translations, archives) {
+  const posts = [...translations.values()].flatMap(versions => {
+    const alternates = Object.fromEntries(Object.keys(versions).map(code => [code, postPath(versions[code].slug, code)]));
+    return I18N.LANGUAGES.filter(lang => versions[lang])
+      .map(lang => sitemapEntry(alternates[lang], alternates, versions[lang].date, 'yearly', '0.7'));
+  });
+  const pages = archives.filter(archive => archive.page === 1).flatMap(({ kind, value, posts: matching }) => {
+    const alternates = Object.fromEntries(I18N.LANGUAGES.map(code => [code, archivePath(kind, value, 1, code)]));
+    return I18N.LANGUAGES.map(lang => sitemapEntry(alternates[lang], alternates, matching[0].date, 'weekly', '0.5'));
+  });
+
+  return indent(posts.concat(pages).join('\n\n'), 4);
+}
+
+// =====================================================
+// BUILD
+// =====================================================
+
+function build() {
+  const i18n = loadI18n();
+
+  const translations = groupTranslations(loadPosts(CONTENT_DIR));
+
+  // Archives have the same pages in every language
+  const archives = archivePages(postsIn(translations, I18N.DEFAULT_LANG));
+
+  for (const lang of I18N.LANGUAGES) {
+    const posts = postsIn(translations, lang);
+    const featured = posts.find(post => post.featured) || posts[0];
+    const listed = posts.filter(post => post !== featured);
+
+    const indexPath = I18N.localizePath('/blog/', lang);
+    const indexFile = pageFile(indexPath);
+    if (!existsSync(indexFile)) {
+      throw new Error(`${indexPath}index.html is missing: run scripts/build-locales.mjs first`);
+    }
+
+    let html = readFileSync(indexFile, 'utf8');
+    html = replaceRegion(html, 'blog:feeds', indent(feedLinks(i18n, lang), 4), indexPath);
+    html = replaceRegion(html, 'blog:categories', renderCategories(i18n, posts, lang), indexPath);
+    html = replaceRegion(html, 'blog:featured', renderFeatured(i18n, featured, lang), indexPath);
+    html = replaceRegion(html, 'blog:posts', renderCards(i18n, listed.slice(0, POSTS_PER_PAGE), lang), indexPath);
+    html = replaceRegion(html, 'blog:load-more', indent(renderLoadMore(i18n, lang, {
+      listPath: indexPath,
+      items: listed.map(post => ({ slug: post.slug, categories: post.categories })),
+      perPage: POSTS_PER_PAGE,
+      className: 'load-more-posts',
+      id: 'blog.load-more-articles'
+    }), 16), indexPath);
+    html = replaceRegion(html, 'blog:tags', renderTags(i18n, posts, lang), indexPath);
+    writeIfChanged(indexFile, html, 'updated');
+
+    writeFragments(indexPath, listed.map(post => ({ slug: post.slug, html: renderCard(i18n, post, lang) })), POSTS_PER_PAGE);
+
+    for (const versions of translations.values()) {
+      const post = postIn(versions, lang);
+      writeIfChanged(pageFile(postPath(post.slug, lang)), renderPost(i18n, versions, post, relatedPosts(posts, post), lang), 'built');
+    }
+
+    for (const { kind, value, page } of archives) {
+      const matching = posts.filter(post => post[ARCHIVES[kind].field].includes(value));
+      writeIfChanged(pageFile(archivePath(kind, value, page, lang)), renderArchive(i18n, kind, value, matching, page, lang), 'built');
+    }
+
+    const feedPosts = posts.filter(post => post.lang === lang);
+    writeIfChanged(pageFile(feedPath('rss', lang)), renderRss(i18n, feedPosts, lang), 'built');
+    writeIfChanged(pageFile(feedPath('atom', lang)), renderAtom(i18n, feedPosts, lang), 'built');
+    writeIfChanged(pageFile(feedPath('json', lang)), renderJsonFeed(i18n, feedPosts, lang), 'built');
+  }
+
+  const sitemapFile = join(ROOT, 'sitemap.xml');
+  writeIfChanged(sitemapFile, replaceRegion(readFileSync(sitemapFile, 'utf8'), 'blog:sitemap', renderSitemap(translations, archives), 'sitemap.xml'), 'updated');
+}
+
+build();
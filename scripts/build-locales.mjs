@@ -0,0 +1,250 @@
+// Pre-renders every translated page once per language, so each language
+// has real URLs instead of a ?lang= switch done in the browser:
+//
+//   index.html          /            ->  el/index.html          /el/
+//   about.html          /about.html  ->  el/about.html          /el/about.html
+//   blog 2/index.html   /blog/       ->  el/blog/index.html     /el/blog/
+//
+// Each rendered page gets the language's messages for data-i18n content and
+// data-i18n-<attribute> attributes, <html lang>, Open Graph title,
+// description, URL and locale, and links between translated pages pointing
+// at the same language. The hreflang alternates and the language toggle
+// links are written into every version, English sources included, so they
+// stay reciprocal.
+//
+// The languages and the list of translated pages are configured in
+// assets/js/i18n.js (LOCALES, LOCALIZED_PAGES).
+//
+// Usage: node scripts/build-locales.mjs
+// Output directories (el/, ...) are generated: don't edit them by hand.
+
+import { existsSync, mkdirSync, readFileSync, rmSync, writeFileSync } from 'fs';
+import { dirname, join } from 'path';
+import { fileURLToPath } from 'url';
+import I18N from '../assets 2/js/i18n.js';
+
+const ROOT = fileURLToPath(new URL('..', import.meta.url));
+const CATALOG_DIR = join(ROOT, 'assets 2', 'i18n');
+const SITE_URL = (process.env.SITE_URL || JSON.parse(readFileSync(join(ROOT, 'package.json'), 'utf8')).homepage)
+  .replace(/\/$/, '');
+
+// Source files whose URL isn't their path in the repo
+const SOURCE_FILES = {
+  '/blog/': 'blog 2/index.html'
+};
+
+// Translated pages (I18N.LOCALIZED_PAGES): source file and English URL path.
+// Wildcard entries are generated pages, built by their own scripts
+const PAGES = I18N.LOCALIZED_PAGES.filter(path => !path.endsWith('*')).map(path => ({
+  source: SOURCE_FILES[path] || (path.endsWith('/') ? `${path.slice(1)}index.html` : path.slice(1)),
+  path
+}));
+
+const TRANSLATED_LANGS = I18N.LANGUAGES.filter(lang => lang !== I18N.DEFAULT_LANG);
+
+// =====================================================
+// HTML HELPERS
+// =====================================================
+
+// Comments and script/style bodies are copied as-is; everything else is
+// scanned tag by tag
+const TOKEN = /<!--[\s\S]*?-->|<(script|style)\b[^>]*>[\s\S]*?<\/\1\s*>|<([a-zA-Z][a-zA-Z0-9-]*)((?:\s+[^\s"'>/=]+(?:\s*=\s*(?:"[^"]*"|'[^']*'|[^\s"'>]+))?)*)\s*\/?>/g;
+
+function decodeAttribute(value) {
+  return value
+    .replace(/&quot;/g, '"')
+    .replace(/&#39;/g, "'")
+    .replace(/&lt;/g, '<')
+    .replace(/&gt;/g, '>')
+    .replace(/&amp;/g, '&');
+}
+
+function getAttribute(tag, name) {
+  const match = new RegExp(`\\s${name}\\s*=\\s*(?:"([^"]*)"|'([^']*)')`).exec(tag);
+  if (!match) return null;
+  return decodeAttribute(match[1] !== undefined ? match[1] : match[2]);
+}
+
+function setAttribute(tag, name, value) {
+  const attribute = `${name}="${I18N.escapeHtml(value)}"`;
+  const pattern = new RegExp(`(\\s)${name}\\s*=\\s*(?:"[^"]*"|'[^']*')`);
+  if (pattern.test(tag)) {
+    return tag.replace(pattern, (match, space) => `${space}${attribute}`);
+  }
+  return tag.replace(/\s*(\/?)>$/, (match, slash) => ` ${attribute}${slash ? ' /' : ''}>`);
+}
+
+// Index just past the end tag closing the element whose start tag ends at `from`
+function findEndTag(html, name, from) {
+  const pattern = new RegExp(`<(/?)${name}\\b[^>]*>`, 'gi');
+  pattern.lastIndex = from;
+  let depth = 1;
+  let match;
+
+  while ((match = pattern.exec(html)) !== null) {
+    depth += match[1] ? -1 : 1;
+    if (depth === 0) return { start: match.index, end: pattern.lastIndex };
+  }
+
+  throw new Error(`Unclosed <${name}> element`);
+}
+
+function readParams(tag) {
+  const raw = getAttribute(tag, 'data-i18n-params');
+  if (!raw) return undefined;
+  try {
+    return JSON.parse(raw);
+  } catch (error) {
+    return undefined;
+  }
+}
+
+// =====================================================
+// RENDERING
+// =====================================================
+
+// Start tags of the data-i18n-slot elements in an element's content
+function findSlots(html) {
+  const slots = {};
+  for (const match of html.matchAll(new RegExp(TOKEN.source, 'g'))) {
+    const slot = match[2] && getAttribute(match[0], 'data-i18n-slot');
+    if (slot) slots[slot] = { open: match[0], close: `</${match[2]}>` };
+  }
+  return slots;
+}
+
+/**
+ * Same as translateDom() in i18n.js, on HTML source: content of data-i18n
+ * elements and data-i18n-<attribute> attributes in `lang`.
+ */
+function translateHtml(i18n, html, lang) {
+  let output = '';
+  let index = 0;
+  let match;
+
+  TOKEN.lastIndex = 0;
+  while ((match = TOKEN.exec(html)) !== null) {
+    const name = match[2];
+    if (!name) continue;
+
+    let tag = match[0];
+    const params = readParams(tag);
+    I18N.TRANSLATED_ATTRIBUTES.forEach(attribute => {
+      const id = getAttribute(tag, `data-i18n-${attribute}`);
+      if (id) tag = setAttribute(tag, attribute, i18n.t(id, params, lang));
+    });
+
+    output += html.slice(index, match.index) + tag;
+    index = TOKEN.lastIndex;
+
+    const id = getAttribute(tag, 'data-i18n');
+    if (id) {
+      const end = findEndTag(html, name, index);
+      const slots = findSlots(html.slice(index, end.start));
+      output += i18n.html(id, params, lang, slots) + html.slice(end.start, end.end);
+      index = end.end;
+      TOKEN.lastIndex = end.end;
+    }
+  }
+
+  return output + html.slice(index);
+}
+
+function absoluteUrl(path) {
+  return `${SITE_URL}${path}`;
+}
+
+// hreflang alternates for a page, replacing the existing ones in place
+function writeAlternates(html, page) {
+  const pattern = /^([ \t]*)<link rel="alternate" hreflang="[^"]*" href="[^"]*">\r?\n(?:[ \t]*<link rel="alternate" hreflang="[^"]*" href="[^"]*">\r?\n)*/m;
+  const match = pattern.exec(html);
+  if (!match) throw new Error(`${page.source}: no <link rel="alternate" hreflang> tags to update`);
+
+  const indent = match[1];
+  const links = I18N.LANGUAGES.map(lang => ({ lang, href: absoluteUrl(I18N.localizePath(page.path, lang)) }))
+    .concat({ lang: 'x-default', href: absoluteUrl(page.path) })
+    .map(link => `${indent}<link rel="alternate" hreflang="${link.lang}" href="${link.href}">\n`)
+    .join('');
+
+  return html.replace(pattern, links);
+}
+
+// Language toggles link to the same page in each language
+function writeToggles(html, page) {
+  return html.replace(/<a\b[^>]*\sclass="[^"]*\blang-toggle\b[^"]*"[^>]*>/g, tag => {
+    const lang = getAttribute(tag, 'data-lang');
+    return I18N.LANGUAGES.includes(lang) ? setAttribute(tag, 'href', I18N.localizePath(page.path, lang)) : tag;
+  });
+}
+
+function setMeta(html, attribute, key, value) {
+  const pattern = new RegExp(`<meta ${attribute}="${key}" content="[^"]*">`);
+  return html.replace(pattern, `<meta ${attribute}="${key}" content="${I18N.escapeHtml(value)}">`);
+}
+
+// Links to translated pages stay in the page's language
+function localizeLinks(html, lang) {
+  return html.replace(/(<a\b[^>]*\shref=")(\/[^"#?]*)([#?][^"]*)?"/g, (match, before, path, rest = '') => {
+    if (!I18N.isLocalizedPage(path)) return match;
+    return `${before}${I18N.localizePath(path, lang)}${rest}"`;
+  });
+}
+
+function renderPage(i18n, source, page, lang) {
+  let html = translateHtml(i18n, source, lang)
+    .replace(/<html\b[^>]*>/, tag => setAttribute(setAttribute(tag, 'lang', lang), 'data-lang', lang));
+
+  const pageTitle = decodeAttribute(html.match(/<title\b[^>]*>([\s\S]*?)<\/title>/)[1].trim());
+  const descriptionTag = html.match(/<meta name="description"[^>]*>/);
+  const description = descriptionTag && getAttribute(descriptionTag[0], 'content');
+
+  html = setMeta(html, 'property', 'og:title', pageTitle);
+  html = setMeta(html, 'name', 'twitter:title', pageTitle);
+  if (description) {
+    html = setMeta(html, 'property', 'og:description', description);
+    html = setMeta(html, 'name', 'twitter:description', description);
+  }
+  html = setMeta(html, 'property', 'og:url', absoluteUrl(I18N.localizePath(page.path, lang)));
+  html = setMeta(html, 'property', 'og:locale', I18N.LOCALES[lang].ogLocale);
+  html = setMeta(html, 'property', 'og:locale:alternate', I18N.LOCALES[I18N.DEFAULT_LANG].ogLocale);
+
+  return writeToggles(localizeLinks(html, lang), page);
+}
+
+// =====================================================
+// BUILD
+// =====================================================
+
+function outputFile(page, lang) {
+  const path = I18N.localizePath(page.path, lang);
+  return join(ROOT, path.endsWith('/') ? `${path}index.html` : path);
+}
+
+function build() {
+  const i18n = I18N.createI18n();
+  I18N.LANGUAGES.forEach(lang => {
+    i18n.addCatalog(lang, JSON.parse(readFileSync(join(CATALOG_DIR, `${lang}.json`), 'utf8')));
+  });
+
+  TRANSLATED_LANGS.forEach(lang => rmSync(join(ROOT, lang), { recursive: true, force: true }));
+
+  for (const page of PAGES) {
+    const sourceFile = join(ROOT, page.source);
+    const original = readFileSync(sourceFile, 'utf8');
+    const source = writeToggles(writeAlternates(original, page), page);
+
+    if (source !== original) {
+      writeFileSync(sourceFile, source);
+      console.log(`updated  ${page.source}`);
+    }
+
+    for (const lang of TRANSLATED_LANGS) {
+      const file = outputFile(page, lang);
+      if (!existsSync(dirname(file))) mkdirSync(dirname(file), { recursive: true });
+      writeFileSync(file, renderPage(i18n, source, page, lang));
+      console.log(`built    ${I18N.localizePath(page.path, lang)}`);
+    }
+  }
+}
+
+build();
@@ -0,0 +1,484 @@
+// Builds the portfolio from the case studies in content/portfolio/*.json:
+//
+//   portfolio/<slug>.html       English case study page
+//   el/portfolio/<slug>.html    the same page in each other language
+//   portfolio/index.html        filter controls, the first PROJECTS_PER_PAGE
+//   el/portfolio/index.html     project cards and the "Load more" button,
+//                               between the <!-- portfolio:filters -->,
+//                               <!-- portfolio:cards --> and
+//                               <!-- portfolio:load-more --> markers
+//   portfolio/page/<n>.json     the project cards, a page at a time, for the
+//                               "Load more" button (and el/portfolio/page/)
+//   sitemap.xml                 case study <url> entries, between the
+//                               <!-- portfolio:sitemap --> markers
+//
+// A case study has neutral fields (slug, client, date, types, sector,
+// country, stack, images, related slugs, and either a live `website` or a
+// `service` anchor on the services page) and its copy in every language under
+// copy.<lang>. Projects are listed newest first, by `date`.
+//
+// Each card carries its facet values as data-<facet> attributes (see FACETS),
+// and every value in use gets a checkbox with its project count, most used
+// first. main.js does the filtering, and loads the cards of matching projects
+// past the first page when asked.
+//
+// Run after build-locales.mjs, which recreates el/ (npm run build does both).
+//
+// Usage: node scripts/build-portfolio.mjs
+// The generated pages and regions are overwritten on every build: edit the
+// JSON files (or this template) instead. Only the files with generated
+// regions (the index and sitemap.xml) are committed; see .gitignore.
+
+import { existsSync, readFileSync, readdirSync } from 'fs';
+import { join } from 'path';
+import I18N from '../assets 2/js/i18n.js';
+import {
+  ROOT, absoluteUrl, alternateLinks, attr, indent, loadI18n, message, renderLayout, renderLoadMore, replaceRegion, text,
+  writeFragments, writeIfChanged
+} from '../lib/pages.mjs';
+
+const CONTENT_DIR = join(ROOT, 'content', 'portfolio');
+
+// Facets projects are filtered by, in display order:
+//   values  the project's values (used in URLs, so keep them stable)
+//   label   message id of a value's label, or null to show the value's name
+const FACETS = {
+  sector: {
+    values: item => [item.sector],
+    label: value => `portfolio.sector.${value}`
+  },
+  type: {
+    values: item => item.types,
+    label: value => `portfolio.filter.${value}`
+  },
+  technology: {
+    values: item => item.stack.map(slugify),
+    label: null
+  },
+  country: {
+    values: item => [item.country.toLowerCase()],
+    label: value => `portfolio.country.${value}`
+  }
+};
+
+const PROJECTS_PER_PAGE = 6;
+
+// Colours of the hero highlights and result cards, in order
+const TONES = ['success', 'primary', 'info'];
+
+const REQUIRED = ['slug', 'client', 'date', 'types', 'sector', 'country', 'stack', 'images', 'related', 'copy'];
+const REQUIRED_COPY = ['title', 'description', 'category', 'summary', 'intro', 'imageAlt', 'metrics',
+  'highlights', 'overview', 'sections', 'industry', 'location', 'timeline', 'services', 'testimonial'];
+
+// =====================================================
+// CASE STUDIES
+// =====================================================
+
+function loadCases() {
+  const cases = readdirSync(CONTENT_DIR)
+    .filter(name => name.endsWith('.json'))
+    .map(name => {
+      const data = JSON.parse(readFileSync(join(CONTENT_DIR, name), 'utf8'));
+      validate(data, name);
+      return data;
+    })
+    .sort((a, b) => b.date.localeCompare(a.date));
+
+  const slugs = cases.map(item => item.slug);
+  cases.forEach(item => {
+    const unknown = item.related.filter(slug => !slugs.includes(slug));
+    if (unknown.length) throw new Error(`${item.slug}.json: unknown related projects ${unknown.join(', ')}`);
+  });
+
+  return cases;
+}
+
+function validate(data, name) {
+  const fail = message => { throw new Error(`content/portfolio/${name}: ${message}`); };
+
+  REQUIRED.forEach(field => {
+    if (data[field] === undefined) fail(`missing "${field}"`);
+  });
+  if (`${data.slug}.json` !== name) fail(`slug "${data.slug}" doesn't match the file name`);
+  if (!/^\d{4}-\d{2}-\d{2}$/.test(data.date)) fail('"date" must be YYYY-MM-DD');
+  if (!/^[A-Z]{2}$/.test(data.country)) fail('"country" must be an ISO 3166-1 code like "CY"');
+  if (!data.website && !data.service) fail('needs a "website" or a "service"');
+
+  I18N.LANGUAGES.forEach(lang => {
+    const copy = data.copy[lang];
+    if (!copy) fail(`missing copy.${lang}`);
+    REQUIRED_COPY.forEach(field => {
+      if (copy[field] === undefined) fail(`missing copy.${lang}.${field}`);
+    });
+  });
+}
+
+function slugify(value) {
+  return value.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '');
+}
+
+// Values of a facet in use with their project counts, most used first
+function facetValues(cases, facet) {
+  const counts = new Map();
+  cases.forEach(item => {
+    FACETS[facet].values(item).forEach(value => counts.set(value, (counts.get(value) || 0) + 1));
+  });
+  return [...counts].map(([value, count]) => ({ value, count })).sort((a, b) => b.count - a.count);
+}
+
+// Display name of a technology slug
+function technologyName(cases, value) {
+  return cases.flatMap(item => item.stack).find(name => slugify(name) === value);
+}
+
+// =====================================================
+// HTML HELPERS
+// =====================================================
+
+function casePath(slug) {
+  return `/portfolio/${slug}.html`;
+}
+
+// =====================================================
+// PORTFOLIO INDEX
+// =====================================================
+
+function renderFilters(i18n, cases, lang) {
+  return Object.keys(FACETS).map(facet => {
+    const options = facetValues(cases, facet).map(({ value, count }) => {
+      const id = `filter-${facet}-${value}`;
+      const label = FACETS[facet].label
+        ? `<span${message(i18n, FACETS[facet].label(value), lang)}</span>`
+        : `<span>${text(technologyName(cases, value))}</span>`;
+      return `<input type="checkbox" class="btn-check portfolio-filter" id="${id}" name="${facet}" value="${attr(value)}" autocomplete="off">
+<label class="btn btn-outline-primary btn-sm" for="${id}">${label} <span class="badge text-bg-light portfolio-count">${count}</span></label>`;
+    });
+
+    return `<fieldset class="portfolio-facet col-md-6 col-lg-3" data-facet="${facet}">
+    <legend class="h6 fw-bold mb-2"${message(i18n, `portfolio.facet.${facet}`, lang)}</legend>
+    <div class="d-flex flex-wrap gap-2">
+${indent(options.join('\n'), 8)}
+    </div>
+</fieldset>`;
+  }).map(block => indent(block, 24)).join('\n');
+}
+
+function facetAttributes(item) {
+  return Object.keys(FACETS)
+    .map(facet => ` data-${facet}="${attr(FACETS[facet].values(item).join(' '))}"`)
+    .join('');
+}
+
+// A project's facet values, for the "Load more" button to know which of the
+// projects it hasn't loaded yet match the filters
+function facetData(item) {
+  return Object.fromEntries([['slug', item.slug]].concat(Object.keys(FACETS).map(facet => [facet, FACETS[facet].values(item)])));
+}
+
+function renderCard(i18n, item, lang) {
+  const copy = item.copy[lang];
+  const tags = [`portfolio.sector.${item.sector}`].concat(item.types.map(type => `portfolio.type.${type}`))
+    .map((id, index, all) => `<span class="badge bg-light text-dark${index < all.length - 1 ? ' me-2' : ''}"${message(i18n, id, lang)}</span>`);
+  const metrics = copy.metrics.map(metric => `<div class="col-4">
+    <div class="metric-item">
+        <div class="fw-bold text-success">${text(metric.value)}</div>
+        <small class="text-muted">${text(metric.label)}</small>
+    </div>
+</div>`);
+
+  return `<!-- ${text(item.client)} -->
+<div class="col-lg-4 col-md-6 portfolio-item" data-slug="${item.slug}"${facetAttributes(item)}>
+    <div class="portfolio-card h-100 bg-white rounded-3 shadow-sm overflow-hidden">
+        <div class="portfolio-image position-relative">
+            <img src="${attr(item.images.card)}" alt="${attr(copy.imageAlt.card)}" class="img-fluid w-100" style="height: 250px; object-fit: cover;" loading="lazy">
+            <div class="portfolio-overlay position-absolute top-0 start-0 w-100 h-100 d-flex align-items-center justify-content-center opacity-0">
+                <a href="${I18N.localizePath(casePath(item.slug), lang)}" class="btn btn-white btn-sm"${message(i18n, 'portfolio.view-project', lang)}</a>
+            </div>
+        </div>
+        <div class="p-4">
+            <h3 class="h5 fw-bold mb-2">${text(item.client)}</h3>
+            <p class="text-muted mb-3">
+                ${text(copy.summary)}
+            </p>
+            <div class="d-flex justify-content-between align-items-center mb-3">
+                <div class="project-tags">
+${indent(tags.join('\n'), 20)}
+                </div>
+            </div>
+            <div class="project-metrics row g-2 text-center">
+${indent(metrics.join('\n'), 16)}
+            </div>
+        </div>
+    </div>
+</div>`;
+}
+
+function renderCards(i18n, cases, lang) {
+  return indent(cases.map(item => renderCard(i18n, item, lang)).join('\n\n'), 20);
+}
+
+// =====================================================
+// CASE STUDY PAGES
+// =====================================================
+
+function renderSection(section) {
+  const heading = `<h3 class="h4 fw-bold mb-3 mt-5">${text(section.title)}</h3>`;
+
+  switch (section.type) {
+    case 'list':
+      return `${heading}
+<ul>
+${section.items.map(item => `    <li><strong>${text(item.title)}:</strong> ${text(item.text)}</li>`).join('\n')}
+</ul>`;
+
+    case 'cards':
+      return `${heading}
+<p>${text(section.intro)}</p>
+
+<div class="row g-4 mt-3">
+${section.items.map(item => `    <div class="col-md-6">
+        <div class="feature-card p-4 bg-light rounded">
+            <h4 class="h5 fw-bold mb-2">${text(item.title)}</h4>
+            <p class="mb-0">${text(item.text)}</p>
+        </div>
+    </div>`).join('\n')}
+</div>`;
+
+    case 'features':
+      return `${heading}
+<div class="row g-4">
+${section.items.map(item => `    <div class="col-md-6">
+        <h4 class="h6 fw-bold mb-2">${text(item.icon)} ${text(item.title)}</h4>
+        <p class="text-muted">${text(item.text)}</p>
+    </div>`).join('\n')}
+</div>`;
+
+    case 'columns':
+      return `${heading}
+<div class="bg-light p-4 rounded">
+    <div class="row">
+${section.columns.map(column => `        <div class="col-md-6">
+            <h4 class="h6 fw-bold mb-2">${text(column.title)}</h4>
+            <ul class="list-unstyled">
+${column.items.map(item => `                <li>• ${text(item)}</li>`).join('\n')}
+            </ul>
+        </div>`).join('\n')}
+    </div>
+</div>`;
+
+    case 'results':
+      return `${heading}
+<div class="row g-4">
+${section.items.map((item, index) => `    <div class="col-md-4">
+        <div class="result-card text-center p-4 bg-${TONES[index % TONES.length]}-subtle rounded">
+            <div class="h2 fw-bold text-${TONES[index % TONES.length]} mb-1">${text(item.value)}</div>
+            <p class="mb-0">${text(item.text)}</p>
+        </div>
+    </div>`).join('\n')}
+</div>`;
+
+    default:
+      throw new Error(`Unknown section type "${section.type}"`);
+  }
+}
+
+function renderHeroActions(i18n, item, lang) {
+  const copy = item.copy[lang];
+  const contact = I18N.localizePath('/contact.html', lang);
+
+  if (item.website) {
+    const label = copy.websiteLabel ? `>${text(copy.websiteLabel)}` : message(i18n, 'portfolio.detail.view-live-site', lang);
+    return `<a href="${attr(item.website)}" class="btn btn-primary btn-lg me-3" target="_blank"${label}</a>
+<a href="${contact}" class="btn btn-outline-primary btn-lg"${message(i18n, 'portfolio.start-your-project', lang)}</a>`;
+  }
+
+  return `<a href="${contact}" class="btn btn-primary btn-lg me-3"${message(i18n, 'portfolio.start-your-project', lang)}</a>
+<a href="${I18N.localizePath('/services.html', lang)}#${attr(item.service)}" class="btn btn-outline-primary btn-lg">${text(copy.serviceLabel)}</a>`;
+}
+
+function renderRelated(i18n, cases, item, lang) {
+  return item.related.map(slug => {
+    const related = cases.find(other => other.slug === slug);
+    const copy = related.copy[lang];
+    return `<div class="col-md-6">
+    <div class="card project-card h-100">
+        <img src="${attr(related.images.card)}" alt="${attr(related.client)}" class="card-img-top" style="height: 200px; object-fit: cover;">
+        <div class="card-body">
+            <h3 class="h5 fw-bold mb-2">${text(related.client)}</h3>
+            <p class="text-muted mb-3">${text(copy.teaser || copy.summary)}</p>
+            <a href="${I18N.localizePath(casePath(related.slug), lang)}" class="btn btn-outline-primary btn-sm"${message(i18n, 'portfolio.view-project', lang)}</a>
+        </div>
+    </div>
+</div>`;
+  }).join('\n');
+}
+
+function renderPage(i18n, cases, item, lang) {
+  const copy = item.copy[lang];
+  const path = casePath(item.slug);
+  const highlights = copy.highlights.map((highlight, index) => `<div class="col-6">
+    <div class="metric-card p-3 bg-white rounded shadow-sm">
+        <div class="h3 fw-bold text-${TONES[index % TONES.length]} mb-0">${text(highlight.value)}</div>
+        <small class="text-muted">${text(highlight.label)}</small>
+    </div>
+</div>`).join('\n');
+  const services = copy.services.map(service => `<span class="badge bg-primary me-2 mb-2">${text(service)}</span>`).join('\n');
+  const t = id => message(i18n, id, lang);
+  const detail = (id, value) => `<div class="detail-item mb-3">
+    <strong${t(id)}</strong>
+    <span class="text-muted">${text(value)}</span>
+</div>`;
+
+  return renderLayout(i18n, lang, {
+    source: `scripts/build-portfolio.mjs from content/portfolio/${item.slug}.json`,
+    title: copy.title,
+    description: copy.description,
+    alternates: Object.fromEntries(I18N.LANGUAGES.map(code => [code, I18N.localizePath(path, code)])),
+    back: { href: I18N.localizePath('/portfolio/', lang), id: 'portfolio.detail.back-to-portfolio' },
+    main: `        <!-- Project Hero -->
+        <section class="py-5 bg-light">
+            <div class="container">
+                <div class="row align-items-center">
+                    <div class="col-lg-6">
+                        <span class="badge bg-primary-subtle text-primary mb-3">${text(copy.category)}</span>
+                        <h1 class="display-5 fw-bold mb-4">${text(item.client)}</h1>
+                        <p class="lead mb-4">${text(copy.intro)}</p>
+
+                        <div class="row g-3 mb-4">
+${indent(highlights, 28)}
+                        </div>
+
+${indent(renderHeroActions(i18n, item, lang), 24)}
+                    </div>
+                    <div class="col-lg-6 text-center">
+                        <img src="${attr(item.images.hero)}" alt="${attr(copy.imageAlt.hero)}" class="img-fluid rounded shadow-lg">
+                    </div>
+                </div>
+            </div>
+        </section>
+
+        <!-- Project Details -->
+        <section class="py-5">
+            <div class="container">
+                <div class="row">
+                    <div class="col-lg-8">
+                        <h2 class="h3 fw-bold mb-4"${t('portfolio.detail.overview')}</h2>
+                        <p>${text(copy.overview)}</p>
+
+${indent(copy.sections.map(renderSection).join('\n\n'), 24)}
+                    </div>
+
+                    <div class="col-lg-4">
+                        <div class="project-sidebar">
+                            <div class="card">
+                                <div class="card-body">
+                                    <h3 class="h5 fw-bold mb-3"${t('portfolio.detail.project-details')}</h3>
+
+${indent([
+    detail('portfolio.detail.industry', copy.industry),
+    detail('portfolio.detail.location', copy.location),
+    detail('portfolio.detail.timeline', copy.timeline),
+    detail('portfolio.detail.technologies', item.stack.join(', '))
+  ].join('\n\n'), 36)}
+
+                                    <div class="detail-item mb-4">
+                                        <strong${t('portfolio.detail.services')}</strong>
+                                        <div class="mt-2">
+${indent(services, 44)}
+                                        </div>
+                                    </div>
+
+                                    <a href="${I18N.localizePath('/contact.html', lang)}" class="btn btn-primary w-100"${t('portfolio.start-your-project')}</a>
+                                </div>
+                            </div>
+
+                            <div class="card mt-4">
+                                <div class="card-body">
+                                    <h3 class="h5 fw-bold mb-3"${t('portfolio.detail.testimonial')}</h3>
+                                    <blockquote class="blockquote">
+                                        <p class="mb-3">"${text(copy.testimonial.quote)}"</p>
+                                        <footer class="blockquote-footer">
+                                            ${text(copy.testimonial.author)}, <cite>${text(copy.testimonial.role)}</cite>
+                                        </footer>
+                                    </blockquote>
+                                </div>
+                            </div>
+                        </div>
+                    </div>
+                </div>
+            </div>
+        </section>
+
+        <!-- Related Projects -->
+        <section class="py-5 bg-light">
+            <div class="container">
+                <h2 class="h3 fw-bold text-center mb-5"${t('portfolio.detail.related')}</h2>
+                <div class="row g-4">
+${indent(renderRelated(i18n, cases, item, lang), 20)}
+                </div>
+            </div>
+        </section>`
+  });
+}
+
+// =====================================================
+// SITEMAP
+// =====================================================
+
+function renderSitemap(cases) {
+  return indent(cases.flatMap(item => {
+    const path = casePath(item.slug);
+    const alternates = alternateLinks(Object.fromEntries(I18N.LANGUAGES.map(lang => [lang, I18N.localizePath(path, lang)])))
+      .map(link => `    <xhtml:link rel="alternate" hreflang="${link.lang}" href="${link.href}"/>`)
+      .join('\n');
+
+    return I18N.LANGUAGES.map(lang => `<url>
+    <loc>${absoluteUrl(I18N.localizePath(path, lang))}</loc>
+    <lastmod>${item.date}</lastmod>
+    <changefreq>yearly</changefreq>
+    <priority>0.7</priority>
+${alternates}
+</url>`);
+  }).join('\n\n'), 4);
+}
+
+// =====================================================
+// BUILD
+// =====================================================
+
+function build() {
+  const i18n = loadI18n();
+
+  const cases = loadCases();
+
+  for (const lang of I18N.LANGUAGES) {
+    const indexPath = I18N.localizePath('/portfolio/', lang);
+    const indexFile = join(ROOT, `${indexPath}index.html`);
+    if (!existsSync(indexFile)) {
+      throw new Error(`${indexPath}index.html is missing: run scripts/build-locales.mjs first`);
+    }
+
+    let html = readFileSync(indexFile, 'utf8');
+    html = replaceRegion(html, 'portfolio:filters', renderFilters(i18n, cases, lang), indexPath);
+    html = replaceRegion(html, 'portfolio:cards', renderCards(i18n, cases.slice(0, PROJECTS_PER_PAGE), lang), indexPath);
+    html = replaceRegion(html, 'portfolio:load-more', indent(renderLoadMore(i18n, lang, {
+      listPath: indexPath,
+      items: cases.map(facetData),
+      perPage: PROJECTS_PER_PAGE,
+      className: 'load-more-btn',
+      id: 'portfolio.load-more-projects'
+    }), 16), indexPath);
+    writeIfChanged(indexFile, html, 'updated');
+
+    writeFragments(indexPath, cases.map(item => ({ slug: item.slug, html: renderCard(i18n, item, lang) })), PROJECTS_PER_PAGE);
+
+    for (const item of cases) {
+      writeIfChanged(join(ROOT, I18N.localizePath(casePath(item.slug), lang)), renderPage(i18n, cases, item, lang), 'built');
+    }
+  }
+
+  const sitemapFile = join(ROOT, 'sitemap.xml');
+  writeIfChanged(sitemapFile, replaceRegion(readFileSync(sitemapFile, 'utf8'), 'portfolio:sitemap', renderSitemap(cases), 'sitemap.xml'), 'updated');
+}
+
+build();
@@ -0,0 +1,52 @@
+// Builds the blog search index from the posts in content/blog/*.md:
+//
+//   assets 2/search/blog.<lang>.json    the posts of one language, indexed
+//                                       by title, tags, excerpt and body
+//
+// The index format and the search itself are in assets/js/search.js; main.js
+// fetches the index of the page's language the first time a visitor uses
+// the blog search. Tags are indexed by their label (blog.tag.<tag>), so they
+// are found in the visitor's language.
+//
+// Usage: node scripts/build-search.mjs
+// The index files are generated (and not committed): edit the posts instead.
+
+import { join } from 'path';
+import I18N from '../assets 2/js/i18n.js';
+import Search from '../assets 2/js/search.js';
+import { loadPosts, markdownToText } from '../lib/blog.mjs';
+import { ROOT, loadI18n, writeIfChanged } from '../lib/pages.mjs';
+
+const CONTENT_DIR = join(ROOT, 'content', 'blog');
+const OUTPUT_DIR = join(ROOT, 'assets 2', 'search');
+
+function postPath(slug, lang) {
+  return I18N.localizePath(`/blog/${slug}.html`, lang);
+}
+
+// What search results show, and the text they're found by
+function searchDocument(i18n, post) {
+  return {
+    url: postPath(post.slug, post.lang),
+    title: post.title,
+    excerpt: post.excerpt,
+    date: post.date,
+    categories: post.categories,
+    tags: post.tags.map(tag => i18n.t(`blog.tag.${tag}`, {}, post.lang)),
+    body: markdownToText(post.body)
+  };
+}
+
+function build() {
+  const i18n = loadI18n();
+
+  const posts = loadPosts(CONTENT_DIR);
+
+  for (const lang of I18N.LANGUAGES) {
+    const docs = posts.filter(post => post.lang === lang).map(post => searchDocument(i18n, post));
+    const index = Search.createIndex(docs);
+    writeIfChanged(join(OUTPUT_DIR, `blog.${lang}.json`), `${JSON.stringify(index)}\n`, 'built');
+  }
+}
+
+build();
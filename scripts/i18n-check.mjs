@@ -0,0 +1,136 @@
+// Checks the translation catalogs in assets/i18n against each other and
+// against the pages and scripts that use them:
+//
+//   missing       used in a page or script but not in the English catalog
+//   untranslated  in the English catalog but not in another language
+//   unknown       in another language but not in English
+//   mismatched    placeholders, tags or plural forms differ from English
+//   unused        in the English catalog but referenced nowhere
+//   same          identical to English (reported, not an error: brand and
+//                 technical terms are often left as is)
+//
+// Usage: node scripts/i18n-check.mjs
+// Exits with status 1 when anything but "same" is found.
+
+import { readdirSync, readFileSync, statSync } from 'fs';
+import { join, relative } from 'path';
+import { fileURLToPath } from 'url';
+import I18N from '../assets 2/js/i18n.js';
+
+const ROOT = fileURLToPath(new URL('..', import.meta.url));
+const CATALOG_DIR = join(ROOT, 'assets 2', 'i18n');
+const SOURCE_LANG = 'en';
+// Language directories (el/, ...) hold generated copies of the pages
+// (scripts/build-locales.mjs)
+const SKIP_DIRS = new Set(['node_modules', '.git', '.vercel', '.data', '.outbox',
+  ...I18N.LANGUAGES.filter(lang => lang !== I18N.DEFAULT_LANG)]);
+
+function walk(dir, files = []) {
+  for (const name of readdirSync(dir)) {
+    if (SKIP_DIRS.has(name)) continue;
+    const path = join(dir, name);
+    if (statSync(path).isDirectory()) walk(path, files);
+    else files.push(path);
+  }
+  return files;
+}
+
+function loadCatalogs() {
+  const catalogs = {};
+  for (const file of readdirSync(CATALOG_DIR)) {
+    if (file.endsWith('.json')) {
+      catalogs[file.replace(/\.json$/, '')] = JSON.parse(readFileSync(join(CATALOG_DIR, file), 'utf8'));
+    }
+  }
+  return catalogs;
+}
+
+// Placeholders and tags a message uses, as a sorted signature
+function signature(message) {
+  const forms = typeof message === 'string' ? [message] : Object.values(message);
+  const tokens = new Set();
+  for (const form of forms) {
+    for (const match of form.matchAll(/\{([a-zA-Z0-9_]+)\}|<\/?([a-z][a-z0-9-]*)\s*\/?>/g)) {
+      tokens.add(match[1] ? `{${match[1]}}` : `<${match[2]}>`);
+    }
+  }
+  return [...tokens].sort().join(' ');
+}
+
+// Message IDs referenced by pages (data-i18n*) and scripts. Scripts count
+// any quoted ID-like string, and a `prefix.${...}` template marks the
+// whole prefix as used. Build scripts (scripts/) only count quoted IDs:
+// their templates are file names more often than message IDs.
+function findReferences() {
+  const required = new Map();
+  const literals = new Set();
+  const prefixes = new Set();
+
+  const note = (id, file) => {
+    if (!required.has(id)) required.set(id, new Set());
+    required.get(id).add(relative(ROOT, file));
+  };
+
+  for (const file of walk(ROOT)) {
+    if (file.endsWith('.html')) {
+      const html = readFileSync(file, 'utf8');
+      for (const match of html.matchAll(/\sdata-i18n(?:-[a-z-]+)?="([^"]+)"/g)) {
+        if (!/\sdata-i18n-(?:params|slot)=/.test(match[0])) note(match[1], file);
+      }
+    } else if (/\.(m?js)$/.test(file)) {
+      const source = readFileSync(file, 'utf8');
+      for (const match of source.matchAll(/['"`]([a-z0-9-]+(?:\.[a-z0-9-]+)+)['"`]/g)) literals.add(match[1]);
+      if (file.startsWith(join(ROOT, 'scripts'))) continue;
+      for (const match of source.matchAll(/\bt\(\s*'([^']+)'/g)) note(match[1], file);
+      for (const match of source.matchAll(/`([a-z0-9-]+\.)\$\{/g)) prefixes.add(match[1]);
+    }
+  }
+
+  return { required, literals, prefixes };
+}
+
+const catalogs = loadCatalogs();
+const source = catalogs[SOURCE_LANG];
+const { required, literals, prefixes } = findReferences();
+const problems = [];
+const same = [];
+
+for (const [id, files] of required) {
+  if (!(id in source)) problems.push(`missing       ${id} (${[...files].join(', ')})`);
+}
+
+for (const [lang, catalog] of Object.entries(catalogs)) {
+  if (lang === SOURCE_LANG) continue;
+
+  for (const id of Object.keys(source)) {
+    if (!(id in catalog)) {
+      problems.push(`untranslated  ${lang}: ${id}`);
+    } else if (signature(catalog[id]) !== signature(source[id])) {
+      problems.push(`mismatched    ${lang}: ${id} (${signature(source[id]) || 'none'} vs ${signature(catalog[id]) || 'none'})`);
+    } else if (typeof source[id] !== typeof catalog[id]) {
+      problems.push(`mismatched    ${lang}: ${id} (plural forms)`);
+    } else if (JSON.stringify(catalog[id]) === JSON.stringify(source[id])) {
+      same.push(`${lang}: ${id}`);
+    }
+  }
+
+  for (const id of Object.keys(catalog)) {
+    if (!(id in source)) problems.push(`unknown       ${lang}: ${id}`);
+  }
+}
+
+for (const id of Object.keys(source)) {
+  const used = required.has(id) || literals.has(id) || [...prefixes].some(prefix => id.startsWith(prefix));
+  if (!used) problems.push(`unused        ${id}`);
+}
+
+if (same.length > 0) {
+  console.log(`${same.length} message(s) identical to English:\n  ${same.join('\n  ')}\n`);
+}
+
+if (problems.length > 0) {
+  console.error(`${problems.length} problem(s):\n  ${problems.join('\n  ')}`);
+  process.exit(1);
+}
+
+console.log(`Translations OK: ${Object.keys(source).length} messages in ${Object.keys(catalogs).join(', ')}.`);
@@ -0,0 +1,65 @@
+// Mock webhook receiver for local development: accepts the lead events of
+// lib/webhooks, checks their signature and prints them.
+//
+//   node scripts/webhook-receiver.mjs [--port 4000] [--secret dev-webhook-secret] [--fail 2] [--status 500]
+//
+// Point an endpoint at it (see WEBHOOK_ENDPOINTS in .env.example), send the
+// contact form and run the outbox with
+// curl http://localhost:3000/api/cron/webhooks. --fail answers the first N
+// requests with --status (default 500) to exercise the retries: call the
+// cron route again once the backoff is over.
+// Requests with a bad signature get 401. Every request received is also
+// appended to .webhooks/received.jsonl.
+
+import { appendFileSync, mkdirSync } from 'fs';
+import { createServer } from 'http';
+import { join } from 'path';
+import { ROOT } from '../lib/pages.mjs';
+import { SIGNATURE_HEADER, verifySignature } from '../lib/webhooks/signature.js';
+
+function option(name, fallback) {
+  const index = process.argv.indexOf(`--${name}`);
+  return index === -1 ? fallback : process.argv[index + 1];
+}
+
+const port = Number(option('port', 4000));
+const secret = option('secret', 'dev-webhook-secret');
+const failures = Number(option('fail', 0));
+const failStatus = Number(option('status', 500));
+const logDir = join(ROOT, '.webhooks');
+
+let received = 0;
+
+const server = createServer((req, res) => {
+  if (req.method !== 'POST') {
+    res.writeHead(405).end();
+    return;
+  }
+
+  const chunks = [];
+  req.on('data', chunk => chunks.push(chunk));
+  req.on('end', () => {
+    const body = Buffer.concat(chunks).toString('utf8');
+    const number = ++received;
+    const valid = verifySignature(req.headers[SIGNATURE_HEADER.toLowerCase()], body, secret);
+    const status = !valid ? 401 : number <= failures ? failStatus : 200;
+
+    console.log(`#${number} ${req.headers['x-digilima-event']} ${req.headers['x-digilima-delivery']}: signature ${valid ? 'ok' : 'INVALID'}, answering ${status}`);
+    if (valid) console.log(JSON.stringify(JSON.parse(body), null, 2));
+
+    mkdirSync(logDir, { recursive: true });
+    appendFileSync(join(logDir, 'received.jsonl'), `${JSON.stringify({
+      at: new Date().toISOString(),
+      headers: req.headers,
+      valid,
+      status,
+      body
+    })}\n`);
+
+    res.writeHead(status, { 'Content-Type': 'application/json' }).end(JSON.stringify({ received: status === 200 }));
+  });
+});
+
+server.listen(port, () => {
+  console.log(`Webhook receiver listening on http://localhost:${port}/ (secret "${secret}")`);
+});
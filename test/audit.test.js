@@ -0,0 +1,39 @@
+import { createHash } from 'crypto';
+import { describe, expect, it } from 'vitest';
+import { createAuditLog, hashIdentifier } from '../lib/audit.js';
+import { createMemoryStore } from '../lib/store/memory.js';
+
+const sha256 = value => createHash('sha256').update(value).digest('hex');
+
+describe('audit log', () => {
+  it('keys identifier hashes with the secret', () => {
+    const hash = hashIdentifier('203.0.113.7', 'secret-a');
+
+    expect(hash).toMatch(/^[0-9a-f]{64}$/);
+    expect(hash).not.toBe(sha256('203.0.113.7'));
+    expect(hash).not.toBe(hashIdentifier('203.0.113.7', 'secret-b'));
+    expect(hashIdentifier(' Maria@Example.com ', 'secret-a')).toBe(hashIdentifier('maria@example.com', 'secret-a'));
+  });
+
+  it('stores only keyed hashes of the person', async () => {
+    const audit = createAuditLog(createMemoryStore(), { secret: 'secret-a' });
+
+    const entry = await audit.record('data_request.exported', {
+      actor: 'data_subject',
+      email: 'maria@example.com',
+      ip: '203.0.113.7'
+    });
+
+    expect(entry.subject).toBe(hashIdentifier('maria@example.com', 'secret-a'));
+    expect(entry.ip).toBe(hashIdentifier('203.0.113.7', 'secret-a'));
+    expect(JSON.stringify(entry)).not.toContain('maria@example.com');
+    expect(JSON.stringify(entry)).not.toContain(sha256('maria@example.com'));
+  });
+
+  it('leaves missing identifiers empty', async () => {
+    const entry = await createAuditLog(createMemoryStore(), { secret: 'secret-a' }).record('retention.purged');
+
+    expect(entry.subject).toBeNull();
+    expect(entry.ip).toBeNull();
+  });
+});
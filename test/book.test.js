@@ -0,0 +1,206 @@
+import { afterEach, describe, expect, it, vi } from 'vitest';
+import { createAvailabilityHandler } from '../api/availability.js';
+import { createBookingHandler } from '../api/book.js';
+import { availableSlots, bookingToken } from '../lib/booking.js';
+import { createLocalCalendar } from '../lib/calendar/local.js';
+import { createMemoryKv } from '../lib/kv/memory.js';
+import { createLeadRepository } from '../lib/leads.js';
+import { createMemoryStore } from '../lib/store/memory.js';
+import { createRecordingTransport, createRequest, createResponse, SECRET } from './helpers.js';
+
+// Monday 19 October 2026, 10:00 in Athens
+const NOW = new Date('2026-10-19T07:00:00.000Z');
+// First slot after the 12 hours' notice: Tuesday 10:00 in Athens (UTC+3)
+const FIRST_SLOT = '2026-10-20T07:00:00.000Z';
+
+afterEach(() => {
+  vi.unstubAllEnvs();
+});
+
+function setup() {
+  const store = createMemoryStore();
+  const calendar = createLocalCalendar(store);
+  const leads = createLeadRepository(store);
+  const transport = createRecordingTransport();
+  const handler = createBookingHandler({
+    transport,
+    kv: createMemoryKv(),
+    secret: SECRET,
+    store,
+    calendar,
+    now: () => NOW
+  });
+
+  async function createLead(name = 'Maria Papadopoulou', lang = 'en') {
+    const lead = await leads.create({ name, email: `${name.split(' ')[0].toLowerCase()}@example.com`, projectType: 'shopify-store', lang });
+    return { lead, token: bookingToken(lead, { secret: SECRET, now: () => NOW.getTime() }) };
+  }
+
+  async function book(token, start = FIRST_SLOT) {
+    const res = createResponse();
+    await handler(createRequest({ body: { token, start } }), res);
+    return res;
+  }
+
+  return { store, calendar, leads, sent: transport.sent, createLead, book };
+}
+
+describe('POST /api/book', () => {
+  it('books a free slot and records it on the lead', async () => {
+    const { leads, createLead, book } = setup();
+    const { lead, token } = await createLead();
+
+    const res = await book(token);
+
+    expect(res.statusCode).toBe(200);
+    expect(res.body.booking).toMatchObject({ start: FIRST_SLOT, end: '2026-10-20T07:30:00.000Z' });
+    expect((await leads.get(lead.id)).booking).toMatchObject({ id: res.body.booking.id, start: FIRST_SLOT });
+  });
+
+  it('refuses a slot that is already booked', async () => {
+    const { createLead, book } = setup();
+    const first = await createLead('Maria Papadopoulou');
+    const second = await createLead('Nikos Georgiou');
+
+    await book(first.token);
+    const res = await book(second.token);
+
+    expect(res.statusCode).toBe(409);
+    expect(res.body.code).toBe('slot_taken');
+  });
+
+  it('books a slot only once when two requests race for it', async () => {
+    const { store, createLead, book } = setup();
+    const first = await createLead('Maria Papadopoulou');
+    const second = await createLead('Nikos Georgiou');
+
+    const responses = await Promise.all([book(first.token), book(second.token)]);
+
+    expect(responses.map(res => res.statusCode).sort()).toEqual([200, 409]);
+    expect(await store.collection('bookings').find()).toHaveLength(1);
+  });
+
+  it('no longer offers a booked slot', async () => {
+    const { calendar, createLead, book } = setup();
+    const { token } = await createLead();
+
+    await book(token);
+    const slots = await availableSlots({ calendar, now: NOW, days: 2 });
+
+    expect(slots.map(slot => slot.start)).not.toContain(FIRST_SLOT);
+    expect(slots[0].start).toBe('2026-10-20T07:30:00.000Z');
+  });
+
+  it('lets each lead book one call', async () => {
+    const { createLead, book } = setup();
+    const { token } = await createLead();
+
+    await book(token);
+    const res = await book(token, '2026-10-20T08:00:00.000Z');
+
+    expect(res.statusCode).toBe(409);
+    expect(res.body.code).toBe('already_booked');
+  });
+
+  it('books one call when the same token races for two slots', async () => {
+    const { store, sent, leads, createLead, book } = setup();
+    const { lead, token } = await createLead();
+
+    const responses = await Promise.all([book(token), book(token, '2026-10-20T08:00:00.000Z')]);
+
+    expect(responses.map(res => res.statusCode).sort()).toEqual([200, 409]);
+    expect(responses.find(res => res.statusCode === 409).body.code).toBe('already_booked');
+    const bookings = await store.collection('bookings').find();
+    expect(bookings).toHaveLength(1);
+    expect((await leads.get(lead.id)).booking.id).toBe(bookings[0].id);
+    expect(sent).toHaveLength(2);
+  });
+
+  it('lets the lead pick another time when the slot is taken', async () => {
+    const { createLead, book } = setup();
+    const first = await createLead('Maria Papadopoulou');
+    const second = await createLead('Nikos Georgiou');
+
+    await book(first.token);
+    expect((await book(second.token)).body.code).toBe('slot_taken');
+
+    expect((await book(second.token, '2026-10-20T08:00:00.000Z')).statusCode).toBe(200);
+  });
+
+  it('refuses times that are not offered', async () => {
+    const { createLead, book } = setup();
+    const { token } = await createLead();
+
+    // Within the notice period, and outside working hours
+    expect((await book(token, '2026-10-19T12:00:00.000Z')).body.code).toBe('slot_taken');
+    expect((await book(token, '2026-10-20T04:00:00.000Z')).body.code).toBe('slot_taken');
+  });
+
+  it('refuses invalid tokens', async () => {
+    const { createLead, book } = setup();
+    const { token } = await createLead();
+
+    const res = await book(`${token}x`);
+
+    expect(res.statusCode).toBe(400);
+    expect(res.body.code).toBe('invalid_token');
+  });
+
+  it('emails both sides an .ics invitation for the call', async () => {
+    const { sent, createLead, book } = setup();
+    const { token } = await createLead('Maria Papadopoulou', 'el');
+
+    const res = await book(token);
+    expect(res.body.delivery).toEqual({ bookingConfirmation: 'sent', bookingNotification: 'sent' });
+
+    const [confirmation, notification] = sent;
+    expect(confirmation.to).toEqual(['maria@example.com']);
+    expect(notification.to).toEqual(['hello@digilima.com']);
+
+    for (const message of sent) {
+      const [attachment] = message.attachments;
+      expect(attachment.filename).toBe('consultation.ics');
+      expect(attachment.contentType).toMatch(/^text\/calendar/);
+
+      // Long lines are folded at 75 octets
+      expect(attachment.content.split('\r\n').every(line => Buffer.byteLength(line) <= 75)).toBe(true);
+      const ics = attachment.content.replace(/\r\n /g, '');
+      expect(ics.startsWith('BEGIN:VCALENDAR\r\n')).toBe(true);
+      expect(ics).toContain(`\r\nUID:${res.body.booking.id}@digilima.com\r\n`);
+      expect(ics).toContain('\r\nDTSTART:20261020T070000Z\r\n');
+      expect(ics).toContain('\r\nDTEND:20261020T073000Z\r\n');
+      expect(ics).toContain('\r\nORGANIZER;CN="DigiLima":mailto:hello@digilima.com\r\n');
+      expect(ics).toContain('\r\nATTENDEE;CN="Maria Papadopoulou";ROLE=REQ-PARTICIPANT:mailto:maria@example.com\r\n');
+      expect(ics.endsWith('END:VEVENT\r\nEND:VCALENDAR\r\n')).toBe(true);
+    }
+
+    const unfold = message => message.attachments[0].content.replace(/\r\n /g, '');
+    expect(unfold(confirmation)).toContain('\r\nSUMMARY:Συμβουλευτική κλήση με την DigiLima\r\n');
+    expect(unfold(notification)).toContain('\r\nSUMMARY:Consultation call: Maria Papadopoulou\r\n');
+  });
+});
+
+describe('booking configuration errors', () => {
+  it('answers a missing signing secret with a JSON error', async () => {
+    vi.stubEnv('VERCEL_ENV', 'production');
+    vi.stubEnv('SIGNING_SECRET', '');
+    const store = createMemoryStore();
+    const handler = createBookingHandler({ transport: createRecordingTransport(), kv: createMemoryKv(), store, calendar: createLocalCalendar(store) });
+    const res = createResponse();
+
+    await handler(createRequest({ body: { token: 'x', start: FIRST_SLOT } }), res);
+
+    expect(res.statusCode).toBe(500);
+    expect(res.body.error).toMatch(/^Sorry/);
+  });
+
+  it('answers an unknown calendar with a JSON error', async () => {
+    vi.stubEnv('CALENDAR', 'outlook');
+    const res = createResponse();
+
+    await createAvailabilityHandler()(createRequest({ method: 'GET' }), res);
+
+    expect(res.statusCode).toBe(500);
+    expect(res.body.error).toBe('Could not load the available times. Please try again later.');
+  });
+});
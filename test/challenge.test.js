@@ -0,0 +1,116 @@
+import { describe, expect, it } from 'vitest';
+import { CHALLENGE_DEFAULTS, isValidSolution, issueChallenge, verifyChallenge } from '../lib/challenge.js';
+import { createMemoryKv } from '../lib/kv/memory.js';
+import { sign } from '../lib/signing.js';
+import { SECRET } from './helpers.js';
+
+const ISSUED_AT = Date.parse('2026-10-19T10:00:00.000Z');
+const DIFFICULTY = 8;
+
+// What the browser does: count up until the hash has enough zero bits
+function solve({ nonce, difficulty }) {
+  let counter = 0;
+  while (!isValidSolution(nonce, counter, difficulty)) counter++;
+  return String(counter);
+}
+
+function setup() {
+  const clock = { time: ISSUED_AT };
+  const kv = createMemoryKv({ now: () => clock.time });
+  const challenge = issueChallenge({ secret: SECRET, difficulty: DIFFICULTY, now: () => ISSUED_AT });
+  const solution = solve(challenge);
+
+  // Submitted 10s after the challenge was issued unless the clock is moved
+  clock.time = ISSUED_AT + 10 * 1000;
+  const check = (submitted = { token: challenge.token, solution }) => (
+    verifyChallenge(submitted, { kv, secret: SECRET, now: () => clock.time })
+  );
+
+  return { clock, challenge, solution, check };
+}
+
+describe('verifyChallenge', () => {
+  it('accepts a solved challenge once', async () => {
+    const { check } = setup();
+
+    expect(await check()).toBeNull();
+    expect(await check()).toBe('replayed');
+  });
+
+  it('rejects a missing challenge', async () => {
+    const { check } = setup();
+
+    expect(await check(null)).toBe('missing');
+    expect(await check('token')).toBe('missing');
+    expect(await check({ solution: '1' })).toBe('missing');
+  });
+
+  it('rejects tokens it did not sign', async () => {
+    const { challenge, solution, check } = setup();
+    const [data] = challenge.token.split('.');
+
+    expect(await check({ token: `${data}.forged`, solution })).toBe('invalid');
+    expect(await check({ token: issueChallenge({ secret: 'other-secret', difficulty: 0 }).token, solution })).toBe('invalid');
+    expect(await check({ token: 'not-a-token', solution })).toBe('invalid');
+  });
+
+  it('rejects signed tokens that are not challenges', async () => {
+    const { solution, check } = setup();
+
+    expect(await check({ token: sign({ n: 'abc', d: 0 }, SECRET), solution })).toBe('invalid');
+    expect(await check({ token: sign({ d: 0, t: ISSUED_AT }, SECRET), solution })).toBe('invalid');
+  });
+
+  it('rejects a challenge sent too soon after it was issued', async () => {
+    const { clock, check } = setup();
+
+    clock.time = ISSUED_AT + CHALLENGE_DEFAULTS.minAgeMs - 1;
+    expect(await check()).toBe('too_fast');
+
+    clock.time = ISSUED_AT + CHALLENGE_DEFAULTS.minAgeMs;
+    expect(await check()).toBeNull();
+  });
+
+  it('rejects an expired challenge', async () => {
+    const { clock, check } = setup();
+
+    clock.time = ISSUED_AT + CHALLENGE_DEFAULTS.maxAgeMs + 1;
+    expect(await check()).toBe('expired');
+
+    clock.time = ISSUED_AT + CHALLENGE_DEFAULTS.maxAgeMs;
+    expect(await check()).toBeNull();
+  });
+
+  it('rejects a wrong solution', async () => {
+    const { challenge, solution, check } = setup();
+    let wrong = Number(solution) + 1;
+    while (isValidSolution(challenge.nonce, wrong, DIFFICULTY)) wrong++;
+
+    expect(await check({ token: challenge.token, solution: String(wrong) })).toBe('bad_solution');
+    expect(await check({ token: challenge.token, solution: `${solution}x` })).toBe('bad_solution');
+    expect(await check({ token: challenge.token, solution: '0'.repeat(13) })).toBe('bad_solution');
+    expect(await check({ token: challenge.token })).toBe('bad_solution');
+  });
+
+  it('does not use up the token on a failed attempt', async () => {
+    const { clock, challenge, check } = setup();
+
+    clock.time = ISSUED_AT;
+    expect(await check()).toBe('too_fast');
+    clock.time = ISSUED_AT + 10 * 1000;
+    expect(await check({ token: challenge.token, solution: 'x' })).toBe('bad_solution');
+
+    expect(await check()).toBeNull();
+  });
+});
+
+describe('isValidSolution', () => {
+  it('needs the hash to start with the difficulty in zero bits', () => {
+    const { nonce } = issueChallenge({ secret: SECRET });
+
+    expect(isValidSolution(nonce, '123', 0)).toBe(true);
+    const solution = solve({ nonce, difficulty: 12 });
+    expect(isValidSolution(nonce, solution, 12)).toBe(true);
+    expect(isValidSolution(nonce, solution, 256)).toBe(false);
+  });
+});
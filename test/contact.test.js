@@ -0,0 +1,149 @@
+import { describe, expect, it } from 'vitest';
+import { createContactHandler } from '../api/contact.js';
+import { issueChallenge } from '../lib/challenge.js';
+import { CURRENT_POLICY_VERSION } from '../lib/consent.js';
+import { createMemoryKv } from '../lib/kv/memory.js';
+import { createLeadRepository } from '../lib/leads.js';
+import { createMemoryStore } from '../lib/store/memory.js';
+import { createRecordingTransport, createRequest, createResponse, SECRET } from './helpers.js';
+
+
+const SUBMISSION = {
+  name: 'Maria Papadopoulou',
+  email: 'maria@example.com',
+  budget: '10000-20000',
+  projectType: 'web-application',
+  timeline: 'asap',
+  location: 'limassol',
+  message: 'We need a booking system for our clinic.',
+  consent: true,
+  policyVersion: CURRENT_POLICY_VERSION,
+  consentWording: 'contact-page',
+  lang: 'en'
+};
+
+// A contact handler on memory backends, with a transport that records
+// what it sends. The challenge is issued in the past at difficulty 0, so
+// any counter solves it.
+function setupContact(options = {}) {
+  const store = createMemoryStore();
+  const transport = createRecordingTransport();
+  const handler = createContactHandler({
+    transport,
+    kv: createMemoryKv(),
+    secret: SECRET,
+    store,
+    webhookEndpoints: [],
+    ...options
+  });
+
+  async function submit(values = {}) {
+    const challenge = issueChallenge({ secret: SECRET, difficulty: 0, now: () => Date.now() - 10 * 1000 });
+    const res = createResponse();
+    await handler(createRequest({ body: { ...SUBMISSION, ...values, challenge: { token: challenge.token, solution: '0' } } }), res);
+    return res;
+  }
+
+  return { store, sent: transport.sent, leads: createLeadRepository(store), submit };
+}
+
+describe('contact lead routing', () => {
+  it('scores the lead and routes its notification by tier', async () => {
+    const { sent, leads, submit } = setupContact();
+
+    const res = await submit();
+
+    expect(res.statusCode).toBe(200);
+    const lead = await leads.get(res.body.leadId);
+    expect(lead.score).toMatchObject({ score: 40 + 20 + 10 + 15 + 10, priority: 'high' });
+
+    const [notification, autoReply] = sent;
+    expect(notification.to).toEqual(['hello@digilima.com', 'sales@digilima.com']);
+    expect(notification.subject).toMatch(/^\[HIGH PRIORITY\] New Contact: Maria Papadopoulou/);
+    expect(notification.tags).toEqual(expect.arrayContaining([
+      { name: 'priority', value: 'high' },
+      { name: 'score', value: '95' }
+    ]));
+    expect(autoReply.to).toEqual(['maria@example.com']);
+  });
+
+  it('sends low scoring leads without a prefix', async () => {
+    const { sent, submit } = setupContact();
+
+    await submit({ budget: '1000-3000', projectType: 'other', timeline: 'flexible', location: 'other', message: 'Hello' });
+
+    expect(sent[0].to).toEqual(['hello@digilima.com']);
+    expect(sent[0].subject).toMatch(/^New Contact: /);
+    expect(sent[0].tags).toContainEqual({ name: 'priority', value: 'low' });
+  });
+
+  it('uses the leadRules it is given', async () => {
+    const { sent, leads, submit } = setupContact({
+      leadRules: {
+        rules: [{ name: 'location', field: 'location', points: { paphos: 100 } }],
+        tiers: [
+          { priority: 'local', minScore: 100, subjectPrefix: '[PAPHOS]', recipients: ['paphos@digilima.com'], followUp: true },
+          { priority: 'low', minScore: -Infinity, subjectPrefix: '', recipients: ['hello@digilima.com'], followUp: false }
+        ]
+      }
+    });
+
+    const res = await submit({ location: 'paphos' });
+
+    expect((await leads.get(res.body.leadId)).score).toEqual({
+      score: 100,
+      priority: 'local',
+      reasons: [{ rule: 'location', value: 'paphos', points: 100 }]
+    });
+    expect(sent[0].to).toEqual(['paphos@digilima.com']);
+    expect(sent[0].subject).toMatch(/^\[PAPHOS\] New Contact: /);
+  });
+});
+
+describe('contact integrations', () => {
+  it('queues the lead for the webhook endpoints without posting it', async () => {
+    const { store, sent, submit } = setupContact({
+      webhookEndpoints: [{ name: 'hubspot', url: 'https://hubspot.example/hooks', secret: 's', format: 'hubspot', events: ['lead.created'] }]
+    });
+
+    const res = await submit();
+
+    expect(res.statusCode).toBe(200);
+    const webhooks = await store.collection('webhooks').find();
+    expect(webhooks).toHaveLength(1);
+    expect(webhooks[0]).toMatchObject({ endpoint: 'hubspot', leadId: res.body.leadId, status: 'pending', attempts: 0 });
+    expect(sent[0].html).toContain('Contact details queued for: hubspot');
+  });
+});
+
+describe('contact rate limits', () => {
+  const rateLimits = {
+    ip: { limit: 2, windowMs: 10 * 60 * 1000 },
+    email: { limit: 1, windowMs: 60 * 60 * 1000 }
+  };
+
+  it('answers 429 with Retry-After once an IP sends too many', async () => {
+    const { sent, submit } = setupContact({ rateLimits });
+
+    await submit({ email: 'maria@example.com' });
+    await submit({ email: 'nikos@example.com' });
+    const res = await submit({ email: 'eleni@example.com' });
+
+    expect(res.statusCode).toBe(429);
+    expect(res.headers['retry-after']).toBe(String(res.body.retryAfter));
+    expect(res.body.retryAfter).toBeGreaterThan(0);
+    expect(sent).toHaveLength(4);
+  });
+
+  it('limits the submissions for one email address', async () => {
+    const { store, submit } = setupContact({ rateLimits: { ...rateLimits, ip: { limit: 10, windowMs: 60 * 1000 } } });
+
+    expect((await submit()).statusCode).toBe(200);
+    const res = await submit({ message: 'Sorry, one more thing about the booking system.' });
+
+    expect(res.statusCode).toBe(429);
+    expect(res.headers['retry-after']).toBe(String(res.body.retryAfter));
+    expect((await submit({ email: 'nikos@example.com' })).statusCode).toBe(200);
+    expect(await store.collection('leads').find()).toHaveLength(2);
+  });
+});
@@ -0,0 +1,194 @@
+import { describe, expect, it } from 'vitest';
+import { backoffDelay, createDeliveryQueue, RETRY_DEFAULTS } from '../lib/delivery-queue.js';
+import { createLeadRepository } from '../lib/leads.js';
+import { createMemoryStore } from '../lib/store/memory.js';
+import { createRecordingTransport } from './helpers.js';
+
+const START = Date.parse('2026-10-19T10:00:00.000Z');
+
+const message = subject => ({ from: 'DigiLima <hello@digilima.com>', to: ['maria@example.com'], subject, html: '<p>Hi</p>', text: 'Hi' });
+
+// A mock transport: throws the queued errors (sends once they run out), or
+// never answers for a null, and records every message it is given
+function createTransport(...failures) {
+  const sent = [];
+
+  return {
+    name: 'test',
+    sent,
+    async send(message) {
+      sent.push(message);
+      const failure = failures.shift();
+      if (failure === null) return new Promise(() => {});
+      if (failure) throw new Error(failure);
+      return { id: `sent_${sent.length}` };
+    }
+  };
+}
+
+function setup(transport, options = {}) {
+  const clock = { time: START };
+  const store = createMemoryStore();
+  const queue = createDeliveryQueue({ store, transport, now: () => clock.time, ...options });
+  const get = id => store.collection('deliveries').get(id);
+  return { clock, store, queue, get };
+}
+
+// Let a started attempt reach the transport
+const tick = () => new Promise(resolve => setTimeout(resolve, 0));
+
+describe('backoffDelay', () => {
+  it('doubles from the base delay up to the maximum', () => {
+    expect([1, 2, 3, 4].map(attempts => backoffDelay(attempts))).toEqual([60000, 120000, 240000, 480000]);
+    expect(backoffDelay(20)).toBe(RETRY_DEFAULTS.maxDelayMs);
+    expect(backoffDelay(3, { baseDelayMs: 1000, maxDelayMs: 3000 })).toBe(3000);
+  });
+});
+
+describe('delivery queue', () => {
+  it('stores a message as pending and sends it on the first attempt', async () => {
+    const transport = createTransport();
+    const { queue } = setup(transport);
+
+    const queued = await queue.enqueue(message('Hello'), { kind: 'autoReply', leadId: 'lead_1' });
+    expect(queued).toMatchObject({ kind: 'autoReply', leadId: 'lead_1', status: 'pending', attempts: 0, nextAttemptAt: START });
+    expect(transport.sent).toHaveLength(0);
+
+    expect(await queue.attempt(queued.id)).toMatchObject({ status: 'sent', attempts: 1, sentId: 'sent_1', lastError: null, lockedUntil: null });
+    expect(await queue.attempt(queued.id)).toBeNull();
+    expect(transport.sent).toHaveLength(1);
+  });
+
+  it('retries a failed send after the backoff delay', async () => {
+    const transport = createTransport('Rate limited', 'Timeout');
+    const { clock, queue, get } = setup(transport);
+    const { id } = await queue.enqueue(message('Hello'));
+
+    const failed = await queue.attempt(id);
+    expect(failed).toMatchObject({ status: 'pending', attempts: 1, lastError: 'Rate limited', lockedUntil: null });
+    expect(failed.nextAttemptAt).toBe(START + backoffDelay(1));
+
+    clock.time = failed.nextAttemptAt - 1;
+    expect(await queue.processDue()).toEqual({ processed: 0, sent: 0, retrying: 0, dead: 0 });
+
+    clock.time = failed.nextAttemptAt;
+    expect(await queue.processDue()).toEqual({ processed: 1, sent: 0, retrying: 1, dead: 0 });
+    const retried = await get(id);
+    expect(retried).toMatchObject({ attempts: 2, lastError: 'Timeout', nextAttemptAt: clock.time + backoffDelay(2) });
+
+    clock.time = retried.nextAttemptAt;
+    expect(await queue.processDue()).toEqual({ processed: 1, sent: 1, retrying: 0, dead: 0 });
+    expect(transport.sent).toHaveLength(3);
+  });
+
+  it('marks a delivery dead after maxAttempts', async () => {
+    const transport = createTransport('Down', 'Down', 'Down');
+    const { clock, queue } = setup(transport, { retry: { maxAttempts: 3 } });
+    const { id } = await queue.enqueue(message('Hello'));
+
+    let result = await queue.attempt(id);
+    while (result.status === 'pending') {
+      clock.time = result.nextAttemptAt;
+      result = await queue.attempt(id);
+    }
+
+    expect(result).toMatchObject({ status: 'dead', attempts: 3, lastError: 'Down', nextAttemptAt: null });
+    clock.time += RETRY_DEFAULTS.maxDelayMs;
+    expect((await queue.processDue()).processed).toBe(0);
+    expect(transport.sent).toHaveLength(3);
+  });
+
+  it('leases a delivery so a second worker does not send it too', async () => {
+    const transport = createTransport(null);
+    const { clock, store, queue } = setup(transport);
+    const { id } = await queue.enqueue(message('Hello'));
+
+    queue.attempt(id);
+    await tick();
+
+    const other = createTransport();
+    const otherQueue = createDeliveryQueue({ store, transport: other, now: () => clock.time });
+    expect(await otherQueue.attempt(id)).toBeNull();
+    clock.time += RETRY_DEFAULTS.leaseMs - 1;
+    expect((await otherQueue.processDue()).processed).toBe(0);
+    expect(other.sent).toHaveLength(0);
+
+    // The first worker never finished, as if its function was stopped
+    clock.time += 1;
+    expect(await otherQueue.processDue()).toEqual({ processed: 1, sent: 1, retrying: 0, dead: 0 });
+    expect(other.sent).toHaveLength(1);
+  });
+
+  it('processes due deliveries oldest first, up to the limit', async () => {
+    const transport = createTransport();
+    const { clock, queue } = setup(transport);
+
+    // Stored newest first, so storage order can't decide
+    for (const [subject, offset] of [['Later', 60000], ['Third', 2000], ['Second', 1000], ['First', 0]]) {
+      clock.time = START + offset;
+      await queue.enqueue(message(subject));
+    }
+    clock.time = START + 2000;
+
+    expect(await queue.processDue({ limit: 2 })).toEqual({ processed: 2, sent: 2, retrying: 0, dead: 0 });
+    expect(await queue.processDue()).toEqual({ processed: 1, sent: 1, retrying: 0, dead: 0 });
+    expect(transport.sent.map(sent => sent.subject)).toEqual(['First', 'Second', 'Third']);
+  });
+});
+
+describe('lead delivery status', () => {
+  function setupLead(transport) {
+    const store = createMemoryStore();
+    const leads = createLeadRepository(store);
+    const queue = createDeliveryQueue({
+      store,
+      transport,
+      onUpdate: delivery => leads.recordDelivery(delivery),
+      retry: { maxAttempts: 1 }
+    });
+    return { leads, queue };
+  }
+
+  async function deliver(transport) {
+    const { leads, queue } = setupLead(transport);
+    const lead = await leads.create({ name: 'Maria', email: 'maria@example.com' });
+
+    for (const kind of ['notification', 'autoReply']) {
+      const { id } = await queue.enqueue(message(kind), { kind, leadId: lead.id });
+      await queue.attempt(id);
+    }
+    return leads.get(lead.id);
+  }
+
+  it('is notified once every email is sent', async () => {
+    const lead = await deliver(createRecordingTransport());
+
+    expect(lead.status).toBe('notified');
+    expect(lead.emails.notification).toMatchObject({ status: 'sent', attempts: 1, id: 'sent_1', error: null });
+    expect(lead.emails.autoReply).toMatchObject({ status: 'sent', id: 'sent_2' });
+  });
+
+  it('is failed when any email is dead', async () => {
+    const lead = await deliver(createTransport(undefined, 'Mailbox unavailable'));
+
+    expect(lead.status).toBe('delivery_failed');
+    expect(lead.emails.autoReply).toMatchObject({ status: 'dead', error: 'Mailbox unavailable' });
+  });
+
+  it('is pending while an email waits to be sent', async () => {
+    const { leads, queue } = setupLead(createRecordingTransport());
+    const lead = await leads.create({ name: 'Maria', email: 'maria@example.com' });
+
+    const { id } = await queue.enqueue(message('notification'), { kind: 'notification', leadId: lead.id });
+    expect((await leads.get(lead.id)).status).toBe('delivery_pending');
+
+    await queue.attempt(id);
+    expect((await leads.get(lead.id)).status).toBe('notified');
+  });
+
+  it('ignores deliveries without a lead', async () => {
+    const { leads } = setupLead(createRecordingTransport());
+
+    expect(await leads.recordDelivery({ id: 'dlv_1', kind: 'newsletterConfirm', status: 'sent' })).toBeNull();
+  });
+});
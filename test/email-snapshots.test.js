@@ -0,0 +1,90 @@
+import { describe, expect, it } from 'vitest';
+import { formatSlot } from '../lib/booking.js';
+import { renderEmail } from '../lib/emails/index.js';
+import { label } from '../lib/emails/labels.js';
+
+const SLOT = '2026-10-26T08:00:00.000Z';
+
+// Representative data for every template, as the endpoints pass it;
+// functions get the locale for values shown in the visitor's language
+const FIXTURES = {
+  'booking-confirmation': locale => ({
+    name: 'Maria Papadopoulou',
+    when: formatSlot(SLOT, locale),
+    minutes: 30
+  }),
+  'booking-notification': {
+    name: 'Maria Papadopoulou',
+    email: 'maria@example.com',
+    phone: '+357 99 123 456',
+    mailto: 'mailto:maria@example.com',
+    tel: 'tel:+35799123456',
+    projectType: 'Shopify Store',
+    langLabel: 'Greek',
+    when: formatSlot(SLOT, 'en'),
+    minutes: 30,
+    leadId: 'lead_0001',
+    bookingId: 'bkg_0001'
+  },
+  'contact-auto-reply': locale => ({
+    name: 'Maria Papadopoulou',
+    projectTypeLabel: label(locale, 'projectType', 'shopify-store')
+  }),
+  'contact-notification': {
+    name: 'Maria Papadopoulou',
+    email: 'maria@example.com',
+    phone: '+357 99 123 456',
+    company: 'Acme Ltd',
+    budget: '10000-20000',
+    message: 'We need a new online shop.\nCan we talk next week?',
+    mailto: 'mailto:maria@example.com',
+    tel: 'tel:+35799123456',
+    projectType: 'Shopify Store',
+    timelineLabel: 'Within 1 month',
+    timelineSubject: 'Within 1 month',
+    locationLabel: 'Limassol, Cyprus',
+    langLabel: 'Greek',
+    consent: {
+      givenAt: '2026-10-19T10:00:00.000Z',
+      lang: 'el',
+      policyVersion: '2026-10-01',
+      text: 'I agree to the privacy policy'
+    },
+    score: 75,
+    priority: 'high',
+    priorityClass: 'priority-high',
+    subjectPrefix: '[HIGH PRIORITY]',
+    followUp: true,
+    crmSync: 'hubspot',
+    scoreReasons: 'budget "10000-20000" +40, project-type "shopify-store" +15',
+    currentDate: '19 October 2026 at 13:00'
+  },
+  'data-request (export)': {
+    isExport: true,
+    link: 'https://digilima.com/api/privacy/export?token=export-token'
+  },
+  'data-request (delete)': {
+    isDelete: true,
+    link: 'https://digilima.com/api/privacy/delete?token=delete-token'
+  },
+  'newsletter-confirm': {
+    confirmUrl: 'https://digilima.com/api/newsletter/confirm?token=confirm-token',
+    unsubscribeUrl: 'https://digilima.com/api/newsletter/unsubscribe?token=unsubscribe-token'
+  }
+};
+
+describe('email templates', () => {
+  for (const [fixture, data] of Object.entries(FIXTURES)) {
+    const template = fixture.replace(/ \(.*\)$/, '');
+
+    for (const locale of ['en', 'el']) {
+      it(`renders ${fixture} in ${locale}`, () => {
+        const { subject, html, text } = renderEmail(template, locale, typeof data === 'function' ? data(locale) : data);
+
+        expect(subject).toMatchSnapshot('subject');
+        expect(html).toMatchSnapshot('html');
+        expect(text).toMatchSnapshot('text');
+      });
+    }
+  }
+});
@@ -0,0 +1,100 @@
+import { describe, expect, it } from 'vitest';
+import { renderEmail } from '../lib/emails/index.js';
+import { mailtoHref, stripLinks, telHref } from '../lib/escape.js';
+
+// Values a visitor controls, as hostile as the form lets them be
+const HOSTILE = {
+  name: '<script>alert("name")</script> https://evil.example/win',
+  email: '"onmouseover=alert(1)"@evil.example',
+  phone: 'javascript:alert(1)',
+  company: '" onmouseover="alert(1)',
+  budget: '<img src=x onerror=alert(1)>',
+  message: '<a href="javascript:alert(1)">click</a>\n{{{ name }}}\r\nBcc: everyone@example.com'
+};
+
+// Data as api/contact.js builds it from the submission
+function notificationData(values) {
+  return {
+    ...values,
+    mailto: mailtoHref(values.email),
+    tel: telHref(values.phone),
+    projectType: 'Other',
+    langLabel: 'English',
+    consent: { givenAt: '2026-10-19T10:00:00.000Z', lang: 'en', policyVersion: '2026-10-01', text: 'I agree' },
+    score: 0,
+    priority: 'low',
+    priorityClass: 'priority-low',
+    currentDate: '19 October 2026 at 13:00'
+  };
+}
+
+function expectSafeHtml(html) {
+  expect(html).not.toMatch(/<script/i);
+  expect(html).not.toMatch(/<img/i);
+  expect(html).not.toMatch(/href="javascript:/i);
+  expect(html).not.toMatch(/\sonmouseover=/i);
+  expect(html).not.toMatch(/\sonerror=/i);
+}
+
+describe('contact-notification', () => {
+  it('escapes every submitted value in the html', () => {
+    const { html } = renderEmail('contact-notification', 'en', notificationData(HOSTILE));
+
+    expectSafeHtml(html);
+    expect(html).toContain('&lt;script&gt;alert(&quot;name&quot;)&lt;/script&gt;');
+    expect(html).toContain('&quot; onmouseover&#61;&quot;alert(1)');
+    expect(html).toContain('&lt;a href&#61;&quot;javascript:alert(1)&quot;&gt;click&lt;/a&gt;');
+  });
+
+  it('does not link addresses that are not plain', () => {
+    const { html } = renderEmail('contact-notification', 'en', notificationData(HOSTILE));
+
+    expect(html).not.toContain('href="mailto:');
+    expect(html).toContain('href="tel:1"');
+  });
+
+  it('links plain addresses and numbers', () => {
+    const { html } = renderEmail('contact-notification', 'en', notificationData({
+      ...HOSTILE,
+      email: 'maria@example.com',
+      phone: '+357 99 123 456'
+    }));
+
+    expect(html).toContain('href="mailto:maria@example.com"');
+    expect(html).toContain('href="tel:+35799123456"');
+  });
+
+  it('never evaluates template tags in submitted values', () => {
+    const { html, text } = renderEmail('contact-notification', 'en', notificationData(HOSTILE));
+
+    expect(html).toContain('{{{ name }}}');
+    expect(text).toContain('{{{ name }}}');
+  });
+
+  it('keeps the subject on one line', () => {
+    const { subject } = renderEmail('contact-notification', 'en', notificationData({
+      ...HOSTILE,
+      name: 'Maria\r\nBcc: everyone@example.com'
+    }));
+
+    expect(subject).not.toMatch(/[\r\n]/);
+    expect(subject).toContain('Maria Bcc: everyone@example.com');
+  });
+});
+
+describe('contact-auto-reply', () => {
+  for (const locale of ['en', 'el']) {
+    it(`echoes only the escaped, link-free name (${locale})`, () => {
+      const { subject, html, text } = renderEmail('contact-auto-reply', locale, {
+        name: stripLinks(HOSTILE.name),
+        projectTypeLabel: 'Other'
+      });
+
+      expectSafeHtml(html);
+      expect(html).toContain('&lt;script&gt;alert(&quot;name&quot;)&lt;/script&gt;');
+      for (const output of [subject, html, text]) {
+        expect(output).not.toContain('evil.example');
+      }
+    });
+  }
+});
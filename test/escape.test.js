@@ -0,0 +1,84 @@
+import { describe, expect, it } from 'vitest';
+import { escapeHtml, mailtoHref, safeUrl, stripLinks, telHref } from '../lib/escape.js';
+
+describe('escapeHtml', () => {
+  it('escapes markup and attribute breakouts', () => {
+    expect(escapeHtml('<script>alert(1)</script>')).toBe('&lt;script&gt;alert(1)&lt;/script&gt;');
+    expect(escapeHtml('" onmouseover="alert(1)')).toBe('&quot; onmouseover&#61;&quot;alert(1)');
+    expect(escapeHtml("'`&")).toBe('&#39;&#96;&amp;');
+  });
+
+  it('drops control and bidi-override characters', () => {
+    expect(escapeHtml('a\u0000b‮c⁦d')).toBe('abcd');
+  });
+
+  it('renders missing values as empty', () => {
+    expect(escapeHtml(undefined)).toBe('');
+    expect(escapeHtml(null)).toBe('');
+  });
+});
+
+describe('mailtoHref', () => {
+  it('builds a mailto: link for plain addresses', () => {
+    expect(mailtoHref('maria@example.com')).toBe('mailto:maria@example.com');
+  });
+
+  it('refuses anything that is not a plain address', () => {
+    expect(mailtoHref('javascript:alert(1)//@example.com')).toBe('');
+    expect(mailtoHref('"onmouseover=alert(1)"@example.com')).toBe('');
+    expect(mailtoHref('maria@example.com?bcc=everyone@example.com')).toBe('');
+    expect(mailtoHref('maria@example.com\r\nBcc: everyone@example.com')).toBe('');
+    expect(mailtoHref('')).toBe('');
+  });
+});
+
+describe('telHref', () => {
+  it('keeps only digits and a leading plus', () => {
+    expect(telHref('+357 99 123-456')).toBe('tel:+35799123456');
+    expect(telHref('99+123')).toBe('tel:99123');
+  });
+
+  it('never carries markup or another scheme', () => {
+    expect(telHref('javascript:alert(1)')).toBe('tel:1');
+    expect(telHref('"><script>alert(1)</script>')).toBe('tel:1');
+    expect(telHref('no digits here')).toBe('');
+  });
+});
+
+describe('stripLinks', () => {
+  it('removes URLs and bare domains', () => {
+    expect(stripLinks('Maria https://evil.example/win now')).toBe('Maria now');
+    expect(stripLinks('Maria www.evil.example')).toBe('Maria');
+    expect(stripLinks('Visit evil.example/path today')).toBe('Visit today');
+    expect(stripLinks('javascript://evil.example%0Aalert(1)')).toBe('');
+  });
+
+  it('collapses the value onto one line', () => {
+    expect(stripLinks('Maria\r\nBcc: someone')).toBe('Maria Bcc: someone');
+  });
+});
+
+describe('safeUrl', () => {
+  it('allows http and https URLs', () => {
+    expect(safeUrl('https://digilima.com/blog/?a=1&b=2')).toBe('https://digilima.com/blog/?a&#61;1&amp;b&#61;2');
+  });
+
+  it('refuses other schemes and relative URLs', () => {
+    expect(safeUrl('javascript:alert(1)')).toBe('');
+    expect(safeUrl(' JaVaScRiPt:alert(1)')).toBe('');
+    expect(safeUrl('data:text/html,<script>alert(1)</script>')).toBe('');
+    expect(safeUrl('//evil.example')).toBe('');
+    expect(safeUrl('/relative')).toBe('');
+  });
+
+  it('keeps markup out of the href', () => {
+    const href = safeUrl('https://digilima.com/"><script>alert(1)</script>');
+    expect(href).not.toMatch(/[<>"]/);
+    expect(href.startsWith('https://digilima.com/')).toBe(true);
+  });
+
+  it('accepts other schemes only when asked', () => {
+    expect(safeUrl('mailto:hello@digilima.com')).toBe('');
+    expect(safeUrl('mailto:hello@digilima.com', ['mailto:'])).toBe('mailto:hello@digilima.com');
+  });
+});
@@ -0,0 +1,63 @@
+// Request and response stand-ins for calling the serverless handlers, and
+// the shared fixtures they run with
+
+// Signing secret the handlers under test are given
+export const SECRET = 'test-signing-secret';
+
+export function createRequest({ method = 'POST', headers = {}, query = {}, body = {} } = {}) {
+  return {
+    method,
+    headers: { 'x-forwarded-for': '203.0.113.7', ...headers },
+    query,
+    body,
+    socket: { remoteAddress: '203.0.113.7' }
+  };
+}
+
+export function createResponse() {
+  return {
+    statusCode: 200,
+    headers: {},
+    body: undefined,
+    setHeader(name, value) {
+      this.headers[name.toLowerCase()] = value;
+      return this;
+    },
+    status(code) {
+      this.statusCode = code;
+      return this;
+    },
+    json(body) {
+      this.body = body;
+      return this;
+    },
+    send(body) {
+      this.body = body;
+      return this;
+    },
+    redirect(code, url) {
+      this.statusCode = code;
+      this.headers.location = url;
+      return this;
+    },
+    end() {
+      return this;
+    }
+  };
+}
+
+// Mail transport that records what it sends, in order
+export function createRecordingTransport() {
+  const sent = [];
+
+  return {
+    name: 'test',
+    sent,
+    async send(message) {
+      sent.push(message);
+      return { id: `sent_${sent.length}` };
+    }
+  };
+}
+
+export const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
@@ -0,0 +1,121 @@
+import { describe, expect, it } from 'vitest';
+import { withIdempotency } from '../lib/idempotency.js';
+import { createMemoryKv } from '../lib/kv/memory.js';
+import { createLeadRepository } from '../lib/leads.js';
+import { createMemoryStore } from '../lib/store/memory.js';
+import { createRequest, createResponse, sleep } from './helpers.js';
+
+const KEY = 'form-fill-0123456789';
+const PAYLOAD = { name: 'Maria', email: 'maria@example.com', message: 'Hello' };
+const OPTIONS = { pollMs: 5, waitMs: 1000 };
+
+function setup() {
+  const kv = createMemoryKv();
+  const leads = createLeadRepository(createMemoryStore());
+  let runs = 0;
+
+  // Stands in for processSubmission: stores a lead, then answers
+  async function submit(payload = PAYLOAD, { key = KEY, handle } = {}) {
+    const req = createRequest({ headers: key === null ? {} : { 'idempotency-key': key }, body: payload });
+    const res = createResponse();
+    await withIdempotency(req, res, { kv, scope: 'contact', payload, options: OPTIONS }, async () => {
+      if (handle) return handle(res);
+      runs++;
+      const lead = await leads.create(payload);
+      await sleep(20);
+      return res.status(200).json({ success: true, leadId: lead.id });
+    });
+    return res;
+  }
+
+  return { kv, leads, submit, runs: () => runs };
+}
+
+describe('withIdempotency', () => {
+  it('runs concurrent duplicates once and replays the response', async () => {
+    const { leads, submit, runs } = setup();
+
+    const [first, second] = await Promise.all([submit(), submit()]);
+
+    expect(runs()).toBe(1);
+    expect(await leads.get(first.body.leadId)).not.toBeNull();
+    expect(second.body).toEqual(first.body);
+    expect(second.statusCode).toBe(200);
+    expect([first, second].filter(res => res.headers['idempotent-replayed'] === 'true')).toHaveLength(1);
+  });
+
+  it('replays the stored response for later repeats', async () => {
+    const { submit, runs } = setup();
+
+    const first = await submit();
+    const repeat = await submit();
+
+    expect(runs()).toBe(1);
+    expect(repeat.body).toEqual(first.body);
+    expect(repeat.headers['idempotent-replayed']).toBe('true');
+  });
+
+  it('rejects the same key with a different payload', async () => {
+    const { submit, runs } = setup();
+
+    await submit();
+    const changed = await submit({ ...PAYLOAD, message: 'Something else' });
+
+    expect(runs()).toBe(1);
+    expect(changed.statusCode).toBe(422);
+  });
+
+  it('rejects a different payload sent while the first is running', async () => {
+    const { submit, runs } = setup();
+
+    const [, changed] = await Promise.all([submit(), submit({ ...PAYLOAD, message: 'Something else' })]);
+
+    expect(runs()).toBe(1);
+    expect(changed.statusCode).toBe(422);
+  });
+
+  it('releases the key when the first attempt is rejected', async () => {
+    const { submit, runs } = setup();
+
+    const rejected = await submit(PAYLOAD, {
+      handle: async res => res.status(400).json({ error: 'Please check the highlighted fields and try again.' })
+    });
+
+    expect(rejected.statusCode).toBe(400);
+    const retried = await submit();
+    expect(runs()).toBe(1);
+    expect(retried.statusCode).toBe(200);
+    expect(retried.headers['idempotent-replayed']).toBeUndefined();
+  });
+
+  it('releases the key when the first attempt throws', async () => {
+    const { submit, runs } = setup();
+
+    await expect(submit(PAYLOAD, {
+      handle: async () => {
+        throw new Error('Store unavailable');
+      }
+    })).rejects.toThrow('Store unavailable');
+
+    const retried = await submit();
+    expect(runs()).toBe(1);
+    expect(retried.statusCode).toBe(200);
+  });
+
+  it('refuses malformed keys', async () => {
+    const { submit, runs } = setup();
+
+    const res = await submit(PAYLOAD, { key: 'short' });
+
+    expect(res.statusCode).toBe(400);
+    expect(runs()).toBe(0);
+  });
+
+  it('runs every request without a key', async () => {
+    const { submit, runs } = setup();
+
+    await Promise.all([submit(PAYLOAD, { key: null }), submit(PAYLOAD, { key: null })]);
+
+    expect(runs()).toBe(2);
+  });
+});
@@ -0,0 +1,151 @@
+import { describe, expect, it } from 'vitest';
+import { LEAD_RULES, scoreLead } from '../lib/lead-scoring.js';
+
+const reasonsFor = (data, rules) => scoreLead(data, rules).reasons;
+
+describe('scoreLead rules', () => {
+  it('scores the budget', () => {
+    expect(reasonsFor({ budget: '10000-20000' })).toEqual([{ rule: 'budget', value: '10000-20000', points: 40 }]);
+    expect(scoreLead({ budget: '20000+' }).score).toBe(50);
+    expect(reasonsFor({ budget: '1000-3000' })).toEqual([]);
+  });
+
+  it('scores the project type', () => {
+    expect(reasonsFor({ projectType: 'web-application' })).toEqual([{ rule: 'project-type', value: 'web-application', points: 20 }]);
+    expect(reasonsFor({ projectType: 'other' })).toEqual([]);
+  });
+
+  it('scores the location', () => {
+    expect(reasonsFor({ location: 'limassol' })).toEqual([{ rule: 'location', value: 'limassol', points: 10 }]);
+    expect(scoreLead({ location: 'athens' }).score).toBe(5);
+    expect(scoreLead({ location: 'other' }).score).toBe(0);
+  });
+
+  it('scores the timeline', () => {
+    expect(reasonsFor({ timeline: 'asap' })).toEqual([{ rule: 'timeline', value: 'asap', points: 15 }]);
+    expect(scoreLead({ timeline: 'flexible' }).score).toBe(0);
+  });
+
+  it('scores keywords in the message as whole words', () => {
+    expect(reasonsFor({ message: 'We need an Online Shop with a booking system.' })).toEqual([
+      { rule: 'keywords', value: 'online shop', points: 10 },
+      { rule: 'keywords', value: 'booking system', points: 10 }
+    ]);
+    expect(reasonsFor({ message: 'Our e-commerce site' })).toEqual([{ rule: 'keywords', value: 'e-commerce', points: 10 }]);
+    expect(reasonsFor({ message: 'Not urgently, no integrations' })).toEqual([]);
+  });
+
+  it('adds up every matching rule', () => {
+    const result = scoreLead({
+      budget: '5000-10000',
+      projectType: 'shopify-store',
+      location: 'limassol',
+      timeline: '1-month',
+      message: 'Redesign of our eshop, there is a deadline'
+    });
+
+    expect(result.score).toBe(25 + 15 + 10 + 10 + 5 + 10 + 5);
+    expect(result.reasons.map(reason => reason.rule)).toEqual([
+      'budget', 'project-type', 'location', 'timeline', 'keywords', 'keywords', 'keywords'
+    ]);
+  });
+
+  it('ignores empty and missing values', () => {
+    expect(scoreLead({})).toMatchObject({ score: 0, priority: 'low', reasons: [] });
+    expect(scoreLead({ budget: '', message: '' }).score).toBe(0);
+  });
+});
+
+describe('scoreLead spam keywords', () => {
+  it('takes points away for sales pitches', () => {
+    const result = scoreLead({
+      budget: '20000+',
+      projectType: 'web-application',
+      message: 'We offer high quality BACKLINKS and guest post placements.'
+    });
+
+    expect(result.reasons.filter(reason => reason.points < 0)).toEqual([
+      { rule: 'keywords', value: 'backlinks', points: -40 },
+      { rule: 'keywords', value: 'guest post', points: -40 }
+    ]);
+    expect(result.score).toBe(50 + 20 - 80);
+    expect(result.priority).toBe('low');
+  });
+});
+
+describe('scoreLead Greek keywords', () => {
+  it('matches regardless of case and accents', () => {
+    for (const message of ['Είναι επείγον', 'ΕΙΝΑΙ ΕΠΕΙΓΟΝ', 'einai epeigon? όχι, είναι επειγον']) {
+      expect(reasonsFor({ message })).toEqual([{ rule: 'keywords', value: 'επείγον', points: 5 }]);
+    }
+  });
+
+  it('matches multi-word phrases', () => {
+    expect(reasonsFor({ message: 'Θέλουμε ΗΛΕΚΤΡΟΝΙΚΟ ΚΑΤΑΣΤΗΜΑ και σύστημα κρατήσεων' })).toEqual([
+      { rule: 'keywords', value: 'ηλεκτρονικό κατάστημα', points: 10 },
+      { rule: 'keywords', value: 'σύστημα κρατήσεων', points: 10 }
+    ]);
+  });
+});
+
+describe('scoreLead tiers', () => {
+  // The default tiers, with a rule that gives an exact score
+  const exact = {
+    rules: [{ name: 'exact', field: 'score', points: { 29: 29, 30: 30, 59: 59, 60: 60 } }],
+    tiers: LEAD_RULES.tiers
+  };
+  const tierFor = score => scoreLead({ score: String(score) }, exact);
+
+  it('makes a lead medium priority from 30', () => {
+    expect(tierFor(29).priority).toBe('low');
+    expect(tierFor(30).priority).toBe('medium');
+  });
+
+  it('makes a lead high priority from 60', () => {
+    expect(tierFor(59).priority).toBe('medium');
+    expect(tierFor(60).priority).toBe('high');
+  });
+
+  it('routes each tier', () => {
+    expect(tierFor(60)).toMatchObject({
+      subjectPrefix: '[HIGH PRIORITY]',
+      recipients: ['hello@digilima.com', 'sales@digilima.com'],
+      followUp: true
+    });
+    expect(tierFor(30)).toMatchObject({ subjectPrefix: '[PRIORITY]', recipients: ['hello@digilima.com'], followUp: true });
+    expect(tierFor(29)).toMatchObject({ subjectPrefix: '', recipients: ['hello@digilima.com'], followUp: false });
+  });
+});
+
+describe('scoreLead custom rules', () => {
+  const rules = {
+    rules: [
+      { name: 'company', field: 'company', points: { Acme: 100 } },
+      { name: 'keywords', field: 'message', keywords: { wordpress: 50 } }
+    ],
+    tiers: [
+      { priority: 'vip', minScore: 100, subjectPrefix: '[VIP]', recipients: ['ceo@digilima.com'], followUp: true },
+      { priority: 'normal', minScore: 0, subjectPrefix: '', recipients: ['hello@digilima.com'], followUp: false }
+    ]
+  };
+
+  it('uses the given rules and tiers instead of the defaults', () => {
+    expect(scoreLead({ company: 'Acme', budget: '20000+' }, rules)).toEqual({
+      score: 100,
+      priority: 'vip',
+      subjectPrefix: '[VIP]',
+      recipients: ['ceo@digilima.com'],
+      followUp: true,
+      reasons: [{ rule: 'company', value: 'Acme', points: 100 }]
+    });
+    expect(scoreLead({ message: 'A WordPress site' }, rules)).toMatchObject({ score: 50, priority: 'normal' });
+  });
+
+  it('falls back to the last tier when no tier is reached', () => {
+    expect(scoreLead({}, { ...rules, tiers: [rules.tiers[0]] }).priority).toBe('vip');
+    expect(scoreLead({ message: 'casino' }, { rules: LEAD_RULES.rules, tiers: rules.tiers })).toMatchObject({
+      score: -40,
+      priority: 'normal'
+    });
+  });
+});
@@ -0,0 +1,132 @@
+import { afterEach, describe, expect, it, vi } from 'vitest';
+import { createNewsletterHandler } from '../api/newsletter.js';
+import { createNewsletterConfirmHandler } from '../api/newsletter/confirm.js';
+import { escapeHtml } from '../lib/escape.js';
+import { createMemoryKv } from '../lib/kv/memory.js';
+import { toNodemailerMessage } from '../lib/mail/message.js';
+import { createMemoryStore } from '../lib/store/memory.js';
+import { readToken, subscriberId } from '../lib/subscribers.js';
+import { createRecordingTransport, createRequest, createResponse, SECRET } from './helpers.js';
+
+afterEach(() => {
+  vi.unstubAllEnvs();
+});
+
+async function signUp(email = 'maria@example.com') {
+  const transport = createRecordingTransport();
+  const store = createMemoryStore();
+  const handler = createNewsletterHandler({
+    transport,
+    kv: createMemoryKv(),
+    secret: SECRET,
+    store
+  });
+  const res = createResponse();
+  await handler(createRequest({ headers: { host: 'digilima.com' }, body: { email, lang: 'el' } }), res);
+  return { res, sent: transport.sent, store };
+}
+
+describe('newsletter confirmation email', () => {
+  it('links to a working unsubscribe URL', async () => {
+    const { res, sent } = await signUp();
+
+    expect(res.statusCode).toBe(202);
+    expect(sent).toHaveLength(1);
+
+    const [, url] = sent[0].text.match(/Διαγραφή: (\S+)/);
+    const { pathname, searchParams } = new URL(url);
+    expect(pathname).toBe('/api/newsletter/unsubscribe');
+    expect(readToken(searchParams.get('token'), 'newsletter-unsubscribe', { secret: SECRET })).toBe(subscriberId('maria@example.com'));
+    expect(sent[0].html).toContain(`href="${escapeHtml(url)}"`);
+  });
+
+  it('offers one-click unsubscribe in its headers', async () => {
+    const { sent } = await signUp();
+    const [, url] = sent[0].text.match(/Διαγραφή: (\S+)/);
+
+    expect(sent[0].headers).toEqual({
+      'List-Unsubscribe': `<${url}>`,
+      'List-Unsubscribe-Post': 'List-Unsubscribe=One-Click'
+    });
+    expect(toNodemailerMessage(sent[0]).headers).toMatchObject({
+      'List-Unsubscribe': `<${url}>`,
+      'X-Tags': 'type=newsletter_confirm; lang=el'
+    });
+  });
+});
+
+describe('newsletter confirmation link', () => {
+  async function setupConfirm() {
+    const { sent, store } = await signUp();
+    const token = new URL(sent[0].text.match(/\/api\/newsletter\/confirm\S+/)[0], 'https://digilima.com').searchParams.get('token');
+    const confirm = createNewsletterConfirmHandler({ secret: SECRET, store });
+    const status = async () => (await store.collection('subscribers').get(subscriberId('maria@example.com'))).status;
+
+    async function open(request) {
+      const res = createResponse();
+      await confirm(createRequest(request), res);
+      return res;
+    }
+
+    return { token, status, open };
+  }
+
+  it('only shows a confirmation page when the link is opened', async () => {
+    const { token, status, open } = await setupConfirm();
+
+    const res = await open({ method: 'GET', query: { token } });
+
+    expect(res.statusCode).toBe(200);
+    expect(res.headers['content-type']).toMatch(/^text\/html/);
+    expect(res.body).toContain('<html lang="el">');
+    expect(res.body).toContain('<form method="POST">');
+    expect(res.body).toContain(`name="token" value="${escapeHtml(token)}"`);
+    expect(await status()).toBe('pending');
+  });
+
+  it('activates the subscription when the page is submitted', async () => {
+    const { token, status, open } = await setupConfirm();
+
+    const res = await open({ headers: { accept: 'text/html' }, body: { token } });
+
+    expect(res.statusCode).toBe(303);
+    expect(res.headers.location).toBe('/el/blog/?newsletter=confirmed');
+    expect(await status()).toBe('active');
+
+    const again = await open({ method: 'GET', query: { token } });
+    expect(again.statusCode).toBe(302);
+    expect(again.headers.location).toBe('/el/blog/?newsletter=confirmed');
+  });
+
+  it('answers other clients with JSON', async () => {
+    const { token, open } = await setupConfirm();
+
+    expect((await open({ body: { token } })).body).toEqual({ success: true, status: 'active' });
+    expect((await open({ body: { token: `${token}x` } })).statusCode).toBe(400);
+  });
+
+  it('refuses invalid tokens', async () => {
+    const { token, status, open } = await setupConfirm();
+
+    const res = await open({ method: 'GET', query: { token: `${token}x` } });
+
+    expect(res.statusCode).toBe(302);
+    expect(res.headers.location).toBe('/blog/?newsletter=invalid');
+    expect((await open({ headers: { accept: 'text/html' }, body: { token: 'forged' } })).headers.location).toBe('/blog/?newsletter=invalid');
+    expect(await status()).toBe('pending');
+  });
+});
+
+describe('newsletter signup errors', () => {
+  it('answers a missing configuration with a JSON error', async () => {
+    vi.stubEnv('VERCEL_ENV', 'production');
+    vi.stubEnv('SIGNING_SECRET', '');
+    const handler = createNewsletterHandler({ transport: createRecordingTransport(), kv: createMemoryKv(), store: createMemoryStore() });
+    const res = createResponse();
+
+    await handler(createRequest({ body: { email: 'maria@example.com' } }), res);
+
+    expect(res.statusCode).toBe(500);
+    expect(res.body.error).toMatch(/^Sorry/);
+  });
+});
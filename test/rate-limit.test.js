@@ -0,0 +1,116 @@
+import { describe, expect, it } from 'vitest';
+import { createMemoryKv } from '../lib/kv/memory.js';
+import { createRateLimiter } from '../lib/rate-limit.js';
+
+const WINDOW_MS = 60 * 1000;
+// The start of a window, so elapsed times are easy to read
+const START = 1000 * WINDOW_MS;
+
+function setup({ limit = 5 } = {}) {
+  const clock = { time: START };
+  const now = () => clock.time;
+  const kv = createMemoryKv({ now });
+  const limiter = createRateLimiter({ kv, name: 'test', limit, windowMs: WINDOW_MS, now });
+
+  async function consumeTimes(times, id = '203.0.113.7') {
+    const results = [];
+    for (let i = 0; i < times; i++) results.push(await limiter.consume(id));
+    return results;
+  }
+
+  return { clock, kv, limiter, consumeTimes };
+}
+
+describe('rate limiter', () => {
+  it('allows up to the limit within a window', async () => {
+    const { consumeTimes } = setup();
+
+    const results = await consumeTimes(6);
+
+    expect(results.map(result => result.allowed)).toEqual([true, true, true, true, true, false]);
+    expect(results.map(result => result.remaining)).toEqual([4, 3, 2, 1, 0, 0]);
+  });
+
+  it('counts every identifier on its own', async () => {
+    const { limiter, consumeTimes } = setup({ limit: 1 });
+
+    await consumeTimes(1, 'maria@example.com');
+
+    expect((await limiter.consume('MARIA@example.com')).allowed).toBe(false);
+    expect((await limiter.consume('nikos@example.com')).allowed).toBe(true);
+  });
+
+  it('keeps only hashed identifiers in its keys', async () => {
+    const { kv, limiter } = setup();
+    const keys = [];
+    const incr = kv.incr;
+    kv.incr = (key, options) => (keys.push(key), incr(key, options));
+
+    await limiter.consume('maria@example.com');
+
+    expect(keys).toEqual([expect.stringMatching(/^ratelimit:test:[0-9a-f]{32}:1000$/)]);
+  });
+
+  it('weights the previous window by how much of it still overlaps', async () => {
+    const { clock, consumeTimes } = setup();
+    await consumeTimes(5);
+
+    // Half way through the next window, half of the 5 still count
+    clock.time = START + WINDOW_MS * 1.5;
+    const results = await consumeTimes(3);
+
+    expect(results.map(({ allowed, remaining }) => [allowed, remaining])).toEqual([[true, 1], [true, 0], [false, 0]]);
+  });
+
+  it('forgets windows older than the previous one', async () => {
+    const { clock, consumeTimes } = setup();
+    await consumeTimes(6);
+
+    clock.time = START + WINDOW_MS * 2;
+
+    expect((await consumeTimes(5)).every(result => result.allowed)).toBe(true);
+  });
+
+  it('counts rejected attempts, so hammering keeps a client blocked', async () => {
+    const { clock, consumeTimes } = setup({ limit: 2 });
+    await consumeTimes(10);
+
+    clock.time = START + WINDOW_MS * 1.5;
+
+    expect((await consumeTimes(1))[0].allowed).toBe(false);
+  });
+});
+
+describe('rate limiter retryAfter', () => {
+  // Replays the attempts of a scenario on a fresh limiter, then tries once
+  // more after the wait
+  async function allowedAfter(scenario, waitSeconds) {
+    const { clock, consumeTimes } = setup();
+    const rejected = await scenario(clock, consumeTimes);
+    clock.time += waitSeconds * 1000;
+    return { retryAfter: rejected.retryAfter, allowed: (await consumeTimes(1))[0].allowed };
+  }
+
+  it('waits for enough of the previous window to slide out', async () => {
+    async function scenario(clock, consumeTimes) {
+      await consumeTimes(5);
+      clock.time = START + WINDOW_MS * 1.5;
+      return (await consumeTimes(3))[2];
+    }
+
+    // 18s later, 48s into the window: 5 * (1 - 48/60) + 3 + 1 = 5
+    expect(await allowedAfter(scenario, 18)).toEqual({ retryAfter: 18, allowed: true });
+    expect((await allowedAfter(scenario, 17)).allowed).toBe(false);
+  });
+
+  it('waits for the next window when this one is full', async () => {
+    async function scenario(clock, consumeTimes) {
+      clock.time = START + 10 * 1000;
+      return (await consumeTimes(6))[5];
+    }
+
+    // 50s to the next window, then 6 * (1 - 20/60) + 1 = 5 at 20s into it
+    expect(await allowedAfter(scenario, 70)).toEqual({ retryAfter: 70, allowed: true });
+    expect((await allowedAfter(scenario, 69)).allowed).toBe(false);
+  });
+});
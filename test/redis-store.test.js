@@ -0,0 +1,103 @@
+import { describe, expect, it } from 'vitest';
+import { createStore } from '../lib/store/index.js';
+import { createRedisStore } from '../lib/store/redis.js';
+
+// Just enough of the Upstash REST API for the store: hashes, and EVAL of
+// its compare-and-set script. Every command answers asynchronously, so
+// concurrent updates interleave like they would over the network.
+function createFakeRedis() {
+  const hashes = new Map();
+  const hash = key => {
+    if (!hashes.has(key)) hashes.set(key, new Map());
+    return hashes.get(key);
+  };
+
+  const commands = {
+    HSETNX: (key, field, value) => (hash(key).has(field) ? 0 : (hash(key).set(field, value), 1)),
+    HGET: (key, field) => (hash(key).has(field) ? hash(key).get(field) : null),
+    HVALS: key => [...hash(key).values()],
+    HDEL: (key, field) => (hash(key).delete(field) ? 1 : 0),
+    EVAL: (script, keyCount, key, field, expected, value) => {
+      if (hash(key).get(field) !== expected) return 0;
+      hash(key).set(field, value);
+      return 1;
+    }
+  };
+
+  async function fetch(url, { headers, body }) {
+    await new Promise(resolve => setTimeout(resolve, Math.random() * 3));
+    expect(headers.Authorization).toBe('Bearer test-token');
+    const [name, ...args] = JSON.parse(body);
+    return { ok: true, json: async () => ({ result: commands[name](...args) }) };
+  }
+
+  return { hashes, fetch };
+}
+
+function createTestStore() {
+  const redis = createFakeRedis();
+  const store = createRedisStore({ url: 'https://kv.example', token: 'test-token', fetch: redis.fetch });
+  return { redis, docs: store.collection('docs') };
+}
+
+describe('redis store', () => {
+  it('stores each collection in one hash', async () => {
+    const { redis, docs } = createTestStore();
+    await docs.insert({ id: 'a', value: 1 });
+
+    expect(JSON.parse(redis.hashes.get('store:docs').get('a'))).toEqual({ id: 'a', value: 1 });
+    expect(await docs.get('a')).toEqual({ id: 'a', value: 1 });
+    expect(await docs.get('missing')).toBeNull();
+  });
+
+  it('refuses duplicate ids', async () => {
+    const { docs } = createTestStore();
+    await docs.insert({ id: 'a' });
+
+    await expect(docs.insert({ id: 'a' })).rejects.toThrow('Duplicate id "a" in docs');
+  });
+
+  it('finds and removes documents', async () => {
+    const { docs } = createTestStore();
+    await docs.insert({ id: 'a', status: 'pending' });
+    await docs.insert({ id: 'b', status: 'sent' });
+
+    expect(await docs.find({ status: 'pending' })).toEqual([{ id: 'a', status: 'pending' }]);
+    expect(await docs.find(doc => doc.id === 'b')).toHaveLength(1);
+    expect(await docs.remove('a')).toBe(true);
+    expect(await docs.remove('a')).toBe(false);
+    expect(await docs.find()).toHaveLength(1);
+  });
+
+  it('does not lose concurrent updates', async () => {
+    const { docs } = createTestStore();
+    await docs.insert({ id: 'a', count: 0 });
+
+    await Promise.all(Array.from({ length: 5 }, () => docs.update('a', doc => ({ count: doc.count + 1 }))));
+
+    expect((await docs.get('a')).count).toBe(5);
+  });
+
+  it('returns null when updating a missing document', async () => {
+    const { docs } = createTestStore();
+
+    expect(await docs.update('missing', { value: 1 })).toBeNull();
+  });
+});
+
+describe('createStore', () => {
+  it('uses redis when the KV database is configured', () => {
+    const store = createStore({ KV_REST_API_URL: 'https://kv.example', KV_REST_API_TOKEN: 'test-token' });
+    expect(store.name).toBe('redis');
+  });
+
+  it('refuses the file store in a deployment', () => {
+    expect(() => createStore({ VERCEL_ENV: 'production' })).toThrow(/DATA_STORE=file/);
+    expect(() => createStore({ NODE_ENV: 'production', DATA_STORE: 'file' })).toThrow(/DATA_STORE=file/);
+    expect(createStore({ DATA_STORE: 'memory', VERCEL_ENV: 'production' }).name).toBe('memory');
+  });
+
+  it('uses the file store for local development', () => {
+    expect(createStore({}).name).toBe('json-file');
+  });
+});
@@ -0,0 +1,21 @@
+import { describe, expect, it } from 'vitest';
+import { getSiteUrl } from '../lib/request.js';
+import { createRequest } from './helpers.js';
+
+const spoofed = createRequest({ headers: { host: 'evil.example', 'x-forwarded-proto': 'https' } });
+
+describe('getSiteUrl', () => {
+  it('uses SITE_URL without a trailing slash', () => {
+    expect(getSiteUrl(spoofed, { SITE_URL: 'https://digilima.com/', NODE_ENV: 'production' })).toBe('https://digilima.com');
+  });
+
+  it('never trusts the Host header in production', () => {
+    expect(() => getSiteUrl(spoofed, { NODE_ENV: 'production' })).toThrow('SITE_URL must be set in production');
+    expect(() => getSiteUrl(spoofed, { VERCEL_ENV: 'production' })).toThrow('SITE_URL must be set in production');
+  });
+
+  it('falls back to the request host locally', () => {
+    const req = createRequest({ headers: { host: 'localhost:3000', 'x-forwarded-proto': 'http' } });
+    expect(getSiteUrl(req, {})).toBe('http://localhost:3000');
+  });
+});
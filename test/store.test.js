@@ -0,0 +1,42 @@
+import { mkdtemp, rm } from 'fs/promises';
+import { tmpdir } from 'os';
+import path from 'path';
+import { afterEach, beforeEach, describe, expect, it } from 'vitest';
+import { createJsonFileStore } from '../lib/store/json-file.js';
+
+describe('json-file store', () => {
+  let dir;
+
+  beforeEach(async () => {
+    dir = await mkdtemp(path.join(tmpdir(), 'digilima-store-'));
+  });
+
+  afterEach(async () => {
+    await rm(dir, { recursive: true, force: true });
+  });
+
+  it('refuses duplicate ids', async () => {
+    const docs = createJsonFileStore({ dir }).collection('docs');
+    await docs.insert({ id: 'a' });
+
+    await expect(docs.insert({ id: 'a' })).rejects.toThrow('Duplicate id "a" in docs');
+  });
+
+  it('keeps reading after a failed write', async () => {
+    const docs = createJsonFileStore({ dir }).collection('docs');
+    await docs.insert({ id: 'a', value: 1 });
+    await docs.insert({ id: 'a', value: 2 }).catch(() => {});
+
+    expect(await docs.get('a')).toEqual({ id: 'a', value: 1 });
+    expect(await docs.find({ value: 1 })).toHaveLength(1);
+  });
+
+  it('serializes concurrent updates', async () => {
+    const docs = createJsonFileStore({ dir }).collection('docs');
+    await docs.insert({ id: 'a', count: 0 });
+
+    await Promise.all(Array.from({ length: 10 }, () => docs.update('a', doc => ({ count: doc.count + 1 }))));
+
+    expect((await docs.get('a')).count).toBe(10);
+  });
+});
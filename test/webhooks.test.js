@@ -0,0 +1,215 @@
+import { describe, expect, it } from 'vitest';
+import { backoffDelay, RETRY_DEFAULTS } from '../lib/delivery-queue.js';
+import { createMemoryStore } from '../lib/store/memory.js';
+import { createLeadEvent, parseEndpoints } from '../lib/webhooks/index.js';
+import { createWebhookOutbox } from '../lib/webhooks/outbox.js';
+import { SIGNATURE_HEADER, verifySignature } from '../lib/webhooks/signature.js';
+
+const START = Date.parse('2026-10-19T10:00:00.000Z');
+
+const LEAD = {
+  id: 'lead_0001',
+  createdAt: '2026-10-19T10:00:00.000Z',
+  data: {
+    name: 'Maria Papadopoulou',
+    email: 'maria@example.com',
+    phone: '+357 99 123 456',
+    company: 'Acme Ltd',
+    budget: '5000-10000',
+    projectType: 'shopify-store',
+    message: 'We need an online shop.',
+    lang: 'el'
+  },
+  score: { score: 40, priority: 'medium', reasons: [] }
+};
+
+// A mock receiver: answers with the queued statuses (200 once they run
+// out), or throws for an Error, and records every request it gets
+function createReceiver(...responses) {
+  const requests = [];
+
+  async function fetch(url, { method, headers, body, signal }) {
+    requests.push({ url, method, headers, body, signal });
+    const response = responses.length ? responses.shift() : 200;
+    if (response instanceof Error) throw response;
+    return { status: response };
+  }
+
+  return { requests, fetch };
+}
+
+function setup(receiver, endpoints = [{ name: 'crm', url: 'https://crm.example/hooks', secret: 'crm-secret' }]) {
+  const clock = { time: START };
+  const store = createMemoryStore();
+  const outbox = createWebhookOutbox({
+    store,
+    endpoints: parseEndpoints(JSON.stringify(endpoints)),
+    fetch: receiver.fetch,
+    now: () => clock.time
+  });
+
+  async function enqueueLead() {
+    return outbox.enqueue(createLeadEvent(LEAD), { leadId: LEAD.id });
+  }
+
+  return { clock, store, outbox, enqueueLead };
+}
+
+describe('webhook outbox', () => {
+  it('queues an event without posting it', async () => {
+    const receiver = createReceiver();
+    const { enqueueLead } = setup(receiver);
+
+    const [webhook] = await enqueueLead();
+
+    expect(webhook).toMatchObject({ endpoint: 'crm', leadId: LEAD.id, status: 'pending', attempts: 0, nextAttemptAt: START });
+    expect(receiver.requests).toHaveLength(0);
+  });
+
+  it('queues one webhook per subscribed endpoint, in its format', async () => {
+    const { enqueueLead } = setup(createReceiver(), [
+      { name: 'crm', url: 'https://crm.example/hooks', secret: 'crm-secret' },
+      { name: 'hubspot', url: 'https://hubspot.example/hooks', secret: 'hs-secret', format: 'hubspot' },
+      { name: 'other', url: 'https://other.example/hooks', secret: 'other-secret', events: ['lead.updated'] }
+    ]);
+
+    const queued = await enqueueLead();
+
+    expect(queued.map(webhook => [webhook.endpoint, webhook.format])).toEqual([['crm', 'generic'], ['hubspot', 'hubspot']]);
+    expect(queued[0].body).toMatchObject({ type: 'lead.created', data: { lead: { id: LEAD.id } } });
+    expect(queued[1].body).toMatchObject({
+      event: { type: 'lead.created' },
+      contact: { properties: { email: 'maria@example.com', firstname: 'Maria', lastname: 'Papadopoulou' } },
+      deal: { properties: { dealname: 'Acme Ltd - Shopify Store', amount: '5000', hs_priority: 'medium' } }
+    });
+  });
+
+  it('signs every request so the receiver can verify it', async () => {
+    const receiver = createReceiver();
+    const { clock, outbox, enqueueLead } = setup(receiver);
+    const [webhook] = await enqueueLead();
+
+    const delivered = await outbox.attempt(webhook.id);
+
+    expect(delivered).toMatchObject({ status: 'delivered', attempts: 1, lastError: null });
+    const [request] = receiver.requests;
+    expect(request).toMatchObject({ url: 'https://crm.example/hooks', method: 'POST' });
+    expect(request.headers).toMatchObject({
+      'Content-Type': 'application/json',
+      'X-DigiLima-Event': 'lead.created',
+      'X-DigiLima-Delivery': webhook.id
+    });
+    expect(JSON.parse(request.body)).toEqual(webhook.body);
+
+    const signature = request.headers[SIGNATURE_HEADER];
+    const now = () => clock.time;
+    expect(verifySignature(signature, request.body, 'crm-secret', { now })).toBe(true);
+    expect(verifySignature(signature, request.body, 'other-secret', { now })).toBe(false);
+    expect(verifySignature(signature, request.body.replace('Maria', 'Mario'), 'crm-secret', { now })).toBe(false);
+    expect(verifySignature(signature, request.body, 'crm-secret', { now: () => clock.time + 10 * 60 * 1000 })).toBe(false);
+  });
+
+  it('retries failures with backoff and logs every attempt', async () => {
+    const receiver = createReceiver(500, new Error('connect ECONNREFUSED'), 200);
+    const { clock, outbox, enqueueLead } = setup(receiver);
+    const [webhook] = await enqueueLead();
+
+    const failed = await outbox.attempt(webhook.id);
+    expect(failed).toMatchObject({ status: 'pending', attempts: 1, lastError: 'HTTP 500' });
+    expect(failed.nextAttemptAt).toBe(START + backoffDelay(1));
+
+    // Not due yet
+    clock.time = failed.nextAttemptAt - 1;
+    expect(await outbox.processDue()).toEqual({ processed: 0, delivered: 0, retrying: 0, dead: 0 });
+
+    clock.time = failed.nextAttemptAt;
+    expect(await outbox.processDue()).toEqual({ processed: 1, delivered: 0, retrying: 1, dead: 0 });
+    expect(await outbox.processDue()).toEqual({ processed: 0, delivered: 0, retrying: 0, dead: 0 });
+
+    clock.time += backoffDelay(2);
+    expect(await outbox.processDue()).toEqual({ processed: 1, delivered: 1, retrying: 0, dead: 0 });
+
+    const [first, second, third] = receiver.requests;
+    expect(third.body).toBe(first.body);
+    expect(second.headers[SIGNATURE_HEADER]).not.toBe(first.headers[SIGNATURE_HEADER]);
+  });
+
+  it('keeps a log entry per attempt', async () => {
+    const { clock, store, outbox, enqueueLead } = setup(createReceiver(503, 200));
+    const [webhook] = await enqueueLead();
+
+    await outbox.attempt(webhook.id);
+    clock.time += backoffDelay(1);
+    await outbox.processDue();
+
+    const { log } = await store.collection('webhooks').get(webhook.id);
+    expect(log).toEqual([
+      { at: '2026-10-19T10:00:00.000Z', status: 503, durationMs: 0, error: 'HTTP 503' },
+      { at: '2026-10-19T10:01:00.000Z', status: 200, durationMs: 0, error: null }
+    ]);
+  });
+
+  it('marks a webhook dead on a client error', async () => {
+    const receiver = createReceiver(401);
+    const { clock, outbox, enqueueLead } = setup(receiver);
+    const [webhook] = await enqueueLead();
+
+    const dead = await outbox.attempt(webhook.id);
+
+    expect(dead).toMatchObject({ status: 'dead', attempts: 1, lastError: 'HTTP 401', nextAttemptAt: null });
+    clock.time += RETRY_DEFAULTS.maxDelayMs;
+    expect((await outbox.processDue()).processed).toBe(0);
+    expect(receiver.requests).toHaveLength(1);
+  });
+
+  it('retries 408 and 429 answers', async () => {
+    const { clock, outbox, enqueueLead } = setup(createReceiver(408, 429));
+    const [webhook] = await enqueueLead();
+
+    const timedOut = await outbox.attempt(webhook.id);
+    expect(timedOut).toMatchObject({ status: 'pending', lastError: 'HTTP 408' });
+    clock.time = timedOut.nextAttemptAt;
+    expect(await outbox.attempt(webhook.id)).toMatchObject({ status: 'pending', lastError: 'HTTP 429' });
+  });
+
+  it('gives up after maxAttempts', async () => {
+    const receiver = createReceiver(...Array(RETRY_DEFAULTS.maxAttempts).fill(500));
+    const { clock, outbox, enqueueLead } = setup(receiver);
+    const [webhook] = await enqueueLead();
+
+    let result = await outbox.attempt(webhook.id);
+    while (result.status === 'pending') {
+      clock.time = result.nextAttemptAt;
+      result = await outbox.attempt(webhook.id);
+    }
+
+    expect(result).toMatchObject({ status: 'dead', attempts: RETRY_DEFAULTS.maxAttempts });
+    expect(receiver.requests).toHaveLength(RETRY_DEFAULTS.maxAttempts);
+  });
+
+  it('marks a webhook dead when its endpoint is no longer configured', async () => {
+    const receiver = createReceiver();
+    const { store, enqueueLead } = setup(receiver);
+    const [webhook] = await enqueueLead();
+
+    const outbox = createWebhookOutbox({ store, endpoints: [], fetch: receiver.fetch, now: () => START });
+
+    expect(await outbox.attempt(webhook.id)).toMatchObject({ status: 'dead', lastError: 'Endpoint is no longer configured' });
+    expect(receiver.requests).toHaveLength(0);
+  });
+});
+
+describe('parseEndpoints', () => {
+  it('defaults the format and events', () => {
+    expect(parseEndpoints('[{"name":"crm","url":"https://crm.example","secret":"s"}]')).toEqual([
+      { name: 'crm', url: 'https://crm.example', secret: 's', format: 'generic', events: ['lead.created'] }
+    ]);
+    expect(parseEndpoints('')).toEqual([]);
+  });
+
+  it('rejects incomplete endpoints and unknown formats', () => {
+    expect(() => parseEndpoints('{}')).toThrow('WEBHOOK_ENDPOINTS must be a JSON array');
+    expect(() => parseEndpoints('[{"name":"crm","url":"https://crm.example"}]')).toThrow('name, url and secret');
+    expect(() => parseEndpoints('[{"name":"crm","url":"https://crm.example","secret":"s","format":"salesforce"}]')).toThrow('Unknown webhook format');
+  });
+});